@@ -0,0 +1,181 @@
+/**
+ * Book Finder service worker.
+ *
+ * - App shell: index.html and the hashed /assets/ it references are precached
+ *   on install; navigations are network-first with the cached shell as fallback.
+ * - Open Library search.json: network-first, falling back to the last response
+ *   for the same URL so previously seen searches keep working offline.
+ * - Works / editions / authors JSON: stale-while-revalidate.
+ * - Cover images: cache-first (bounded); offline misses fail, so the page
+ *   falls back to its generated cover.
+ *
+ * The page can post { type: "warm", urls } to cache saved books ahead of time.
+ */
+
+const VERSION = "v1";
+const SHELL_CACHE = `bookfinder-shell-${VERSION}`;
+const API_CACHE = `bookfinder-api-${VERSION}`;
+const COVER_CACHE = `bookfinder-covers-${VERSION}`;
+const KNOWN_CACHES = [SHELL_CACHE, API_CACHE, COVER_CACHE];
+
+const MAX_API_ENTRIES = 400;
+const MAX_COVER_ENTRIES = 600;
+
+const scopeUrl = new URL(self.registration.scope);
+const SHELL_URL = new URL("index.html", scopeUrl).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((k) => k.startsWith("bookfinder-") && !KNOWN_CACHES.includes(k)).map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  const res = await fetch(scopeUrl.href, { cache: "no-cache" });
+  if (!res.ok) return;
+  const html = await res.clone().text();
+  await cache.put(SHELL_URL, res);
+  // Pull the built JS/CSS (hashed names) straight out of the shell
+  const assets = new Set([new URL("manifest.webmanifest", scopeUrl).href, new URL("vite.svg", scopeUrl).href]);
+  for (const m of html.matchAll(/(?:src|href)="([^"]+)"/g)) {
+    const url = new URL(m[1], scopeUrl);
+    if (url.origin === scopeUrl.origin && url.pathname.includes("/assets/")) assets.add(url.href);
+  }
+  await Promise.all(
+    [...assets].map((url) =>
+      fetch(url)
+        .then((r) => (r.ok ? cache.put(url, r) : null))
+        .catch(() => null)
+    )
+  );
+}
+
+// ---- routing ----
+
+function isCover(url) {
+  return url.hostname.startsWith("covers.") || /^\/[ab]\/(id|isbn|olid)\//.test(url.pathname);
+}
+
+function isApi(url) {
+  return /\/(search|works|authors|books|subjects|isbn)(\.json|\/)/.test(url.pathname);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL_CACHE, SHELL_URL));
+  } else if (url.origin === scopeUrl.origin && url.pathname.includes("/assets/")) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (isCover(url)) {
+    event.respondWith(coverFirst(request));
+  } else if (url.pathname.endsWith("/search.json")) {
+    event.respondWith(networkFirst(request, API_CACHE, null, MAX_API_ENTRIES));
+  } else if (isApi(url)) {
+    event.respondWith(staleWhileRevalidate(event, API_CACHE));
+  }
+});
+
+async function networkFirst(request, cacheName, fallbackUrl, maxEntries) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      await cache.put(fallbackUrl || request, res.clone());
+      if (maxEntries) trim(cache, maxEntries);
+    }
+    return res;
+  } catch (err) {
+    const hit = await cache.match(fallbackUrl || request);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(event.request);
+  const refresh = fetch(event.request).then((res) => {
+    if (res.ok) {
+      cache.put(event.request, res.clone());
+      trim(cache, MAX_API_ENTRIES);
+    }
+    return res;
+  });
+  if (hit) {
+    event.waitUntil(refresh.catch(() => null));
+    return hit;
+  }
+  return refresh;
+}
+
+async function coverFirst(request) {
+  const cache = await caches.open(COVER_CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  try {
+    const res = await fetch(request);
+    // Cross-origin images come back opaque (status 0); they're still usable
+    if (res.ok || res.type === "opaque") {
+      cache.put(request, res.clone());
+      trim(cache, MAX_COVER_ENTRIES);
+    }
+    return res;
+  } catch {
+    // A failed load lets <Cover> move on to its next source or the generated cover
+    return Response.error();
+  }
+}
+
+/** Drop the oldest entries once a cache grows past `max`. */
+async function trim(cache, max) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - max; i++) await cache.delete(keys[i]);
+}
+
+// ---- messages from the page ----
+
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+  if (data.type === "warm" && Array.isArray(data.urls)) {
+    event.waitUntil(warm(data.urls));
+  }
+});
+
+async function warm(urls) {
+  for (const href of urls) {
+    const url = new URL(href);
+    const cacheName = isCover(url) ? COVER_CACHE : API_CACHE;
+    const cache = await caches.open(cacheName);
+    if (await cache.match(href)) continue;
+    try {
+      const res = await fetch(href, isCover(url) ? { mode: "no-cors" } : undefined);
+      if (res.ok || res.type === "opaque") await cache.put(href, res);
+    } catch {
+      // best-effort; we'll try again next time the library changes
+    }
+  }
+}
@@ -1,40 +1,197 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { Book, Search, Star, X, Filter, Loader2, Info } from "lucide-react";
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { Barcode, Book, ChevronLeft, ChevronRight, Search, X, Filter, Languages, Loader2, Info, SlidersHorizontal, WifiOff } from "lucide-react";
+import {
+  bookKey,
+  buildPermalink,
+  historyIdentity,
+  parseUrlState,
+  serializeUrlState,
+  workId,
+} from "./lib/urlState";
+import {
+  LIBRARY_SCHEMA,
+  addQuote,
+  addShelf,
+  deleteShelf,
+  libraryTags,
+  removeBook,
+  removeQuote,
+  renameShelf,
+  setOwnedEdition,
+  shelveBook,
+  updateEntry,
+} from "./lib/library";
+import { apiUrl, coverUrl, getBookRecord, isEditionKey, olid, recordPath, searchBooks } from "./lib/openLibrary";
+import { warmOfflineCache } from "./lib/offline";
+import { errorKey } from "./lib/errors";
+import { ErrorNotice } from "./components/ErrorNotice";
+import { LibrarySection, RatingStars, ShelfMenu } from "./components/Library";
+import { EditionsPanel } from "./components/EditionsPanel";
+import { CitePanel } from "./components/CitePanel";
+import { NotesPanel } from "./components/Notes";
+import { Cover } from "./components/Cover";
+import { coverSources } from "./lib/covers";
+import { AuthorView } from "./components/AuthorView";
+import { AuthorLinks, AvailabilityBadge, BookCard } from "./components/BookCard";
+import { CompareTray, CompareView } from "./components/Compare";
+import { MAX_COMPARE, toggleCompare } from "./lib/compare";
+import { BulkIsbnLookup } from "./components/BulkIsbnLookup";
+import { VirtualResults } from "./components/VirtualResults";
+import { flattenGroups, groupResults } from "./lib/grouping";
+import { AVAILABILITY_FIELDS, AVAILABILITY_FILTERS, availabilityOf, fetchAvailability, validAvailability } from "./lib/availability";
+import { I18nContext, LOCALES, LOCALE_SCHEMA, createI18n, useI18n } from "./lib/i18n";
+import { createStore, useStore } from "./lib/storage";
+import { StorageAlerts } from "./components/StorageAlerts";
+import { useDialog } from "./lib/dialog";
+import {
+  FACET_FIELDS,
+  FACET_SAMPLE_SIZE,
+  computeFacets,
+  decodeFacet,
+  encodeFacet,
+  facetLabel,
+  yearHistogram,
+} from "./lib/facets";
+import { FacetSidebar, FilterChips } from "./components/FacetSidebar";
+import {
+  SEARCHES_SCHEMA,
+  clearRecent,
+  deleteSearch,
+  hasSearchInput,
+  makeQueryKey,
+  markViewed,
+  pickQuery,
+  recordRecent,
+  removeRecent,
+  renameSearch,
+  saveSearch,
+  searchParams,
+} from "./lib/searches";
+import { SearchHistory } from "./components/SearchHistory";
+import { AutocompleteInput } from "./components/Autocomplete";
+import { authorSuggestions, didYouMean, recentInputs, subjectSuggestions } from "./lib/suggest";
+import { Recommendations, SimilarBooks } from "./components/Recommendations";
+import { QueryBuilder } from "./components/QueryBuilder";
+import { parseQuery, queryToClauses, simpleToQuery } from "./lib/queryBuilder";
 
 /**
  * Book Finder – React + Tailwind (single-file component)
- * API: https://openlibrary.org/search.json
- * Cover images: https://covers.openlibrary.org/b/id/{cover_i}-M.jpg
+ * API: https://openlibrary.org/search.json (via ./lib/openLibrary – cached, retried, base URL configurable)
+ * Cover images: https://covers.openlibrary.org/b/{id|isbn|olid}/{value}-{S|M|L}.jpg, tried in that
+ *   order by ./components/Cover, with a generated SVG cover when none exists.
  *
  * Notes:
  * - No auth needed. Requests are debounced & cancellable to avoid race conditions.
- * - Pagination via `page`. We fetch 20 results at a time. Infinite "Load more".
- * - Sort client-side (title, author, first publish year) or use API relevance.
- * - Filters: Title, Author, Subject/Keyword, Year range, Language.
- * - View: Grid/List toggle. Favorites saved to localStorage for Alex.
- * - Detail modal fetches Work details when possible (best-effort).
+ * - Pagination via `page`. We fetch 20 results at a time; infinite scroll (with a "Load more"
+ *   fallback) over a windowed grid/list, so thousands of results stay smooth.
+ * - Sort server-side via the API's `sort` param; optional client-side "sort what's loaded".
+ * - Near-duplicate works collapse into one card with a variants badge (./lib/grouping).
+ * - Compare: cards toggle up to four works into a tray that opens a side-by-side view (./lib/compare).
+ * - Filters: Title, Author, Subject/Keyword, Year range, Language, ebook availability, plus sidebar facets
+ *   (counts from a sample of the results) and a publication-year histogram.
+ * - Author and Subject inputs suggest as you type (authors, known subjects, recent inputs) and
+ *   offer a "did you mean" spelling when nothing is found (./lib/suggest).
+ * - Advanced mode: a clause builder over raw `q` syntax, validated locally (./lib/queryBuilder).
+ * - Bulk ISBN lookup tab: validated ISBN lists resolved through /isbn/ (see ./lib/isbn).
+ * - View: Grid/List toggle. Reading shelves (with ratings/progress) saved for Alex.
+ * - Saved books carry Markdown notes, quotes with page numbers and tags (Notes tab in the detail
+ *   modal); the shelves filter by tag and search across notes and quotes.
+ * - Failed requests are explained by kind (./lib/errors) with a Retry that keeps loaded results.
+ * - Detail modal fetches Work details when possible (best-effort), and offers read/borrow
+ *   links only when Open Library has the book (./lib/availability).
+ * - "Cite" in the detail modal: APA 7 / MLA 9 / Chicago from edition data (./lib/citations).
+ * - Search state and the open book live in the query string (shareable, back/forward aware).
+ * - Recent searches are recorded automatically; saved searches report new results (./lib/searches).
+ * - Recommendations and "Similar books" are ranked locally from saved books (./lib/recommend).
+ * - Offline: a service worker (public/sw.js) serves cached searches, works and covers.
+ * - UI in English, Hindi, Telugu, Tamil, Marathi, Kannada and Bengali (./lib/i18n, ./lib/messages);
+ *   the choice is remembered.
+ * - Library, searches and locale persist through ./lib/storage: versioned and migrated, synced
+ *   live across tabs, moved to IndexedDB when too big, with quota/corruption errors shown.
  */
 
 const PAGE_SIZE = 20;
-const LANG_OPTS = [
-  { code: "", label: "Any" },
-  { code: "eng", label: "English" },
-  { code: "hin", label: "Hindi" },
-  { code: "tel", label: "Telugu" },
-  { code: "tam", label: "Tamil" },
-  { code: "mar", label: "Marathi" },
-  { code: "kan", label: "Kannada" },
-  { code: "ben", label: "Bengali" },
+// A search lands in "Recent" once it has been on screen this long (skips half-typed queries)
+const RECENT_DWELL_MS = 2500;
+// Book languages for the filter; names are shown in the interface language
+const LANG_OPTS = ["eng", "hin", "tel", "tam", "mar", "kan", "ben"];
+
+const libraryStore = createStore(LIBRARY_SCHEMA);
+const searchesStore = createStore(SEARCHES_SCHEMA);
+const localeStore = createStore(LOCALE_SCHEMA);
+
+const SEARCH_FIELDS = [
+  "key",
+  "title",
+  "author_name",
+  "first_publish_year",
+  "cover_i",
+  "cover_edition_key",
+  "subject",
+  "publisher",
+  "isbn",
+  "number_of_pages_median",
+  "edition_count",
+  "author_key",
+  "ratings_average",
+  "ratings_count",
+  ...AVAILABILITY_FIELDS,
 ];
 
+// Server-side sorts: `id` is Open Library's `sort` param, so pagination stays globally ordered.
+// Labels here and below are message keys.
 const SORTS = [
-  { id: "relevance", label: "Relevance (API)" },
-  { id: "year", label: "Year (old → new)" },
-  { id: "year_desc", label: "Year (new → old)" },
-  { id: "title", label: "Title (A–Z)" },
-  { id: "author", label: "Author (A–Z)" },
+  { id: "relevance", label: "sort.relevance" },
+  { id: "old", label: "sort.old" },
+  { id: "new", label: "sort.new" },
+  { id: "title", label: "sort.title" },
+  { id: "rating", label: "sort.rating" },
+  { id: "editions", label: "sort.editions" },
+  { id: "random", label: "sort.random" },
 ];
 
+// "Sort what's loaded": reorders only the results already on screen, no refetch
+const LOCAL_SORTS = [
+  { id: "", label: "localSort.off" },
+  { id: "year", label: "sort.old" },
+  { id: "year_desc", label: "sort.new" },
+  { id: "title", label: "sort.title" },
+  { id: "author", label: "localSort.author" },
+];
+
+// Links made before sorting moved server-side
+const LEGACY_SORTS = { year: "old", year_desc: "new" };
+
+function validSort(id) {
+  const mapped = LEGACY_SORTS[id] || id;
+  return SORTS.some((s) => s.id === mapped) ? mapped : "relevance";
+}
+
+function validLocalSort(id) {
+  return LOCAL_SORTS.some((s) => s.id === id) ? id : "";
+}
+
+function sortDocs(docs, mode) {
+  const cp = [...docs];
+  switch (mode) {
+    case "year":
+      cp.sort((a, b) => (a.first_publish_year || 9e9) - (b.first_publish_year || 9e9));
+      break;
+    case "year_desc":
+      cp.sort((a, b) => (b.first_publish_year || -9e9) - (a.first_publish_year || -9e9));
+      break;
+    case "title":
+      cp.sort((a, b) => (a.title || "").localeCompare(b.title || ""));
+      break;
+    case "author":
+      cp.sort((a, b) => (a.author_name?.[0] || "").localeCompare(b.author_name?.[0] || ""));
+      break;
+    default:
+      break; // search order
+  }
+  return cp;
+}
+
 function useDebouncedValue(value, delay = 400) {
   const [v, setV] = useState(value);
   useEffect(() => {
@@ -44,136 +201,184 @@ function useDebouncedValue(value, delay = 400) {
   return v;
 }
 
-function useLocalStorage(key, initial) {
-  const [state, setState] = useState(() => {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initial;
-    } catch {
-      return initial;
-    }
-  });
+function useOnlineStatus() {
+  const [online, setOnline] = useState(() => navigator.onLine);
   useEffect(() => {
-    try {
-      localStorage.setItem(key, JSON.stringify(state));
-    } catch {}
-  }, [key, state]);
-  return [state, setState];
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, []);
+  return online;
 }
 
-function BookCard({ book, layout = "grid", onSelect, onToggleFav, fav }) {
-  const cover = book.cover_i
-    ? `https://covers.openlibrary.org/b/id/${book.cover_i}-M.jpg`
-    : `https://placehold.co/300x450?text=No+Cover`;
-  const authors = (book.author_name || []).join(", ");
-  const year = book.first_publish_year || "—";
-  const subjects = (book.subject || []).slice(0, 3).join(" · ");
-
-  return (
-    <div
-      className={
-        layout === "grid"
-          ? "group relative rounded-2xl border border-amber-200 bg-white shadow-md hover:shadow-lg hover:scale-105 hover:border-amber-300 transition-all duration-300 cursor-pointer overflow-hidden"
-          : "flex gap-5 items-center rounded-2xl border border-amber-200 bg-white shadow-md hover:shadow-lg hover:border-amber-300 transition-all duration-300 cursor-pointer overflow-hidden"
-      }
-      onClick={() => onSelect(book)}
-    >
-      <div className={layout === "grid" ? "" : "w-24 shrink-0"}>
-        <img
-          src={cover}
-          alt={book.title}
-          className={
-            layout === "grid"
-              ? "w-full aspect-[2/3] object-cover"
-              : "w-24 h-32 object-cover rounded-xl ml-4"
-          }
-          loading="lazy"
-        />
-      </div>
-      <div className={layout === "grid" ? "p-4" : "flex-1 min-w-0 p-4"}>
-        <h3 className="font-semibold text-gray-800 line-clamp-2 text-base leading-tight">
-          {book.title}
-        </h3>
-        <p className="text-gray-700 line-clamp-1 mt-2">{authors || "Unknown author"}</p>
-        <div className="mt-2 text-sm text-amber-900 flex items-center gap-2">
-          <span>{year}</span>
-          {subjects && (
-            <>
-              <span>•</span>
-              <span className="line-clamp-1">{subjects}</span>
-            </>
-          )}
-        </div>
-      </div>
-      <button
-        className="absolute top-3 right-3 rounded-full p-2.5 bg-white/95 hover:bg-emerald-50 shadow-md border border-amber-200 transition-all hover:scale-110"
-        onClick={(e) => {
-          e.stopPropagation();
-          onToggleFav(book);
-        }}
-        aria-label={fav ? "Remove from favorites" : "Add to favorites"}
-        title={fav ? "Remove from favorites" : "Add to favorites"}
-      >
-        <Star className={fav ? "fill-emerald-500 stroke-emerald-500" : "stroke-amber-600"} size={20} />
-      </button>
-    </div>
-  );
+function isTextField(el) {
+  return /^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName) || el.isContentEditable;
 }
 
-function DetailModal({ book, onClose }) {
+function DetailModal({
+  book,
+  onClose,
+  position, // { index, total } within the results, when opened from them
+  onPrev,
+  onNext,
+  focusNav, // "prev" | "next": the button to focus after stepping between books
+  onAuthor,
+  shareUrl,
+  entry,
+  shelves,
+  allTags,
+  onShelve,
+  onRate,
+  onUpdateEntry,
+  onAddQuote,
+  onRemoveQuote,
+  onRemove,
+  onPickEdition,
+  onSelectBook,
+}) {
+  const { t, languageName } = useI18n();
+  const [tab, setTab] = useState("overview"); // overview | editions | notes
   const [loading, setLoading] = useState(false);
   const [work, setWork] = useState(null);
+  const [workError, setWorkError] = useState(null);
+  const [workAttempt, setWorkAttempt] = useState(0); // bumped by Retry
+  const [shareStatus, setShareStatus] = useState(""); // "" | copied | failed
+  const [fetchedAvailability, setFetchedAvailability] = useState(null);
+  const [citeOpen, setCiteOpen] = useState(false);
   const controller = useRef(null);
+  const availabilityController = useRef(null);
+  const dialog = useRef(null);
+  const prevButton = useRef(null);
+  const nextButton = useRef(null);
+  const onDialogKeyDown = useDialog(
+    dialog,
+    onClose,
+    focusNav === "prev" ? prevButton : focusNav === "next" ? nextButton : null
+  );
+
+  function onKeyDown(e) {
+    onDialogKeyDown(e);
+    if (e.defaultPrevented || isTextField(e.target) || e.target.closest('[role="tablist"], [role="menu"]')) return;
+    if (e.key === "ArrowLeft" && onPrev) {
+      e.preventDefault();
+      onPrev();
+    } else if (e.key === "ArrowRight" && onNext) {
+      e.preventDefault();
+      onNext();
+    }
+  }
 
   useEffect(() => {
     if (!book) return;
-    const key = (book.key || "").split("/").filter(Boolean)[1]; // works/OL...W
-    if (!key) return;
+    if (!olid(book.key)) return;
 
     const fetchWork = async () => {
       try {
         controller.current?.abort();
         controller.current = new AbortController();
         setLoading(true);
-        const res = await fetch(`https://openlibrary.org/works/${key}.json`, {
-          signal: controller.current.signal,
-        });
-        if (!res.ok) throw new Error("Failed to load work");
-        const data = await res.json();
+        setWorkError(null);
+        // The work record, or the edition's for books that have no work
+        const data = await getBookRecord(book.key, { signal: controller.current.signal });
         setWork(data);
       } catch (e) {
-        // ignore
+        // The search doc still fills most of the modal; the description says what went wrong
+        if (e.name !== "AbortError") setWorkError(e);
       } finally {
         setLoading(false);
       }
     };
     fetchWork();
     return () => controller.current?.abort();
-  }, [book]);
+  }, [book, workAttempt]);
+
+  // Books opened from the shelves or a link arrive without availability fields
+  const knownAvailability = availabilityOf(book);
+  const needsAvailability = Boolean(book?.key) && knownAvailability.status === "unknown";
+  useEffect(() => {
+    setFetchedAvailability(null);
+    if (!needsAvailability) return;
+    availabilityController.current?.abort();
+    availabilityController.current = new AbortController();
+    fetchAvailability(book.key, { signal: availabilityController.current.signal })
+      .then(setFetchedAvailability)
+      .catch(() => {
+        // without it the modal just offers no read/borrow links
+      });
+    return () => availabilityController.current?.abort();
+  }, [book?.key, needsAvailability]);
+  const availability = fetchedAvailability || knownAvailability;
+  // Removing the book from the library takes its Notes tab with it; a lone
+  // edition (no work record) has no Editions tab
+  const shownTab = (tab === "notes" && !entry) || (tab === "editions" && isEditionKey(book?.key)) ? "overview" : tab;
+
+  useEffect(() => {
+    if (!shareStatus) return;
+    const t = setTimeout(() => setShareStatus(""), 2000);
+    return () => clearTimeout(t);
+  }, [shareStatus]);
+
+  async function shareBook() {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setShareStatus("copied");
+    } catch {
+      setShareStatus("failed");
+    }
+  }
+
+  // Books opened from the shelves carry no subjects; the work record fills them in
+  const similarTo = useMemo(
+    () => ({
+      key: book?.key,
+      subject: book?.subject || work?.subjects || [],
+      author_key: book?.author_key || (work?.authors || []).map((a) => olid(a.author?.key || a.key)).filter(Boolean),
+      author_name: book?.author_name,
+      first_publish_year: book?.first_publish_year,
+    }),
+    [book, work]
+  );
 
   if (!book) return null;
-  const cover = book.cover_i
-    ? `https://covers.openlibrary.org/b/id/${book.cover_i}-L.jpg`
-    : `https://placehold.co/400x600?text=No+Cover`;
 
   return (
     <div className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-0" onClick={onClose}>
       <div
-        className="w-full h-full bg-white shadow-2xl overflow-hidden flex flex-col md:flex-row"
+        ref={dialog}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="book-dialog-title"
+        tabIndex={-1}
+        onKeyDown={onKeyDown}
+        className="w-full h-full bg-white shadow-2xl overflow-hidden flex flex-col md:flex-row focus:outline-none"
         onClick={(e) => e.stopPropagation()}
       >
         {/* Left side - Book cover */}
         <div className="md:w-2/5 bg-gradient-to-br from-amber-50 to-amber-100 flex items-center justify-center p-8">
           <div className="text-center">
-            <img 
-              src={cover} 
-              alt={book.title} 
-              className="w-64 h-96 object-cover rounded-2xl shadow-2xl mx-auto mb-6 border border-amber-200" 
+            <Cover
+              book={{ ...book, cover_i: book.cover_i || work?.covers?.find((c) => c > 0) }}
+              title={book.title || work?.title || ""}
+              sizes="256px"
+              loading="eager"
+              className="w-64 h-96 rounded-2xl shadow-2xl mx-auto mb-6 border border-amber-200"
             />
-            <div className="flex items-center justify-center gap-2">
-              <Star className="fill-emerald-500 stroke-emerald-500" size={24} />
-              <span className="text-amber-900 font-medium text-lg">Available in your library</span>
-            </div>
+            {availability.status === "none" ? (
+              <p className="text-amber-900 text-lg">{t("avail.none")}</p>
+            ) : (
+              <AvailabilityBadge availability={availability} className="text-base" />
+            )}
+            {entry && (
+              <div className="mt-4 flex flex-col items-center gap-1">
+                <span className="text-sm text-amber-900">{t("book.yourRating")}</span>
+                <RatingStars value={entry.rating} onChange={onRate} size={24} />
+              </div>
+            )}
           </div>
         </div>
         
@@ -183,88 +388,217 @@ function DetailModal({ book, onClose }) {
             {/* Header */}
             <div className="flex justify-between items-start mb-8">
               <div className="flex-1">
-                <h1 className="text-4xl md:text-5xl font-bold text-gray-800 leading-tight mb-4">{book.title}</h1>
+                <h1 id="book-dialog-title" className="text-4xl md:text-5xl font-bold text-gray-800 leading-tight mb-4">
+                  {book.title || work?.title || t("transfer.untitled")}
+                </h1>
                 <p className="text-xl md:text-2xl text-gray-700 mb-6">
-                  by {(book.author_name || []).join(", ") || "Unknown author"}
+                  {t("book.by", { authors: <AuthorLinks book={book} onAuthor={onAuthor} /> })}
                 </p>
               </div>
-              <button
-                onClick={onClose}
-                className="rounded-full p-3 hover:bg-amber-50 transition-all hover:scale-110 ml-4"
-                aria-label="Close"
-              >
-                <X size={28} className="text-amber-700" />
-              </button>
+              <div className="flex items-center gap-1 ml-4 shrink-0">
+                {position && (
+                  <>
+                    <button
+                      ref={prevButton}
+                      type="button"
+                      onClick={onPrev}
+                      disabled={!onPrev}
+                      className="rounded-full p-3 hover:bg-amber-50 transition-all disabled:opacity-40"
+                      aria-label={t("book.prev")}
+                      title={`${t("book.prev")} (←)`}
+                    >
+                      <ChevronLeft size={28} className="text-amber-700" />
+                    </button>
+                    <span className="text-sm text-gray-600 whitespace-nowrap">
+                      {t("book.position", { index: position.index + 1, total: position.total })}
+                    </span>
+                    <button
+                      ref={nextButton}
+                      type="button"
+                      onClick={onNext}
+                      disabled={!onNext}
+                      className="rounded-full p-3 hover:bg-amber-50 transition-all disabled:opacity-40"
+                      aria-label={t("book.next")}
+                      title={`${t("book.next")} (→)`}
+                    >
+                      <ChevronRight size={28} className="text-amber-700" />
+                    </button>
+                  </>
+                )}
+                <button
+                  onClick={onClose}
+                  className="rounded-full p-3 hover:bg-amber-50 transition-all hover:scale-110"
+                  aria-label={t("book.close")}
+                  title={`${t("book.close")} (Esc)`}
+                >
+                  <X size={28} className="text-amber-700" />
+                </button>
+              </div>
             </div>
 
-            {/* Book details */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8">
-              <div className="space-y-4">
-                <div>
-                  <span className="font-semibold text-gray-800 text-lg">First published:</span>
-                  <span className="text-gray-700 text-lg ml-3">{book.first_publish_year || "—"}</span>
-                </div>
-                {book.publisher && (
+            {/* Tabs */}
+            <div role="tablist" className="flex gap-2 mb-8 border-b border-amber-200">
+              {[
+                { id: "overview", label: t("book.overview") },
+                ...(isEditionKey(book.key)
+                  ? []
+                  : [{ id: "editions", label: book.edition_count ? t("book.editionsCount", { count: book.edition_count }) : t("book.editions") }]),
+                ...(entry ? [{ id: "notes", label: t("notes.tab") }] : []),
+              ].map((item) => (
+                <button
+                  key={item.id}
+                  role="tab"
+                  aria-selected={shownTab === item.id}
+                  onClick={() => setTab(item.id)}
+                  className={`px-5 py-3 -mb-px border-b-2 font-semibold text-lg transition-all ${
+                    shownTab === item.id ? "border-amber-600 text-amber-800" : "border-transparent text-gray-600 hover:text-amber-700"
+                  }`}
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
+
+            {shownTab === "notes" ? (
+              <NotesPanel
+                entry={entry}
+                allTags={allTags}
+                onUpdate={onUpdateEntry}
+                onAddQuote={onAddQuote}
+                onRemoveQuote={onRemoveQuote}
+              />
+            ) : shownTab === "editions" ? (
+              <EditionsPanel
+                key={book.key}
+                workKey={book.key}
+                ownedKey={entry?.edition?.key}
+                onPick={(edition) => onPickEdition({ ...book, title: book.title || work?.title }, edition)}
+              />
+            ) : (
+              <>
+              {/* Book details */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8">
+                <div className="space-y-4">
                   <div>
-                    <span className="font-semibold text-gray-800 text-lg">Publisher:</span>
-                    <span className="text-gray-700 text-lg ml-3">{book.publisher.slice(0, 3).join(", ")}</span>
+                    <span className="font-semibold text-gray-800 text-lg">{t("book.firstPublished")}</span>
+                    <span className="text-gray-700 text-lg ml-3">{book.first_publish_year || "—"}</span>
                   </div>
-                )}
-                {book.isbn && (
+                  {book.publisher && (
+                    <div>
+                      <span className="font-semibold text-gray-800 text-lg">{t("book.publisher")}</span>
+                      <span className="text-gray-700 text-lg ml-3">{book.publisher.slice(0, 3).join(", ")}</span>
+                    </div>
+                  )}
+                  {entry?.edition && (
+                    <div>
+                      <span className="font-semibold text-gray-800 text-lg">{t("book.yourEdition")}</span>
+                      <span className="text-gray-700 text-lg ml-3">
+                        {[
+                          entry.edition.publisher,
+                          entry.edition.publishDate,
+                          entry.edition.language && languageName(entry.edition.language),
+                          entry.edition.format,
+                          entry.edition.isbn && `ISBN ${entry.edition.isbn}`,
+                        ]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </span>
+                    </div>
+                  )}
+                  {book.isbn && (
+                    <div>
+                      <span className="font-semibold text-gray-800 text-lg">{t("book.isbn")}</span>
+                      <span className="text-gray-700 text-lg ml-3">{book.isbn.slice(0, 3).join(", ")}</span>
+                    </div>
+                  )}
+                </div>
+                {book.subject && (
                   <div>
-                    <span className="font-semibold text-gray-800 text-lg">ISBN:</span>
-                    <span className="text-gray-700 text-lg ml-3">{book.isbn.slice(0, 3).join(", ")}</span>
+                    <h3 className="font-semibold text-gray-800 text-lg mb-3">{t("book.subjects")}</h3>
+                    <div className="flex flex-wrap gap-2">
+                      {book.subject.slice(0, 12).map((subject, idx) => (
+                        <span key={idx} className="px-3 py-1.5 bg-amber-100 text-amber-800 rounded-full text-sm font-medium">
+                          {subject}
+                        </span>
+                      ))}
+                    </div>
                   </div>
                 )}
               </div>
-              {book.subject && (
-                <div>
-                  <h3 className="font-semibold text-gray-800 text-lg mb-3">Subjects & Genres:</h3>
-                  <div className="flex flex-wrap gap-2">
-                    {book.subject.slice(0, 12).map((subject, idx) => (
-                      <span key={idx} className="px-3 py-1.5 bg-amber-100 text-amber-800 rounded-full text-sm font-medium">
-                        {subject}
-                      </span>
-                    ))}
+
+              {/* Description */}
+              <div className="border-t border-amber-200 pt-8">
+                <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-3">
+                  <Info size={24}/> {t("book.about")}
+                </h2>
+                {loading ? (
+                  <div className="flex items-center gap-3 text-amber-700">
+                    <Loader2 className="animate-spin" size={20}/>
+                    <span className="text-lg">{t("book.loadingDescription")}</span>
                   </div>
-                </div>
-              )}
-            </div>
+                ) : workError ? (
+                  <ErrorNotice error={workError} onRetry={() => setWorkAttempt((n) => n + 1)} />
+                ) : work?.description ? (
+                  <div className="prose prose-lg max-w-none">
+                    <p className="text-lg text-gray-700 leading-relaxed whitespace-pre-line">
+                      {typeof work.description === "string" ? work.description : work.description?.value}
+                    </p>
+                  </div>
+                ) : (
+                  <p className="text-lg text-amber-700 italic">{t("book.noDescription")}</p>
+                )}
+              </div>
 
-            {/* Description */}
-            <div className="border-t border-amber-200 pt-8">
-              <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-3">
-                <Info size={24}/> About This Book
-              </h2>
-              {loading ? (
-                <div className="flex items-center gap-3 text-amber-700">
-                  <Loader2 className="animate-spin" size={20}/>
-                  <span className="text-lg">Loading description…</span>
-                </div>
-              ) : work?.description ? (
-                <div className="prose prose-lg max-w-none">
-                  <p className="text-lg text-gray-700 leading-relaxed whitespace-pre-line">
-                    {typeof work.description === "string" ? work.description : work.description?.value}
-                  </p>
-                </div>
-              ) : (
-                <p className="text-lg text-amber-700 italic">No description available for this book.</p>
-              )}
-            </div>
+              <SimilarBooks book={similarTo} onSelect={onSelectBook} />
+              </>
+            )}
 
             {/* Action buttons */}
             <div className="border-t border-amber-200 pt-8 mt-8">
               <div className="flex flex-wrap gap-4">
-                <button className="px-8 py-4 bg-amber-600 text-white font-semibold text-lg rounded-2xl hover:bg-amber-700 transition-all shadow-md">
-                  Find in Library
-                </button>
-                <button className="px-8 py-4 border border-amber-600 text-amber-700 font-semibold text-lg rounded-2xl hover:bg-amber-50 transition-all">
-                  Save for Later
+                {availability.readUrl && (
+                  <a
+                    href={availability.readUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="px-8 py-4 bg-amber-600 text-white font-semibold text-lg rounded-2xl hover:bg-amber-700 transition-all shadow-md"
+                  >
+                    {t("avail.read")}
+                  </a>
+                )}
+                {availability.borrowUrl && (
+                  <a
+                    href={availability.borrowUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="px-8 py-4 bg-amber-600 text-white font-semibold text-lg rounded-2xl hover:bg-amber-700 transition-all shadow-md"
+                  >
+                    {t(availability.status === "printdisabled" ? "avail.printdisabledLink" : "avail.borrow")}
+                  </a>
+                )}
+                <ShelfMenu
+                  shelves={shelves}
+                  current={entry?.shelf}
+                  onPick={(shelf) => onShelve({ ...book, title: book.title || work?.title }, shelf)}
+                  onRemove={onRemove}
+                />
+                <button
+                  onClick={shareBook}
+                  disabled={!shareUrl}
+                  className="px-8 py-4 border border-amber-300 text-amber-800 font-semibold text-lg rounded-2xl hover:bg-amber-50 transition-all"
+                >
+                  {t(shareStatus === "copied" ? "book.copied" : shareStatus === "failed" ? "book.copyFailed" : "book.share")}
                 </button>
-                <button className="px-8 py-4 border border-amber-300 text-amber-800 font-semibold text-lg rounded-2xl hover:bg-amber-50 transition-all">
-                  Share Book
+                <button
+                  type="button"
+                  onClick={() => setCiteOpen((open) => !open)}
+                  aria-expanded={citeOpen}
+                  className="px-8 py-4 border border-amber-300 text-amber-800 font-semibold text-lg rounded-2xl hover:bg-amber-50 transition-all"
+                >
+                  {t("cite.button")}
                 </button>
               </div>
+              {citeOpen && <CitePanel book={book} work={work} entry={entry} />}
             </div>
           </div>
         </div>
@@ -274,95 +608,163 @@ function DetailModal({ book, onClose }) {
 }
 
 export default function App() {
+  // Initial state comes from the URL so deep links and refreshes restore the search
+  const [initialUrl] = useState(() => parseUrlState(window.location.search));
+
   // Query state
-  const [title, setTitle] = useState("");
-  const [author, setAuthor] = useState("");
-  const [subject, setSubject] = useState("");
-  const [lang, setLang] = useState("");
-  const [yearMin, setYearMin] = useState("");
-  const [yearMax, setYearMax] = useState("");
-  const [sort, setSort] = useState("relevance");
-  const [view, setView] = useState("grid"); // grid | list
+  const [title, setTitle] = useState(initialUrl.title);
+  const [author, setAuthor] = useState(initialUrl.author);
+  const [subject, setSubject] = useState(initialUrl.subject);
+  const [lang, setLang] = useState(initialUrl.lang);
+  const [avail, setAvail] = useState(validAvailability(initialUrl.avail));
+  const [yearMin, setYearMin] = useState(initialUrl.yearMin);
+  const [yearMax, setYearMax] = useState(initialUrl.yearMax);
+  const [sort, setSort] = useState(validSort(initialUrl.sort));
+  const [view, setView] = useState(initialUrl.view); // grid | list
+  const [localSort, setLocalSort] = useState(validLocalSort(initialUrl.localSort));
+  // Selected sidebar facets as "field:value"; clicks apply at once, so not debounced
+  const [facets, setFacets] = useState(initialUrl.facets);
+  // Advanced mode edits raw `q` text in place of title/author/subject
+  const [q, setQ] = useState(initialUrl.q);
+  const [advanced, setAdvanced] = useState(Boolean(initialUrl.q));
+  const [mode, setMode] = useState("search"); // search | isbn
 
   // Results state
   const [items, setItems] = useState([]);
-  const [page, setPage] = useState(1);
+  const [expandedGroups, setExpandedGroups] = useState(() => new Set()); // primary keys of open variant groups
+  // Works picked for side-by-side comparison (search docs), kept across searches
+  const [compared, setCompared] = useState([]);
+  const [compareOpen, setCompareOpen] = useState(false);
+  const [page, setPage] = useState(initialUrl.page);
   const [numFound, setNumFound] = useState(0);
+  // queryKey of the last successful request, so a stale numFound isn't taken for "nothing found"
+  const [resultsFor, setResultsFor] = useState(null);
+  // Likely intended author/subject spellings when a search finds nothing
+  const [corrections, setCorrections] = useState({});
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState("");
-  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null); // the failed request's error (see ./lib/errors)
+  // Bumped to re-run the current request (e.g. when connectivity returns)
+  const [reloadToken, setReloadToken] = useState(0);
+  const online = useOnlineStatus();
+  const [selected, setSelected] = useState(() =>
+    initialUrl.book ? { key: bookKey(initialUrl.book) } : null
+  );
+  const [authorKey, setAuthorKey] = useState(() =>
+    initialUrl.authorId ? `/authors/${initialUrl.authorId}` : null
+  );
+  // Sample of the current results' facet fields, for sidebar counts and the year histogram
+  const [facetDocs, setFacetDocs] = useState([]);
+  const [facetLoading, setFacetLoading] = useState(false);
 
-  const [favs, setFavs] = useLocalStorage("bookfinder:favs", {});
+  const [library, updateLibrary] = useStore(libraryStore);
+  const [searches, updateSearches] = useStore(searchesStore);
+  const [storedLocale, updateLocale] = useStore(localeStore);
+  const i18n = useMemo(() => createI18n(storedLocale), [storedLocale]);
+  const { t, formatNumber, languageName } = i18n;
+  // Screen readers and font fallback follow <html lang>
+  useEffect(() => {
+    document.documentElement.lang = i18n.locale;
+  }, [i18n.locale]);
 
   const debTitle = useDebouncedValue(title);
   const debAuthor = useDebouncedValue(author);
   const debSubject = useDebouncedValue(subject);
   const debLang = useDebouncedValue(lang);
+  const debAvail = useDebouncedValue(avail);
   const debYearMin = useDebouncedValue(yearMin);
   const debYearMax = useDebouncedValue(yearMax);
   const debSort = useDebouncedValue(sort);
+  const debQ = useDebouncedValue(q);
 
   const controller = useRef(null);
+  const bookController = useRef(null);
+  const facetController = useRef(null);
+  const correctionController = useRef(null);
+  // Number of pages currently held in `items`; lets a restored `page=N` load pages 1..N in one request
+  const loadedPages = useRef(0);
+  // Page to restore once the debounced query catches up with a link or back/forward navigation
+  const pendingPage = useRef({
+    queryKey: makeQueryKey({ ...initialUrl, avail: validAvailability(initialUrl.avail), sort: validSort(initialUrl.sort) }),
+    page: initialUrl.page,
+  });
+
+  // The debounced search: `filters` is everything but the sort, which facet
+  // counts don't need. Effects key on these objects, which change only with them.
+  const filters = useMemo(
+    () => ({
+      title: debTitle,
+      author: debAuthor,
+      subject: debSubject,
+      lang: debLang,
+      avail: debAvail,
+      yearMin: debYearMin,
+      yearMax: debYearMax,
+      q: debQ,
+      facets,
+    }),
+    [debTitle, debAuthor, debSubject, debLang, debAvail, debYearMin, debYearMax, debQ, facets]
+  );
+  const query = useMemo(() => ({ ...filters, sort: debSort }), [filters, debSort]);
+  const queryKey = useMemo(() => makeQueryKey(query), [query]);
+  const settled =
+    queryKey === makeQueryKey({ title, author, subject, lang, avail, yearMin, yearMax, sort, q, facets });
+  // Checked locally so a typo shows inline instead of as a failed request
+  const queryError = useMemo(() => parseQuery(debQ).error, [debQ]);
 
-  const queryKey = useMemo(
-    () => `${debTitle}|${debAuthor}|${debSubject}|${debLang}|${debYearMin}|${debYearMax}|${debSort}`,
-    [debTitle, debAuthor, debSubject, debLang, debYearMin, debYearMax, debSort]
+  const urlState = useMemo(
+    () => ({
+      ...query,
+      view,
+      localSort,
+      page,
+      book: selected ? workId(selected.key) : "",
+      authorId: authorKey ? workId(authorKey) : "",
+    }),
+    [query, view, localSort, page, selected, authorKey]
   );
 
   useEffect(() => {
     // Reset results when query changes
     setItems([]);
-    setPage(1);
+    setExpandedGroups(new Set());
+    loadedPages.current = 0;
+    if (pendingPage.current?.queryKey === queryKey) {
+      setPage(pendingPage.current.page);
+    } else {
+      pendingPage.current = null;
+      setPage(1);
+    }
   }, [queryKey]);
 
   useEffect(() => {
     const fetchPage = async () => {
-      // Skip if no input at all
-      if (![debTitle, debAuthor, debSubject].some(Boolean)) return;
+      // Skip if no input at all, or a query Open Library would reject
+      if (!hasSearchInput(query) || queryError) return;
+      // Pages already on screen (e.g. after a back navigation to fewer pages) need no request
+      const from = loadedPages.current;
+      if (page <= from) return;
       setLoading(true);
-      setError("");
+      setError(null);
       try {
         controller.current?.abort();
         controller.current = new AbortController();
 
-        const params = new URLSearchParams();
-        if (debTitle) params.set("title", debTitle);
-        if (debAuthor) params.set("author", debAuthor);
-        if (debSubject) params.set("subject", debSubject);
-        if (debLang) params.set("language", debLang);
-        if (debYearMin) params.set("first_publish_year__gte", debYearMin);
-        if (debYearMax) params.set("first_publish_year__lte", debYearMax);
-        params.set("page", String(page));
-        params.set("limit", String(PAGE_SIZE));
+        const params = searchParams(query);
+        if (query.sort !== "relevance") params.set("sort", query.sort);
+        params.set("offset", String(from * PAGE_SIZE));
+        params.set("limit", String((page - from) * PAGE_SIZE));
         // fields to slim payload
-        params.set(
-          "fields",
-          [
-            "key",
-            "title",
-            "author_name",
-            "first_publish_year",
-            "cover_i",
-            "subject",
-            "publisher",
-            "isbn",
-          ].join(",")
-        );
-
-        const url = `https://openlibrary.org/search.json?${params.toString()}`;
-        const res = await fetch(url, { signal: controller.current.signal });
-        if (!res.ok) throw new Error(`API error: ${res.status}`);
-        const data = await res.json();
+        params.set("fields", SEARCH_FIELDS.join(","));
+
+        const data = await searchBooks(params, { signal: controller.current.signal });
+        loadedPages.current = page;
         setNumFound(data.numFound || 0);
-        setItems((prev) => {
-          const merged = [...prev, ...(data.docs || [])];
-          if (debSort !== "relevance") {
-            return sortDocs(merged, debSort);
-          }
-          return merged;
-        });
+        setResultsFor(queryKey);
+        setItems((prev) => [...prev, ...(data.docs || [])]);
       } catch (e) {
-        if (e.name !== "AbortError") setError(e.message || "Something went wrong");
+        if (e.name === "AbortError") return;
+        // `page` stays ahead of loadedPages, so a retry asks for just the failed page
+        setError(e);
       } finally {
         setLoading(false);
       }
@@ -370,255 +772,818 @@ export default function App() {
     fetchPage();
 
     return () => controller.current?.abort();
-  }, [page, queryKey]);
+  }, [page, query, queryKey, queryError, reloadToken]);
+
+  // Facet counts don't depend on sort, so one sample serves every ordering
+  useEffect(() => {
+    setFacetDocs([]);
+    if (!hasSearchInput(filters) || queryError) return;
+    const fetchSample = async () => {
+      try {
+        facetController.current?.abort();
+        facetController.current = new AbortController();
+        setFacetLoading(true);
+        const params = searchParams(filters);
+        params.set("limit", String(FACET_SAMPLE_SIZE));
+        params.set("fields", FACET_FIELDS.join(","));
+        const data = await searchBooks(params, { signal: facetController.current.signal });
+        setFacetDocs(data.docs || []);
+      } catch {
+        // the sidebar is a refinement aid; results still load without it
+      } finally {
+        setFacetLoading(false);
+      }
+    };
+    fetchSample();
+    return () => facetController.current?.abort();
+  }, [filters, queryError, reloadToken]);
+
+  // Search history: record searches that stay on screen for a moment
+  useEffect(() => {
+    if (!settled || !hasSearchInput(query) || queryError) return;
+    const t = setTimeout(() => updateSearches((s) => recordRecent(s, pickQuery(query))), RECENT_DWELL_MS);
+    return () => clearTimeout(t);
+  }, [query, queryError, settled, updateSearches]);
+
+  // Viewing a saved search marks its results as seen
+  const viewingSavedId = searches.saved.some((s) => s.id === queryKey) ? queryKey : null;
+  useEffect(() => {
+    if (!viewingSavedId || loading || error || !items.length) return;
+    updateSearches((s) => markViewed(s, viewingSavedId, { numFound, keys: items.map((b) => b.key) }));
+  }, [viewingSavedId, items, numFound, loading, error, updateSearches]);
+
+  // Back online: retry whatever failed while we were offline
+  const wasOffline = useRef(false);
+  useEffect(() => {
+    if (!online) {
+      wasOffline.current = true;
+    } else if (wasOffline.current) {
+      wasOffline.current = false;
+      setReloadToken((t) => t + 1);
+    }
+  }, [online]);
+
+  // Keep saved books' details and covers in the offline cache. The list is
+  // one string so edits to notes or progress don't send it again.
+  const offlineUrls = useMemo(() => {
+    const urls = [];
+    for (const entry of Object.values(library.books)) {
+      urls.push(apiUrl(recordPath(entry.key)));
+      // S is the blur-up placeholder; M/L are what the srcset picks from
+      const source = coverSources(entry)[0];
+      if (source) urls.push(...["S", "M", "L"].map((size) => coverUrl(source.by, source.value, size)));
+    }
+    return JSON.stringify(urls.sort());
+  }, [library.books]);
+  useEffect(() => {
+    warmOfflineCache(JSON.parse(offlineUrls));
+  }, [offlineUrls]);
+
+  // A book opened from a link only carries its key; fill in the search doc
+  useEffect(() => {
+    if (!selected || (selected.title && !selected.partial)) return;
+    const loaded = items.find((b) => b.key === selected.key);
+    if (loaded) {
+      setSelected(loaded);
+      return;
+    }
+    const fetchBook = async () => {
+      try {
+        bookController.current?.abort();
+        bookController.current = new AbortController();
+        const params = new URLSearchParams({
+          q: `key:${selected.key}`,
+          fields: SEARCH_FIELDS.join(","),
+          limit: "1",
+        });
+        const data = await searchBooks(params, { signal: bookController.current.signal });
+        const doc = data.docs?.[0];
+        if (doc) setSelected((cur) => (cur?.key === doc.key ? doc : cur));
+      } catch {
+        // the modal still shows what the work record provides
+      }
+    };
+    fetchBook();
+    return () => bookController.current?.abort();
+  }, [selected, items]);
+
+  // Mirror settled state into the URL: new searches and opened books get their
+  // own history entry, page/view changes just replace the current one
+  useEffect(() => {
+    if (!settled) return;
+    const next = serializeUrlState(urlState);
+    const { pathname, search, hash } = window.location;
+    if (next === search) return;
+    const current = parseUrlState(search);
+    const url = `${pathname}${next}${hash}`;
+    // Stepping to the next/previous book inside the modal stays on the same entry
+    const sameOverlay = Boolean(current.book) && Boolean(urlState.book) &&
+      historyIdentity({ ...current, book: "" }) === historyIdentity({ ...urlState, book: "" });
+    if (historyIdentity(current) === historyIdentity(urlState) || sameOverlay) {
+      window.history.replaceState(window.history.state, "", url);
+    } else {
+      // Remember entries that only opened a book/author over the same search so
+      // closing the overlay can step back instead of piling up history
+      const base = (st) => historyIdentity({ ...st, book: "", authorId: "" });
+      const overlay = base(urlState) === base(current) &&
+        ((Boolean(urlState.book) && !current.book) || (Boolean(urlState.authorId) && !current.authorId));
+      window.history.pushState({ overlay }, "", url);
+    }
+  }, [settled, urlState]);
+
+  // Back/forward: restore everything from the URL
+  useEffect(() => {
+    const onPopState = () => {
+      const u = parseUrlState(window.location.search);
+      const nextSort = validSort(u.sort);
+      setTitle(u.title);
+      setAuthor(u.author);
+      setSubject(u.subject);
+      setLang(u.lang);
+      setAvail(validAvailability(u.avail));
+      setYearMin(u.yearMin);
+      setYearMax(u.yearMax);
+      setSort(nextSort);
+      setView(u.view);
+      setLocalSort(validLocalSort(u.localSort));
+      setFacets(u.facets);
+      setQ(u.q);
+      setAdvanced(Boolean(u.q));
+      pendingPage.current = { queryKey: makeQueryKey({ ...u, avail: validAvailability(u.avail), sort: nextSort }), page: u.page };
+      const nextKey = bookKey(u.book);
+      setSelected((cur) => (!nextKey ? null : cur?.key === nextKey ? cur : { key: nextKey }));
+      setAuthorKey(u.authorId ? `/authors/${u.authorId}` : null);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
 
   const hasMore = items.length < numFound;
+  // Only ask for the next page once the current one has landed (the sentinel and the button both call this)
+  const loadMore = useCallback(() => setPage((p) => (p > loadedPages.current ? p : p + 1)), []);
+  // Re-requests the page that failed; what's already loaded stays
+  const retrySearch = useCallback(() => setReloadToken((n) => n + 1), []);
+  // Stable, so a re-render doesn't restart the recommendations' enrichment
+  const enrichEntry = useCallback((key, patch) => updateLibrary((lib) => updateEntry(lib, key, patch)), [updateLibrary]);
+
+  // The modal covers the page: freeze the scroll behind it, then put the
+  // scroll back and return focus to the card of the book last shown
+  const modalOpen = Boolean(selected);
+  const [modalNav, setModalNav] = useState(null); // "prev" | "next" after stepping, to keep focus on that button
+  const lastSelectedKey = useRef(null);
+  useEffect(() => {
+    if (selected) lastSelectedKey.current = selected.key;
+  }, [selected]);
+  useLayoutEffect(() => {
+    if (!modalOpen) return;
+    const y = window.scrollY;
+    const opener = document.activeElement;
+    const { overflow } = document.body.style;
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.body.style.overflow = overflow;
+      window.scrollTo(0, y);
+      const card = [...document.querySelectorAll(`[data-book-key="${CSS.escape(lastSelectedKey.current || "")}"]`)]
+        .find((el) => el.offsetParent !== null);
+      const target = card || (opener?.isConnected ? opener : null);
+      target?.focus({ preventScroll: true });
+      setModalNav(null);
+    };
+  }, [modalOpen]);
 
-  function sortDocs(docs, mode) {
-    const cp = [...docs];
-    switch (mode) {
-      case "year":
-        cp.sort((a, b) => (a.first_publish_year || 9e9) - (b.first_publish_year || 9e9));
-        break;
-      case "year_desc":
-        cp.sort((a, b) => (b.first_publish_year || -9e9) - (a.first_publish_year || -9e9));
-        break;
-      case "title":
-        cp.sort((a, b) => (a.title || "").localeCompare(b.title || ""));
-        break;
-      case "author":
-        cp.sort((a, b) => (a.author_name?.[0] || "").localeCompare(b.author_name?.[0] || ""));
-        break;
-      default:
-        break; // relevance is API order
+  const facetCounts = useMemo(() => computeFacets(facetDocs), [facetDocs]);
+  const histogram = useMemo(() => yearHistogram(facetDocs), [facetDocs]);
+  const searching = hasSearchInput(urlState) && !queryError;
+  const noResults = searching && resultsFor === queryKey && numFound === 0 && !loading && !error;
+  const recentAuthors = useMemo(() => recentInputs(searches.recent, "author"), [searches.recent]);
+  const recentSubjects = useMemo(() => recentInputs(searches.recent, "subject"), [searches.recent]);
+  // Stable between keystrokes, so the inputs only reload suggestions when the text changes
+  const loadAuthors = useCallback((text, opts) => authorSuggestions(text, { ...opts, recent: recentAuthors }), [recentAuthors]);
+  const loadSubjects = useCallback((text, opts) => subjectSuggestions(text, { ...opts, recent: recentSubjects }), [recentSubjects]);
+
+  // Nothing found: look for a close spelling of the author and subject typed
+  useEffect(() => {
+    setCorrections({});
+    if (!noResults) return;
+    const fields = [
+      ["author", debAuthor],
+      ["subject", debSubject],
+    ].filter(([, text]) => text.trim());
+    if (!fields.length) return;
+    correctionController.current?.abort();
+    correctionController.current = new AbortController();
+    const { signal } = correctionController.current;
+    Promise.all(
+      fields.map(([field, text]) =>
+        didYouMean(field, text, { signal }).catch((e) => {
+          if (e.name === "AbortError") throw e;
+          return "";
+        })
+      )
+    )
+      .then((names) => setCorrections(Object.fromEntries(fields.map(([field], i) => [field, names[i]]).filter(([, name]) => name))))
+      .catch(() => {
+        // aborted by a newer search
+      });
+    return () => correctionController.current?.abort();
+  }, [noResults, debAuthor, debSubject]);
+
+  // Languages go through the Language filter; everything else is a `q` clause
+  function pickFacet({ field, value }) {
+    if (field === "language") {
+      setLang(lang === value ? "" : value);
+      return;
     }
-    return cp;
+    const id = encodeFacet({ field, value });
+    setFacets((cur) => (cur.includes(id) ? cur.filter((f) => f !== id) : [...cur, id]));
   }
 
-  function toggleFav(book) {
-    setFavs((prev) => {
-      const k = book.key;
-      const next = { ...prev };
-      if (next[k]) delete next[k];
-      else next[k] = {
-        key: book.key,
-        title: book.title,
-        author: (book.author_name || []).join(", "),
-        cover_i: book.cover_i || null,
-      };
+  const chips = [
+    ...facets.map(decodeFacet).filter(Boolean).map((f) => ({
+      id: encodeFacet(f),
+      label: facetLabel(f.field, f.value, i18n),
+      onRemove: () => setFacets((cur) => cur.filter((x) => x !== encodeFacet(f))),
+    })),
+    ...(lang ? [{ id: "lang", label: t("chip.language", { name: languageName(lang) }), onRemove: () => setLang("") }] : []),
+    ...(avail ? [{ id: "avail", label: t(`avail.filter.${avail}`), onRemove: () => setAvail("") }] : []),
+    ...(yearMin || yearMax
+      ? [{
+          id: "years",
+          label: t("chip.published", { from: yearMin || "…", to: yearMax || "…" }),
+          onRemove: () => {
+            setYearMin("");
+            setYearMax("");
+          },
+        }]
+      : []),
+  ];
+  // Near-duplicates collapse into groups over everything loaded, so later pages join earlier groups
+  const groups = useMemo(() => groupResults(items), [items]);
+  const groupOf = useMemo(() => {
+    const map = new Map();
+    for (const g of groups) for (const b of [g.primary, ...g.variants]) map.set(b.key, g);
+    return map;
+  }, [groups]);
+  const shownItems = useMemo(() => {
+    const ordered = localSort ? sortDocs(groups.map((g) => g.primary), localSort).map((b) => groupOf.get(b.key)) : groups;
+    return flattenGroups(ordered, expandedGroups);
+  }, [groups, groupOf, localSort, expandedGroups]);
+  const groupedCount = items.length - groups.length;
+
+  function toggleVariants(book) {
+    setExpandedGroups((cur) => {
+      const next = new Set(cur);
+      if (next.has(book.key)) next.delete(book.key);
+      else next.add(book.key);
       return next;
     });
   }
+  function toggleCompared(book) {
+    setCompared((cur) => toggleCompare(cur, book));
+  }
+
+  function removeCompared(book) {
+    const next = compared.filter((b) => b.key !== book.key);
+    setCompared(next);
+    if (!next.length) setCompareOpen(false);
+  }
 
-  const favList = Object.values(favs);
+  // For screen readers: loading, failures and result counts as they change
+  const announcement = loading
+    ? t("status.loading")
+    : error
+      ? t(errorKey(error, { query: Boolean(debQ) }))
+      : queryError
+        ? t("status.queryError", { message: t(queryError.key, queryError.vars) })
+        : searching && settled
+          ? items.length
+            ? t("status.showing", { shown: items.length, total: numFound, count: numFound })
+            : t("status.none")
+          : "";
+
+  // Next/previous book in the modal walks the results as shown
+  const selectedIndex = selected ? shownItems.findIndex((b) => b.key === selected.key) : -1;
+  function stepBook(delta) {
+    const next = shownItems[selectedIndex + delta];
+    if (!next) return;
+    setModalNav(delta < 0 ? "prev" : "next");
+    setSelected(next);
+    // Keep a page ahead so "next" doesn't run dry at the end of what's loaded
+    if (delta > 0 && selectedIndex + delta >= shownItems.length - 1 && hasMore) loadMore();
+  }
+
+  function closeBook() {
+    if (window.history.state?.overlay) window.history.back();
+    else setSelected(null);
+  }
+
+  function closeAuthor() {
+    if (window.history.state?.overlay) window.history.back();
+    else setAuthorKey(null);
+  }
+
+  function openAuthor(key) {
+    setSelected(null);
+    setAuthorKey(key);
+  }
+
+  // Re-run a recent or saved search from page 1
+  function runSearch(query) {
+    setTitle(query.title);
+    setAuthor(query.author);
+    setSubject(query.subject);
+    setLang(query.lang);
+    setAvail(validAvailability(query.avail));
+    setYearMin(query.yearMin);
+    setYearMax(query.yearMax);
+    setSort(validSort(query.sort));
+    setFacets(query.facets);
+    setQ(query.q);
+    setAdvanced(Boolean(query.q));
+    setMode("search");
+    pendingPage.current = null;
+  }
+
+  // Switching modes carries the input across where it fits
+  function toggleAdvanced() {
+    if (!advanced) {
+      setQ(simpleToQuery({ title, author, subject }));
+      setTitle("");
+      setAuthor("");
+      setSubject("");
+    } else {
+      // Plain title/author/subject clauses go back to their boxes; anything else is dropped
+      const back = { title: "", author: "", subject: "" };
+      for (const c of queryToClauses(q) || []) {
+        if (!c.negate && c.values.length === 1 && c.field in back && !back[c.field]) back[c.field] = c.values[0];
+      }
+      setTitle(back.title);
+      setAuthor(back.author);
+      setSubject(back.subject);
+      setQ("");
+    }
+    setAdvanced(!advanced);
+  }
+
+  // The star on a card: puts the book on "Want to Read", or takes it off any shelf
+  function toggleFav(book) {
+    updateLibrary((lib) =>
+      lib.books[book.key] ? removeBook(lib, book.key) : shelveBook(lib, book, "want")
+    );
+  }
+
+  function openEntry(entry) {
+    setSelected({
+      key: entry.key,
+      title: entry.title,
+      author_name: entry.author ? entry.author.split(", ") : [],
+      cover_i: entry.cover_i,
+      partial: true,
+    });
+  }
+
+  const selectedEntry = selected ? library.books[selected.key] : null;
+  const allTags = useMemo(() => libraryTags(library), [library]);
 
   return (
-    <div className="min-h-screen w-screen bg-gradient-to-br from-orange-50 via-amber-25 to-yellow-50 text-gray-700 overflow-x-hidden" style={{ backgroundColor: '#FFFBF0' }}>
-      <header className="sticky top-0 z-40 backdrop-blur-md bg-white/95 border-b border-amber-200 shadow-sm w-full">
-        <div className="px-4 py-4 flex items-center gap-3 w-full">
-          <div className="inline-flex items-center justify-center w-10 h-10 rounded-2xl bg-amber-600 text-white shadow-md"><Book size={20} /></div>
-          <div className="flex-1">
-            <h1 className="font-bold text-2xl leading-tight text-gray-800">Book Finder</h1>
-            <p className="text-sm text-gray-700">For Alex – search by title, author, subject, year, or language.</p>
-          </div>
-        </div>
-      </header>
-
-      <main className="px-4 py-6 w-full">
-        {/* Search & Filters */}
-        <div className="rounded-3xl bg-white shadow-lg p-4 md:p-6 border border-amber-200">
-          <div className="grid grid-cols-1 md:grid-cols-12 gap-3">
-            <div className="md:col-span-4">
-              <label className="text-base font-semibold text-gray-800">Title</label>
-              <div className="mt-1 relative">
-                <input
-                  value={title}
-                  onChange={(e) => setTitle(e.target.value)}
-                  placeholder="e.g., The Alchemist"
-                  className="w-full rounded-2xl border border-amber-300 px-12 py-3 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
-                />
-                <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-amber-600" size={20} />
-              </div>
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen w-screen bg-gradient-to-br from-orange-50 via-amber-25 to-yellow-50 text-gray-700 overflow-x-hidden" style={{ backgroundColor: '#FFFBF0' }}>
+        <header className="sticky top-0 z-40 backdrop-blur-md bg-white/95 border-b border-amber-200 shadow-sm w-full">
+          <div className="px-4 py-4 flex items-center gap-3 w-full">
+            <div className="inline-flex items-center justify-center w-10 h-10 rounded-2xl bg-amber-600 text-white shadow-md"><Book size={20} /></div>
+            <div className="flex-1">
+              <h1 className="font-bold text-2xl leading-tight text-gray-800">{t("app.title")}</h1>
+              <p className="text-sm text-gray-700">{t("app.tagline")}</p>
             </div>
-            <div className="md:col-span-3">
-              <label className="text-base font-semibold text-gray-800">Author</label>
-              <input
-                value={author}
-                onChange={(e) => setAuthor(e.target.value)}
-                placeholder="e.g., Paulo Coelho"
-                className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
-              />
-            </div>
-            <div className="md:col-span-3">
-              <label className="text-base font-semibold text-gray-800">Subject / Keyword</label>
-              <input
-                value={subject}
-                onChange={(e) => setSubject(e.target.value)}
-                placeholder="e.g., fantasy"
-                className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
-              />
-            </div>
-            <div className="md:col-span-2">
-              <label className="text-base font-semibold text-gray-800">Language</label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <Languages size={18} className="text-amber-700" />
+              <span className="sr-only">{t("app.uiLanguage")}</span>
               <select
-                value={lang}
-                onChange={(e) => setLang(e.target.value)}
-                className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
+                value={i18n.locale}
+                onChange={(e) => updateLocale(() => e.target.value)}
+                className="rounded-xl border border-amber-300 px-2 py-1.5 bg-white text-gray-800 focus:border-amber-600 focus:ring-2 focus:ring-amber-200"
               >
-                {LANG_OPTS.map((o) => (
-                  <option key={o.code} value={o.code} className="bg-white">{o.label}</option>
+                {LOCALES.map((l) => (
+                  <option key={l.code} value={l.code} lang={l.code}>{l.label}</option>
                 ))}
               </select>
-            </div>
-
-            <div className="md:col-span-2">
-              <label className="text-base font-semibold text-gray-800">Year from</label>
-              <input
-                inputMode="numeric"
-                value={yearMin}
-                onChange={(e) => setYearMin(e.target.value.replace(/[^0-9-]/g, ""))}
-                placeholder="e.g., 1990"
-                className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
-              />
-            </div>
-            <div className="md:col-span-2">
-              <label className="text-base font-semibold text-gray-800">Year to</label>
-              <input
-                inputMode="numeric"
-                value={yearMax}
-                onChange={(e) => setYearMax(e.target.value.replace(/[^0-9-]/g, ""))}
-                placeholder="e.g., 2020"
-                className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
-              />
-            </div>
+            </label>
+          </div>
+        </header>
 
-            <div className="md:col-span-3">
-              <label className="text-base font-semibold flex items-center gap-2 text-gray-800"><Filter size={18}/> Sort</label>
-              <select
-                value={sort}
-                onChange={(e) => setSort(e.target.value)}
-                className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
-              >
-                {SORTS.map((s) => (
-                  <option key={s.id} value={s.id} className="bg-white">{s.label}</option>
-                ))}
-              </select>
+        {!online && (
+          <div role="status" className="w-full bg-amber-100 border-b border-amber-300 text-amber-900">
+            <div className="px-4 py-2 flex items-center gap-2 text-base">
+              <WifiOff size={18} />
+              <span>{t("app.offline")}</span>
             </div>
+          </div>
+        )}
+        <StorageAlerts />
 
-            <div className="md:col-span-3 flex items-end gap-3">
-              <button
-                onClick={() => setView(view === "grid" ? "list" : "grid")}
-                className="w-full rounded-2xl px-4 py-3 bg-amber-600 text-white font-semibold text-base hover:bg-amber-700 transition-all shadow-md"
-              >
-                Toggle {view === "grid" ? "List" : "Grid"} View
-              </button>
+        <main className="px-4 py-6 w-full">
+          <div className="mb-4 inline-flex rounded-2xl border border-amber-300 bg-white p-1 shadow-sm" role="tablist" aria-label={t("mode.label")}>
+            {[
+              { id: "search", label: t("mode.search"), icon: <Search size={18} /> },
+              { id: "isbn", label: t("mode.isbn"), icon: <Barcode size={18} /> },
+            ].map(({ id, label, icon }) => (
               <button
-                onClick={() => {
-                  setTitle("");
-                  setAuthor("");
-                  setSubject("");
-                  setLang("");
-                  setYearMin("");
-                  setYearMax("");
-                  setSort("relevance");
-                }}
-                className="rounded-2xl border border-amber-300 px-4 py-3 bg-white text-amber-900 font-semibold text-base hover:bg-amber-50 transition-all"
+                key={id}
+                type="button"
+                role="tab"
+                aria-selected={mode === id}
+                onClick={() => setMode(id)}
+                className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 font-semibold transition-all ${
+                  mode === id ? "bg-amber-600 text-white shadow" : "text-amber-900 hover:bg-amber-50"
+                }`}
               >
-                Reset
+                {icon} {label}
               </button>
-            </div>
-          </div>
-        </div>
-
-        {/* Status */}
-        <div className="mt-4 flex flex-wrap items-center justify-between gap-3 text-base text-gray-700">
-          <div>
-            {items.length > 0 ? (
-              <span>
-                Showing <span className="font-medium text-gray-800">{items.length}</span> of
-                {" "}
-                <span className="font-medium text-gray-800">{numFound.toLocaleString()}</span> results
-              </span>
-            ) : (
-              <span>Start by typing a title, author, or subject.</span>
-            )}
+            ))}
           </div>
-          {error && <span className="text-red-600 text-base">{error}</span>}
-        </div>
 
-        {/* Results */}
-        <div className={view === "grid" ? "mt-4 grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 lg:grid-cols-7 xl:grid-cols-9 2xl:grid-cols-11 gap-4" : "mt-4 space-y-3"}>
-          {items.map((b) => (
-            <BookCard
-              key={`${b.key}-${b.cover_i || "nocover"}`}
-              book={b}
+          <div hidden={mode !== "isbn"}>
+            <BulkIsbnLookup
               layout={view}
               onSelect={setSelected}
               onToggleFav={toggleFav}
-              fav={Boolean(favs[b.key])}
+              onAuthor={openAuthor}
+              isSaved={(key) => Boolean(library.books[key])}
+              onSaveAll={(books) =>
+                updateLibrary((lib) => books.reduce((acc, b) => (acc.books[b.key] ? acc : shelveBook(acc, b, "want")), lib))
+              }
             />
-          ))}
-        </div>
-
-        {/* Load more */}
-        {items.length > 0 && (
-          <div className="mt-6 flex items-center justify-center">
-            {hasMore ? (
-              <button
-                onClick={() => setPage((p) => p + 1)}
-                disabled={loading}
-                className="inline-flex items-center gap-2 rounded-2xl px-8 py-4 bg-amber-600 text-white hover:bg-amber-700 disabled:opacity-60 font-semibold text-lg shadow-md transition-all"
-              >
-                {loading && <Loader2 className="animate-spin" size={18}/>} Load more
-              </button>
-            ) : (
-              <p className="text-base text-amber-900">No more results.</p>
-            )}
           </div>
-        )}
 
-        {/* Favorites */}
-        <section className="mt-10">
-          <h2 className="text-xl font-semibold mb-4 flex items-center gap-2 text-gray-800">
-            <Star className="fill-emerald-500 stroke-emerald-500" size={22}/> Favorites
-          </h2>
-          {favList.length === 0 ? (
-            <p className="text-base text-amber-900">Save books you like to quickly find them later.</p>
-          ) : (
-            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 lg:grid-cols-7 xl:grid-cols-9 2xl:grid-cols-11 gap-3">
-              {favList.map((f) => (
-                <div key={f.key} className="relative rounded-2xl bg-white shadow-md border border-amber-200 overflow-hidden">
-                  <img
-                    src={f.cover_i ? `https://covers.openlibrary.org/b/id/${f.cover_i}-M.jpg` : `https://placehold.co/300x450?text=No+Cover`}
-                    alt={f.title}
-                    className="w-full aspect-[2/3] object-cover"
-                  />
-                  <div className="p-3">
-                    <p className="text-base font-medium line-clamp-2 text-gray-800">{f.title}</p>
-                    <p className="text-sm text-gray-700 line-clamp-1 mt-1">{f.author}</p>
+          <div hidden={mode !== "search"}>
+            {/* Search & Filters */}
+            <div className="rounded-3xl bg-white shadow-lg p-4 md:p-6 border border-amber-200">
+              <div className="mb-3 flex justify-end">
+                <button
+                  type="button"
+                  onClick={toggleAdvanced}
+                  aria-pressed={advanced}
+                  className="inline-flex items-center gap-2 rounded-xl px-3 py-1.5 border border-amber-300 text-amber-900 font-semibold hover:bg-amber-50"
+                >
+                  <SlidersHorizontal size={16} /> {t(advanced ? "form.simple" : "form.advanced")}
+                </button>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-12 gap-3">
+                {advanced ? (
+                  <div className="md:col-span-10">
+                    <span className="text-base font-semibold text-gray-800">{t("form.advanced")}</span>
+                    <div className="mt-1">
+                      <QueryBuilder value={q} onChange={setQ} />
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                  <div className="md:col-span-4">
+                    <label className="text-base font-semibold text-gray-800">{t("form.title")}</label>
+                    <div className="mt-1 relative">
+                      <input
+                        value={title}
+                        onChange={(e) => setTitle(e.target.value)}
+                        placeholder={t("form.example", { value: "The Alchemist" })}
+                        className="w-full rounded-2xl border border-amber-300 px-12 py-3 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
+                      />
+                      <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-amber-600" size={20} />
+                    </div>
+                  </div>
+                  <div className="md:col-span-3">
+                    <label htmlFor="author-input" className="text-base font-semibold text-gray-800">{t("form.author")}</label>
+                    <AutocompleteInput
+                      id="author-input"
+                      value={author}
+                      onChange={setAuthor}
+                      load={loadAuthors}
+                      recent={recentAuthors}
+                      placeholder={t("form.example", { value: "Paulo Coelho" })}
+                      className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
+                    />
                   </div>
+                  <div className="md:col-span-3">
+                    <label htmlFor="subject-input" className="text-base font-semibold text-gray-800">{t("form.subject")}</label>
+                    <AutocompleteInput
+                      id="subject-input"
+                      value={subject}
+                      onChange={setSubject}
+                      load={loadSubjects}
+                      recent={recentSubjects}
+                      placeholder={t("form.example", { value: "fantasy" })}
+                      className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
+                    />
+                  </div>
+                  </>
+                )}
+                <div className="md:col-span-2">
+                  <label className="text-base font-semibold text-gray-800">{t("form.language")}</label>
+                  <select
+                    value={lang}
+                    onChange={(e) => setLang(e.target.value)}
+                    className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
+                  >
+                    <option value="" className="bg-white">{t("form.anyLanguage")}</option>
+                    {LANG_OPTS.map((code) => (
+                      <option key={code} value={code} className="bg-white">{languageName(code)}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="md:col-span-2">
+                  <label className="text-base font-semibold text-gray-800">{t("form.yearFrom")}</label>
+                  <input
+                    inputMode="numeric"
+                    value={yearMin}
+                    onChange={(e) => setYearMin(e.target.value.replace(/[^0-9-]/g, ""))}
+                    placeholder={t("form.example", { value: "1990" })}
+                    className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="text-base font-semibold text-gray-800">{t("form.yearTo")}</label>
+                  <input
+                    inputMode="numeric"
+                    value={yearMax}
+                    onChange={(e) => setYearMax(e.target.value.replace(/[^0-9-]/g, ""))}
+                    placeholder={t("form.example", { value: "2020" })}
+                    className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
+                  />
+                </div>
+
+                <div className="md:col-span-2">
+                  <label className="text-base font-semibold text-gray-800">{t("avail.filter")}</label>
+                  <select
+                    value={avail}
+                    onChange={(e) => setAvail(e.target.value)}
+                    className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
+                  >
+                    <option value="" className="bg-white">{t("avail.filter.any")}</option>
+                    {AVAILABILITY_FILTERS.map((f) => (
+                      <option key={f.id} value={f.id} className="bg-white">{t(`avail.filter.${f.id}`)}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="md:col-span-2">
+                  <label className="text-base font-semibold flex items-center gap-2 text-gray-800"><Filter size={18}/> {t("form.sort")}</label>
+                  <select
+                    value={sort}
+                    onChange={(e) => setSort(e.target.value)}
+                    className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
+                  >
+                    {SORTS.map((s) => (
+                      <option key={s.id} value={s.id} className="bg-white">{t(s.label)}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="md:col-span-2">
+                  <label className="text-base font-semibold text-gray-800" title={t("form.localSortHint")}>
+                    {t("form.localSort")}
+                  </label>
+                  <select
+                    value={localSort}
+                    onChange={(e) => setLocalSort(e.target.value)}
+                    className="mt-1 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 text-base focus:border-amber-600 focus:ring-2 focus:ring-amber-200 transition-all"
+                  >
+                    {LOCAL_SORTS.map((s) => (
+                      <option key={s.id} value={s.id} className="bg-white">{t(s.label)}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="md:col-span-2 flex items-end gap-3">
+                  <button
+                    onClick={() => setView(view === "grid" ? "list" : "grid")}
+                    className="w-full rounded-2xl px-4 py-3 bg-amber-600 text-white font-semibold text-base hover:bg-amber-700 transition-all shadow-md"
+                  >
+                    {t(view === "grid" ? "form.showList" : "form.showGrid")}
+                  </button>
                   <button
-                    className="absolute top-3 right-3 rounded-full p-2.5 bg-white/95 hover:bg-red-50 transition-all hover:scale-110 shadow-md border border-amber-200"
-                    title="Remove from favorites"
-                    onClick={() => setFavs((prev) => { const n = { ...prev }; delete n[f.key]; return n; })}
+                    onClick={() => {
+                      setTitle("");
+                      setAuthor("");
+                      setSubject("");
+                      setLang("");
+                      setAvail("");
+                      setYearMin("");
+                      setYearMax("");
+                      setSort("relevance");
+                      setLocalSort("");
+                      setFacets([]);
+                      setQ("");
+                    }}
+                    className="rounded-2xl border border-amber-300 px-4 py-3 bg-white text-amber-900 font-semibold text-base hover:bg-amber-50 transition-all"
                   >
-                    <X size={18} className="text-amber-900" />
+                    {t("form.reset")}
                   </button>
                 </div>
-              ))}
+              </div>
+
+              <SearchHistory
+                searches={searches}
+                current={{ id: queryKey, query: pickQuery(urlState) }}
+                canSave={searching && settled}
+                onRun={runSearch}
+                onSave={(query, name) => updateSearches((st) => saveSearch(st, query, name))}
+                onRename={(id, name) => updateSearches((st) => renameSearch(st, id, name))}
+                onDelete={(id) => updateSearches((st) => deleteSearch(st, id))}
+                onRemoveRecent={(id) => updateSearches((st) => removeRecent(st, id))}
+                onClearRecent={() => updateSearches(clearRecent)}
+              />
             </div>
-          )}
-        </section>
-      </main>
 
-      {selected && <DetailModal book={selected} onClose={() => setSelected(null)} />}
+            {/* Status */}
+            <div className="mt-4 flex flex-wrap items-center justify-between gap-3 text-base text-gray-700">
+              <div>
+                {items.length > 0 ? (
+                  <span>
+                    {t("status.showing", {
+                      shown: <span className="font-medium text-gray-800">{formatNumber(items.length)}</span>,
+                      total: <span className="font-medium text-gray-800">{formatNumber(numFound)}</span>,
+                      count: numFound,
+                    })}
+                    {groupedCount > 0 && <span className="text-amber-900"> · {t("status.grouped", { count: groupedCount })}</span>}
+                  </span>
+                ) : noResults ? (
+                  <span>
+                    {t("status.none")}
+                    {corrections.author && (
+                      <>
+                        {" · "}
+                        {t("suggest.didYouMeanAuthor", {
+                          name: (
+                            <button type="button" onClick={() => setAuthor(corrections.author)} className="font-semibold text-amber-800 underline underline-offset-2 hover:text-amber-950">
+                              {corrections.author}
+                            </button>
+                          ),
+                        })}
+                      </>
+                    )}
+                    {corrections.subject && (
+                      <>
+                        {" · "}
+                        {t("suggest.didYouMeanSubject", {
+                          name: (
+                            <button type="button" onClick={() => setSubject(corrections.subject)} className="font-semibold text-amber-800 underline underline-offset-2 hover:text-amber-950">
+                              {corrections.subject}
+                            </button>
+                          ),
+                        })}
+                      </>
+                    )}
+                  </span>
+                ) : (
+                  <span>{t("status.start")}</span>
+                )}
+              </div>
+              {items.length > 0 && (
+                <span className="hidden md:inline text-sm text-amber-900">
+                  {t("status.keys")}
+                </span>
+              )}
+              {error && !items.length && <ErrorNotice error={error} query={Boolean(debQ)} onRetry={retrySearch} />}
+            </div>
+            <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+            <FilterChips chips={chips} />
 
-      <footer className="mt-16 border-t border-amber-200 w-full">
-        <div className="px-4 py-8 text-base text-amber-900 flex flex-wrap items-center gap-2 w-full">
-          <span>Built with the Open Library API.</span>
-          <a className="underline-offset-2 hover:underline text-amber-700" href="https://openlibrary.org/dev/docs/api/search" target="_blank" rel="noreferrer">API docs</a>
-        </div>
-      </footer>
-    </div>
+            <div className={searching ? "mt-4 grid grid-cols-1 lg:grid-cols-[16rem_minmax(0,1fr)] gap-6 items-start" : "mt-4"}>
+              {searching && (
+                <FacetSidebar
+                  facets={facetCounts}
+                  histogram={histogram}
+                  sampleSize={facetDocs.length}
+                  loading={facetLoading}
+                  lang={lang}
+                  yearMin={yearMin}
+                  yearMax={yearMax}
+                  onPick={pickFacet}
+                  onRange={(from, to) => {
+                    setYearMin(from);
+                    setYearMax(to);
+                  }}
+                />
+              )}
+              <div className="min-w-0">
+                {/* Results (windowed, auto-loading as you scroll) */}
+                <VirtualResults
+                  items={shownItems}
+                  layout={view}
+                  getKey={(b) => b.key}
+                  label={t("results.label")}
+                  renderItem={(b, { tabIndex, posInSet }) => {
+                    const group = groupOf.get(b.key);
+                    const isPrimary = group.primary === b;
+                    return (
+                      <BookCard
+                        book={b}
+                        tabIndex={tabIndex}
+                        posInSet={posInSet}
+                        setSize={numFound || -1}
+                        layout={view}
+                        onSelect={setSelected}
+                        onToggleFav={toggleFav}
+                        onAuthor={openAuthor}
+                        fav={Boolean(library.books[b.key])}
+                        variant={!isPrimary}
+                        variantCount={isPrimary ? group.variants.length + 1 : 0}
+                        expanded={expandedGroups.has(b.key)}
+                        onToggleVariants={toggleVariants}
+                        compared={compared.some((c) => c.key === b.key)}
+                        compareFull={compared.length >= MAX_COMPARE}
+                        onToggleCompare={toggleCompared}
+                      />
+                    );
+                  }}
+                  hasMore={hasMore}
+                  loading={loading}
+                  error={error}
+                  errorNotice={<ErrorNotice error={error} query={Boolean(debQ)} onRetry={retrySearch} />}
+                  onLoadMore={loadMore}
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Shelves */}
+          <LibrarySection
+            library={library}
+            onOpen={openEntry}
+            onMove={(entry, shelf) => updateLibrary((lib) => shelveBook(lib, entry, shelf))}
+            onUpdate={(key, patch) => updateLibrary((lib) => updateEntry(lib, key, patch))}
+            onRemove={(key) => updateLibrary((lib) => removeBook(lib, key))}
+            onAddShelf={(name) => updateLibrary((lib) => addShelf(lib, name))}
+            onRenameShelf={(id, name) => updateLibrary((lib) => renameShelf(lib, id, name))}
+            onDeleteShelf={(id) => updateLibrary((lib) => deleteShelf(lib, id))}
+            onMerge={updateLibrary}
+          />
+
+          <Recommendations
+            library={library}
+            onSelect={setSelected}
+            onToggleFav={toggleFav}
+            onAuthor={openAuthor}
+            onEnrich={enrichEntry}
+          />
+        </main>
+
+        {authorKey && (
+          <AuthorView
+            key={authorKey}
+            authorKey={authorKey}
+            onClose={closeAuthor}
+            onOpenWork={setSelected}
+            onToggleFav={toggleFav}
+            isSaved={(key) => Boolean(library.books[key])}
+          />
+        )}
+
+        {!compareOpen && (
+          <CompareTray
+            books={compared}
+            onRemove={removeCompared}
+            onClear={() => setCompared([])}
+            onOpen={() => setCompareOpen(true)}
+          />
+        )}
+
+        {compareOpen && (
+          <CompareView books={compared} onClose={() => setCompareOpen(false)} onRemove={removeCompared} onSelect={setSelected} />
+        )}
+
+        {selected && (
+          <DetailModal
+            key={selected.key}
+            book={selected}
+            onClose={closeBook}
+            position={selectedIndex >= 0 ? { index: selectedIndex, total: numFound || shownItems.length } : null}
+            onPrev={selectedIndex > 0 ? () => stepBook(-1) : null}
+            onNext={selectedIndex >= 0 && selectedIndex < shownItems.length - 1 ? () => stepBook(1) : null}
+            focusNav={modalNav}
+            onAuthor={openAuthor}
+            shareUrl={buildPermalink(urlState)}
+            entry={selectedEntry}
+            shelves={library.shelves}
+            allTags={allTags}
+            onShelve={(book, shelf) => updateLibrary((lib) => shelveBook(lib, book, shelf))}
+            onRate={(rating) => updateLibrary((lib) => updateEntry(lib, selected.key, { rating }))}
+            onUpdateEntry={(patch) => updateLibrary((lib) => updateEntry(lib, selected.key, patch))}
+            onAddQuote={(quote) => updateLibrary((lib) => addQuote(lib, selected.key, quote))}
+            onRemoveQuote={(id) => updateLibrary((lib) => removeQuote(lib, selected.key, id))}
+            onRemove={() => updateLibrary((lib) => removeBook(lib, selected.key))}
+            onPickEdition={(book, edition) => updateLibrary((lib) => setOwnedEdition(lib, book, edition))}
+            onSelectBook={setSelected}
+          />
+        )}
+
+        <footer className={`mt-16 border-t border-amber-200 w-full ${compared.length ? "pb-24" : ""}`}>
+          <div className="px-4 py-8 text-base text-amber-900 flex flex-wrap items-center gap-2 w-full">
+            <span>{t("footer.builtWith")}</span>
+            <a className="underline-offset-2 hover:underline text-amber-700" href="https://openlibrary.org/dev/docs/api/search" target="_blank" rel="noreferrer">{t("footer.apiDocs")}</a>
+          </div>
+        </footer>
+      </div>
+    </I18nContext.Provider>
   );
-}
\ No newline at end of file
+}
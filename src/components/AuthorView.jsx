@@ -0,0 +1,297 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { ArrowLeft, Loader2, Star, User } from "lucide-react";
+import { authorPhotoUrl, getAuthor, getAuthorWorks } from "../lib/openLibrary";
+import { useI18n } from "../lib/i18n";
+import { Cover } from "./Cover";
+import { ErrorNotice } from "./ErrorNotice";
+
+/**
+ * Author page: bio, dates and photo from /authors/{id}.json plus the author's
+ * works from /authors/{id}/works.json, loaded in batches and sortable/paged
+ * locally. Works open in the regular detail modal and can be saved.
+ */
+
+const FETCH_SIZE = 100;
+const WORKS_PER_PAGE = 24;
+
+// `label` is a message key (see ../lib/messages)
+const WORK_SORTS = [
+  { id: "default", label: "author.sort.default" },
+  { id: "title", label: "sort.title" },
+  { id: "year", label: "sort.old" },
+  { id: "year_desc", label: "sort.new" },
+];
+
+function textOf(value) {
+  return typeof value === "string" ? value : value?.value || "";
+}
+
+function yearOf(date) {
+  const m = String(date || "").match(/\d{4}/);
+  return m ? Number(m[0]) : null;
+}
+
+function sortWorks(works, mode) {
+  const cp = [...works];
+  switch (mode) {
+    case "title":
+      cp.sort((a, b) => a.title.localeCompare(b.title));
+      break;
+    case "year":
+      cp.sort((a, b) => (a.year || 9e9) - (b.year || 9e9));
+      break;
+    case "year_desc":
+      cp.sort((a, b) => (b.year || -9e9) - (a.year || -9e9));
+      break;
+    default:
+      break;
+  }
+  return cp;
+}
+
+/** Shape a works.json entry like a search doc so the rest of the app can use it. */
+function toBook(entry, author) {
+  return {
+    key: entry.key,
+    title: [entry.title, entry.subtitle].filter(Boolean).join(": ") || "Untitled",
+    author_name: [author.name],
+    author_key: [author.key],
+    cover_i: (entry.covers || []).find((c) => c > 0) || null,
+    first_publish_year: yearOf(entry.first_publish_date),
+    year: yearOf(entry.first_publish_date),
+    subject: entry.subjects,
+    partial: true,
+  };
+}
+
+export function AuthorView({ authorKey, onClose, onOpenWork, onToggleFav, isSaved }) {
+  const { t, formatNumber } = useI18n();
+  const [author, setAuthor] = useState(null);
+  const [authorError, setAuthorError] = useState(null);
+  const [works, setWorks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [wanted, setWanted] = useState(FETCH_SIZE);
+  const [loadingWorks, setLoadingWorks] = useState(false);
+  const [worksError, setWorksError] = useState(null);
+  // Bumped by Retry
+  const [authorAttempt, setAuthorAttempt] = useState(0);
+  const [worksAttempt, setWorksAttempt] = useState(0);
+  const [sort, setSort] = useState("default");
+  const [page, setPage] = useState(0);
+  const authorController = useRef(null);
+  const worksController = useRef(null);
+
+  useEffect(() => {
+    const fetchAuthor = async () => {
+      try {
+        authorController.current?.abort();
+        authorController.current = new AbortController();
+        setAuthorError(null);
+        const data = await getAuthor(authorKey, { signal: authorController.current.signal });
+        setAuthor(data);
+      } catch (e) {
+        if (e.name !== "AbortError") setAuthorError(e);
+      }
+    };
+    fetchAuthor();
+    return () => authorController.current?.abort();
+  }, [authorKey, authorAttempt]);
+
+  useEffect(() => {
+    if (works.length >= wanted || (total && works.length >= total)) return;
+    const fetchWorks = async () => {
+      try {
+        worksController.current?.abort();
+        worksController.current = new AbortController();
+        setLoadingWorks(true);
+        setWorksError(null);
+        const data = await getAuthorWorks(authorKey, {
+          limit: FETCH_SIZE,
+          offset: works.length,
+          signal: worksController.current.signal,
+        });
+        const batch = data.entries || [];
+        setTotal(batch.length ? data.size || 0 : works.length);
+        setWorks((prev) => [...prev, ...batch]);
+      } catch (e) {
+        if (e.name !== "AbortError") setWorksError(e);
+      } finally {
+        setLoadingWorks(false);
+      }
+    };
+    fetchWorks();
+    return () => worksController.current?.abort();
+  }, [authorKey, works.length, wanted, total, worksAttempt]);
+
+  const name = author?.name || author?.personal_name || "";
+  const books = useMemo(
+    () => (author ? works.map((w) => toBook(w, { name, key: author.key })) : []),
+    [works, author, name]
+  );
+  const sorted = useMemo(() => sortWorks(books, sort), [books, sort]);
+  // In API order we can page past what's loaded; other sorts need the loaded set
+  const listed = sort === "default" ? Math.max(sorted.length, total) : sorted.length;
+  const pageCount = Math.max(1, Math.ceil(listed / WORKS_PER_PAGE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const shown = sorted.slice(currentPage * WORKS_PER_PAGE, (currentPage + 1) * WORKS_PER_PAGE);
+  const allLoaded = total > 0 && works.length >= total;
+  const bio = textOf(author?.bio);
+  const hasPhoto = (author?.photos || []).some((p) => p > 0);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-white overflow-y-auto">
+      <div className="px-4 md:px-12 py-6 max-w-7xl mx-auto">
+        <button
+          type="button"
+          onClick={onClose}
+          className="inline-flex items-center gap-2 rounded-2xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50"
+        >
+          <ArrowLeft size={18} /> {t("author.back")}
+        </button>
+
+        {authorError ? (
+          <ErrorNotice error={authorError} onRetry={() => setAuthorAttempt((n) => n + 1)} className="mt-8" />
+        ) : !author ? (
+          <div className="mt-8 flex items-center gap-3 text-amber-700">
+            <Loader2 className="animate-spin" size={20} /> <span className="text-lg">{t("author.loading")}</span>
+          </div>
+        ) : (
+          <div className="mt-8 flex flex-col md:flex-row gap-8">
+            <div className="shrink-0">
+              {hasPhoto ? (
+                <img
+                  src={authorPhotoUrl(author.key, "L")}
+                  alt={name}
+                  className="w-48 h-64 object-cover rounded-2xl shadow-lg border border-amber-200"
+                />
+              ) : (
+                <div className="w-48 h-64 rounded-2xl bg-amber-50 border border-amber-200 flex items-center justify-center">
+                  <User size={64} className="text-amber-300" />
+                </div>
+              )}
+            </div>
+            <div className="flex-1 min-w-0">
+              <h1 className="text-4xl md:text-5xl font-bold text-gray-800 leading-tight">{name}</h1>
+              {(author.birth_date || author.death_date) && (
+                <p className="mt-3 text-xl text-gray-700">
+                  {author.birth_date || "?"} – {author.death_date || ""}
+                </p>
+              )}
+              {bio ? (
+                <p className="mt-6 text-lg text-gray-700 leading-relaxed whitespace-pre-line">{bio}</p>
+              ) : (
+                <p className="mt-6 text-lg text-amber-700 italic">{t("author.noBio")}</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        <section className="mt-10 border-t border-amber-200 pt-8">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 className="text-2xl font-bold text-gray-800">
+              {t("author.works")} {total ? <span className="text-gray-600 font-normal">({formatNumber(total)})</span> : null}
+            </h2>
+            <div className="flex flex-wrap items-center gap-3">
+              <select
+                value={sort}
+                onChange={(e) => {
+                  setSort(e.target.value);
+                  setPage(0);
+                }}
+                className="rounded-2xl border border-amber-300 px-4 py-2 bg-white text-gray-800"
+                aria-label={t("author.sortWorks")}
+              >
+                {WORK_SORTS.map((s) => (
+                  <option key={s.id} value={s.id}>{t(s.label)}</option>
+                ))}
+              </select>
+              {!allLoaded && total > 0 && (
+                <button
+                  type="button"
+                  disabled={loadingWorks}
+                  onClick={() => setWanted(total)}
+                  className="rounded-2xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-60"
+                >
+                  {t("author.loadAll", { count: total })}
+                </button>
+              )}
+            </div>
+          </div>
+          {sort !== "default" && !allLoaded && total > 0 && (
+            <p className="mb-3 text-sm text-amber-800">
+              {t("author.sortingLoaded", { count: works.length })}
+            </p>
+          )}
+          {/* The works already loaded stay listed; Retry fetches the batch that failed */}
+          <ErrorNotice error={worksError} onRetry={() => setWorksAttempt((n) => n + 1)} className="mb-4" />
+
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-4">
+            {shown.map((b) => {
+              const saved = isSaved(b.key);
+              return (
+                <div
+                  key={b.key}
+                  className="group relative rounded-2xl border border-amber-200 bg-white shadow-md hover:shadow-lg hover:border-amber-300 transition-all cursor-pointer overflow-hidden"
+                  onClick={() => onOpenWork(b)}
+                >
+                  <Cover book={b} className="w-full aspect-[2/3]" />
+                  <div className="p-3">
+                    <p className="font-semibold text-gray-800 line-clamp-2">{b.title}</p>
+                    <p className="text-sm text-amber-900 mt-1">{b.year || "—"}</p>
+                  </div>
+                  <button
+                    className="absolute top-3 right-3 rounded-full p-2.5 bg-white/95 hover:bg-emerald-50 shadow-md border border-amber-200 transition-all hover:scale-110"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onToggleFav(b);
+                    }}
+                    aria-label={t(saved ? "card.removeFav" : "card.addFav")}
+                    title={t(saved ? "card.removeFav" : "card.addFav")}
+                  >
+                    <Star className={saved ? "fill-emerald-500 stroke-emerald-500" : "stroke-amber-600"} size={20} />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+          {loadingWorks && (
+            <div className="mt-4 flex items-center gap-3 text-amber-700">
+              <Loader2 className="animate-spin" size={18} /> {t("author.loadingWorks")}
+            </div>
+          )}
+          {!loadingWorks && author && shown.length === 0 && !worksError && (
+            <p className="text-amber-700 italic">{t("author.noWorks")}</p>
+          )}
+
+          {pageCount > 1 && (
+            <div className="mt-6 flex items-center justify-center gap-3">
+              <button
+                type="button"
+                disabled={currentPage === 0}
+                onClick={() => setPage(currentPage - 1)}
+                className="rounded-2xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-50"
+              >
+                {t("author.previous")}
+              </button>
+              <span className="text-gray-700">
+                {t("author.page", { page: currentPage + 1, count: pageCount })}
+              </span>
+              <button
+                type="button"
+                disabled={currentPage >= pageCount - 1}
+                onClick={() => {
+                  setPage(currentPage + 1);
+                  // Keep a batch ahead of the page being viewed
+                  if ((currentPage + 2) * WORKS_PER_PAGE > works.length) setWanted((w) => w + FETCH_SIZE);
+                }}
+                className="rounded-2xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-50"
+              >
+                {t("author.next")}
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
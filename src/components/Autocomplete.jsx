@@ -0,0 +1,188 @@
+import React, { useEffect, useRef, useState } from "react";
+import { History, Loader2, Tag, User } from "lucide-react";
+import { authorPhotoUrl } from "../lib/openLibrary";
+import { isMissingCover } from "../lib/covers";
+import { MIN_CHARS, SUGGEST_DELAY_MS, recentSuggestions } from "../lib/suggest";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * A text input with typeahead suggestions (WAI-ARIA combobox). `load(text,
+ * { signal })` resolves to suggestions (see ./lib/suggest); it runs once
+ * typing pauses, and a newer keystroke aborts the request in flight. Until
+ * `MIN_CHARS` are typed, the `recent` inputs are offered instead. A new
+ * `load` or `recent` reloads the list, so pass stable ones (useCallback).
+ *
+ * Keys: ↓/↑ move through the list, Enter picks, Escape closes.
+ */
+export function AutocompleteInput({ id, value, onChange, load, recent = [], placeholder, className = "" }) {
+  const { t } = useI18n();
+  const [focused, setFocused] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [items, setItems] = useState([]);
+  const [active, setActive] = useState(-1);
+  const [loading, setLoading] = useState(false);
+  const controller = useRef(null);
+  // The value just picked from the list; no need to suggest it back
+  const picked = useRef(null);
+  const listId = `${id}-suggestions`;
+
+  useEffect(() => {
+    controller.current?.abort();
+    setLoading(false);
+    if (!focused || value === picked.current) return;
+    const show = (next) => {
+      setItems(next);
+      // Typing clears the highlight; a refreshed list keeps it where it can
+      setActive((i) => (i < next.length ? i : -1));
+    };
+    if (value.trim().length < MIN_CHARS) {
+      show(recentSuggestions(recent, value));
+      return;
+    }
+    const timer = setTimeout(() => {
+      controller.current = new AbortController();
+      setLoading(true);
+      load(value, { signal: controller.current.signal })
+        .then((next) => {
+          show(next);
+          setLoading(false);
+        })
+        .catch((e) => {
+          if (e.name === "AbortError") return;
+          // Suggestions are a convenience; typing still works without them
+          show(recentSuggestions(recent, value));
+          setLoading(false);
+        });
+    }, SUGGEST_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.current?.abort();
+    };
+  }, [value, focused, load, recent]);
+
+  const expanded = open && focused && items.length > 0;
+
+  function pick(item) {
+    picked.current = item.value;
+    onChange(item.value);
+    setOpen(false);
+    setActive(-1);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      if (!expanded) {
+        setOpen(true);
+        return;
+      }
+      setActive((i) => (i + 1) % items.length);
+    } else if (e.key === "ArrowUp" && expanded) {
+      e.preventDefault();
+      setActive((i) => (i <= 0 ? items.length - 1 : i - 1));
+    } else if (e.key === "Enter" && expanded && active >= 0) {
+      e.preventDefault();
+      pick(items[active]);
+    } else if (e.key === "Escape" && expanded) {
+      e.preventDefault();
+      e.stopPropagation();
+      setOpen(false);
+    }
+  }
+
+  return (
+    <div className="relative">
+      <input
+        id={id}
+        value={value}
+        onChange={(e) => {
+          picked.current = null;
+          setActive(-1);
+          setOpen(true);
+          onChange(e.target.value);
+        }}
+        onFocus={() => {
+          setActive(-1);
+          setFocused(true);
+          setOpen(true);
+        }}
+        onBlur={() => {
+          setFocused(false);
+          setOpen(false);
+        }}
+        onKeyDown={onKeyDown}
+        placeholder={placeholder}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-activedescendant={expanded && active >= 0 ? `${listId}-${active}` : undefined}
+        autoComplete="off"
+        className={className}
+      />
+      {loading && <Loader2 className="absolute right-4 top-1/2 -translate-y-1/2 animate-spin text-amber-600" size={16} aria-hidden="true" />}
+      <ul
+        id={listId}
+        role="listbox"
+        hidden={!expanded}
+        className="absolute z-30 mt-1 w-full min-w-[16rem] max-h-96 overflow-y-auto rounded-2xl border border-amber-200 bg-white py-1 shadow-xl"
+      >
+        {items.map((item, i) => (
+          <li
+            key={item.id}
+            id={`${listId}-${i}`}
+            role="option"
+            aria-selected={i === active}
+            // Keep focus in the input so the list doesn't close before the click lands
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => pick(item)}
+            onMouseEnter={() => setActive(i)}
+            className={`flex items-center gap-3 px-3 py-2 cursor-pointer ${i === active ? "bg-amber-100" : ""}`}
+          >
+            {item.kind === "author" ? (
+              <AuthorPhoto olid={item.key} />
+            ) : (
+              <span className="w-8 h-10 shrink-0 flex items-center justify-center text-amber-600">
+                {item.kind === "recent" ? <History size={18} /> : <Tag size={18} />}
+              </span>
+            )}
+            <span className="min-w-0">
+              <span className="block truncate text-gray-800">{item.label}</span>
+              <span className="block truncate text-sm text-amber-900">
+                {item.kind === "recent"
+                  ? t("suggest.recent")
+                  : item.kind === "author"
+                    ? [item.topWork && t("suggest.topWork", { title: item.topWork }), item.workCount > 0 && t("suggest.works", { count: item.workCount })]
+                        .filter(Boolean)
+                        .join(" · ")
+                    : item.workCount > 0 && t("suggest.works", { count: item.workCount })}
+              </span>
+            </span>
+          </li>
+        ))}
+      </ul>
+      {expanded && <span className="sr-only" aria-live="polite">{t("suggest.count", { count: items.length })}</span>}
+    </div>
+  );
+}
+
+function AuthorPhoto({ olid }) {
+  const [missing, setMissing] = useState(false);
+  if (missing) {
+    return (
+      <span className="w-8 h-10 shrink-0 rounded-md bg-amber-100 flex items-center justify-center text-amber-600">
+        <User size={18} />
+      </span>
+    );
+  }
+  return (
+    <img
+      src={authorPhotoUrl(olid, "S")}
+      alt=""
+      loading="lazy"
+      onLoad={(e) => isMissingCover(e.currentTarget) && setMissing(true)}
+      onError={() => setMissing(true)}
+      className="w-8 h-10 shrink-0 rounded-md object-cover bg-amber-100"
+    />
+  );
+}
@@ -0,0 +1,223 @@
+import React from "react";
+import { BookOpen, ChevronDown, GitCompareArrows, Layers, Library, Star } from "lucide-react";
+import { Cover } from "./Cover";
+import { availabilityKey, availabilityOf } from "../lib/availability";
+import { MAX_COMPARE } from "../lib/compare";
+import { useI18n } from "../lib/i18n";
+
+/** Author names, each clickable when the doc carries its author_key. */
+export function AuthorLinks({ book, onAuthor, fallback }) {
+  const { t } = useI18n();
+  const names = book.author_name || [];
+  const keys = book.author_key || [];
+  if (!names.length) return fallback ?? t("card.unknownAuthor");
+  return names.map((name, i) => (
+    <React.Fragment key={`${name}-${i}`}>
+      {i > 0 && ", "}
+      {keys[i] && onAuthor ? (
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onAuthor(`/authors/${keys[i]}`);
+          }}
+          className="hover:underline underline-offset-2 hover:text-amber-800 text-left"
+        >
+          {name}
+        </button>
+      ) : (
+        name
+      )}
+    </React.Fragment>
+  ));
+}
+
+const AVAILABILITY_STYLES = {
+  public: { icon: BookOpen, className: "bg-emerald-50 border-emerald-300 text-emerald-800" },
+  borrowable: { icon: Library, className: "bg-sky-50 border-sky-300 text-sky-800" },
+  printdisabled: { icon: Library, className: "bg-gray-50 border-gray-300 text-gray-700" },
+};
+
+/** A pill for books that can be read or borrowed; nothing for the rest. */
+export function AvailabilityBadge({ availability, className = "" }) {
+  const { t } = useI18n();
+  const style = AVAILABILITY_STYLES[availability.status];
+  if (!style) return null;
+  const Icon = style.icon;
+  return (
+    <span className={`inline-flex items-center gap-1 rounded-full border px-2.5 py-0.5 text-sm font-medium shadow-sm ${style.className} ${className}`}>
+      <Icon size={14} /> {t(availabilityKey(availability))}
+    </span>
+  );
+}
+
+/**
+ * A result card. It's focusable: Enter/Space opens the book, "f" toggles
+ * the favorite and "c" (when `onToggleCompare` is given) the comparison
+ * tray. `tabIndex` lets a list keep a single tab stop (roving focus);
+ * `posInSet`/`setSize` place it within a role="feed" of results.
+ *
+ * A card heading a group of near-duplicates gets `variantCount` (the group's
+ * size) and a badge that calls `onToggleVariants`; the variants themselves
+ * are shown with `variant` set.
+ *
+ * `compared` marks a book in the comparison tray; `compareFull` disables
+ * adding more.
+ */
+export function BookCard({
+  book,
+  layout = "grid",
+  onSelect,
+  onToggleFav,
+  onAuthor,
+  fav,
+  tabIndex = 0,
+  posInSet,
+  setSize,
+  variantCount = 0,
+  expanded = false,
+  onToggleVariants,
+  variant = false,
+  compared = false,
+  compareFull = false,
+  onToggleCompare,
+}) {
+  const { t } = useI18n();
+  const year = book.first_publish_year || "—";
+  const subjects = (book.subject || []).slice(0, 3).join(" · ");
+  const authors = (book.author_name || []).join(", ");
+  const title = book.title || t("transfer.untitled");
+  const availability = availabilityOf(book);
+  const label = [
+    authors ? t("card.titleBy", { title, authors }) : title,
+    book.first_publish_year,
+    availabilityKey(availability) && t(availabilityKey(availability)),
+    variant && t("card.variant"),
+    variantCount > 1 && t("card.variants", { count: variantCount }),
+    fav && t("card.inLibrary"),
+    compared && t("card.inComparison"),
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  // Kept off the text block so grouped cards stay the same height as the rest
+  const badges = (variant || (variantCount > 1 && onToggleVariants)) && (
+    <span className={layout === "grid" ? "absolute top-3 left-3 flex flex-col items-start gap-1" : "shrink-0 inline-flex items-center gap-2"}>
+      {variant && (
+        <span className="inline-flex items-center gap-1 rounded-full bg-white/95 border border-amber-200 px-2.5 py-0.5 text-sm text-amber-900 shadow-sm">
+          <Layers size={14} /> {t("card.variant")}
+        </span>
+      )}
+      {variantCount > 1 && onToggleVariants && (
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggleVariants(book);
+          }}
+          aria-expanded={expanded}
+          title={t(expanded ? "card.hideVariants" : "card.showVariants")}
+          className="inline-flex items-center gap-1 rounded-full border border-amber-300 bg-amber-100 px-2.5 py-0.5 text-sm font-medium text-amber-900 shadow-sm hover:bg-amber-200"
+        >
+          <Layers size={14} /> {t("card.variants", { count: variantCount })}
+          <ChevronDown size={14} className={expanded ? "rotate-180 transition-transform" : "transition-transform"} />
+        </button>
+      )}
+    </span>
+  );
+
+  function onKeyDown(e) {
+    if (e.target !== e.currentTarget || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      onSelect(book);
+    } else if (e.key === "f" || e.key === "F") {
+      e.preventDefault();
+      onToggleFav(book);
+    } else if ((e.key === "c" || e.key === "C") && onToggleCompare && (compared || !compareFull)) {
+      e.preventDefault();
+      onToggleCompare(book);
+    }
+  }
+
+  const compareLabel = t(compared ? "card.removeCompare" : compareFull ? "card.compareFull" : "card.addCompare", {
+    max: String(MAX_COMPARE),
+  });
+
+  return (
+    <div
+      className={
+        layout === "grid"
+          ? `group relative rounded-2xl border ${variant ? "border-dashed border-amber-300 bg-amber-50/60" : "border-amber-200 bg-white"} shadow-md hover:shadow-lg hover:scale-105 hover:border-amber-300 transition-all duration-300 cursor-pointer overflow-hidden focus:outline-none focus-visible:ring-4 focus-visible:ring-amber-400`
+          : `relative flex gap-5 items-center rounded-2xl border ${variant ? "border-dashed border-amber-300 bg-amber-50/60 ml-8" : "border-amber-200 bg-white"} shadow-md hover:shadow-lg hover:border-amber-300 transition-all duration-300 cursor-pointer overflow-hidden focus:outline-none focus-visible:ring-4 focus-visible:ring-amber-400`
+      }
+      onClick={() => onSelect(book)}
+      onKeyDown={onKeyDown}
+      tabIndex={tabIndex}
+      role="article"
+      aria-posinset={posInSet}
+      aria-setsize={setSize}
+      aria-label={label}
+      aria-keyshortcuts={onToggleCompare ? "Enter F C" : "Enter F"}
+      data-book-key={book.key}
+    >
+      <div className={layout === "grid" ? "relative" : "w-24 shrink-0"}>
+        <Cover
+          book={book}
+          className={layout === "grid" ? "w-full aspect-[2/3]" : "w-24 h-32 rounded-xl ml-4"}
+          sizes={layout === "grid" ? "(min-width: 768px) 200px, 50vw" : "96px"}
+        />
+        {layout === "grid" && badges}
+        {layout === "grid" && <AvailabilityBadge availability={availability} className="absolute bottom-3 left-3" />}
+      </div>
+      <div className={layout === "grid" ? "p-4" : "flex-1 min-w-0 p-4 pr-16"}>
+        <h3 className="font-semibold text-gray-800 line-clamp-2 text-base leading-tight">
+          {title}
+        </h3>
+        <p className="text-gray-700 line-clamp-1 mt-2">
+          <AuthorLinks book={book} onAuthor={onAuthor} />
+        </p>
+        <div className="mt-2 text-sm text-amber-900 flex items-center gap-2">
+          <span>{year}</span>
+          {subjects && (
+            <>
+              <span>•</span>
+              <span className="line-clamp-1">{subjects}</span>
+            </>
+          )}
+          {layout !== "grid" && <AvailabilityBadge availability={availability} className="shrink-0" />}
+          {layout !== "grid" && badges}
+        </div>
+      </div>
+      <button
+        className="absolute top-3 right-3 rounded-full p-2.5 bg-white/95 hover:bg-emerald-50 shadow-md border border-amber-200 transition-all hover:scale-110"
+        onClick={(e) => {
+          e.stopPropagation();
+          onToggleFav(book);
+        }}
+        aria-label={t(fav ? "card.removeFav" : "card.addFav")}
+        title={t(fav ? "card.removeFav" : "card.addFav")}
+      >
+        <Star className={fav ? "fill-emerald-500 stroke-emerald-500" : "stroke-amber-600"} size={20} />
+      </button>
+      {onToggleCompare && (
+        <button
+          type="button"
+          className={`absolute top-16 right-3 rounded-full p-2.5 shadow-md border transition-all hover:scale-110 disabled:opacity-50 disabled:hover:scale-100 ${
+            compared ? "bg-amber-600 border-amber-600 text-white" : "bg-white/95 border-amber-200 text-amber-700 hover:bg-amber-50"
+          }`}
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggleCompare(book);
+          }}
+          disabled={!compared && compareFull}
+          aria-pressed={compared}
+          aria-label={compareLabel}
+          title={compareLabel}
+        >
+          <GitCompareArrows size={20} />
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Barcode, Loader2, Star, Upload } from "lucide-react";
+import { lookupIsbns, parseIsbnList } from "../lib/isbn";
+import { errorKey } from "../lib/errors";
+import { useI18n } from "../lib/i18n";
+import { BookCard } from "./BookCard";
+
+/**
+ * Bulk ISBN lookup: paste or upload a list of ISBNs, see checksum errors per
+ * line (with each valid ISBN in both its 10- and 13-digit form), then resolve
+ * them through Open Library's /isbn/ endpoint and save the books in one click.
+ */
+
+// Failures a retry won't fix; other lookup errors (network, timeouts, rate
+// limits, server trouble) leave the ISBN pending so the next run tries again
+const FINAL_ERRORS = new Set(["not-found", "bad-request"]);
+
+function settled(result) {
+  return Boolean(result && (result.book || FINAL_ERRORS.has(result.error?.kind)));
+}
+
+export function BulkIsbnLookup({ layout, onSelect, onToggleFav, onAuthor, isSaved, onSaveAll }) {
+  const { t, formatNumber } = useI18n();
+  const [text, setText] = useState("");
+  const [results, setResults] = useState({}); // isbn13 -> { book } | { error }
+  const [running, setRunning] = useState(false);
+  const [fileError, setFileError] = useState(false);
+  const controller = useRef(null);
+
+  useEffect(() => () => controller.current?.abort(), []);
+
+  const entries = useMemo(() => parseIsbnList(text), [text]);
+  const valid = entries.filter((e) => e.isbn13 && !e.duplicateOf);
+  const invalidCount = entries.filter((e) => e.error).length;
+  const pending = valid.filter((e) => !settled(results[e.isbn13]));
+  const found = valid.filter((e) => results[e.isbn13]?.book);
+  const unsaved = found.map((e) => results[e.isbn13].book).filter((b) => !isSaved(b.key));
+  const done = valid.length - pending.length;
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setFileError(false);
+      setText(await file.text());
+    } catch {
+      setFileError(true);
+    }
+  }
+
+  async function run() {
+    controller.current?.abort();
+    const current = new AbortController();
+    controller.current = current;
+    setRunning(true);
+    try {
+      await lookupIsbns(pending, {
+        signal: current.signal,
+        onResult: (isbn13, result) => setResults((prev) => ({ ...prev, [isbn13]: result })),
+      });
+    } catch {
+      // only a cancel gets here; per-ISBN failures come back as results
+    } finally {
+      if (controller.current === current) setRunning(false);
+    }
+  }
+
+  function cancel() {
+    controller.current?.abort();
+    setRunning(false);
+  }
+
+  function status(entry) {
+    if (entry.error) return <span className="text-red-600">{t(entry.error.key, entry.error.vars)}</span>;
+    if (entry.duplicateOf) return <span className="text-gray-600">{t("isbn.duplicate", { line: entry.duplicateOf })}</span>;
+    const result = results[entry.isbn13];
+    if (!result || (running && !settled(result))) {
+      return <span className="text-gray-600">{t(running ? "isbn.lookingUp" : "isbn.ready")}</span>;
+    }
+    if (result.error) {
+      const key = result.error.kind === "not-found" ? "isbn.notFound" : errorKey(result.error);
+      return <span className="text-red-600">{t(key)}</span>;
+    }
+    return <span className="text-emerald-700">{t("isbn.found", { title: result.book.title || t("transfer.untitled") })}</span>;
+  }
+
+  return (
+    <div className="rounded-3xl bg-white shadow-lg p-4 md:p-6 border border-amber-200">
+      <h2 className="font-semibold text-xl text-gray-800 flex items-center gap-2">
+        <Barcode size={22} /> {t("isbn.title")}
+      </h2>
+      <p className="text-base text-gray-700 mt-1">{t("isbn.intro")}</p>
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={6}
+        placeholder={"978-0-06-231500-7\n0-7432-7356-7"}
+        className="mt-3 w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 font-mono text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200"
+        aria-label={t("isbn.inputLabel")}
+      />
+
+      <div className="mt-3 flex flex-wrap items-center gap-3">
+        <label className="inline-flex items-center gap-2 rounded-2xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 cursor-pointer">
+          <Upload size={16} /> {t("isbn.upload")}
+          <input type="file" accept=".txt,.csv,text/plain,text/csv" onChange={onFile} className="sr-only" />
+        </label>
+        {running ? (
+          <>
+            <span className="flex items-center gap-2 text-amber-800">
+              <Loader2 className="animate-spin" size={18} /> {t("isbn.progress", { done, total: valid.length })}
+            </span>
+            <button type="button" onClick={cancel} className="text-amber-800 underline">
+              {t("isbn.cancel")}
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            onClick={run}
+            disabled={pending.length === 0}
+            className="rounded-2xl px-5 py-2 bg-amber-600 text-white font-semibold hover:bg-amber-700 disabled:opacity-50 shadow-md"
+          >
+            {t("isbn.lookUp", { count: pending.length })}
+          </button>
+        )}
+        {entries.length > 0 && (
+          <span className="text-sm text-gray-700">
+            {invalidCount ? t("isbn.validWithErrors", { valid: valid.length, invalid: invalidCount }) : t("isbn.valid", { count: valid.length })}
+          </span>
+        )}
+      </div>
+      {fileError && <p className="mt-2 text-red-600">{t("isbn.fileError")}</p>}
+
+      {entries.length > 0 && (
+        <div className="mt-4 max-h-80 overflow-y-auto rounded-2xl border border-amber-200">
+          <table className="w-full text-sm">
+            <thead className="bg-amber-50 text-left text-gray-800 sticky top-0">
+              <tr>
+                <th className="p-2">{t("isbn.line")}</th>
+                <th className="p-2">{t("isbn.input")}</th>
+                <th className="p-2">ISBN-10</th>
+                <th className="p-2">ISBN-13</th>
+                <th className="p-2">{t("isbn.status")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((e) => (
+                <tr key={e.line} className="border-t border-amber-100 align-top">
+                  <td className="p-2 text-gray-600">{formatNumber(e.line)}</td>
+                  <td className="p-2 font-mono break-all">{e.raw}</td>
+                  <td className="p-2 font-mono">{e.error ? "" : e.isbn10 || t("isbn.no10")}</td>
+                  <td className="p-2 font-mono">{e.isbn13 || ""}</td>
+                  <td className="p-2">{status(e)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {found.length > 0 && (
+        <div className="mt-6">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+            <h3 className="font-semibold text-gray-800">
+              {t("isbn.foundCount", { count: found.length })}
+            </h3>
+            <button
+              type="button"
+              onClick={() => onSaveAll(unsaved)}
+              disabled={unsaved.length === 0}
+              className="inline-flex items-center gap-2 rounded-2xl px-4 py-2 bg-amber-600 text-white font-semibold hover:bg-amber-700 disabled:opacity-50 shadow-md"
+            >
+              <Star size={16} /> {unsaved.length ? t("isbn.saveAll", { count: unsaved.length }) : t("isbn.allSaved")}
+            </button>
+          </div>
+          <div className={layout === "grid" ? "grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 lg:grid-cols-7 gap-4" : "space-y-3"}>
+            {found.map((e) => {
+              const book = results[e.isbn13].book;
+              return (
+                <BookCard
+                  key={e.isbn13}
+                  book={book}
+                  layout={layout}
+                  onSelect={onSelect}
+                  onToggleFav={onToggleFav}
+                  onAuthor={onAuthor}
+                  fav={isSaved(book.key)}
+                />
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Copy, Loader2 } from "lucide-react";
+import { getEditionByIsbn } from "../lib/openLibrary";
+import { normalizeEdition } from "../lib/editions";
+import { useI18n } from "../lib/i18n";
+import { CITATION_STYLES, bookSource, entrySource, formatCitation, toMarkdown, toPlainText } from "../lib/citations";
+
+/**
+ * "Cite" panel for the detail modal. Publisher and year come from a real
+ * edition: the one the user owns if set, else the edition behind the book's
+ * first ISBN, else the work record. The panel says which it used.
+ */
+export function CitePanel({ book, work, entry }) {
+  const { t } = useI18n();
+  const [style, setStyle] = useState("apa");
+  const [edition, setEdition] = useState(null);
+  const [lookup, setLookup] = useState("idle"); // idle | loading | done | failed
+  const [copied, setCopied] = useState(""); // "" | text | markdown | failed
+  const controller = useRef(null);
+
+  const owned = entry?.edition || null;
+  const isbn = owned ? "" : book.isbn?.[0] || entry?.isbn || "";
+
+  useEffect(() => {
+    setEdition(null);
+    setLookup("idle");
+    if (!isbn) return;
+    controller.current?.abort();
+    controller.current = new AbortController();
+    setLookup("loading");
+    getEditionByIsbn(isbn, { signal: controller.current.signal })
+      .then((raw) => {
+        setEdition(normalizeEdition(raw));
+        setLookup("done");
+      })
+      .catch((e) => {
+        if (e.name !== "AbortError") setLookup("failed");
+      });
+    return () => controller.current?.abort();
+  }, [isbn]);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(""), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const source = owned
+    ? { ...entrySource(entry), ...(book.author_name?.length ? { authors: book.author_name } : {}) }
+    : bookSource({ book, work, entry, edition });
+  const runs = formatCitation(source, style);
+
+  async function copy(kind) {
+    try {
+      await navigator.clipboard.writeText(kind === "markdown" ? toMarkdown(runs) : toPlainText(runs));
+      setCopied(kind);
+    } catch {
+      setCopied("failed");
+    }
+  }
+
+  const basis = owned
+    ? t("cite.fromOwned")
+    : lookup === "loading"
+      ? t("cite.lookingUp")
+      : edition
+        ? t("cite.fromIsbn", { isbn: source.isbn || isbn })
+        : t("cite.fromWork");
+
+  return (
+    <section className="mt-6 rounded-2xl border border-amber-200 bg-amber-50/60 p-5" aria-labelledby="cite-title">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 id="cite-title" className="text-lg font-semibold text-gray-800">{t("cite.title")}</h3>
+        <div className="flex gap-2" role="group" aria-label={t("cite.style")}>
+          {CITATION_STYLES.map((s) => (
+            <button
+              key={s.id}
+              type="button"
+              aria-pressed={style === s.id}
+              onClick={() => setStyle(s.id)}
+              className={`rounded-xl px-3 py-1.5 text-sm font-semibold border transition-all ${
+                style === s.id ? "bg-amber-600 border-amber-600 text-white" : "bg-white border-amber-300 text-amber-900 hover:bg-amber-50"
+              }`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="mt-4 text-lg text-gray-800 leading-relaxed pl-8 -indent-8 select-all">
+        {runs.map((r, i) => (r.italic ? <i key={i}>{r.text}</i> : <React.Fragment key={i}>{r.text}</React.Fragment>))}
+      </p>
+      <p className="mt-3 text-sm text-amber-900 flex items-center gap-2">
+        {lookup === "loading" && <Loader2 className="animate-spin" size={14} />}
+        {basis}
+      </p>
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={() => copy("text")}
+          className="inline-flex items-center gap-2 rounded-xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50"
+        >
+          <Copy size={16} /> {t(copied === "text" ? "cite.copied" : "cite.copy")}
+        </button>
+        <button
+          type="button"
+          onClick={() => copy("markdown")}
+          className="inline-flex items-center gap-2 rounded-xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50"
+        >
+          <Copy size={16} /> {t(copied === "markdown" ? "cite.copied" : "cite.copyMarkdown")}
+        </button>
+        {copied === "failed" && <span className="self-center text-sm text-red-600">{t("cite.copyFailed")}</span>}
+      </div>
+    </section>
+  );
+}
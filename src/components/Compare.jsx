@@ -0,0 +1,330 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { GitCompareArrows, Loader2, Star, X } from "lucide-react";
+import { Cover } from "./Cover";
+import { AvailabilityBadge } from "./BookCard";
+import { useI18n } from "../lib/i18n";
+import { useDialog } from "../lib/dialog";
+import { ErrorNotice } from "./ErrorNotice";
+import { EDITION_SAMPLE, MAX_COMPARE, loadComparison, sharedSubjects, subjectKey, summarizeWork } from "../lib/compare";
+
+/**
+ * The comparison tray (a bar along the bottom of the page listing the books
+ * picked with a card's Compare toggle) and the side-by-side view it opens.
+ */
+
+const SUBJECTS_SHOWN = 12;
+const LANGUAGES_SHOWN = 5;
+
+export function CompareTray({ books, onRemove, onClear, onOpen }) {
+  const { t } = useI18n();
+  if (!books.length) return null;
+  return (
+    <section
+      aria-label={t("compare.tray")}
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 max-w-[calc(100%-2rem)] rounded-2xl border border-amber-300 bg-white/95 backdrop-blur shadow-2xl px-4 py-3 flex items-center gap-4"
+    >
+      <ul className="flex items-center gap-2">
+        {books.map((b) => (
+          <li key={b.key} className="relative">
+            <Cover book={b} className="w-10 h-14 rounded-md border border-amber-200" sizes="40px" />
+            <button
+              type="button"
+              onClick={() => onRemove(b)}
+              aria-label={t("compare.remove", { title: b.title || t("transfer.untitled") })}
+              title={t("compare.remove", { title: b.title || t("transfer.untitled") })}
+              className="absolute -top-2 -right-2 rounded-full bg-white border border-amber-300 p-0.5 text-amber-900 hover:bg-amber-50"
+            >
+              <X size={12} />
+            </button>
+          </li>
+        ))}
+      </ul>
+      <span className="text-sm text-amber-900 whitespace-nowrap">
+        {t("compare.count", { count: books.length, max: String(MAX_COMPARE) })}
+      </span>
+      <button
+        type="button"
+        onClick={onOpen}
+        disabled={books.length < 2}
+        title={books.length < 2 ? t("compare.needTwo") : undefined}
+        className="inline-flex items-center gap-2 rounded-xl px-4 py-2 bg-amber-600 text-white font-semibold hover:bg-amber-700 disabled:opacity-50 disabled:hover:bg-amber-600"
+      >
+        <GitCompareArrows size={16} /> {t("compare.open")}
+      </button>
+      <button type="button" onClick={onClear} className="text-sm font-semibold text-amber-900 hover:underline underline-offset-2">
+        {t("compare.clear")}
+      </button>
+    </section>
+  );
+}
+
+function without(obj, key) {
+  const next = { ...obj };
+  delete next[key];
+  return next;
+}
+
+/**
+ * Loads work, editions and ratings per book; `details[key]` is { status, data, error }
+ * where a "done" column may still carry the error of a part that failed.
+ */
+function useComparisonDetails(books) {
+  const [details, setDetails] = useState({});
+  const controllers = useRef(new Map());
+
+  useEffect(() => {
+    const wanted = new Set(books.map((b) => b.key));
+    for (const [key, controller] of controllers.current) {
+      if (!wanted.has(key)) {
+        controller.abort();
+        controllers.current.delete(key);
+        setDetails((prev) => without(prev, key));
+      }
+    }
+    for (const book of books) {
+      if (details[book.key] || controllers.current.has(book.key)) continue;
+      const controller = new AbortController();
+      controllers.current.set(book.key, controller);
+      setDetails((prev) => ({ ...prev, [book.key]: { status: "loading", data: null } }));
+      loadComparison(book, { signal: controller.signal })
+        .then((data) => setDetails((prev) => ({ ...prev, [book.key]: { status: "done", data } })))
+        .catch((e) => {
+          if (e.name !== "AbortError") setDetails((prev) => ({ ...prev, [book.key]: { status: "failed", data: null, error: e } }));
+        })
+        .finally(() => {
+          if (controllers.current.get(book.key) === controller) controllers.current.delete(book.key);
+        });
+    }
+    // Re-running is cheap: books already loaded or loading are skipped
+  }, [books, details]);
+
+  useEffect(() => {
+    const running = controllers.current;
+    return () => running.forEach((c) => c.abort());
+  }, []);
+
+  function retry(key) {
+    setDetails((prev) => without(prev, key));
+  }
+
+  return [details, retry];
+}
+
+function Pending({ status }) {
+  const { t } = useI18n();
+  if (status === "loading") return <Loader2 className="animate-spin text-amber-700" size={18} aria-label={t("compare.loading")} />;
+  return <span className="text-gray-500">—</span>;
+}
+
+export function CompareView({ books, onClose, onRemove, onSelect }) {
+  const { t, formatNumber, languageName } = useI18n();
+  const [details, retry] = useComparisonDetails(books);
+  const dialog = useRef(null);
+  const onKeyDown = useDialog(dialog, onClose);
+
+  // Hand focus back to whatever opened the view
+  useEffect(() => {
+    const opener = document.activeElement;
+    return () => {
+      if (opener?.isConnected) opener.focus({ preventScroll: true });
+    };
+  }, []);
+
+  const columns = useMemo(
+    () => books.map((b) => ({ ...summarizeWork(b, details[b.key]?.data || {}), status: details[b.key]?.status || "loading" })),
+    [books, details]
+  );
+  const shared = useMemo(() => sharedSubjects(columns), [columns]);
+
+  const rows = [
+    {
+      id: "authors",
+      render: (col) => (col.authors.length ? col.authors.join(", ") : <span className="text-gray-500">{t("card.unknownAuthor")}</span>),
+    },
+    {
+      id: "year",
+      render: (col) => (col.year ? String(col.year) : <Pending status={col.status} />),
+    },
+    {
+      id: "editions",
+      render: (col) => (col.editionCount ? formatNumber(col.editionCount) : <Pending status={col.status} />),
+    },
+    {
+      id: "pages",
+      render: (col) =>
+        col.pages ? (
+          <>
+            <div>{t("compare.pagesMedian", { count: col.pages.median })}</div>
+            {col.pages.min != null && col.pages.min !== col.pages.max && (
+              <div className="text-sm text-amber-900">{t("compare.pagesRange", { min: col.pages.min, max: col.pages.max })}</div>
+            )}
+            {col.pages.sampled > 0 && (
+              <div className="text-sm text-gray-500">{t("compare.sampled", { count: col.pages.sampled })}</div>
+            )}
+          </>
+        ) : (
+          <Pending status={col.status} />
+        ),
+    },
+    {
+      id: "languages",
+      render: (col) =>
+        col.languages.length ? (
+          <ul className="space-y-0.5">
+            {col.languages.slice(0, LANGUAGES_SHOWN).map(([code, n]) => (
+              <li key={code}>
+                {languageName(code)} <span className="text-sm text-gray-500">({formatNumber(n)})</span>
+              </li>
+            ))}
+            {col.languages.length > LANGUAGES_SHOWN && (
+              <li className="text-sm text-gray-500">{t("compare.more", { count: col.languages.length - LANGUAGES_SHOWN })}</li>
+            )}
+          </ul>
+        ) : (
+          <Pending status={col.status} />
+        ),
+    },
+    {
+      id: "subjects",
+      render: (col) => {
+        if (!col.subjects.length) return <Pending status={col.status} />;
+        // Shared subjects first so they line up at the top of each column
+        const ordered = [...col.subjects.filter((s) => shared.has(subjectKey(s))), ...col.subjects.filter((s) => !shared.has(subjectKey(s)))];
+        return (
+          <ul className="flex flex-wrap gap-1.5">
+            {ordered.slice(0, SUBJECTS_SHOWN).map((s) => {
+              const common = shared.has(subjectKey(s));
+              return (
+                <li
+                  key={s}
+                  title={common ? t("compare.sharedSubject") : undefined}
+                  className={`rounded-full border px-2.5 py-0.5 text-sm ${
+                    common ? "bg-amber-200 border-amber-400 text-amber-950 font-semibold" : "bg-white border-amber-200 text-gray-700"
+                  }`}
+                >
+                  {s}
+                  {common && <span className="sr-only"> ({t("compare.sharedSubject")})</span>}
+                </li>
+              );
+            })}
+            {ordered.length > SUBJECTS_SHOWN && (
+              <li className="text-sm text-gray-500 self-center">{t("compare.more", { count: ordered.length - SUBJECTS_SHOWN })}</li>
+            )}
+          </ul>
+        );
+      },
+    },
+    {
+      id: "rating",
+      render: (col) =>
+        col.rating ? (
+          <span className="inline-flex items-center gap-1.5">
+            <Star size={18} className="fill-amber-400 stroke-amber-500" />
+            {t("compare.ratingValue", { average: Math.round(col.rating.average * 10) / 10 })}
+            <span className="text-sm text-gray-500">{t("compare.ratingCount", { count: col.rating.count })}</span>
+          </span>
+        ) : col.status === "loading" ? (
+          <Pending status={col.status} />
+        ) : (
+          <span className="text-gray-500">{t("compare.noRatings")}</span>
+        ),
+    },
+    {
+      id: "availability",
+      render: (col) =>
+        col.availability.status === "unknown" ? (
+          <span className="text-gray-500">—</span>
+        ) : col.availability.status === "none" ? (
+          t("avail.none")
+        ) : (
+          <AvailabilityBadge availability={col.availability} />
+        ),
+    },
+  ];
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <div
+        ref={dialog}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="compare-title"
+        tabIndex={-1}
+        onKeyDown={onKeyDown}
+        className="w-full h-full bg-white overflow-auto focus:outline-none"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 md:p-10">
+          <div className="flex items-start justify-between gap-4 mb-6">
+            <div>
+              <h2 id="compare-title" className="text-3xl font-bold text-gray-800">{t("compare.title")}</h2>
+              <p className="mt-1 text-amber-900">{t("compare.legend", { count: EDITION_SAMPLE })}</p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              aria-label={t("compare.close")}
+              title={t("compare.close")}
+              className="rounded-full p-2.5 border border-amber-200 hover:bg-amber-50"
+            >
+              <X size={22} />
+            </button>
+          </div>
+          <table className="w-full table-fixed border-collapse text-left align-top">
+            <colgroup>
+              <col className="w-40" />
+              {columns.map((col) => <col key={col.key} />)}
+            </colgroup>
+            <thead>
+              <tr>
+                <td />
+                {columns.map((col) => (
+                  <th key={col.key} scope="col" className="p-3 align-top font-normal">
+                    <div className="relative w-32">
+                      <Cover book={col.book} className="w-32 aspect-[2/3] rounded-xl border border-amber-200 shadow-md" sizes="128px" loading="eager" />
+                      <button
+                        type="button"
+                        onClick={() => onRemove(col.book)}
+                        aria-label={t("compare.remove", { title: col.title || t("transfer.untitled") })}
+                        title={t("compare.remove", { title: col.title || t("transfer.untitled") })}
+                        className="absolute -top-2 -right-2 rounded-full bg-white border border-amber-300 p-1 text-amber-900 hover:bg-amber-50"
+                      >
+                        <X size={14} />
+                      </button>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => onSelect(col.book)}
+                      className="mt-3 block text-left text-lg font-semibold text-gray-800 leading-tight hover:underline underline-offset-2"
+                    >
+                      {col.title || t("transfer.untitled")}
+                    </button>
+                    <ErrorNotice
+                      error={details[col.key]?.error || details[col.key]?.data?.error}
+                      onRetry={() => retry(col.key)}
+                      className="mt-2 text-sm"
+                    />
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.id} className="border-t border-amber-100">
+                  <th scope="row" className="p-3 align-top text-sm font-semibold uppercase tracking-wide text-amber-900">
+                    {t(`compare.row.${row.id}`)}
+                  </th>
+                  {columns.map((col) => (
+                    <td key={col.key} className="p-3 align-top text-gray-800">
+                      {row.render(col)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+import { coverUrl } from "../lib/openLibrary";
+import { coverSources, coverSrcSet, generatedCover, isMissingCover } from "../lib/covers";
+
+/**
+ * A book cover that falls back through Open Library's cover id, ISBN and
+ * edition OLID, skipping the 1×1 "missing" images and failed loads, and ends
+ * at a generated SVG cover. While a cover loads, its small (S) version is
+ * shown blurred underneath.
+ *
+ * `className` sizes the box; `sizes` is the srcset hint for the rendered width.
+ */
+export function Cover({ book, title, author, alt, className = "", sizes = "(min-width: 768px) 200px, 50vw", loading = "lazy" }) {
+  const sources = coverSources(book);
+  const name = title ?? book?.title ?? "";
+  const by = author ?? book?.author ?? (book?.author_name || []).join(", ");
+  // A new book starts over from its first source
+  const sourcesKey = sources.map((s) => `${s.by}:${s.value}`).join("|");
+  return (
+    <CoverImage
+      key={sourcesKey}
+      sources={sources}
+      title={name}
+      author={by}
+      alt={alt ?? name}
+      className={className}
+      sizes={sizes}
+      loading={loading}
+    />
+  );
+}
+
+function CoverImage({ sources, title, author, alt, className, sizes, loading }) {
+  const [index, setIndex] = useState(0);
+  const [loaded, setLoaded] = useState(false);
+  const source = sources[index];
+
+  function next() {
+    setLoaded(false);
+    setIndex((i) => i + 1);
+  }
+
+  return (
+    <div className={`relative overflow-hidden bg-amber-100 ${className}`}>
+      {source ? (
+        <>
+          {!loaded && (
+            <img
+              src={coverUrl(source.by, source.value, "S")}
+              alt=""
+              aria-hidden="true"
+              className="absolute inset-0 w-full h-full object-cover blur-md scale-110"
+            />
+          )}
+          <img
+            src={coverUrl(source.by, source.value, "M")}
+            srcSet={coverSrcSet(source)}
+            sizes={sizes}
+            alt={alt}
+            loading={loading}
+            onLoad={(e) => (isMissingCover(e.currentTarget) ? next() : setLoaded(true))}
+            onError={next}
+            className={`absolute inset-0 w-full h-full object-cover transition-opacity duration-500 ${loaded ? "opacity-100" : "opacity-0"}`}
+          />
+        </>
+      ) : (
+        <img src={generatedCover(title, author)} alt={alt} className="absolute inset-0 w-full h-full object-cover" />
+      )}
+    </div>
+  );
+}
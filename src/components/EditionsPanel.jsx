@@ -0,0 +1,256 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Check, Loader2 } from "lucide-react";
+import { getWorkEditions } from "../lib/openLibrary";
+import { editionFacets, editionSummary, filterEditions, normalizeEdition } from "../lib/editions";
+import { useI18n } from "../lib/i18n";
+import { ErrorNotice } from "./ErrorNotice";
+
+/**
+ * Editions tab of the detail modal: every edition of a work, loaded from
+ * /works/{id}/editions.json in batches, with language/format/text filters and
+ * an "I own this" action that records the edition on the saved book.
+ */
+
+const FETCH_SIZE = 100;
+const ROWS_PER_PAGE = 25;
+
+export function EditionsPanel({ workKey, ownedKey, onPick }) {
+  const { t, formatNumber, languageName } = useI18n();
+  const [editions, setEditions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [language, setLanguage] = useState("");
+  const [format, setFormat] = useState("");
+  const [text, setText] = useState("");
+  const [rowPage, setRowPage] = useState(0);
+  const [loadAll, setLoadAll] = useState(false);
+  const [attempt, setAttempt] = useState(0); // bumped by Retry
+  const controller = useRef(null);
+
+  const [wanted, setWanted] = useState(FETCH_SIZE);
+
+  // Fetch the next batch whenever we hold fewer editions than requested.
+  // (The modal keys this panel by work, so state starts fresh per book.)
+  useEffect(() => {
+    const target = loadAll ? Math.max(total, wanted) : wanted;
+    if (editions.length >= target || (total && editions.length >= total)) return;
+    const fetchBatch = async () => {
+      try {
+        controller.current?.abort();
+        controller.current = new AbortController();
+        setLoading(true);
+        setError(null);
+        const data = await getWorkEditions(workKey, {
+          limit: FETCH_SIZE,
+          offset: editions.length,
+          signal: controller.current.signal,
+        });
+        const batch = (data.entries || []).map(normalizeEdition);
+        setTotal(data.size || 0);
+        setEditions((prev) => [...prev, ...batch]);
+        // An empty batch means the API has nothing more, whatever `size` claims
+        if (!batch.length) setTotal(editions.length);
+      } catch (e) {
+        if (e.name !== "AbortError") setError(e);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchBatch();
+    return () => controller.current?.abort();
+  }, [workKey, editions.length, wanted, loadAll, total, attempt]);
+
+  const facets = useMemo(() => editionFacets(editions), [editions]);
+  const filtered = useMemo(
+    () => filterEditions(editions, { language, format, text }),
+    [editions, language, format, text]
+  );
+  const pageCount = Math.max(1, Math.ceil(filtered.length / ROWS_PER_PAGE));
+  const currentPage = Math.min(rowPage, pageCount - 1);
+  const rows = filtered.slice(currentPage * ROWS_PER_PAGE, (currentPage + 1) * ROWS_PER_PAGE);
+  const allLoaded = total > 0 && editions.length >= total;
+  const filtering = Boolean(language || format || text.trim());
+
+  const selectClass =
+    "rounded-2xl border border-amber-300 px-3 py-2 bg-white text-gray-800 text-base focus:border-amber-600 focus:ring-2 focus:ring-amber-200";
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <label className="flex flex-col text-sm font-semibold text-gray-800">
+          {t("editions.language")}
+          <select
+            value={language}
+            onChange={(e) => {
+              setLanguage(e.target.value);
+              setRowPage(0);
+            }}
+            className={`mt-1 ${selectClass}`}
+          >
+            <option value="">{t("editions.allLanguages")}</option>
+            {facets.languages.map(([code, n]) => (
+              <option key={code} value={code}>
+                {t("editions.optionCount", { name: languageName(code), count: n })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-sm font-semibold text-gray-800">
+          {t("editions.format")}
+          <select
+            value={format}
+            onChange={(e) => {
+              setFormat(e.target.value);
+              setRowPage(0);
+            }}
+            className={`mt-1 ${selectClass}`}
+          >
+            <option value="">{t("editions.allFormats")}</option>
+            {facets.formats.map(([f, n]) => (
+              <option key={f} value={f}>
+                {t("editions.optionCount", { name: f, count: n })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-sm font-semibold text-gray-800 flex-1 min-w-48">
+          {t("editions.search")}
+          <input
+            value={text}
+            onChange={(e) => {
+              setText(e.target.value);
+              setRowPage(0);
+            }}
+            placeholder={t("editions.searchPlaceholder")}
+            className={`mt-1 ${selectClass} placeholder-gray-500`}
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3 text-sm text-gray-700">
+        <span>
+          {t(filtering ? "editions.loadedMatching" : "editions.loaded", {
+            matching: filtered.length,
+            loaded: editions.length,
+            count: total || editions.length,
+          })}
+        </span>
+        {!allLoaded && total > 0 && (
+          <span className="flex gap-2">
+            <button
+              type="button"
+              disabled={loading}
+              onClick={() => setWanted((w) => Math.max(w, editions.length) + FETCH_SIZE)}
+              className="rounded-xl px-3 py-1.5 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-60"
+            >
+              {t("editions.loadMore")}
+            </button>
+            <button
+              type="button"
+              disabled={loading || loadAll}
+              onClick={() => setLoadAll(true)}
+              className="rounded-xl px-3 py-1.5 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-60"
+            >
+              {t("editions.loadAll", { count: total })}
+            </button>
+          </span>
+        )}
+      </div>
+      {filtering && !allLoaded && total > 0 && (
+        <p className="mb-3 text-sm text-amber-800">{t("editions.filtersLoaded")}</p>
+      )}
+
+      <div className="overflow-x-auto rounded-2xl border border-amber-200">
+        <table className="w-full text-sm">
+          <thead className="bg-amber-50 text-left text-gray-800">
+            <tr>
+              <th className="p-2">{t("editions.edition")}</th>
+              <th className="p-2">{t("editions.publisher")}</th>
+              <th className="p-2">{t("editions.published")}</th>
+              <th className="p-2">{t("editions.language")}</th>
+              <th className="p-2">{t("editions.pages")}</th>
+              <th className="p-2">{t("editions.format")}</th>
+              <th className="p-2">ISBN-10</th>
+              <th className="p-2">ISBN-13</th>
+              <th className="p-2"><span className="sr-only">{t("editions.actions")}</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((e) => {
+              const owned = e.key === ownedKey;
+              return (
+                <tr key={e.key} className={`border-t border-amber-100 align-top ${owned ? "bg-emerald-50" : ""}`}>
+                  <td className="p-2 text-gray-800 font-medium">{e.title}</td>
+                  <td className="p-2">{e.publishers.join(", ") || "—"}</td>
+                  <td className="p-2 whitespace-nowrap">{e.publishDate || "—"}</td>
+                  <td className="p-2">{e.languages.map((code) => languageName(code)).join(", ") || "—"}</td>
+                  <td className="p-2">{e.pages ? formatNumber(e.pages) : "—"}</td>
+                  <td className="p-2">{e.format || "—"}</td>
+                  <td className="p-2 font-mono">{e.isbn10.join(", ") || "—"}</td>
+                  <td className="p-2 font-mono">{e.isbn13.join(", ") || "—"}</td>
+                  <td className="p-2">
+                    {owned ? (
+                      <span className="inline-flex items-center gap-1 text-emerald-700 font-semibold whitespace-nowrap">
+                        <Check size={16} /> {t("editions.mine")}
+                      </span>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => onPick(editionSummary(e))}
+                        className="whitespace-nowrap rounded-xl px-3 py-1.5 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50"
+                      >
+                        {t("editions.own")}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {loading && (
+          <div className="flex items-center gap-3 p-4 text-amber-700">
+            <Loader2 className="animate-spin" size={18} /> {t("editions.loading")}
+          </div>
+        )}
+        {error && (
+          // A failed batch keeps the editions already loaded; Retry fetches from where it stopped
+          <div className="p-4 space-y-2">
+            {editions.length > 0 && <p className="text-gray-700">{t("editions.partial", { shown: editions.length, total })}</p>}
+            <ErrorNotice error={error} onRetry={() => setAttempt((n) => n + 1)} />
+          </div>
+        )}
+        {!loading && rows.length === 0 && (editions.length > 0 || !error) && (
+          <p className="p-4 text-amber-700 italic">
+            {t(editions.length ? "editions.noMatch" : "editions.none")}
+          </p>
+        )}
+      </div>
+
+      {pageCount > 1 && (
+        <div className="mt-3 flex items-center justify-center gap-3 text-sm">
+          <button
+            type="button"
+            disabled={currentPage === 0}
+            onClick={() => setRowPage(currentPage - 1)}
+            className="rounded-xl px-3 py-1.5 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-50"
+          >
+            {t("editions.previous")}
+          </button>
+          <span>
+            {t("editions.page", { page: currentPage + 1, count: pageCount })}
+          </span>
+          <button
+            type="button"
+            disabled={currentPage >= pageCount - 1}
+            onClick={() => setRowPage(currentPage + 1)}
+            className="rounded-xl px-3 py-1.5 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-50"
+          >
+            {t("editions.next")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
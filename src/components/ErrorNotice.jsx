@@ -0,0 +1,27 @@
+import React from "react";
+import { AlertTriangle, RotateCw } from "lucide-react";
+import { useI18n } from "../lib/i18n";
+import { errorKey } from "../lib/errors";
+
+/** A failed request explained in words, with a Retry button when `onRetry` is given. */
+export function ErrorNotice({ error, onRetry, query = false, className = "" }) {
+  const { t } = useI18n();
+  if (!error) return null;
+  return (
+    <div className={`inline-flex flex-wrap items-center gap-x-3 gap-y-2 text-red-700 text-base ${className}`}>
+      <span className="inline-flex items-center gap-2">
+        <AlertTriangle size={18} className="shrink-0" />
+        {t(errorKey(error, { query }))}
+      </span>
+      {onRetry && (
+        <button
+          type="button"
+          onClick={onRetry}
+          className="inline-flex items-center gap-1.5 rounded-xl px-3 py-1.5 border border-red-300 bg-white text-red-700 font-semibold hover:bg-red-50"
+        >
+          <RotateCw size={14} /> {t("error.retry")}
+        </button>
+      )}
+    </div>
+  );
+}
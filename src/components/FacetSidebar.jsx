@@ -0,0 +1,156 @@
+import React, { useRef, useState } from "react";
+import { Loader2, SlidersHorizontal, X } from "lucide-react";
+import { FACET_GROUPS, facetLabel } from "../lib/facets";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Facet sidebar: top values per field with counts (from a sample of the
+ * current results) and a first-publish-year histogram whose brush sets the
+ * year range. Also exports the removable chips shown above the results.
+ */
+
+function YearHistogram({ bins, yearMin, yearMax, onRange }) {
+  const { t, formatNumber } = useI18n();
+  const [drag, setDrag] = useState(null); // { from, to } bin indexes while brushing
+  const svg = useRef(null);
+  if (!bins.length) return <p className="text-sm text-amber-800">{t("facet.noYears")}</p>;
+
+  const max = Math.max(...bins.map((b) => b.count));
+  const W = 240;
+  const H = 80;
+  const bw = W / bins.length;
+  const lo = Number(yearMin) || -Infinity;
+  const hi = Number(yearMax) || Infinity;
+
+  const indexAt = (clientX) => {
+    const rect = svg.current.getBoundingClientRect();
+    const x = ((clientX - rect.left) / rect.width) * W;
+    return Math.min(bins.length - 1, Math.max(0, Math.floor(x / bw)));
+  };
+  const inBrush = (i) => {
+    if (drag) return i >= Math.min(drag.from, drag.to) && i <= Math.max(drag.from, drag.to);
+    return bins[i].to >= lo && bins[i].from <= hi;
+  };
+
+  return (
+    <div>
+      <svg
+        ref={svg}
+        viewBox={`0 0 ${W} ${H}`}
+        className="w-full h-20 cursor-crosshair touch-none select-none"
+        role="img"
+        aria-label={t("facet.histogram")}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          const i = indexAt(e.clientX);
+          setDrag({ from: i, to: i });
+        }}
+        onPointerMove={(e) => {
+          if (drag) setDrag({ ...drag, to: indexAt(e.clientX) });
+        }}
+        onPointerUp={() => {
+          if (!drag) return;
+          const a = Math.min(drag.from, drag.to);
+          const b = Math.max(drag.from, drag.to);
+          setDrag(null);
+          onRange(String(bins[a].from), String(bins[b].to));
+        }}
+      >
+        {bins.map((b, i) => {
+          const h = max ? Math.max(2, (b.count / max) * (H - 4)) : 0;
+          return (
+            <rect
+              key={b.from}
+              x={i * bw + 0.5}
+              y={H - h}
+              width={Math.max(1, bw - 1)}
+              height={h}
+              rx={1}
+              className={inBrush(i) ? "fill-amber-500" : "fill-amber-200"}
+            >
+              <title>
+                {b.from === b.to ? b.from : `${b.from}–${b.to}`}: {formatNumber(b.count)}
+              </title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="flex justify-between text-xs text-amber-900 mt-1">
+        <span>{bins[0].from}</span>
+        <span>{bins[bins.length - 1].to}</span>
+      </div>
+    </div>
+  );
+}
+
+export function FacetSidebar({ facets, histogram, sampleSize, loading, lang, yearMin, yearMax, onPick, onRange }) {
+  const i18n = useI18n();
+  const { t, formatNumber } = i18n;
+  return (
+    <aside className="rounded-3xl bg-white shadow-md border border-amber-200 p-4 space-y-6">
+      <h2 className="font-semibold text-gray-800 flex items-center gap-2">
+        <SlidersHorizontal size={18} /> {t("facet.refine")}
+        {loading && <Loader2 className="animate-spin text-amber-600" size={16} />}
+      </h2>
+      {sampleSize > 0 && <p className="text-xs text-amber-800 -mt-4">{t("facet.sample", { count: sampleSize })}</p>}
+
+      <div>
+        <h3 className="text-sm font-semibold text-gray-800 mb-2">{t("facet.firstPublished")}</h3>
+        <YearHistogram bins={histogram.bins} yearMin={yearMin} yearMax={yearMax} onRange={onRange} />
+      </div>
+
+      {FACET_GROUPS.map(({ field, label }) =>
+        facets[field]?.length ? (
+          <div key={field}>
+            <h3 className="text-sm font-semibold text-gray-800 mb-2">{t(label)}</h3>
+            <ul className="space-y-1">
+              {facets[field].map(({ value, count }) => {
+                const active = field === "language" && value === lang;
+                return (
+                  <li key={value}>
+                    <button
+                      type="button"
+                      onClick={() => onPick({ field, value })}
+                      className={`w-full flex items-center justify-between gap-2 rounded-xl px-2 py-1 text-left text-sm hover:bg-amber-50 ${
+                        active ? "bg-amber-100 text-amber-900 font-semibold" : "text-gray-700"
+                      }`}
+                    >
+                      <span className="line-clamp-1">{facetLabel(field, value, i18n)}</span>
+                      <span className="shrink-0 rounded-full bg-amber-100 px-2 text-xs text-amber-900">{formatNumber(count)}</span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ) : null
+      )}
+    </aside>
+  );
+}
+
+export function FilterChips({ chips }) {
+  const { t } = useI18n();
+  if (!chips.length) return null;
+  return (
+    <div className="mt-4 flex flex-wrap items-center gap-2">
+      {chips.map((c) => (
+        <span
+          key={c.id}
+          className="inline-flex items-center gap-1 rounded-full bg-amber-100 border border-amber-300 pl-3 pr-1 py-1 text-sm text-amber-900"
+        >
+          {c.label}
+          <button
+            type="button"
+            onClick={c.onRemove}
+            className="rounded-full p-0.5 hover:bg-amber-200"
+            aria-label={t("facet.removeNamed", { label: c.label })}
+            title={t("facet.remove")}
+          >
+            <X size={14} />
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
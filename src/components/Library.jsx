@@ -0,0 +1,441 @@
+import React, { useMemo, useRef, useState } from "react";
+import { ArrowDownUp, BookMarked, Check, ChevronDown, Pencil, Plus, Search, Star, Tag, Trash2, X } from "lucide-react";
+import { Cover } from "./Cover";
+import { LibraryTransfer } from "./LibraryTransfer";
+import { DEFAULT_SHELF, hasTag, libraryTags, searchEntry, shelfLabel } from "../lib/library";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Reading shelves UI: the "My Shelves" section (with tag filters and a search
+ * over notes and quotes) plus the small pieces the detail modal reuses
+ * (rating stars, shelf menu).
+ */
+
+export function RatingStars({ value = 0, onChange, size = 18 }) {
+  const { t } = useI18n();
+  const [hover, setHover] = useState(0);
+  const shown = hover || value;
+  return (
+    <div className="flex items-center gap-0.5" onMouseLeave={() => setHover(0)}>
+      {[1, 2, 3, 4, 5].map((n) => (
+        <button
+          key={n}
+          type="button"
+          onMouseEnter={() => setHover(n)}
+          onClick={(e) => {
+            e.stopPropagation();
+            // clicking the current rating again clears it
+            onChange(n === value ? 0 : n);
+          }}
+          aria-label={t("library.rate", { n })}
+          title={t("library.rate", { n })}
+          className="p-0.5 transition-transform hover:scale-110"
+        >
+          <Star
+            size={size}
+            className={n <= shown ? "fill-amber-400 stroke-amber-500" : "stroke-amber-300"}
+          />
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/** Button + dropdown listing every shelf; marks the one the book is on. */
+export function ShelfMenu({ shelves, current, onPick, onRemove, label, className = "" }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [open, setOpen] = useState(false);
+  const currentShelf = shelves.find((s) => s.id === current);
+  const toggle = useRef(null);
+  return (
+    <div
+      className="relative"
+      onKeyDown={(e) => {
+        // Close the menu, not the dialog it may sit in
+        if (e.key !== "Escape" || !open) return;
+        e.stopPropagation();
+        setOpen(false);
+        toggle.current?.focus();
+      }}
+    >
+      <button
+        ref={toggle}
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className={
+          className ||
+          "inline-flex items-center gap-2 px-8 py-4 border border-amber-600 text-amber-700 font-semibold text-lg rounded-2xl hover:bg-amber-50 transition-all"
+        }
+      >
+        <BookMarked size={20} /> {currentShelf ? t("library.onShelf", { name: shelfLabel(currentShelf, i18n) }) : label || t("library.saveForLater")} <ChevronDown size={18} />
+      </button>
+      {open && (
+        <div
+          role="menu"
+          className="absolute z-10 bottom-full mb-2 left-0 min-w-56 rounded-2xl border border-amber-200 bg-white shadow-lg py-2"
+        >
+          {shelves.map((s) => (
+            <button
+              key={s.id}
+              role="menuitem"
+              type="button"
+              onClick={() => {
+                onPick(s.id);
+                setOpen(false);
+              }}
+              className="w-full flex items-center justify-between gap-3 px-4 py-2 text-left text-gray-800 hover:bg-amber-50"
+            >
+              <span>{shelfLabel(s, i18n)}</span>
+              {s.id === current && <Check size={16} className="text-emerald-600" />}
+            </button>
+          ))}
+          {current && onRemove && (
+            <button
+              role="menuitem"
+              type="button"
+              onClick={() => {
+                onRemove();
+                setOpen(false);
+              }}
+              className="w-full flex items-center gap-2 px-4 py-2 mt-1 border-t border-amber-100 text-left text-red-700 hover:bg-red-50"
+            >
+              <Trash2 size={16} /> {t("library.remove")}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ProgressBar({ pagesRead, pageCount }) {
+  const { t } = useI18n();
+  if (!pageCount) return null;
+  const pct = Math.min(100, Math.round((pagesRead / pageCount) * 100));
+  return (
+    <div className="mt-1">
+      <div className="h-2 rounded-full bg-amber-100 overflow-hidden">
+        <div className="h-full bg-emerald-500 transition-all" style={{ width: `${pct}%` }} />
+      </div>
+      <p className="text-xs text-amber-900 mt-1">{t("library.percentRead", { pct })}</p>
+    </div>
+  );
+}
+
+function DateField({ label, value, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-xs text-gray-700">
+      <span>{label}</span>
+      <input
+        type="date"
+        value={value || ""}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="rounded-lg border border-amber-200 px-1.5 py-0.5 text-xs text-gray-800 bg-white"
+      />
+    </label>
+  );
+}
+
+// Shown on a card for the note or quote a library search matched
+function MatchSnippet({ match }) {
+  const { t } = useI18n();
+  if (!match?.in) return null;
+  const where =
+    match.in === "notes" ? t("library.matchNote") : match.page ? t("library.matchQuotePage", { page: match.page }) : t("library.matchQuote");
+  return (
+    <p className="text-xs text-gray-700 line-clamp-3">
+      <span className="font-semibold text-amber-900">{where}:</span> {match.snippet}
+    </p>
+  );
+}
+
+function LibraryCard({ entry, match, shelves, onOpen, onMove, onUpdate, onRemove }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  return (
+    <div className="relative rounded-2xl bg-white shadow-md border border-amber-200 overflow-hidden flex flex-col">
+      <button type="button" onClick={() => onOpen(entry)} className="block" title={t("library.showDetails")}>
+        <Cover book={entry} className="w-full aspect-[2/3]" />
+      </button>
+      <div className="p-3 flex-1 flex flex-col gap-2">
+        <div>
+          <p className="text-base font-medium line-clamp-2 text-gray-800">{entry.title || t("transfer.untitled")}</p>
+          <p className="text-sm text-gray-700 line-clamp-1 mt-1">{entry.author}</p>
+        </div>
+        {entry.tags.length > 0 && (
+          <ul className="flex flex-wrap gap-1" aria-label={t("library.tags")}>
+            {entry.tags.map((tag) => (
+              <li key={tag} className="rounded-full bg-amber-50 border border-amber-200 px-2 py-0.5 text-xs text-amber-900">{tag}</li>
+            ))}
+          </ul>
+        )}
+        <MatchSnippet match={match} />
+        <RatingStars value={entry.rating} onChange={(rating) => onUpdate({ rating })} size={16} />
+        <select
+          value={entry.shelf}
+          onChange={(e) => onMove(e.target.value)}
+          className="w-full rounded-xl border border-amber-300 px-2 py-1.5 bg-white text-sm text-gray-800"
+          aria-label={t("library.shelf")}
+        >
+          {shelves.map((s) => (
+            <option key={s.id} value={s.id}>{shelfLabel(s, i18n)}</option>
+          ))}
+        </select>
+        {entry.shelf === "reading" && (
+          <div>
+            <div className="flex items-center gap-1 text-xs text-gray-700">
+              <input
+                type="number"
+                min={0}
+                max={entry.pageCount || undefined}
+                value={entry.pagesRead || ""}
+                onChange={(e) => onUpdate({ pagesRead: e.target.value })}
+                placeholder="0"
+                className="w-16 rounded-lg border border-amber-200 px-1.5 py-0.5 text-gray-800"
+                aria-label={t("library.pagesRead")}
+              />
+              <span>{t("library.pagesOf")}</span>
+              <input
+                type="number"
+                min={1}
+                value={entry.pageCount || ""}
+                onChange={(e) => onUpdate({ pageCount: e.target.value })}
+                placeholder="?"
+                className="w-16 rounded-lg border border-amber-200 px-1.5 py-0.5 text-gray-800"
+                aria-label={t("library.pageCount")}
+              />
+              <span>{t("library.pages")}</span>
+            </div>
+            <ProgressBar pagesRead={entry.pagesRead} pageCount={entry.pageCount} />
+          </div>
+        )}
+        <div className="mt-auto space-y-1">
+          <DateField label={t("library.added")} value={entry.addedAt} onChange={(addedAt) => onUpdate({ addedAt })} />
+          {(entry.shelf === "reading" || entry.shelf === "read" || entry.startedAt) && (
+            <DateField label={t("library.started")} value={entry.startedAt} onChange={(startedAt) => onUpdate({ startedAt })} />
+          )}
+          {(entry.shelf === "read" || entry.finishedAt) && (
+            <DateField label={t("library.finished")} value={entry.finishedAt} onChange={(finishedAt) => onUpdate({ finishedAt })} />
+          )}
+        </div>
+      </div>
+      <button
+        className="absolute top-3 right-3 rounded-full p-2.5 bg-white/95 hover:bg-red-50 transition-all hover:scale-110 shadow-md border border-amber-200"
+        title={t("library.remove")}
+        aria-label={t("library.remove")}
+        onClick={onRemove}
+      >
+        <X size={18} className="text-amber-900" />
+      </button>
+    </div>
+  );
+}
+
+export function LibrarySection({
+  library,
+  onOpen,
+  onMove,
+  onUpdate,
+  onRemove,
+  onAddShelf,
+  onRenameShelf,
+  onDeleteShelf,
+  onMerge,
+}) {
+  const i18n = useI18n();
+  const { t, formatNumber } = i18n;
+  const [active, setActive] = useState("all");
+  const [transferOpen, setTransferOpen] = useState(false);
+  const [newShelf, setNewShelf] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [tag, setTag] = useState(""); // "" shows every tag
+  const [query, setQuery] = useState("");
+
+  const entries = Object.values(library.books);
+  const counts = entries.reduce((acc, e) => ({ ...acc, [e.shelf]: (acc[e.shelf] || 0) + 1 }), {});
+  const tags = useMemo(() => libraryTags(library), [library]);
+  // A deleted shelf (or a tag no book has any more) can't stay selected
+  const activeId = active === "all" || library.shelves.some((s) => s.id === active) ? active : "all";
+  const activeTag = tags.some((item) => item.tag.toLowerCase() === tag.toLowerCase()) ? tag : "";
+  const filtered = (activeId === "all" ? entries : entries.filter((e) => e.shelf === activeId)).filter(
+    (e) => !activeTag || hasTag(e, activeTag)
+  );
+  const matches = new Map(query.trim() ? filtered.map((e) => [e.key, searchEntry(e, query)]) : []);
+  const shown = (query.trim() ? filtered.filter((e) => matches.get(e.key)) : filtered).sort((a, b) =>
+    (b.addedAt || "").localeCompare(a.addedAt || "")
+  );
+  const activeShelf = library.shelves.find((s) => s.id === activeId);
+
+  const tabClass = (on) =>
+    `rounded-full px-4 py-2 text-sm font-semibold border transition-all ${
+      on ? "bg-amber-600 text-white border-amber-600" : "bg-white text-amber-900 border-amber-300 hover:bg-amber-50"
+    }`;
+
+  return (
+    <section className="mt-10">
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-xl font-semibold flex items-center gap-2 text-gray-800">
+          <Star className="fill-emerald-500 stroke-emerald-500" size={22}/> {t("library.title")}
+        </h2>
+        <button
+          type="button"
+          onClick={() => setTransferOpen((o) => !o)}
+          aria-expanded={transferOpen}
+          className="inline-flex items-center gap-2 rounded-2xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50"
+        >
+          <ArrowDownUp size={16} /> {t("library.transfer")}
+        </button>
+      </div>
+
+      {transferOpen && <LibraryTransfer library={library} onMerge={onMerge} />}
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <button type="button" className={tabClass(activeId === "all")} onClick={() => setActive("all")}>
+          {t("library.all", { count: entries.length })}
+        </button>
+        {library.shelves.map((s) => (
+          <button key={s.id} type="button" className={tabClass(activeId === s.id)} onClick={() => setActive(s.id)}>
+            {t("library.shelfCount", { name: shelfLabel(s, i18n), count: counts[s.id] || 0 })}
+          </button>
+        ))}
+        <form
+          className="flex items-center gap-1"
+          onSubmit={(e) => {
+            e.preventDefault();
+            onAddShelf(newShelf);
+            setNewShelf("");
+          }}
+        >
+          <input
+            value={newShelf}
+            onChange={(e) => setNewShelf(e.target.value)}
+            placeholder={t("library.newShelf")}
+            aria-label={t("library.newShelf")}
+            className="rounded-full border border-amber-300 px-3 py-1.5 text-sm bg-white text-gray-800 w-32"
+          />
+          <button
+            type="submit"
+            disabled={!newShelf.trim()}
+            className="rounded-full p-2 border border-amber-300 bg-white text-amber-800 hover:bg-amber-50 disabled:opacity-50"
+            aria-label={t("library.addShelf")}
+            title={t("library.addShelf")}
+          >
+            <Plus size={16} />
+          </button>
+        </form>
+      </div>
+
+      {activeShelf && !activeShelf.builtin && (
+        <div className="flex items-center gap-2 mb-4 text-sm">
+          {editing?.id === activeShelf.id ? (
+            <form
+              className="flex items-center gap-2"
+              onSubmit={(e) => {
+                e.preventDefault();
+                onRenameShelf(activeShelf.id, editing.name);
+                setEditing(null);
+              }}
+            >
+              <input
+                autoFocus
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                aria-label={t("library.shelfName")}
+                className="rounded-full border border-amber-300 px-3 py-1.5 bg-white text-gray-800"
+              />
+              <button type="submit" className="rounded-full px-3 py-1.5 bg-amber-600 text-white">{t("library.save")}</button>
+              <button type="button" onClick={() => setEditing(null)} className="text-amber-800">{t("library.cancel")}</button>
+            </form>
+          ) : (
+            <>
+              <button
+                type="button"
+                onClick={() => setEditing({ id: activeShelf.id, name: activeShelf.name })}
+                className="inline-flex items-center gap-1 rounded-full px-3 py-1.5 border border-amber-300 bg-white text-amber-900 hover:bg-amber-50"
+              >
+                <Pencil size={14} /> {t("library.renameShelf")}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  const fallback = shelfLabel(library.shelves.find((s) => s.id === DEFAULT_SHELF), i18n);
+                  if (window.confirm(t("library.deleteShelfConfirm", { name: activeShelf.name, fallback }))) {
+                    onDeleteShelf(activeShelf.id);
+                  }
+                }}
+                className="inline-flex items-center gap-1 rounded-full px-3 py-1.5 border border-red-200 bg-white text-red-700 hover:bg-red-50"
+              >
+                <Trash2 size={14} /> {t("library.deleteShelf")}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {entries.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-amber-600" size={16} />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t("library.search")}
+              aria-label={t("library.searchLabel")}
+              className="rounded-full border border-amber-300 pl-9 pr-3 py-1.5 text-sm bg-white text-gray-800 w-72"
+            />
+          </div>
+          {tags.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1.5" role="group" aria-label={t("library.filterByTag")}>
+              <Tag size={16} className="text-amber-700" />
+              {tags.map((item) => {
+                const on = activeTag.toLowerCase() === item.tag.toLowerCase();
+                return (
+                  <button
+                    key={item.tag}
+                    type="button"
+                    aria-pressed={on}
+                    onClick={() => setTag(on ? "" : item.tag)}
+                    className={`rounded-full px-3 py-1 text-sm border transition-all ${
+                      on ? "bg-amber-600 text-white border-amber-600" : "bg-white text-amber-900 border-amber-300 hover:bg-amber-50"
+                    }`}
+                  >
+                    {item.tag} ({formatNumber(item.count)})
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {shown.length === 0 ? (
+        <p className="text-base text-amber-900">
+          {entries.length === 0
+            ? t("library.empty")
+            : query.trim() || activeTag
+              ? t("library.noMatch")
+              : t("library.emptyShelf")}
+        </p>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 xl:grid-cols-7 2xl:grid-cols-9 gap-3">
+          {shown.map((entry) => (
+            <LibraryCard
+              key={entry.key}
+              entry={entry}
+              match={matches.get(entry.key)}
+              shelves={library.shelves}
+              onOpen={onOpen}
+              onMove={(shelf) => onMove(entry, shelf)}
+              onUpdate={(patch) => onUpdate(entry.key, patch)}
+              onRemove={() => onRemove(entry.key)}
+            />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
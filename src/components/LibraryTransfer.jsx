@@ -0,0 +1,317 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Download, Loader2, ScrollText, Upload } from "lucide-react";
+import { shelfLabel, today } from "../lib/library";
+import {
+  EXPORTERS,
+  applyImport,
+  classifyRows,
+  downloadText,
+  matchRows,
+  parseImport,
+  printHtml,
+} from "../lib/libraryIO";
+import { CITATION_STYLES, bibliographyHtml, bibliographyMarkdown, bibliographyText } from "../lib/citations";
+import { errorKey } from "../lib/errors";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Import/export panel for the shelves. Imports go through a preview where
+ * new books, duplicates and conflicts are listed before anything is merged.
+ * The bibliography cites every saved book in one style (see ../lib/citations).
+ */
+
+// Row status -> badge colours; the label is the `transfer.status.*` message
+const STATUS_STYLES = {
+  new: "bg-emerald-100 text-emerald-800",
+  conflict: "bg-orange-100 text-orange-800",
+  duplicate: "bg-gray-100 text-gray-700",
+  repeat: "bg-gray-100 text-gray-700",
+  unmatched: "bg-red-100 text-red-700",
+};
+
+function shelfText(library, value, i18n) {
+  const shelf = library.shelves.find((s) => s.id === value || s.name === value);
+  return shelf ? shelfLabel(shelf, i18n) : value;
+}
+
+// One side of a conflicting field, short enough for the preview table
+function fieldText(library, field, value, i18n) {
+  if (field === "shelf") return shelfText(library, value, i18n);
+  if (field === "quotes") return i18n.t("transfer.quoteCount", { count: value?.length || 0 });
+  if (field === "tags") return value?.length ? value.filter(Boolean).join(", ") : "—";
+  if (field === "notes") return !value ? "—" : value.length > 60 ? `${value.slice(0, 60).trim()}…` : value;
+  return String(value ?? "—");
+}
+
+export function LibraryTransfer({ library, onMerge }) {
+  const i18n = useI18n();
+  const { t, formatNumber } = i18n;
+  const [stage, setStage] = useState("idle"); // idle | matching | preview
+  const [error, setError] = useState(""); // message key
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [source, setSource] = useState("");
+  const [matched, setMatched] = useState([]);
+  const [accepted, setAccepted] = useState(() => new Set());
+  const [merged, setMerged] = useState(null);
+  const [citeStyle, setCiteStyle] = useState("apa");
+  const [bibCopied, setBibCopied] = useState(""); // "" | copied | failed
+  const controller = useRef(null);
+  const empty = Object.keys(library.books).length === 0;
+
+  useEffect(() => () => controller.current?.abort(), []);
+
+  useEffect(() => {
+    if (!bibCopied) return;
+    const timer = setTimeout(() => setBibCopied(""), 2000);
+    return () => clearTimeout(timer);
+  }, [bibCopied]);
+
+  // Re-classified against the live library so edits made meanwhile are respected
+  const classified = useMemo(() => classifyRows(library, matched), [library, matched]);
+  const counts = classified.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+  const selectedCount = classified.filter(
+    (r) => accepted.has(r.index) && (r.status === "new" || r.status === "conflict")
+  ).length;
+
+  function exportAs(exporter) {
+    downloadText(`bookfinder-library-${today()}.${exporter.ext}`, exporter.run(library), exporter.mime);
+  }
+
+  async function copyBibliography() {
+    try {
+      await navigator.clipboard.writeText(bibliographyText(library, citeStyle));
+      setBibCopied("copied");
+    } catch {
+      setBibCopied("failed");
+    }
+  }
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    setMerged(null);
+    try {
+      const { kind, rows } = parseImport(await file.text());
+      controller.current?.abort();
+      controller.current = new AbortController();
+      setSource(`${file.name} (${kind === "goodreads" ? "Goodreads" : kind.toUpperCase()})`);
+      setStage("matching");
+      setProgress({ done: 0, total: rows.length });
+      const result = await matchRows(rows, {
+        signal: controller.current.signal,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      const initial = classifyRows(library, result);
+      setMatched(result);
+      // New books are pre-selected; conflicts default to keeping your data
+      setAccepted(new Set(initial.filter((r) => r.status === "new").map((r) => r.index)));
+      setStage("preview");
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      setError(err.key || "transfer.error.failed");
+      setStage("idle");
+    }
+  }
+
+  function toggle(index) {
+    setAccepted((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  }
+
+  function cancel() {
+    controller.current?.abort();
+    setStage("idle");
+    setMatched([]);
+  }
+
+  function merge() {
+    onMerge((lib) => applyImport(lib, classified, accepted));
+    setMerged(selectedCount);
+    cancel();
+  }
+
+  return (
+    <div className="rounded-3xl bg-white shadow-md border border-amber-200 p-4 md:p-6 mb-6 space-y-5">
+      <div>
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <Download size={18} /> {t("transfer.export")}
+        </h3>
+        <div className="mt-2 flex flex-wrap gap-2">
+          {EXPORTERS.map((x) => (
+            <button
+              key={x.id}
+              type="button"
+              disabled={empty}
+              onClick={() => exportAs(x)}
+              className="rounded-2xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-50"
+            >
+              {x.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <ScrollText size={18} /> {t("transfer.bibliography")}
+        </h3>
+        <p className="text-sm text-gray-700 mt-1">{t("transfer.bibliographyIntro")}</p>
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          <select
+            value={citeStyle}
+            onChange={(e) => setCiteStyle(e.target.value)}
+            aria-label={t("transfer.citationStyle")}
+            className="rounded-2xl border border-amber-300 px-3 py-2 bg-white text-gray-800"
+          >
+            {CITATION_STYLES.map((s) => (
+              <option key={s.id} value={s.id}>{s.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            disabled={empty}
+            onClick={copyBibliography}
+            className="rounded-2xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-50"
+          >
+            {t(bibCopied === "copied" ? "transfer.copied" : "transfer.copy")}
+          </button>
+          <button
+            type="button"
+            disabled={empty}
+            onClick={() => downloadText(`bibliography-${citeStyle}-${today()}.md`, bibliographyMarkdown(library, citeStyle), "text/markdown")}
+            className="rounded-2xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-50"
+          >
+            Markdown
+          </button>
+          <button
+            type="button"
+            disabled={empty}
+            onClick={() => printHtml(bibliographyHtml(library, citeStyle))}
+            className="rounded-2xl px-4 py-2 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50 disabled:opacity-50"
+          >
+            {t("transfer.print")}
+          </button>
+          {bibCopied === "failed" && <span className="text-sm text-red-600">{t("transfer.copyFailed")}</span>}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <Upload size={18} /> {t("transfer.import")}
+        </h3>
+        <p className="text-sm text-gray-700 mt-1">{t("transfer.importIntro")}</p>
+        {stage === "idle" && (
+          <label className="mt-2 inline-flex items-center gap-2 rounded-2xl px-4 py-2 bg-amber-600 text-white font-semibold hover:bg-amber-700 cursor-pointer shadow-md">
+            <Upload size={16} /> {t("transfer.chooseFile")}
+            <input type="file" accept=".json,.csv,application/json,text/csv" onChange={onFile} className="sr-only" />
+          </label>
+        )}
+        {error && <p className="mt-2 text-red-600">{t(error)}</p>}
+        {merged != null && stage === "idle" && <p className="mt-2 text-emerald-700">{t("transfer.merged", { count: merged })}</p>}
+      </div>
+
+      {stage === "matching" && (
+        <div className="flex items-center gap-3 text-amber-800">
+          <Loader2 className="animate-spin" size={18} />
+          <span>{t("transfer.matching", { done: progress.done, total: progress.total })}</span>
+          <button type="button" onClick={cancel} className="ml-auto text-amber-800 underline">
+            {t("transfer.cancel")}
+          </button>
+        </div>
+      )}
+
+      {stage === "preview" && (
+        <div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-800 font-medium">{source}</span>
+            {Object.entries(STATUS_STYLES).map(([status, className]) =>
+              counts[status] ? (
+                <span key={status} className={`rounded-full px-2.5 py-1 font-medium ${className}`}>
+                  {t(`transfer.status.${status}`)}: {formatNumber(counts[status])}
+                </span>
+              ) : null
+            )}
+          </div>
+          <div className="mt-3 max-h-96 overflow-y-auto rounded-2xl border border-amber-200">
+            <table className="w-full text-sm">
+              <thead className="bg-amber-50 text-left text-gray-800 sticky top-0">
+                <tr>
+                  <th className="p-2 w-10"><span className="sr-only">{t("transfer.import")}</span></th>
+                  <th className="p-2">{t("transfer.book")}</th>
+                  <th className="p-2">{t("transfer.status")}</th>
+                  <th className="p-2">{t("transfer.details")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {classified.map((r) => {
+                  const selectable = r.status === "new" || r.status === "conflict";
+                  const mine = library.books[r.key];
+                  return (
+                    <tr key={r.index} className="border-t border-amber-100 align-top">
+                      <td className="p-2">
+                        <input
+                          type="checkbox"
+                          disabled={!selectable}
+                          checked={selectable && accepted.has(r.index)}
+                          onChange={() => toggle(r.index)}
+                          aria-label={t("transfer.importNamed", { title: r.title || t("transfer.untitled") })}
+                        />
+                      </td>
+                      <td className="p-2">
+                        <p className="font-medium text-gray-800">{r.title || t("transfer.untitled")}</p>
+                        <p className="text-gray-700">{r.author}</p>
+                      </td>
+                      <td className="p-2">
+                        <span className={`rounded-full px-2 py-0.5 font-medium ${STATUS_STYLES[r.status]}`}>
+                          {t(`transfer.status.${r.status}`)}
+                        </span>
+                      </td>
+                      <td className="p-2 text-gray-700">
+                        {r.match && r.match !== "key" && <p>{t(`transfer.matchedBy.${r.match}`)}</p>}
+                        {r.error && <p className="text-red-600">{t(errorKey(r.error))}</p>}
+                        {r.status === "conflict" &&
+                          r.diffs.map((f) => (
+                            <p key={f}>
+                              {t(`transfer.field.${f}`)}:{" "}
+                              {fieldText(library, f, mine?.[f], i18n)} →{" "}
+                              <span className="font-medium text-gray-800">{fieldText(library, f, r[f], i18n)}</span>
+                            </p>
+                          ))}
+                        {r.status === "conflict" && (
+                          <p className="text-xs text-amber-800 mt-1">{t("transfer.tickConflict")}</p>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={merge}
+              disabled={selectedCount === 0}
+              className="rounded-2xl px-5 py-2.5 bg-amber-600 text-white font-semibold hover:bg-amber-700 disabled:opacity-50 shadow-md"
+            >
+              {t("transfer.merge", { count: selectedCount })}
+            </button>
+            <button
+              type="button"
+              onClick={cancel}
+              className="rounded-2xl px-5 py-2.5 border border-amber-300 bg-white text-amber-900 font-semibold hover:bg-amber-50"
+            >
+              {t("transfer.cancel")}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
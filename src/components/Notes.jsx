@@ -0,0 +1,298 @@
+import React, { useCallback, useEffect, useId, useMemo, useRef, useState } from "react";
+import { Eye, Pencil, Plus, Quote, Tag, Trash2, X } from "lucide-react";
+import { useI18n } from "../lib/i18n";
+import { parseMarkdown } from "../lib/markdown";
+import { normalizeTags } from "../lib/library";
+
+/**
+ * The detail modal's Notes tab for a saved book: personal tags, Markdown
+ * notes (written and previewed in place) and quotes with page numbers.
+ * Everything is saved on the library entry as it's edited; the notes once
+ * typing pauses.
+ */
+
+const SAVE_DELAY_MS = 600;
+
+function Inline({ nodes }) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case "strong":
+        return <strong key={i}><Inline nodes={node.children} /></strong>;
+      case "em":
+        return <em key={i}><Inline nodes={node.children} /></em>;
+      case "code":
+        return <code key={i} className="rounded bg-amber-50 px-1 py-0.5 text-[0.9em]">{node.text}</code>;
+      case "link":
+        return (
+          <a key={i} href={node.href} target="_blank" rel="noopener noreferrer" className="text-amber-700 underline underline-offset-2">
+            <Inline nodes={node.children} />
+          </a>
+        );
+      case "break":
+        return <br key={i} />;
+      default:
+        return <React.Fragment key={i}>{node.text}</React.Fragment>;
+    }
+  });
+}
+
+const HEADING_CLASSES = ["text-2xl", "text-xl", "text-lg", "text-base", "text-base", "text-base"];
+
+function Blocks({ blocks }) {
+  return blocks.map((block, i) => {
+    switch (block.type) {
+      case "heading": {
+        // Headings inside a note sit below the modal's own h1/h3
+        const Heading = `h${Math.min(6, block.level + 3)}`;
+        return <Heading key={i} className={`${HEADING_CLASSES[block.level - 1]} font-semibold text-gray-800`}><Inline nodes={block.inline} /></Heading>;
+      }
+      case "list": {
+        const List = block.ordered ? "ol" : "ul";
+        return (
+          <List key={i} className={`pl-6 space-y-1 ${block.ordered ? "list-decimal" : "list-disc"}`}>
+            {block.items.map((item, j) => <li key={j}><Inline nodes={item} /></li>)}
+          </List>
+        );
+      }
+      case "quote":
+        return (
+          <blockquote key={i} className="border-l-4 border-amber-300 pl-4 text-gray-700 space-y-2">
+            <Blocks blocks={block.blocks} />
+          </blockquote>
+        );
+      case "code":
+        return <pre key={i} className="rounded-xl bg-amber-50 p-3 text-sm overflow-x-auto"><code>{block.text}</code></pre>;
+      case "rule":
+        return <hr key={i} className="border-amber-200" />;
+      default:
+        return <p key={i}><Inline nodes={block.inline} /></p>;
+    }
+  });
+}
+
+function Markdown({ text, className = "" }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  return <div className={`space-y-3 text-gray-800 leading-relaxed ${className}`}><Blocks blocks={blocks} /></div>;
+}
+
+function TagEditor({ tags, allTags, onChange }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState("");
+  const listId = useId();
+
+  function add(text) {
+    const next = normalizeTags([...tags, ...text.split(",")]);
+    if (next.length !== tags.length) onChange(next);
+    setDraft("");
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {tags.map((tag) => (
+        <span key={tag} className="inline-flex items-center gap-1 rounded-full border border-amber-300 bg-amber-50 pl-3 pr-1 py-1 text-sm text-amber-900">
+          {tag}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter((x) => x !== tag))}
+            aria-label={t("notes.removeTag", { tag })}
+            title={t("notes.removeTag", { tag })}
+            className="rounded-full p-0.5 hover:bg-amber-200"
+          >
+            <X size={14} />
+          </button>
+        </span>
+      ))}
+      <form
+        className="inline-flex items-center gap-1"
+        onSubmit={(e) => {
+          e.preventDefault();
+          add(draft);
+        }}
+      >
+        <input
+          value={draft}
+          onChange={(e) => {
+            // A comma finishes a tag, as in most tag inputs
+            if (e.target.value.includes(",")) add(e.target.value);
+            else setDraft(e.target.value);
+          }}
+          list={listId}
+          placeholder={t("notes.addTag")}
+          aria-label={t("notes.addTag")}
+          className="rounded-full border border-amber-300 px-3 py-1.5 text-sm bg-white text-gray-800 w-48"
+        />
+        <datalist id={listId}>
+          {allTags
+            .filter(({ tag }) => !tags.some((x) => x.toLowerCase() === tag.toLowerCase()))
+            .map(({ tag }) => <option key={tag} value={tag} />)}
+        </datalist>
+        <button
+          type="submit"
+          disabled={!draft.trim()}
+          aria-label={t("notes.addTagButton")}
+          title={t("notes.addTagButton")}
+          className="rounded-full p-2 border border-amber-300 bg-white text-amber-800 hover:bg-amber-50 disabled:opacity-50"
+        >
+          <Plus size={16} />
+        </button>
+      </form>
+    </div>
+  );
+}
+
+/** The notes textarea: it edits a local draft, saved after a pause, on blur and when it closes. */
+function NotesEditor({ notes, onSave }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(notes);
+  const unsaved = useRef(null); // the draft not yet saved, or null
+  const save = useRef(onSave);
+  useEffect(() => {
+    save.current = onSave;
+  }, [onSave]);
+
+  const flush = useCallback(() => {
+    if (unsaved.current === null) return;
+    save.current(unsaved.current);
+    unsaved.current = null;
+  }, []);
+  useEffect(() => {
+    const timer = setTimeout(flush, SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draft, flush]);
+  // Switching to the preview or closing the book keeps what was typed
+  useEffect(() => flush, [flush]);
+
+  return (
+    <>
+      <textarea
+        value={draft}
+        onChange={(e) => {
+          setDraft(e.target.value);
+          unsaved.current = e.target.value;
+        }}
+        onBlur={flush}
+        rows={8}
+        placeholder={t("notes.placeholder")}
+        aria-labelledby="notes-notes"
+        aria-describedby="notes-markdown-hint"
+        className="w-full rounded-2xl border border-amber-300 px-4 py-3 bg-white text-gray-800 font-mono text-sm focus:border-amber-600 focus:ring-2 focus:ring-amber-200"
+      />
+      <p id="notes-markdown-hint" className="mt-1 text-sm text-amber-900">{t("notes.markdownHint")}</p>
+    </>
+  );
+}
+
+function QuoteForm({ onAdd }) {
+  const { t } = useI18n();
+  const [text, setText] = useState("");
+  const [page, setPage] = useState("");
+  return (
+    <form
+      className="rounded-2xl border border-amber-200 bg-amber-50/40 p-4 space-y-3"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onAdd({ text, page });
+        setText("");
+        setPage("");
+      }}
+    >
+      <label className="block">
+        <span className="text-sm font-semibold text-gray-800">{t("notes.quoteText")}</span>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={3}
+          placeholder={t("notes.quotePlaceholder")}
+          className="mt-1 w-full rounded-xl border border-amber-300 px-3 py-2 bg-white text-gray-800"
+        />
+      </label>
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="block">
+          <span className="text-sm font-semibold text-gray-800">{t("notes.page")}</span>
+          <input
+            type="number"
+            min={1}
+            value={page}
+            onChange={(e) => setPage(e.target.value)}
+            className="mt-1 block w-24 rounded-xl border border-amber-300 px-3 py-2 bg-white text-gray-800"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={!text.trim()}
+          className="inline-flex items-center gap-2 rounded-xl px-4 py-2 bg-amber-600 text-white font-semibold hover:bg-amber-700 disabled:opacity-50 disabled:hover:bg-amber-600"
+        >
+          <Quote size={16} /> {t("notes.addQuote")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export function NotesPanel({ entry, allTags, onUpdate, onAddQuote, onRemoveQuote }) {
+  const { t } = useI18n();
+  // Open on the rendered notes once there are some
+  const [writing, setWriting] = useState(!entry.notes);
+  // Quotes in reading order; ones without a page go last, oldest first
+  const quotes = [...entry.quotes].sort((a, b) => (a.page ?? Infinity) - (b.page ?? Infinity) || 0);
+
+  return (
+    <div className="space-y-8">
+      <section aria-labelledby="notes-tags">
+        <h3 id="notes-tags" className="font-semibold text-gray-800 text-lg mb-3 flex items-center gap-2">
+          <Tag size={18} className="text-amber-700" /> {t("notes.tags")}
+        </h3>
+        <TagEditor tags={entry.tags} allTags={allTags} onChange={(tags) => onUpdate({ tags })} />
+      </section>
+
+      <section aria-labelledby="notes-notes">
+        <div className="flex items-center justify-between gap-3 mb-3">
+          <h3 id="notes-notes" className="font-semibold text-gray-800 text-lg">{t("notes.notes")}</h3>
+          <button
+            type="button"
+            onClick={() => setWriting((w) => !w)}
+            aria-pressed={!writing}
+            className="inline-flex items-center gap-1.5 rounded-xl px-3 py-1.5 border border-amber-300 bg-white text-amber-900 text-sm font-semibold hover:bg-amber-50"
+          >
+            {writing ? <Eye size={14} /> : <Pencil size={14} />} {t(writing ? "notes.preview" : "notes.write")}
+          </button>
+        </div>
+        {writing ? (
+          <NotesEditor notes={entry.notes} onSave={(notes) => onUpdate({ notes })} />
+        ) : entry.notes.trim() ? (
+          <Markdown text={entry.notes} className="rounded-2xl border border-amber-100 p-4" />
+        ) : (
+          <p className="text-amber-900">{t("notes.empty")}</p>
+        )}
+      </section>
+
+      <section aria-labelledby="notes-quotes">
+        <h3 id="notes-quotes" className="font-semibold text-gray-800 text-lg mb-3">{t("notes.quotes")}</h3>
+        {quotes.length ? (
+          <ul className="space-y-3 mb-4">
+            {quotes.map((q) => (
+              <li key={q.id} className="flex items-start gap-3 rounded-2xl border border-amber-100 bg-white p-4">
+                <blockquote className="flex-1 border-l-4 border-amber-300 pl-4">
+                  <p className="text-gray-800 italic whitespace-pre-line">{q.text}</p>
+                  {q.page && <footer className="mt-1 text-sm text-amber-900">{t("notes.pageShort", { page: q.page })}</footer>}
+                </blockquote>
+                <button
+                  type="button"
+                  onClick={() => onRemoveQuote(q.id)}
+                  aria-label={t("notes.removeQuote")}
+                  title={t("notes.removeQuote")}
+                  className="rounded-full p-2 text-red-700 hover:bg-red-50"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-amber-900 mb-4">{t("notes.noQuotes")}</p>
+        )}
+        <QuoteForm onAdd={onAddQuote} />
+      </section>
+    </div>
+  );
+}
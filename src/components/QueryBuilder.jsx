@@ -0,0 +1,149 @@
+import React, { useMemo, useState } from "react";
+import { AlertCircle, Plus, Trash2 } from "lucide-react";
+import { QUERY_FIELDS, clausesToQuery, joinValues, parseQuery, queryToClauses, splitValues } from "../lib/queryBuilder";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Advanced query editor: clause rows (field, match/exclude, alternatives)
+ * kept in sync with the raw `q` text below them. Syntax errors are shown
+ * inline with the offending part of the text highlighted.
+ */
+
+// Rows hold the values as typed ("Tolkien, Lewis"); clauses hold them split
+// (see joinValues/splitValues for values that contain a comma)
+const EMPTY_ROW = { negate: false, field: "", text: "" };
+
+function rowsFor(text) {
+  const clauses = queryToClauses(text);
+  return clauses && clauses.map((c) => ({ negate: c.negate, field: c.field, text: joinValues(c.values) }));
+}
+
+function clausesFor(rows) {
+  return rows.map((r) => ({ negate: r.negate, field: r.field, values: splitValues(r.text) }));
+}
+
+const inputClass =
+  "rounded-2xl border border-amber-300 px-3 py-2 bg-white text-gray-800 text-base placeholder-gray-500 focus:border-amber-600 focus:ring-2 focus:ring-amber-200";
+
+function ErrorSnippet({ text, error }) {
+  const { t } = useI18n();
+  const start = Math.min(error.start, text.length);
+  const end = Math.max(start + 1, Math.min(error.end, text.length));
+  return (
+    <div role="alert" className="mt-2 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-red-800">
+      <p className="flex items-center gap-2 font-semibold">
+        <AlertCircle size={18} /> {t(error.key, error.vars)}
+      </p>
+      <p className="mt-1 font-mono text-sm whitespace-pre-wrap break-all text-gray-800">
+        {text.slice(0, start)}
+        <mark className="bg-red-200 text-red-900 rounded px-0.5">{text.slice(start, end) || " "}</mark>
+        {text.slice(end)}
+      </p>
+    </div>
+  );
+}
+
+export function QueryBuilder({ value, onChange }) {
+  const { t } = useI18n();
+  // Rows are kept locally while editing so half-typed values (trailing
+  // spaces, empty rows) survive; they're re-derived when the text changes
+  // from elsewhere. null means the text doesn't fit the builder.
+  const [rows, setRows] = useState(() => rowsFor(value));
+  const [synced, setSynced] = useState(value);
+  if (value !== synced) {
+    setSynced(value);
+    setRows(rowsFor(value));
+  }
+  const { error } = useMemo(() => parseQuery(value), [value]);
+  const editable = rows === null ? null : rows.length ? rows : [EMPTY_ROW];
+
+  function updateRows(next) {
+    const text = clausesToQuery(clausesFor(next));
+    setRows(next);
+    setSynced(text);
+    onChange(text);
+  }
+
+  function patch(i, change) {
+    updateRows(editable.map((r, n) => (n === i ? { ...r, ...change } : r)));
+  }
+
+  return (
+    <div>
+      {editable ? (
+        <div className="space-y-2">
+          {editable.map((row, i) => (
+            <div key={i} className="flex flex-wrap items-center gap-2">
+              <span className="w-10 text-sm font-semibold text-amber-900">{t(i === 0 ? "query.find" : "query.and")}</span>
+              <select
+                value={row.negate ? "not" : "is"}
+                onChange={(e) => patch(i, { negate: e.target.value === "not" })}
+                className={inputClass}
+                aria-label={t("query.clauseMode", { n: i + 1 })}
+              >
+                <option value="is">{t("query.matching")}</option>
+                <option value="not">{t("query.notMatching")}</option>
+              </select>
+              <select
+                value={row.field}
+                onChange={(e) => patch(i, { field: e.target.value })}
+                className={inputClass}
+                aria-label={t("query.clauseField", { n: i + 1 })}
+              >
+                {QUERY_FIELDS.map((f) => (
+                  <option key={f.id} value={f.id}>{t(f.label)}</option>
+                ))}
+              </select>
+              <input
+                value={row.text}
+                onChange={(e) => patch(i, { text: e.target.value })}
+                placeholder={t("form.example", {
+                  value: row.field === "first_publish_year" || row.field === "publish_year" ? "1900-1950" : "Tolkien, Lewis",
+                })}
+                className={`flex-1 min-w-48 ${inputClass}`}
+                aria-label={t("query.clauseValues", { n: i + 1 })}
+              />
+              <button
+                type="button"
+                onClick={() => updateRows(editable.filter((_, n) => n !== i))}
+                className="rounded-xl p-2 text-red-700 hover:bg-red-50"
+                aria-label={t("query.removeClauseN", { n: i + 1 })}
+                title={t("query.removeClause")}
+              >
+                <Trash2 size={18} />
+              </button>
+            </div>
+          ))}
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              type="button"
+              onClick={() => updateRows([...editable, EMPTY_ROW])}
+              className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 border border-amber-300 text-amber-900 font-semibold hover:bg-amber-50"
+            >
+              <Plus size={16} /> {t("query.addClause")}
+            </button>
+            <span className="text-sm text-gray-600">{t("query.hint")}</span>
+          </div>
+        </div>
+      ) : (
+        !error && (
+          <p className="text-sm text-amber-900">{t("query.textOnly")}</p>
+        )
+      )}
+
+      <label className="mt-3 block text-sm font-semibold text-gray-800">
+        {t("query.text")}
+        <textarea
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          rows={2}
+          spellCheck={false}
+          placeholder='subject:fantasy AND NOT subject:"young adult" AND author:(Tolkien OR Lewis)'
+          aria-invalid={Boolean(error)}
+          className={`mt-1 w-full font-mono font-normal ${inputClass} ${error ? "border-red-400" : ""}`}
+        />
+      </label>
+      {error && <ErrorSnippet text={value} error={error} />}
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Loader2, Sparkles } from "lucide-react";
+import { BookCard } from "./BookCard";
+import { Cover } from "./Cover";
+import { useI18n } from "../lib/i18n";
+import {
+  MIN_FAVORITES,
+  buildProfile,
+  candidateQueries,
+  docEntry,
+  enrichmentFor,
+  fetchCandidates,
+  rankCandidates,
+  similarQuery,
+} from "../lib/recommend";
+
+/**
+ * "Recommended for you" (from the whole library) and the detail modal's
+ * "Similar books" strip (from one book). Both rank Open Library candidates
+ * locally (see ../lib/recommend) and say why each book was picked.
+ */
+
+function Reasons({ reasons }) {
+  const { t } = useI18n();
+  const parts = [
+    reasons.subjects.length > 0 && t("recs.shares", { list: reasons.subjects.join(", ") }),
+    reasons.authors.length > 0 && t("recs.sameAuthor", { names: reasons.authors.join(", ") }),
+    reasons.decade && t("recs.decade", { decade: String(reasons.decade) }),
+  ].filter(Boolean);
+  return <p className="mt-1 text-sm text-amber-900 line-clamp-2">{parts.join(" · ")}</p>;
+}
+
+export function Recommendations({ library, onSelect, onToggleFav, onAuthor, onEnrich }) {
+  const { t } = useI18n();
+  const entries = useMemo(() => Object.values(library.books), [library.books]);
+  const [docs, setDocs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const controller = useRef(null);
+  const enrichController = useRef(null);
+  const [enrichFailed, setEnrichFailed] = useState([]); // keys to leave alone for this session
+
+  // Books saved before subjects were kept get them from their work record, one at a time
+  const pending = useMemo(
+    () => entries.filter((e) => e.subjects === null && !enrichFailed.includes(e.key)),
+    [entries, enrichFailed]
+  );
+  const next = pending[0] || null;
+  const nextKey = next?.key || "";
+  useEffect(() => {
+    if (!next) return;
+    enrichController.current?.abort();
+    enrichController.current = new AbortController();
+    const { signal } = enrichController.current;
+    enrichmentFor(next, { signal })
+      .then((patch) => onEnrich(next.key, patch))
+      .catch((e) => {
+        if (e.name !== "AbortError") setEnrichFailed((keys) => [...keys, next.key]);
+      });
+    return () => enrichController.current?.abort();
+  }, [next, onEnrich]);
+
+  const enough = entries.length >= MIN_FAVORITES;
+  const profile = useMemo(() => buildProfile(entries), [entries]);
+  // One string, so a new profile with the same queries doesn't fetch again
+  const queryKey = enough && !nextKey ? JSON.stringify(candidateQueries(profile)) : "";
+
+  useEffect(() => {
+    setDocs([]);
+    setFailed(false);
+    if (!queryKey) return;
+    controller.current?.abort();
+    controller.current = new AbortController();
+    setLoading(true);
+    fetchCandidates(JSON.parse(queryKey), { signal: controller.current.signal })
+      .then(setDocs)
+      .catch((e) => {
+        if (e.name !== "AbortError") setFailed(true);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.current?.abort();
+  }, [queryKey]);
+
+  // Ranked against the live library, so a book disappears as soon as it's saved
+  const picks = useMemo(() => rankCandidates(docs, profile, Object.keys(library.books)), [docs, profile, library.books]);
+
+  if (!entries.length) return null;
+
+  return (
+    <section className="mt-10" aria-labelledby="recs-title">
+      <h2 id="recs-title" className="text-xl font-semibold flex items-center gap-2 text-gray-800">
+        <Sparkles className="text-amber-600" size={22} /> {t("recs.title")}
+      </h2>
+      {!enough ? (
+        <p className="mt-2 text-base text-gray-700">{t("recs.needMore", { count: MIN_FAVORITES - entries.length })}</p>
+      ) : (
+        <>
+          <p className="mt-1 mb-4 text-sm text-gray-600">{t("recs.intro")}</p>
+          {nextKey ? (
+            <p className="flex items-center gap-2 text-amber-800">
+              <Loader2 className="animate-spin" size={18} /> {t("recs.enriching", { count: pending.length })}
+            </p>
+          ) : loading ? (
+            <p className="flex items-center gap-2 text-amber-800">
+              <Loader2 className="animate-spin" size={18} /> {t("recs.loading")}
+            </p>
+          ) : failed ? (
+            <p className="text-red-600">{t("recs.failed")}</p>
+          ) : picks.length ? (
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-4">
+              {picks.map(({ book, reasons }) => (
+                <div key={book.key}>
+                  <BookCard book={book} onSelect={onSelect} onToggleFav={onToggleFav} onAuthor={onAuthor} fav={false} />
+                  <Reasons reasons={reasons} />
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-base text-gray-700">{t("recs.empty")}</p>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+/** A scrolling strip of books like `book`, for the detail modal. */
+export function SimilarBooks({ book, onSelect }) {
+  const { t } = useI18n();
+  const [docs, setDocs] = useState([]);
+  const [status, setStatus] = useState("idle"); // idle | loading | done | failed
+  const controller = useRef(null);
+  const q = similarQuery(book);
+
+  useEffect(() => {
+    setDocs([]);
+    if (!q) return;
+    controller.current?.abort();
+    controller.current = new AbortController();
+    setStatus("loading");
+    fetchCandidates([q], { signal: controller.current.signal, limit: 40 })
+      .then((found) => {
+        setDocs(found);
+        setStatus("done");
+      })
+      .catch((e) => {
+        if (e.name !== "AbortError") setStatus("failed");
+      });
+    return () => controller.current?.abort();
+  }, [q]);
+
+  const picks = useMemo(
+    () => rankCandidates(docs, buildProfile([docEntry(book)]), [book.key], 10),
+    [docs, book]
+  );
+
+  if (!q) return null;
+
+  return (
+    <section className="border-t border-amber-200 pt-8 mt-8" aria-labelledby="similar-title">
+      <h2 id="similar-title" className="text-2xl font-bold text-gray-800 mb-4">{t("similar.title")}</h2>
+      {status === "loading" ? (
+        <p className="flex items-center gap-2 text-amber-700">
+          <Loader2 className="animate-spin" size={18} /> {t("similar.loading")}
+        </p>
+      ) : status === "failed" ? (
+        <p className="text-red-600">{t("similar.failed")}</p>
+      ) : !picks.length ? (
+        <p className="text-amber-700 italic">{t("similar.none")}</p>
+      ) : (
+        <ul className="flex gap-4 overflow-x-auto pb-2">
+          {picks.map(({ book: b, reasons }) => (
+            <li key={b.key} className="w-36 shrink-0">
+              <button type="button" onClick={() => onSelect(b)} className="text-left group w-full">
+                <Cover
+                  book={b}
+                  alt=""
+                  sizes="144px"
+                  className="w-36 aspect-[2/3] rounded-xl border border-amber-200 shadow-sm group-hover:shadow-md"
+                />
+                <span className="mt-2 block font-semibold text-gray-800 line-clamp-2 group-hover:text-amber-800">{b.title}</span>
+                <span className="block text-sm text-gray-600 line-clamp-1">{(b.author_name || []).join(", ")}</span>
+              </button>
+              <Reasons reasons={reasons} />
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
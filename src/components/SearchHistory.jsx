@@ -0,0 +1,255 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Bookmark, ChevronDown, Clock, Pencil, Play, Trash2, X } from "lucide-react";
+import { searchBooks } from "../lib/openLibrary";
+import { CHECK_SIZE, describeQuery, newResultCount, searchParams } from "../lib/searches";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Recent searches (recorded automatically) and named saved searches. Saved
+ * searches are re-checked against Open Library on load and show how many
+ * results are new since they were last viewed.
+ */
+
+function timeAgo(ms, { t, tag }) {
+  const mins = Math.round((Date.now() - ms) / 60000);
+  if (mins < 1) return t("searches.justNow");
+  const relative = new Intl.RelativeTimeFormat(tag, { style: "short" });
+  if (mins < 60) return relative.format(-mins, "minute");
+  const hours = Math.round(mins / 60);
+  if (hours < 24) return relative.format(-hours, "hour");
+  return new Date(ms).toLocaleDateString(tag);
+}
+
+function SavedRow({ saved, check, onRun, onRename, onDelete }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(saved.name);
+  const fresh = newResultCount(saved, check);
+  const title = saved.name || describeQuery(saved.query, i18n);
+
+  if (editing) {
+    return (
+      <li>
+        <form
+          className="flex flex-wrap items-center gap-2 py-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            onRename(saved.id, name);
+            setEditing(false);
+          }}
+        >
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="flex-1 min-w-48 rounded-xl border border-amber-300 px-3 py-1.5 text-gray-800"
+            placeholder={describeQuery(saved.query, i18n)}
+            aria-label={t("searches.nameLabel")}
+          />
+          <button type="submit" className="rounded-xl px-3 py-1.5 bg-amber-600 text-white font-semibold hover:bg-amber-700">
+            {t("searches.saveName")}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setName(saved.name);
+              setEditing(false);
+            }}
+            className="rounded-xl px-3 py-1.5 border border-amber-300 text-amber-900 hover:bg-amber-50"
+          >
+            {t("searches.cancel")}
+          </button>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li className="flex flex-wrap items-center gap-2 py-2">
+      <button type="button" onClick={() => onRun(saved.query)} className="flex-1 min-w-0 text-left group">
+        <span className="font-semibold text-gray-800 group-hover:text-amber-800">{title}</span>
+        {fresh > 0 && (
+          <span className="ml-2 rounded-full bg-emerald-100 px-2 py-0.5 text-xs font-semibold text-emerald-800">
+            {t("searches.new", { count: fresh })}
+          </span>
+        )}
+        <span className="block text-sm text-gray-600 line-clamp-1">
+          {describeQuery(saved.query, i18n)}
+          {saved.viewedAt ? ` · ${t("searches.viewed", { when: timeAgo(saved.viewedAt, i18n) })}` : ""}
+        </span>
+      </button>
+      <button type="button" onClick={() => onRun(saved.query)} className="rounded-xl p-2 text-amber-800 hover:bg-amber-50" aria-label={t("searches.runNamed", { name: title })} title={t("searches.run")}>
+        <Play size={16} />
+      </button>
+      <button type="button" onClick={() => setEditing(true)} className="rounded-xl p-2 text-amber-800 hover:bg-amber-50" aria-label={t("searches.renameNamed", { name: title })} title={t("searches.rename")}>
+        <Pencil size={16} />
+      </button>
+      <button type="button" onClick={() => onDelete(saved.id)} className="rounded-xl p-2 text-red-700 hover:bg-red-50" aria-label={t("searches.deleteNamed", { name: title })} title={t("searches.delete")}>
+        <Trash2 size={16} />
+      </button>
+    </li>
+  );
+}
+
+export function SearchHistory({ searches, current, canSave, onRun, onSave, onRename, onDelete, onRemoveRecent, onClearRecent }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [checks, setChecks] = useState({}); // saved id -> { numFound, keys }, or null when the check failed
+  const attempted = useRef(new Set()); // saved ids checked (or tried) this session
+  const saved = searches.saved;
+
+  // Look for new results once per saved search per session. Each finished
+  // check is recorded in `attempted`, so a change to the list (a new saved
+  // search, say) only starts the ones not tried yet. The effect is keyed on
+  // ids and queries as one string: viewing a saved search rewrites its seen
+  // results on every page, which mustn't abort the checks under way.
+  const checkable = useMemo(
+    () => JSON.stringify(saved.filter((s) => s.viewedAt).map((s) => ({ id: s.id, query: s.query }))),
+    [saved]
+  );
+  useEffect(() => {
+    const toCheck = JSON.parse(checkable).filter((s) => !attempted.current.has(s.id));
+    if (!toCheck.length) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    const run = async () => {
+      for (const s of toCheck) {
+        let check = null; // unknown; not retried this session
+        try {
+          const params = searchParams(s.query);
+          if (s.query.sort !== "relevance") params.set("sort", s.query.sort);
+          params.set("limit", String(CHECK_SIZE));
+          params.set("fields", "key");
+          // Skip the response cache: the point is to see what changed
+          const data = await searchBooks(params, { signal, cache: false });
+          check = { numFound: data.numFound || 0, keys: (data.docs || []).map((d) => d.key) };
+        } catch (e) {
+          if (e.name === "AbortError") return;
+        }
+        attempted.current.add(s.id);
+        setChecks((prev) => ({ ...prev, [s.id]: check }));
+      }
+    };
+    run();
+    return () => controller.abort();
+  }, [checkable]);
+
+  const totalNew = searches.saved.reduce((n, s) => n + newResultCount(s, checks[s.id]), 0);
+  const currentSaved = searches.saved.find((s) => s.id === current.id);
+
+  return (
+    <div className="mt-4 rounded-2xl border border-amber-200 bg-amber-50/40">
+      <button
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        className="w-full flex items-center justify-between gap-3 px-4 py-3 text-left font-semibold text-gray-800"
+      >
+        <span className="flex items-center gap-2">
+          <Clock size={18} className="text-amber-700" /> {t("searches.title")}
+          {searches.saved.length > 0 && <span className="text-sm font-normal text-gray-600">{t("searches.savedCount", { count: searches.saved.length })}</span>}
+          {totalNew > 0 && (
+            <span className="rounded-full bg-emerald-100 px-2 py-0.5 text-xs font-semibold text-emerald-800">
+              {t("searches.new", { count: totalNew })}
+            </span>
+          )}
+        </span>
+        <ChevronDown size={18} className={`transition-transform ${open ? "rotate-180" : ""}`} />
+      </button>
+
+      {open && (
+        <div className="px-4 pb-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <section>
+            <h3 className="font-semibold text-gray-800 flex items-center gap-2 mb-2">
+              <Bookmark size={16} /> {t("searches.saved")}
+            </h3>
+            {canSave && !currentSaved && (
+              <form
+                className="flex flex-wrap items-center gap-2 mb-2"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  onSave(current.query, name);
+                  setName("");
+                }}
+              >
+                <input
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder={describeQuery(current.query, i18n)}
+                  className="flex-1 min-w-48 rounded-xl border border-amber-300 px-3 py-1.5 bg-white text-gray-800 placeholder-gray-500"
+                  aria-label={t("searches.newNameLabel")}
+                />
+                <button type="submit" className="rounded-xl px-3 py-1.5 bg-amber-600 text-white font-semibold hover:bg-amber-700">
+                  {t("searches.saveCurrent")}
+                </button>
+              </form>
+            )}
+            {currentSaved && (
+              <p className="text-sm text-emerald-700 mb-2">
+                {t("searches.savedAs", { name: currentSaved.name || describeQuery(currentSaved.query, i18n) })}
+              </p>
+            )}
+            {searches.saved.length ? (
+              <ul className="divide-y divide-amber-100">
+                {searches.saved.map((s) => (
+                  <SavedRow key={s.id} saved={s} check={checks[s.id]} onRun={onRun} onRename={onRename} onDelete={onDelete} />
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-600">{t("searches.noSaved")}</p>
+            )}
+          </section>
+
+          <section>
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+                <Clock size={16} /> {t("searches.recent")}
+              </h3>
+              {searches.recent.length > 0 && (
+                <button type="button" onClick={onClearRecent} className="text-sm text-amber-800 underline">
+                  {t("searches.clearRecent")}
+                </button>
+              )}
+            </div>
+            {searches.recent.length ? (
+              <ul className="divide-y divide-amber-100">
+                {searches.recent.map((r) => (
+                  <li key={r.id} className="flex items-center gap-2 py-1.5">
+                    <button type="button" onClick={() => onRun(r.query)} className="flex-1 min-w-0 text-left hover:text-amber-800">
+                      <span className="line-clamp-1 text-gray-800">{describeQuery(r.query, i18n)}</span>
+                      <span className="text-xs text-gray-600">{timeAgo(r.at, i18n)}</span>
+                    </button>
+                    {!searches.saved.some((s) => s.id === r.id) && (
+                      <button
+                        type="button"
+                        onClick={() => onSave(r.query, "")}
+                        className="rounded-xl p-2 text-amber-800 hover:bg-amber-50"
+                        aria-label={t("searches.saveNamed", { name: describeQuery(r.query, i18n) })}
+                        title={t("searches.save")}
+                      >
+                        <Bookmark size={16} />
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => onRemoveRecent(r.id)}
+                      className="rounded-xl p-2 text-gray-600 hover:bg-amber-50"
+                      aria-label={t("searches.removeRecentNamed", { name: describeQuery(r.query, i18n) })}
+                      title={t("searches.removeRecent")}
+                    >
+                      <X size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-600">{t("searches.noRecent")}</p>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React from "react";
+import { AlertTriangle, X } from "lucide-react";
+import { useI18n } from "../lib/i18n";
+import { dismissStorageError, useStorageErrors } from "../lib/storage";
+
+/** Banners for storage problems (full quota, unreadable data, storage blocked), until dismissed. */
+export function StorageAlerts() {
+  const { t } = useI18n();
+  const errors = useStorageErrors();
+  if (!errors.length) return null;
+
+  function message(error) {
+    const what = t(error.label);
+    if (error.kind === "quota") return t("storage.quota", { what });
+    if (error.kind === "corrupt") {
+      return error.backupKey ? t("storage.corrupt", { what, backup: error.backupKey }) : t("storage.corruptLost", { what });
+    }
+    return t("storage.unavailable", { what });
+  }
+
+  return (
+    <div role="alert" className="w-full bg-red-50 border-b border-red-200 text-red-900">
+      {errors.map((error) => (
+        <div key={error.id} className="px-4 py-2 flex items-center gap-2 text-base">
+          <AlertTriangle size={18} className="shrink-0" />
+          <span className="flex-1">{message(error)}</span>
+          <button
+            type="button"
+            onClick={() => dismissStorageError(error.id)}
+            aria-label={t("storage.dismiss")}
+            className="p-1 rounded-lg hover:bg-red-100"
+          >
+            <X size={16} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
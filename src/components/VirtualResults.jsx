@@ -0,0 +1,213 @@
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { useI18n } from "../lib/i18n";
+
+/**
+ * Windowed results list for the page scroll: only the rows near the viewport
+ * are mounted, with spacers standing in for the rest. Works for the grid
+ * (columns derived from the container width) and the one-per-row list.
+ * A sentinel below the last row asks for the next page as it scrolls into
+ * view; the "Load more" button stays as a fallback. While `error` is set,
+ * loading pauses and `errorNotice` (say, the failure with a Retry) takes the
+ * button's place; the rows already loaded stay.
+ *
+ * Keyboard: the list is a single tab stop; arrow keys move between cards
+ * (up/down by a row), Home/End jump to the ends. Cards scrolled out of the
+ * window are brought back before they're focused.
+ */
+
+const GRID_GAP = 16; // gap-4
+const LIST_GAP = 12; // gap-3
+const MIN_CARD_WIDTH = 150;
+const OVERSCAN_ROWS = 3;
+const HEADER_OFFSET = 88; // sticky page header
+
+function columnsFor(layout, width) {
+  if (layout !== "grid" || !width) return layout === "grid" ? 2 : 1;
+  return Math.max(2, Math.floor((width + GRID_GAP) / (MIN_CARD_WIDTH + GRID_GAP)));
+}
+
+function estimateStride(layout, width, cols) {
+  if (layout !== "grid") return 140 + LIST_GAP;
+  const cardWidth = (width - GRID_GAP * (cols - 1)) / cols;
+  return cardWidth * 1.5 + 110 + GRID_GAP; // 2:3 cover plus the text block
+}
+
+export function VirtualResults({ items, layout, getKey, renderItem, hasMore, loading, error, errorNotice, onLoadMore, label }) {
+  const { t } = useI18n();
+  const container = useRef(null);
+  const inner = useRef(null);
+  const sentinel = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [measured, setMeasured] = useState(null); // { layout, cols, stride } from the rendered rows
+  const [range, setRange] = useState({ first: 0, last: 10 });
+  const [sentinelVisible, setSentinelVisible] = useState(false);
+  const [active, setActive] = useState(0); // index of the card that holds the tab stop
+  const pendingFocus = useRef(null);
+
+  const cols = columnsFor(layout, width);
+  const gap = layout === "grid" ? GRID_GAP : LIST_GAP;
+  const stride =
+    measured && measured.layout === layout && measured.cols === cols
+      ? measured.stride
+      : estimateStride(layout, width, cols);
+  const rowCount = Math.ceil(items.length / cols);
+
+  useLayoutEffect(() => {
+    const el = container.current;
+    if (!el) return;
+    setWidth(el.clientWidth);
+    if (typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  const updateRange = useCallback(() => {
+    const el = container.current;
+    if (!el) return;
+    const top = el.getBoundingClientRect().top; // relative to the viewport
+    const first = Math.max(0, Math.floor(-top / stride) - OVERSCAN_ROWS);
+    const last = Math.min(rowCount - 1, Math.ceil((window.innerHeight - top) / stride) + OVERSCAN_ROWS);
+    setRange((cur) => (cur.first === first && cur.last === last ? cur : { first, last }));
+  }, [stride, rowCount]);
+
+  useLayoutEffect(() => {
+    updateRange();
+    let frame = 0;
+    const onScroll = () => {
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = 0;
+        updateRange();
+      });
+    };
+    window.addEventListener("scroll", onScroll, { passive: true });
+    window.addEventListener("resize", onScroll);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", onScroll);
+      window.removeEventListener("resize", onScroll);
+    };
+  }, [updateRange]);
+
+  const first = Math.min(range.first, Math.max(0, rowCount - 1));
+  const last = Math.min(range.last, rowCount - 1);
+  const visible = items.slice(first * cols, (last + 1) * cols);
+  const renderedRows = Math.max(0, last - first + 1);
+  // The tab stop stays on the active card, or the first mounted one when it's scrolled away
+  const tabStop = active >= first * cols && active < first * cols + visible.length ? active : first * cols;
+
+  // Refine the row height from what's actually on screen
+  useLayoutEffect(() => {
+    const el = inner.current;
+    if (!el || !renderedRows) return;
+    const next = (el.offsetHeight + gap) / renderedRows;
+    if (!measured || measured.layout !== layout || measured.cols !== cols || Math.abs(measured.stride - next) > 1) {
+      setMeasured({ layout, cols, stride: next });
+    }
+  }, [items, first, renderedRows, layout, cols, gap, measured]);
+
+  // Focus a card once it's mounted (it may need a scroll and a re-render first)
+  useEffect(() => {
+    const i = pendingFocus.current;
+    if (i == null) return;
+    const card = inner.current?.querySelector(`[data-index="${i}"]`)?.firstElementChild;
+    if (card) {
+      pendingFocus.current = null;
+      card.focus({ preventScroll: true });
+    }
+  });
+
+  function indexOf(target) {
+    const holder = target.closest?.("[data-index]");
+    return holder && inner.current?.contains(holder) ? Number(holder.dataset.index) : null;
+  }
+
+  function moveTo(next) {
+    if (next >= items.length && hasMore && !loading) onLoadMore();
+    const i = Math.max(0, Math.min(items.length - 1, next));
+    setActive(i);
+    pendingFocus.current = i;
+    // Keep the row on screen, below the sticky header
+    const rowTop = container.current.getBoundingClientRect().top + Math.floor(i / cols) * stride;
+    if (rowTop < HEADER_OFFSET) window.scrollBy(0, rowTop - HEADER_OFFSET);
+    else if (rowTop + stride > window.innerHeight) window.scrollBy(0, rowTop + stride - window.innerHeight);
+  }
+
+  function onKeyDown(e) {
+    const i = indexOf(e.target);
+    // Only from the card itself, so buttons inside keep their own keys
+    if (i == null || e.target.parentElement?.dataset.index == null || e.altKey || e.ctrlKey || e.metaKey) return;
+    const step = { ArrowRight: 1, ArrowLeft: -1, ArrowDown: cols, ArrowUp: -cols }[e.key];
+    if (step) moveTo(i + step);
+    else if (e.key === "Home") moveTo(0);
+    else if (e.key === "End") moveTo(items.length - 1);
+    else return;
+    e.preventDefault();
+  }
+
+  // Infinite scroll: the sentinel's visibility is state so a page that
+  // doesn't fill the screen keeps loading after the previous one lands
+  useEffect(() => {
+    const el = sentinel.current;
+    if (!el || typeof IntersectionObserver === "undefined") return;
+    const io = new IntersectionObserver(([entry]) => setSentinelVisible(entry.isIntersecting), {
+      rootMargin: "800px 0px",
+    });
+    io.observe(el);
+    return () => io.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (sentinelVisible && hasMore && !loading && !error && items.length > 0) onLoadMore();
+  }, [sentinelVisible, hasMore, loading, error, items.length, onLoadMore]);
+
+  return (
+    <div ref={container}>
+      <div style={{ height: first * stride }} />
+      <div
+        ref={inner}
+        role="feed"
+        aria-label={label}
+        aria-busy={loading}
+        onKeyDown={onKeyDown}
+        onFocus={(e) => {
+          const i = indexOf(e.target);
+          if (i != null) setActive(i);
+        }}
+        className={layout === "grid" ? "grid gap-4" : "flex flex-col gap-3"}
+        style={layout === "grid" ? { gridTemplateColumns: `repeat(${cols}, minmax(0, 1fr))` } : undefined}
+      >
+        {visible.map((item, n) => {
+          const index = first * cols + n;
+          return (
+            <div key={getKey(item)} data-index={index} className="contents">
+              {renderItem(item, { tabIndex: index === tabStop ? 0 : -1, posInSet: index + 1 })}
+            </div>
+          );
+        })}
+      </div>
+      <div style={{ height: Math.max(0, rowCount - last - 1) * stride }} />
+
+      <div ref={sentinel} aria-hidden="true" />
+      {items.length > 0 && (
+        <div className="mt-6 flex items-center justify-center">
+          {error ? (
+            errorNotice
+          ) : hasMore ? (
+            <button
+              onClick={onLoadMore}
+              disabled={loading}
+              className="inline-flex items-center gap-2 rounded-2xl px-8 py-4 bg-amber-600 text-white hover:bg-amber-700 disabled:opacity-60 font-semibold text-lg shadow-md transition-all"
+            >
+              {loading && <Loader2 className="animate-spin" size={18}/>} {t(loading ? "results.loading" : "results.loadMore")}
+            </button>
+          ) : (
+            <p className="text-base text-amber-900">{t("results.noMore")}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+/**
+ * Ebook availability from Open Library's search fields: what a result can
+ * honestly claim (free to read, borrowable, print-disabled access or nothing)
+ * and where to read or borrow it. Docs without the fields (books opened from
+ * the shelves or a link) are "unknown" until fetchAvailability fills them in.
+ *
+ * Availability: { status, publicDomain, readUrl, borrowUrl } where status is
+ * "public" | "borrowable" | "printdisabled" | "none" | "unknown".
+ */
+
+import { searchBooks } from "./openLibrary";
+
+export const AVAILABILITY_FIELDS = ["ebook_access", "has_fulltext", "ia", "lending_edition_s", "public_scan_b"];
+
+// Search filters: `id` goes in the URL (and names the `avail.filter.*` message), `clause` is added to `q`
+export const AVAILABILITY_FILTERS = [
+  { id: "readable", clause: "ebook_access:public" },
+  { id: "borrowable", clause: "ebook_access:borrowable" },
+  { id: "public", clause: "public_scan_b:true" },
+];
+
+export function validAvailability(id) {
+  return AVAILABILITY_FILTERS.some((f) => f.id === id) ? id : "";
+}
+
+export function availabilityClause(id) {
+  return AVAILABILITY_FILTERS.find((f) => f.id === id)?.clause || "";
+}
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export function availabilityOf(doc) {
+  const access = doc?.ebook_access || (doc?.has_fulltext === false ? "no_ebook" : "");
+  const ia = first(doc?.ia);
+  const edition = first(doc?.lending_edition_s);
+  const scan = ia ? `https://archive.org/details/${encodeURIComponent(ia)}` : null;
+  // The edition page carries Open Library's own Read/Borrow button and waitlist
+  const editionPage = edition ? `https://openlibrary.org/books/${encodeURIComponent(edition)}` : null;
+  const out = { status: "unknown", publicDomain: doc?.public_scan_b === true, readUrl: null, borrowUrl: null };
+
+  switch (access) {
+    case "public":
+      return { ...out, status: "public", readUrl: scan || editionPage };
+    case "borrowable":
+      return { ...out, status: "borrowable", borrowUrl: editionPage || scan };
+    case "printdisabled":
+      // Only readers with print-disability access can open these, so no read link is offered
+      return { ...out, status: "printdisabled", borrowUrl: editionPage || scan };
+    case "no_ebook":
+    case "unclassified":
+      return { ...out, status: "none" };
+    default:
+      return out;
+  }
+}
+
+/** Message key describing an availability, or "" when there's nothing to claim. */
+export function availabilityKey(availability) {
+  if (availability.status === "public") return availability.publicDomain ? "avail.publicDomain" : "avail.public";
+  if (availability.status === "borrowable") return "avail.borrowable";
+  if (availability.status === "printdisabled") return "avail.printdisabled";
+  return "";
+}
+
+/** Availability fields for one work, for docs that arrived without them. */
+export async function fetchAvailability(key, { signal } = {}) {
+  const params = new URLSearchParams({ q: `key:"${key}"`, limit: "1", fields: ["key", ...AVAILABILITY_FIELDS].join(",") });
+  const data = await searchBooks(params, { signal });
+  const doc = (data.docs || [])[0];
+  return availabilityOf(doc);
+}
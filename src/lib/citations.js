@@ -0,0 +1,222 @@
+/**
+ * Reference citations in APA 7, MLA 9 and Chicago (17th, bibliography
+ * entry) for books, plus a whole-library bibliography.
+ *
+ * Source: { authors: ["Ursula K. Le Guin", ...], title, publisher, year, isbn }
+ * where `isbn` identifies the edition the publisher and year came from. The
+ * prose styles don't print it; the BibTeX and RIS exports (./libraryIO) do.
+ * A citation is an array of runs { text, italic } so one formatter serves
+ * plain text, Markdown and HTML. Titles are kept as catalogued: APA's
+ * sentence case can't be derived safely (proper nouns), so that's left to the user.
+ */
+
+export const CITATION_STYLES = [
+  { id: "apa", label: "APA 7", heading: "References" },
+  { id: "mla", label: "MLA 9", heading: "Works Cited" },
+  { id: "chicago", label: "Chicago", heading: "Bibliography" },
+];
+
+// Surname particles that stay with the family name ("Ursula K. Le Guin" -> "Le Guin")
+const PARTICLES = new Set(["da", "de", "del", "della", "der", "di", "du", "la", "le", "van", "von"]);
+const SUFFIX = /^(jr|sr|ii|iii|iv)\.?$/i;
+
+function yearOf(date) {
+  const m = String(date || "").match(/\d{4}/);
+  return m ? Number(m[0]) : null;
+}
+
+/** "Ursula K. Le Guin" or "Le Guin, Ursula K." -> { given, family, suffix } */
+export function parseName(name) {
+  const raw = String(name || "").trim().replace(/\s+/g, " ");
+  if (raw.includes(",")) {
+    const [family, given = "", suffix = ""] = raw.split(/\s*,\s*/);
+    return { given, family, suffix };
+  }
+  const words = raw.split(" ").filter(Boolean);
+  const suffix = words.length > 2 && SUFFIX.test(words[words.length - 1]) ? words.pop() : "";
+  let start = words.length - 1;
+  while (start > 1 && PARTICLES.has(words[start - 1].toLowerCase())) start -= 1;
+  return { given: words.slice(0, start).join(" "), family: words.slice(start).join(" "), suffix };
+}
+
+/** "John Ronald Reuel" / "J.R.R." -> "J. R. R."; "Jean-Paul" -> "J.-P." */
+function initials(given) {
+  return given
+    .split(/[\s.]+/)
+    .filter(Boolean)
+    .map((word) => word.split("-").map((part) => `${part[0].toUpperCase()}.`).join("-"))
+    .join(" ");
+}
+
+function inverted({ given, family, suffix }, short = false) {
+  const first = short ? initials(given) : given;
+  return [family, first, suffix].filter(Boolean).join(", ");
+}
+
+function direct({ given, family, suffix }) {
+  return [[given, family].filter(Boolean).join(" "), suffix].filter(Boolean).join(", ");
+}
+
+function apaAuthors(names) {
+  const list = names.map((n) => inverted(n, true));
+  if (list.length > 20) return `${list.slice(0, 19).join(", ")}, . . . ${list[list.length - 1]}`;
+  if (list.length === 1) return list[0];
+  return `${list.slice(0, -1).join(", ")}, & ${list[list.length - 1]}`;
+}
+
+function mlaAuthors(names) {
+  if (names.length === 1) return inverted(names[0]);
+  if (names.length === 2) return `${inverted(names[0])}, and ${direct(names[1])}`;
+  return `${inverted(names[0])}, et al`;
+}
+
+function chicagoAuthors(names) {
+  const shown = names.length > 10 ? names.slice(0, 7) : names;
+  const list = [inverted(shown[0]), ...shown.slice(1).map(direct)];
+  if (names.length > 10) return `${list.join(", ")}, et al`;
+  if (list.length === 1) return list[0];
+  if (list.length === 2) return `${list[0]}, and ${list[1]}`;
+  return `${list.slice(0, -1).join(", ")}, and ${list[list.length - 1]}`;
+}
+
+// Close a run with a period unless it already ends in punctuation
+function period(text) {
+  return /[.?!]$/.test(text) ? text : `${text}.`;
+}
+
+// The title is italic; the period after it isn't
+function titleRuns(title) {
+  const closed = period(title);
+  return closed === title ? [{ text: title, italic: true }] : [{ text: title, italic: true }, { text: "." }];
+}
+
+export function formatCitation(source, style) {
+  const names = (source.authors || []).map(parseName).filter((n) => n.family);
+  const title = String(source.title || "Untitled").trim();
+  const publisher = String(source.publisher || "").trim();
+  const year = source.year ? String(source.year) : "";
+  const runs = [];
+
+  if (style === "apa") {
+    const date = `(${year || "n.d."}).`;
+    if (names.length) runs.push({ text: `${period(apaAuthors(names))} ${date} ` }, ...titleRuns(title));
+    else runs.push(...titleRuns(title), { text: ` ${date}` });
+    if (publisher) runs.push({ text: ` ${period(publisher)}` });
+    return runs;
+  }
+
+  const authors = names.length ? period(style === "mla" ? mlaAuthors(names) : chicagoAuthors(names)) : "";
+  if (authors) runs.push({ text: `${authors} ` });
+  runs.push(...titleRuns(title));
+  const tail = [publisher, year].filter(Boolean).join(", ");
+  if (tail) runs.push({ text: ` ${period(tail)}` });
+  return runs;
+}
+
+// ---- rendering ----
+
+export function toPlainText(runs) {
+  return runs.map((r) => r.text).join("");
+}
+
+function escapeMarkdown(s) {
+  return s.replace(/([\\`*_[\]#<>])/g, "\\$1");
+}
+
+export function toMarkdown(runs) {
+  return runs.map((r) => (r.italic ? `*${escapeMarkdown(r.text)}*` : escapeMarkdown(r.text))).join("");
+}
+
+function escapeHtml(s) {
+  return s.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+export function toHtml(runs) {
+  return runs.map((r) => (r.italic ? `<i>${escapeHtml(r.text)}</i>` : escapeHtml(r.text))).join("");
+}
+
+// ---- sources ----
+
+/** A saved book as a source; its owned edition, when set, supplies publisher and year. */
+export function entrySource(entry) {
+  const edition = entry.edition;
+  return {
+    authors: entry.author ? entry.author.split(", ").filter(Boolean) : [],
+    title: edition?.title || entry.title,
+    publisher: edition?.publisher || "",
+    year: yearOf(edition?.publishDate) || entry.year,
+    isbn: edition?.isbn || entry.isbn || "",
+  };
+}
+
+/**
+ * Source for the detail modal: names from the search doc (or saved entry),
+ * the title from the work record, and publisher/year from `edition` (a
+ * normalized edition, see ./editions) when one was found.
+ */
+export function bookSource({ book, work, entry, edition }) {
+  const authors = book.author_name?.length
+    ? book.author_name
+    : entry?.author
+      ? entry.author.split(", ").filter(Boolean)
+      : [];
+  if (edition) {
+    return {
+      authors,
+      title: edition.title,
+      publisher: edition.publishers[0] || "",
+      year: edition.year || book.first_publish_year || entry?.year,
+      isbn: edition.isbn13[0] || edition.isbn10[0] || "",
+    };
+  }
+  return {
+    authors,
+    title: work?.title || book.title || entry?.title,
+    publisher: book.publisher?.[0] || "",
+    year: book.first_publish_year || entry?.year || yearOf(work?.first_publish_date),
+    isbn: "",
+  };
+}
+
+// ---- bibliography ----
+
+/** Every saved book cited in `style`, alphabetized as the styles require. */
+export function bibliography(lib, style) {
+  return Object.values(lib.books)
+    .map((entry) => formatCitation(entrySource(entry), style))
+    .sort((a, b) => toPlainText(a).localeCompare(toPlainText(b)));
+}
+
+export function bibliographyText(lib, style) {
+  return bibliography(lib, style).map(toPlainText).join("\n\n");
+}
+
+function styleOf(id) {
+  return CITATION_STYLES.find((s) => s.id === id) || CITATION_STYLES[0];
+}
+
+export function bibliographyMarkdown(lib, style) {
+  return [`# ${styleOf(style).heading}`, ...bibliography(lib, style).map(toMarkdown)].join("\n\n") + "\n";
+}
+
+/** A standalone page with hanging indents, ready for the print dialog. */
+export function bibliographyHtml(lib, style) {
+  const { heading, label } = styleOf(style);
+  const items = bibliography(lib, style).map((runs) => `<p>${toHtml(runs)}</p>`).join("\n");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${heading} (${label})</title>
+<style>
+  body { font: 12pt/2 "Times New Roman", Times, serif; margin: 1in; color: #000; }
+  h1 { font-size: 12pt; text-align: center; font-weight: bold; }
+  p { margin: 0; padding-left: 0.5in; text-indent: -0.5in; }
+</style>
+</head>
+<body>
+<h1>${heading}</h1>
+${items}
+</body>
+</html>`;
+}
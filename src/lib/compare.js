@@ -0,0 +1,101 @@
+/**
+ * Side-by-side comparison of up to MAX_COMPARE works. The tray holds search
+ * docs; each column is summarized from the doc, the work record, a sample of
+ * its editions (pages, languages) and its reader ratings.
+ */
+
+import { getBookRecord, getWorkEditions, getWorkRatings, isEditionKey } from "./openLibrary";
+import { normalizeEdition } from "./editions";
+import { availabilityOf } from "./availability";
+
+export const MAX_COMPARE = 4;
+// Editions fetched per work for page counts and languages
+export const EDITION_SAMPLE = 100;
+
+/** Adds `book` to the tray, or takes it out if it's there; a full tray is left alone. */
+export function toggleCompare(list, book) {
+  if (list.some((b) => b.key === book.key)) return list.filter((b) => b.key !== book.key);
+  return list.length >= MAX_COMPARE ? list : [...list, book];
+}
+
+function yearOf(date) {
+  const m = String(date || "").match(/\d{4}/);
+  return m ? Number(m[0]) : null;
+}
+
+function median(sorted) {
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/** Subjects compared case- and spacing-insensitively ("Science fiction" = "science  fiction"). */
+export function subjectKey(subject) {
+  return String(subject).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * One column of the comparison. `work`, `editions` ({ size, entries } from
+ * editions.json) and `ratings` (ratings.json) may each be null when they
+ * couldn't be loaded; the doc's own fields fill in where they can.
+ */
+export function summarizeWork(book, { work = null, editions = null, ratings = null } = {}) {
+  const entries = (editions?.entries || []).map(normalizeEdition);
+  const pages = entries.map((e) => e.pages).filter((p) => p > 0).sort((a, b) => a - b);
+  const languages = new Map();
+  for (const e of entries) for (const l of e.languages) languages.set(l, (languages.get(l) || 0) + 1);
+  const subjects = [...new Map((work?.subjects || book.subject || []).map((s) => [subjectKey(s), s])).values()];
+  return {
+    key: book.key,
+    book,
+    title: book.title || work?.title || "",
+    authors: book.author_name || [],
+    year: book.first_publish_year || yearOf(work?.first_publish_date),
+    editionCount: book.edition_count || editions?.size || null,
+    pages: pages.length
+      ? { min: pages[0], max: pages[pages.length - 1], median: median(pages), sampled: pages.length }
+      : book.number_of_pages_median
+        ? { min: null, max: null, median: book.number_of_pages_median, sampled: 0 }
+        : null,
+    languages: [...languages.entries()].sort((a, b) => b[1] - a[1]),
+    subjects,
+    rating: ratings?.summary?.count
+      ? { average: ratings.summary.average, count: ratings.summary.count }
+      : book.ratings_count
+        ? { average: book.ratings_average, count: book.ratings_count }
+        : null,
+    availability: availabilityOf(book),
+  };
+}
+
+/**
+ * Work record, edition sample and ratings for `book`. Parts that fail come
+ * back null with the first failure as `error`; if all of them fail, that error is thrown.
+ */
+export async function loadComparison(book, { signal } = {}) {
+  let error = null;
+  const optional = (promise) =>
+    promise.catch((e) => {
+      if (e.name === "AbortError") throw e;
+      error ??= e;
+      return null;
+    });
+  // A book known only as an edition has no edition list or ratings of its own
+  const workOnly = (load) => (isEditionKey(book.key) ? Promise.resolve(null) : optional(load()));
+  const [work, editions, ratings] = await Promise.all([
+    optional(getBookRecord(book.key, { signal })),
+    workOnly(() => getWorkEditions(book.key, { limit: EDITION_SAMPLE, signal })),
+    workOnly(() => getWorkRatings(book.key, { signal })),
+  ]);
+  if (!work && !editions && !ratings) throw error;
+  return { work, editions, ratings, error };
+}
+
+/** Subject keys that appear in more than one column. */
+export function sharedSubjects(columns) {
+  const counts = new Map();
+  for (const col of columns) {
+    for (const key of new Set(col.subjects.map(subjectKey))) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return new Set([...counts].filter(([, n]) => n > 1).map(([key]) => key));
+}
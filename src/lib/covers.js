@@ -0,0 +1,105 @@
+/**
+ * Cover image sources for a book: Open Library covers by cover id, then ISBN,
+ * then edition OLID, with S/M/L srcsets, and a generated SVG cover (title,
+ * author and a colour scheme derived from them) for when none exists.
+ * Works with search docs and library entries alike.
+ */
+
+import { coverUrl, olid } from "./openLibrary";
+
+// Approximate widths Open Library serves for each size, for srcset
+const SIZE_WIDTHS = { S: 45, M: 180, L: 500 };
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/** Candidate covers in the order they're worth trying: [{ by, value }] */
+export function coverSources(book) {
+  if (!book) return [];
+  const out = [];
+  const id = book.cover_i || book.cover || book.edition?.cover;
+  if (id && Number(id) > 0) out.push({ by: "id", value: String(id) });
+  const isbn = book.edition?.isbn || first(book.isbn);
+  if (isbn) out.push({ by: "isbn", value: String(isbn).replace(/[^0-9Xx]/g, "") });
+  const edition = book.edition?.key || book.cover_edition_key || first(book.lending_edition_s) || first(book.edition_key);
+  if (edition) out.push({ by: "olid", value: olid(edition) });
+  return out.filter((s) => s.value);
+}
+
+export function coverSrcSet({ by, value }) {
+  return Object.entries(SIZE_WIDTHS)
+    .map(([size, width]) => `${coverUrl(by, value, size)} ${width}w`)
+    .join(", ");
+}
+
+/** Open Library answers unknown ISBNs/OLIDs with a 1×1 image instead of an error. */
+export function isMissingCover(img) {
+  return img.naturalWidth < 2 || img.naturalHeight < 2;
+}
+
+// ---- generated covers ----
+
+function hash(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function escapeXml(s) {
+  return s.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+// Greedy word wrap; overlong titles end in an ellipsis
+function wrap(text, width, maxLines) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= width || !line) line = next;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, width - 1)}…`;
+  return kept;
+}
+
+const PATTERNS = [
+  // bands
+  (accent) => `<rect x="0" y="300" width="300" height="14" fill="${accent}"/><rect x="0" y="322" width="300" height="4" fill="${accent}"/>`,
+  // rings
+  (accent) => `<circle cx="240" cy="370" r="90" fill="none" stroke="${accent}" stroke-width="10" opacity=".6"/><circle cx="240" cy="370" r="55" fill="none" stroke="${accent}" stroke-width="6" opacity=".6"/>`,
+  // diagonal
+  (accent) => `<path d="M0 330 L300 250 L300 290 L0 370 Z" fill="${accent}" opacity=".7"/>`,
+  // frame
+  (accent) => `<rect x="18" y="18" width="264" height="414" fill="none" stroke="${accent}" stroke-width="3"/>`,
+];
+
+/** A data: URL for a 2:3 SVG cover showing the title and author. */
+export function generatedCover(title, author) {
+  const name = String(title || "Untitled").trim();
+  const by = String(author || "").trim();
+  const seed = hash(`${name}|${by}`);
+  const hue = seed % 360;
+  const background = `hsl(${hue} 42% 30%)`;
+  const accent = `hsl(${(hue + 35) % 360} 60% 64%)`;
+  const pattern = PATTERNS[(seed >>> 9) % PATTERNS.length](accent);
+  const lines = wrap(name, 16, 5);
+  const titleY = 150 - (lines.length - 1) * 17;
+  const titleText = lines
+    .map((l, i) => `<tspan x="150" y="${titleY + i * 34}">${escapeXml(l)}</tspan>`)
+    .join("");
+  const authorText = by ? `<text x="150" y="405" font-size="17" fill="${accent}">${escapeXml(wrap(by, 26, 1)[0])}</text>` : "";
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 450" font-family="Georgia, 'Noto Serif', serif" text-anchor="middle">` +
+    `<rect width="300" height="450" fill="${background}"/>${pattern}` +
+    `<text font-size="27" font-weight="bold" fill="#fffaf0">${titleText}</text>${authorText}</svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
@@ -0,0 +1,38 @@
+/** Modal dialog focus handling, shared by the book dialog and the comparison view. */
+import { useEffect } from "react";
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * WAI-ARIA modal dialog behaviour for `ref`: focus moves in on mount (to
+ * `initialFocus` when given), Tab/Shift+Tab wrap inside, Escape closes.
+ * Returns the keydown handler for the dialog element.
+ */
+export function useDialog(ref, onClose, initialFocus) {
+  useEffect(() => {
+    const target = initialFocus?.current && !initialFocus.current.disabled ? initialFocus.current : ref.current;
+    target?.focus({ preventScroll: true });
+    // Refs keep their identity, so this runs once, on open
+  }, [ref, initialFocus]);
+
+  return (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== "Tab") return;
+    const nodes = [...ref.current.querySelectorAll(FOCUSABLE)].filter((n) => n.offsetParent !== null);
+    if (!nodes.length) return;
+    const first = nodes[0];
+    const last = nodes[nodes.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === ref.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Helpers for /works/{id}/editions.json records: flatten the raw edition into
+ * the fields the editions browser shows, and filter a loaded list.
+ */
+import { languageCode } from "./languages";
+
+function yearOf(date) {
+  const m = String(date || "").match(/\d{4}/);
+  return m ? Number(m[0]) : null;
+}
+
+export function normalizeEdition(raw) {
+  return {
+    key: raw.key,
+    title: [raw.title, raw.subtitle].filter(Boolean).join(": ") || "Untitled",
+    publishers: raw.publishers || [],
+    publishDate: raw.publish_date || "",
+    year: yearOf(raw.publish_date),
+    languages: (raw.languages || []).map((l) => languageCode(l.key)),
+    pages: raw.number_of_pages || null,
+    format: (raw.physical_format || "").trim(),
+    isbn10: raw.isbn_10 || [],
+    isbn13: raw.isbn_13 || [],
+    cover: (raw.covers || []).find((c) => c > 0) || null,
+  };
+}
+
+/** Compact copy stored on a library entry as "the edition I own". */
+export function editionSummary(e) {
+  return {
+    key: e.key,
+    title: e.title,
+    publisher: e.publishers[0] || "",
+    publishDate: e.publishDate,
+    language: e.languages[0] || "",
+    pages: e.pages,
+    format: e.format,
+    isbn: e.isbn13[0] || e.isbn10[0] || "",
+    cover: e.cover,
+  };
+}
+
+export function filterEditions(list, { language = "", format = "", text = "" } = {}) {
+  const needle = text.trim().toLowerCase();
+  return list.filter((e) => {
+    if (language && !e.languages.includes(language)) return false;
+    if (format && e.format.toLowerCase() !== format.toLowerCase()) return false;
+    if (!needle) return true;
+    return [e.title, e.publishDate, ...e.publishers, ...e.isbn10, ...e.isbn13]
+      .join(" ")
+      .toLowerCase()
+      .includes(needle);
+  });
+}
+
+/** Distinct values (with counts) for the filter dropdowns. */
+export function editionFacets(list) {
+  const languages = new Map();
+  const formats = new Map();
+  for (const e of list) {
+    for (const l of e.languages) languages.set(l, (languages.get(l) || 0) + 1);
+    if (e.format) {
+      const f = e.format.trim();
+      formats.set(f, (formats.get(f) || 0) + 1);
+    }
+  }
+  const sorted = (m) => [...m.entries()].sort((a, b) => b[1] - a[1]);
+  return { languages: sorted(languages), formats: sorted(formats) };
+}
@@ -0,0 +1,22 @@
+/**
+ * Message keys for failed requests (see OpenLibraryError in ./openLibrary),
+ * so every part of the UI explains a failure the same way.
+ */
+
+import { isOfflineError } from "./offline";
+
+const KIND_KEYS = {
+  network: "error.network",
+  timeout: "error.timeout",
+  "rate-limited": "error.rateLimited",
+  server: "error.server",
+  "not-found": "error.notFound",
+  "bad-request": "error.badRequest",
+};
+
+/** `query` marks a search with advanced-query text, where a rejected request means bad syntax. */
+export function errorKey(e, { query = false } = {}) {
+  if (isOfflineError(e)) return "error.offline";
+  if (e?.kind === "bad-request" && query) return "error.query";
+  return KIND_KEYS[e?.kind] || "error.generic";
+}
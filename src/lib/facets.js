@@ -0,0 +1,89 @@
+/**
+ * Facets computed from a sample of search results: top values (with counts)
+ * for subjects, languages, publishers, authors and ebook availability, plus a
+ * first_publish_year histogram. Selected facets become `q` field clauses.
+ */
+
+export const FACET_SAMPLE_SIZE = 200;
+export const FACET_FIELDS = ["subject", "language", "publisher", "author_name", "ebook_access", "first_publish_year"];
+
+// field -> how it's listed in the sidebar; `label` is a message key (see ./messages)
+export const FACET_GROUPS = [
+  { field: "subject", label: "facet.group.subject" },
+  { field: "language", label: "facet.group.language" },
+  { field: "author_name", label: "facet.group.author" },
+  { field: "publisher", label: "facet.group.publisher" },
+  { field: "ebook_access", label: "facet.group.ebook" },
+];
+
+const EBOOK_ACCESS = ["public", "borrowable", "printdisabled", "no_ebook"];
+
+const TOP_N = 8;
+
+/** How a facet value reads in the interface, given the active `useI18n()`. */
+export function facetLabel(field, value, { t, languageName }) {
+  if (field === "language") return languageName(value);
+  if (field === "ebook_access" && EBOOK_ACCESS.includes(value)) return t(`facet.ebook.${value}`);
+  return value;
+}
+
+export function computeFacets(docs) {
+  const out = {};
+  for (const { field } of FACET_GROUPS) {
+    const counts = new Map();
+    for (const doc of docs) {
+      const raw = doc[field];
+      const values = Array.isArray(raw) ? raw : raw != null ? [raw] : [];
+      // count each value once per doc
+      for (const v of new Set(values)) counts.set(v, (counts.get(v) || 0) + 1);
+    }
+    out[field] = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+      .slice(0, TOP_N)
+      .map(([value, count]) => ({ value, count }));
+  }
+  return out;
+}
+
+/**
+ * Bucket first_publish_year into at most `maxBins` bins of a "nice" width
+ * (1, 5, 10, 25, 50 or 100 years).
+ */
+export function yearHistogram(docs, maxBins = 24) {
+  const years = docs.map((d) => d.first_publish_year).filter((y) => Number.isFinite(y));
+  if (!years.length) return { bins: [], width: 1 };
+  const min = Math.min(...years);
+  const max = Math.max(...years);
+  const width = [1, 5, 10, 25, 50, 100].find((w) => (max - min + 1) / w <= maxBins) || 100;
+  const start = Math.floor(min / width) * width;
+  const count = Math.floor((max - start) / width) + 1;
+  const bins = Array.from({ length: count }, (_, i) => ({
+    from: start + i * width,
+    to: start + (i + 1) * width - 1,
+    count: 0,
+  }));
+  for (const y of years) bins[Math.floor((y - start) / width)].count++;
+  return { bins, width };
+}
+
+function quote(value) {
+  return `"${String(value).replace(/(["\\])/g, "\\$1")}"`;
+}
+
+/** [{ field, value }] -> `subject:"Fantasy" publisher:"Penguin"` (AND-ed by the API) */
+export function facetQuery(selected) {
+  return selected.map(({ field, value }) => `${field}:${quote(value)}`).join(" ");
+}
+
+/** URL form "field:value" <-> { field, value } */
+export function encodeFacet({ field, value }) {
+  return `${field}:${value}`;
+}
+
+export function decodeFacet(s) {
+  const i = String(s).indexOf(":");
+  if (i <= 0) return null;
+  const field = s.slice(0, i);
+  if (!FACET_GROUPS.some((g) => g.field === field)) return null;
+  return { field, value: s.slice(i + 1) };
+}
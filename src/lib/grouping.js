@@ -0,0 +1,70 @@
+/**
+ * Collapsing near-duplicate works in search results. Open Library often has
+ * the same book under several work keys whose titles differ only in case,
+ * punctuation or subtitle; those are grouped under the first one returned.
+ *
+ * Grouping always runs over everything loaded so far, so a duplicate that
+ * arrives on a later page joins the group it belongs to.
+ * Group: { key, primary, variants } — `key` is the primary's work key.
+ */
+
+// Fold case, accents and punctuation; marks are kept so Indic scripts survive
+function fold(s) {
+  return String(s || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’`]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/** Main title only: subtitles (after ":", " - ", or in brackets) vary between records. */
+export function normalizeTitle(title) {
+  const main = String(title || "").split(/\s*[:;]\s*|\s+[-–—]\s+|\s*[([]/)[0];
+  return fold(main).replace(/^(the|a|an) /, "");
+}
+
+/** Word order ignored, so "Tolkien, J. R. R." matches "J. R. R. Tolkien". */
+export function normalizeAuthor(name) {
+  return fold(name).split(" ").filter(Boolean).sort().join(" ");
+}
+
+/** Grouping signature, or "" when a doc has too little to go on. */
+export function workSignature(doc) {
+  const title = normalizeTitle(doc.title);
+  const author = normalizeAuthor(doc.author_name?.[0]);
+  return title && author ? `${title}|${author}` : "";
+}
+
+export function groupResults(docs) {
+  const groups = [];
+  const bySignature = new Map();
+  const seen = new Set();
+  for (const doc of docs) {
+    // The same work again (pages can shift while loading) is dropped, not a variant
+    if (seen.has(doc.key)) continue;
+    seen.add(doc.key);
+    const sig = workSignature(doc);
+    const group = sig && bySignature.get(sig);
+    if (group) {
+      group.variants.push(doc);
+    } else {
+      const created = { key: doc.key, primary: doc, variants: [] };
+      groups.push(created);
+      if (sig) bySignature.set(sig, created);
+    }
+  }
+  return groups;
+}
+
+/** Docs to show: each group's primary, followed by its variants when expanded. */
+export function flattenGroups(groups, expanded) {
+  const out = [];
+  for (const g of groups) {
+    out.push(g.primary);
+    if (expanded.has(g.key)) out.push(...g.variants);
+  }
+  return out;
+}
@@ -0,0 +1,99 @@
+/**
+ * Interface translations: English plus the Indian languages the search
+ * filter offers. Catalogs live in ./messages; a missing key falls back to
+ * English, then to the key itself.
+ *
+ * `t(key, vars)` fills `{name}` slots. Numbers are formatted for the locale
+ * (Indian digit grouping, native digits where the locale uses them). An
+ * entry may be { one, other }, picked by `vars.count`. When a slot is given
+ * a React element, `t` returns an array of nodes instead of a string.
+ */
+
+import { Fragment, createContext, createElement, isValidElement, useContext } from "react";
+import { MESSAGES } from "./messages";
+import { languageName } from "./languages";
+
+export const LOCALE_KEY = "bookfinder:locale";
+
+// Labels are each language's own name, so the switcher reads the same in every locale
+export const LOCALES = [
+  { code: "en", label: "English" },
+  { code: "hi", label: "हिन्दी" },
+  { code: "te", label: "తెలుగు" },
+  { code: "ta", label: "தமிழ்" },
+  { code: "mr", label: "मराठी" },
+  { code: "kn", label: "ಕನ್ನಡ" },
+  { code: "bn", label: "বাংলা" },
+];
+
+export function validLocale(code) {
+  return LOCALES.some((l) => l.code === code) ? code : "en";
+}
+
+/** First supported language in the browser's preferences, else English. */
+export function detectLocale() {
+  const prefs = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language];
+  for (const tag of prefs) {
+    const code = String(tag || "").toLowerCase().split("-")[0];
+    if (LOCALES.some((l) => l.code === code)) return code;
+  }
+  return "en";
+}
+
+// v0: the bare locale code saved before ./storage
+export const LOCALE_SCHEMA = {
+  key: LOCALE_KEY,
+  label: "storage.locale",
+  migrations: [(data) => data],
+  initial: detectLocale,
+  normalize: validLocale,
+};
+
+// BCP 47 tag for Intl: Indian languages as spoken in India; English follows the browser's region
+function intlTag(locale) {
+  if (locale !== "en") return `${locale}-IN`;
+  const pref = typeof navigator === "undefined" ? "" : navigator.language || "";
+  return /^en(-|$)/i.test(pref) ? pref : "en";
+}
+
+export function createI18n(locale) {
+  const code = validLocale(locale);
+  const tag = intlTag(code);
+  const numbers = new Intl.NumberFormat(tag);
+  const plurals = new Intl.PluralRules(tag);
+  const catalog = MESSAGES[code] || MESSAGES.en;
+
+  function formatNumber(n) {
+    return numbers.format(n);
+  }
+
+  function t(key, vars = {}) {
+    let entry = catalog[key] ?? MESSAGES.en[key] ?? key;
+    if (typeof entry === "object") entry = entry[plurals.select(vars.count ?? 0)] ?? entry.other;
+    const parts = entry.split(/\{(\w+)\}/);
+    if (parts.length === 1) return entry;
+    // Odd indexes are slot names
+    const filled = parts.map((part, i) => {
+      if (i % 2 === 0) return part;
+      const v = vars[part];
+      if (v == null) return `{${part}}`;
+      return typeof v === "number" ? formatNumber(v) : v;
+    });
+    if (!filled.some(isValidElement)) return filled.join("");
+    return filled.map((node, i) => createElement(Fragment, { key: i }, node));
+  }
+
+  return {
+    locale: code,
+    tag,
+    t,
+    formatNumber,
+    languageName: (lang) => languageName(lang, code),
+  };
+}
+
+export const I18nContext = createContext(createI18n("en"));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,179 @@
+/**
+ * ISBN helpers: cleaning, ISBN-10/ISBN-13 checksum validation, conversion
+ * between the two forms, parsing pasted/uploaded lists line by line, and
+ * resolving ISBNs through Open Library's /isbn/ endpoint.
+ */
+
+import { getAuthor, getEditionByIsbn, getWork, olid } from "./openLibrary";
+
+/** Strip hyphens, spaces and an "ISBN:" prefix; uppercase the ISBN-10 check "x". */
+export function cleanIsbn(raw) {
+  return String(raw || "")
+    .replace(/^\s*isbn(?:-1[03])?:?/i, "")
+    .replace(/[\s\-‐‑–]/g, "")
+    .toUpperCase();
+}
+
+function isbn10CheckDigit(first9) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += Number(first9[i]) * (10 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+}
+
+function isbn13CheckDigit(first12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(first12[i]) * (i % 2 ? 3 : 1);
+  return String((10 - (sum % 10)) % 10);
+}
+
+export function isValidIsbn10(isbn) {
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn) === isbn[9];
+}
+
+export function isValidIsbn13(isbn) {
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn) === isbn[12];
+}
+
+/** Valid ISBN-10 -> ISBN-13 (978 prefix). */
+export function isbn10to13(isbn10) {
+  const first12 = `978${isbn10.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+}
+
+/** Valid ISBN-13 -> ISBN-10, or null for 979 numbers, which have no ISBN-10 form. */
+export function isbn13to10(isbn13) {
+  if (!isbn13.startsWith("978")) return null;
+  const first9 = isbn13.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+}
+
+/**
+ * Check one ISBN in either form.
+ * Returns { isbn10, isbn13 } (isbn10 may be null) or { error: { key, vars } },
+ * a message (see ./messages) explaining what's wrong.
+ */
+export function checkIsbn(raw) {
+  const isbn = cleanIsbn(raw);
+  if (!isbn) return { error: { key: "isbn.error.empty" } };
+  if (/[^\dX]/.test(isbn)) return { error: { key: "isbn.error.characters" } };
+  if (isbn.length === 10) {
+    if (!/^\d{9}[\dX]$/.test(isbn)) return { error: { key: "isbn.error.xPosition" } };
+    if (!isValidIsbn10(isbn)) return { error: { key: "isbn.error.checkDigit10", vars: { expected: isbn10CheckDigit(isbn) } } };
+    return { isbn10: isbn, isbn13: isbn10to13(isbn) };
+  }
+  if (isbn.length === 13) {
+    if (!/^\d{13}$/.test(isbn)) return { error: { key: "isbn.error.digits13" } };
+    if (!/^97[89]/.test(isbn)) return { error: { key: "isbn.error.prefix" } };
+    if (!isValidIsbn13(isbn)) return { error: { key: "isbn.error.checkDigit13", vars: { expected: isbn13CheckDigit(isbn) } } };
+    return { isbn10: isbn13to10(isbn), isbn13: isbn };
+  }
+  return { error: { key: "isbn.error.length", vars: { count: isbn.length } } };
+}
+
+/**
+ * One entry per non-blank line: { line, raw, isbn10, isbn13, error?, duplicateOf? }.
+ * Spreadsheet rows ("isbn,title,...") are read from their first cell.
+ */
+export function parseIsbnList(text) {
+  const out = [];
+  const seen = new Map(); // isbn13 -> line number
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((rawLine, i) => {
+      const raw = rawLine.split(/[,;\t]/)[0].replace(/^"|"$/g, "").trim();
+      if (!raw) return;
+      const entry = { line: i + 1, raw, ...checkIsbn(raw) };
+      if (entry.isbn13) {
+        if (seen.has(entry.isbn13)) entry.duplicateOf = seen.get(entry.isbn13);
+        else seen.set(entry.isbn13, entry.line);
+      }
+      out.push(entry);
+    });
+  return out;
+}
+
+// ---- lookup ----
+
+const LOOKUP_CONCURRENCY = 3;
+
+function yearOf(date) {
+  const m = String(date || "").match(/\d{4}/);
+  return m ? Number(m[0]) : null;
+}
+
+async function authorRefs(edition, signal) {
+  const refs = (edition.authors || []).map((a) => a.key).filter(Boolean);
+  if (refs.length || !edition.works?.[0]?.key) return refs;
+  try {
+    const work = await getWork(edition.works[0].key, { signal });
+    return (work.authors || []).map((a) => a.author?.key).filter(Boolean);
+  } catch (e) {
+    if (e.name === "AbortError") throw e;
+    return [];
+  }
+}
+
+/**
+ * The edition's authors as { key, name }. An author record that fails to load
+ * (or has no name) doesn't sink the lookup: it's left out, and with none left
+ * the edition's own "by" line stands in (with no key to link).
+ */
+async function authorsOf(edition, signal) {
+  const refs = await authorRefs(edition, signal);
+  const settled = await Promise.allSettled(refs.map((key) => getAuthor(key, { signal })));
+  const aborted = settled.find((r) => r.reason?.name === "AbortError");
+  if (aborted) throw aborted.reason;
+  const authors = settled
+    .filter((r) => r.status === "fulfilled")
+    .map(({ value: a }) => ({ key: olid(a.key), name: a.name || a.personal_name || "" }))
+    .filter((a) => a.name);
+  if (authors.length || !edition.by_statement) return authors;
+  return [{ key: null, name: edition.by_statement.replace(/^by\s+/i, "").replace(/[.;]\s*$/, "") }];
+}
+
+/**
+ * Resolve one valid ISBN to a search-doc shaped book via /isbn/. Editions
+ * that belong to no work keep their "/books/OL…M" key; the detail modal
+ * shows those from the edition record.
+ */
+async function lookupIsbn(entry, signal) {
+  const edition = await getEditionByIsbn(entry.isbn13, { signal });
+  const authors = await authorsOf(edition, signal);
+  const workKey = edition.works?.[0]?.key;
+  return {
+    key: workKey || edition.key,
+    title: [edition.title, edition.subtitle].filter(Boolean).join(": "),
+    author_name: authors.map((a) => a.name),
+    author_key: authors.every((a) => a.key) ? authors.map((a) => a.key) : [],
+    cover_i: (edition.covers || []).find((c) => c > 0) || null,
+    first_publish_year: yearOf(edition.publish_date),
+    isbn: [entry.isbn13, entry.isbn10].filter(Boolean),
+    publisher: edition.publishers,
+    number_of_pages_median: edition.number_of_pages,
+    edition_key: edition.key,
+    // the detail modal fills in the work's search doc; an edition has none
+    partial: Boolean(workKey),
+  };
+}
+
+/**
+ * Look up valid entries a few at a time. `onResult(isbn13, { book } | { error })`
+ * fires as each one settles, `error` being what the lookup threw (see
+ * ./errors); aborting `signal` stops the remaining lookups.
+ */
+export async function lookupIsbns(entries, { signal, onResult } = {}) {
+  let next = 0;
+  async function worker() {
+    while (next < entries.length) {
+      const entry = entries[next++];
+      try {
+        onResult?.(entry.isbn13, { book: await lookupIsbn(entry, signal) });
+      } catch (e) {
+        if (e.name === "AbortError") throw e;
+        onResult?.(entry.isbn13, { error: e });
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(LOOKUP_CONCURRENCY, entries.length) }, worker));
+}
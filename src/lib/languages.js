@@ -0,0 +1,83 @@
+/**
+ * Open Library language codes (MARC, e.g. "tel") to display names.
+ * Covers the languages the search filter offers plus the ones that commonly
+ * show up in edition lists; unknown codes fall back to the upper-cased code.
+ * Given a UI locale, names come from Intl.DisplayNames in that language
+ * ("తెలుగు" for tel in Telugu), with the English names as the fallback.
+ */
+
+const NAMES = {
+  eng: "English",
+  hin: "Hindi",
+  tel: "Telugu",
+  tam: "Tamil",
+  mar: "Marathi",
+  kan: "Kannada",
+  ben: "Bengali",
+  mal: "Malayalam",
+  guj: "Gujarati",
+  pan: "Punjabi",
+  urd: "Urdu",
+  san: "Sanskrit",
+  ori: "Odia",
+  spa: "Spanish",
+  fre: "French",
+  ger: "German",
+  ita: "Italian",
+  por: "Portuguese",
+  dut: "Dutch",
+  rus: "Russian",
+  pol: "Polish",
+  cze: "Czech",
+  swe: "Swedish",
+  nor: "Norwegian",
+  dan: "Danish",
+  fin: "Finnish",
+  gre: "Greek",
+  tur: "Turkish",
+  ara: "Arabic",
+  heb: "Hebrew",
+  per: "Persian",
+  chi: "Chinese",
+  jpn: "Japanese",
+  kor: "Korean",
+  vie: "Vietnamese",
+  tha: "Thai",
+  ind: "Indonesian",
+  lat: "Latin",
+  und: "Undetermined",
+  mul: "Multiple languages",
+};
+
+// MARC -> ISO 639-1, which is what Intl.DisplayNames understands
+const ISO_CODES = {
+  eng: "en", hin: "hi", tel: "te", tam: "ta", mar: "mr", kan: "kn", ben: "bn", mal: "ml",
+  guj: "gu", pan: "pa", urd: "ur", san: "sa", ori: "or", spa: "es", fre: "fr", ger: "de",
+  ita: "it", por: "pt", dut: "nl", rus: "ru", pol: "pl", cze: "cs", swe: "sv", nor: "no",
+  dan: "da", fin: "fi", gre: "el", tur: "tr", ara: "ar", heb: "he", per: "fa", chi: "zh",
+  jpn: "ja", kor: "ko", vie: "vi", tha: "th", ind: "id", lat: "la",
+};
+
+const displayNames = new Map(); // locale -> Intl.DisplayNames | null
+
+function localizedName(iso, locale) {
+  if (!displayNames.has(locale)) {
+    try {
+      displayNames.set(locale, new Intl.DisplayNames([locale], { type: "language", fallback: "none" }));
+    } catch {
+      displayNames.set(locale, null);
+    }
+  }
+  return displayNames.get(locale)?.of(iso);
+}
+
+/** "/languages/tel" or "tel" -> "tel" */
+export function languageCode(key) {
+  return String(key || "").split("/").filter(Boolean).pop() || "";
+}
+
+export function languageName(code, locale = "en") {
+  const c = languageCode(code);
+  const iso = ISO_CODES[c];
+  return (locale !== "en" && iso && localizedName(iso, locale)) || NAMES[c] || c.toUpperCase();
+}
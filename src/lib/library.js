@@ -0,0 +1,332 @@
+/**
+ * Personal library: reading shelves with per-book dates, rating and progress.
+ * Replaces the flat `bookfinder:favs` map; old data is migrated on first load.
+ *
+ * Shape (stored under LIBRARY_KEY):
+ * {
+ *   shelves: [{ id, name, builtin }],
+ *   books: { [workKey]: { key, title, author, year, isbn, cover_i, shelf, addedAt,
+ *                         startedAt, finishedAt, rating, pagesRead, pageCount, edition,
+ *                         subjects, authorKeys, notes, quotes, tags } }
+ * }
+ * `edition` is the specific edition the user owns (see editionSummary) or null.
+ * `notes` is the reader's own Markdown text, `quotes` are { id, text, page, addedAt }
+ * (page may be null) and `tags` free-form labels, unique ignoring case.
+ * `subjects` feed recommendations (./recommend); null means not looked up yet,
+ * as for books saved before they were kept. `authorKeys` are bare author OLIDs.
+ * Dates are YYYY-MM-DD strings (or null); rating is 0 (unrated) to 5.
+ * Persisted through ./storage with LIBRARY_SCHEMA.
+ */
+
+import { mergeLists, mergeRecords } from "./storage";
+
+export const LIBRARY_KEY = "bookfinder:library";
+export const LEGACY_FAVS_KEY = "bookfinder:favs";
+
+export const BUILTIN_SHELVES = [
+  { id: "want", name: "Want to Read", builtin: true },
+  { id: "reading", name: "Reading", builtin: true },
+  { id: "read", name: "Read", builtin: true },
+];
+export const DEFAULT_SHELF = "want";
+// Open Library lists hundreds of subjects for some works; the first ones are plenty
+const MAX_SUBJECTS = 30;
+const MAX_TAG_LENGTH = 40;
+
+export function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export function emptyLibrary() {
+  return { shelves: [...BUILTIN_SHELVES], books: {} };
+}
+
+/** Build a library entry from a search doc (or a legacy favorite). */
+export function makeEntry(book, shelf = DEFAULT_SHELF) {
+  return normalizeEntry({
+    key: book.key,
+    title: book.title,
+    author: book.author ?? (book.author_name || []).join(", "),
+    year: book.year ?? book.first_publish_year,
+    isbn: (Array.isArray(book.isbn) ? book.isbn[0] : book.isbn) ?? null,
+    cover_i: book.cover_i || null,
+    pageCount: book.number_of_pages_median || null,
+    subjects: Array.isArray(book.subject) ? book.subject : book.subjects ?? null,
+    authorKeys: book.author_key ?? book.authorKeys ?? [],
+    shelf,
+    addedAt: today(),
+  });
+}
+
+function normalizeEntry(e) {
+  const rating = Math.round(Number(e.rating) || 0);
+  return {
+    key: e.key,
+    title: e.title || "",
+    author: e.author || "",
+    year: Number(e.year) || null,
+    isbn: typeof e.isbn === "string" && e.isbn ? e.isbn : null,
+    cover_i: e.cover_i || null,
+    shelf: e.shelf || DEFAULT_SHELF,
+    addedAt: e.addedAt || today(),
+    startedAt: e.startedAt || null,
+    finishedAt: e.finishedAt || null,
+    rating: Math.min(5, Math.max(0, rating)),
+    pagesRead: Math.max(0, Number(e.pagesRead) || 0),
+    pageCount: Number(e.pageCount) > 0 ? Number(e.pageCount) : null,
+    edition: e.edition?.key ? e.edition : null,
+    subjects: Array.isArray(e.subjects) ? e.subjects.filter((x) => typeof x === "string").slice(0, MAX_SUBJECTS) : null,
+    authorKeys: Array.isArray(e.authorKeys) ? e.authorKeys.filter((x) => typeof x === "string") : [],
+    notes: typeof e.notes === "string" ? e.notes : "",
+    quotes: Array.isArray(e.quotes) ? e.quotes.map(normalizeQuote).filter(Boolean) : [],
+    tags: normalizeTags(e.tags),
+  };
+}
+
+function normalizeQuote(q) {
+  const text = typeof q?.text === "string" ? q.text.trim() : "";
+  if (!text) return null;
+  const page = Math.round(Number(q.page) || 0);
+  return { id: q.id || newId("quote"), text, page: page > 0 ? page : null, addedAt: q.addedAt || today() };
+}
+
+/** "  #Sci fi " -> "Sci fi"; later duplicates (ignoring case) are dropped. */
+export function normalizeTags(tags) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of Array.isArray(tags) ? tags : []) {
+    if (typeof raw !== "string") continue;
+    const tag = raw.replace(/^#+/, "").replace(/\s+/g, " ").trim().slice(0, MAX_TAG_LENGTH);
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    out.push(tag);
+  }
+  return out;
+}
+
+function newId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/** Fill in defaults and drop anything unusable from stored data. */
+export function normalizeLibrary(raw) {
+  const lib = emptyLibrary();
+  if (!raw || typeof raw !== "object") return lib;
+  const custom = (Array.isArray(raw.shelves) ? raw.shelves : []).filter(
+    (s) => s && s.id && s.name && !BUILTIN_SHELVES.some((b) => b.id === s.id)
+  );
+  lib.shelves = [...BUILTIN_SHELVES, ...custom.map((s) => ({ id: s.id, name: s.name, builtin: false }))];
+  const shelfIds = new Set(lib.shelves.map((s) => s.id));
+  for (const e of Object.values(raw.books || {})) {
+    if (!e?.key) continue;
+    const entry = normalizeEntry(e);
+    if (!shelfIds.has(entry.shelf)) entry.shelf = DEFAULT_SHELF;
+    lib.books[entry.key] = entry;
+  }
+  return lib;
+}
+
+/** Convert the old `{ [key]: { key, title, author, cover_i } }` favorites map. */
+export function migrateLegacyFavs(favs) {
+  const lib = emptyLibrary();
+  for (const f of Object.values(favs || {})) {
+    if (f?.key) lib.books[f.key] = makeEntry(f);
+  }
+  return lib;
+}
+
+/**
+ * Initial value for the library: migrates `bookfinder:favs` once, writing the
+ * new key before dropping the old one so a second call finds the migrated data.
+ */
+export function loadInitialLibrary() {
+  try {
+    const legacy = localStorage.getItem(LEGACY_FAVS_KEY);
+    if (!legacy) return emptyLibrary();
+    const lib = migrateLegacyFavs(JSON.parse(legacy));
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(lib));
+    localStorage.removeItem(LEGACY_FAVS_KEY);
+    return lib;
+  } catch {
+    return emptyLibrary();
+  }
+}
+
+/** Two tabs' edits combine book by book and shelf by shelf. */
+export function mergeLibraries(base, mine, theirs) {
+  return normalizeLibrary({
+    shelves: mergeLists(base.shelves, mine.shelves, theirs.shelves),
+    books: mergeRecords(base.books, mine.books, theirs.books),
+  });
+}
+
+// v1: books gain notes, quotes and tags. Older versions of the app drop fields they
+// don't know when they normalize, so the bump keeps their tabs from erasing them.
+function addNotes(data) {
+  const books = {};
+  for (const [key, e] of Object.entries(data?.books || {})) books[key] = { notes: "", quotes: [], tags: [], ...e };
+  return { ...data, books };
+}
+
+// v0: the unversioned library saved before ./storage
+export const LIBRARY_SCHEMA = {
+  key: LIBRARY_KEY,
+  label: "storage.library",
+  migrations: [(data) => data, addNotes],
+  initial: loadInitialLibrary,
+  normalize: normalizeLibrary,
+  merge: mergeLibraries,
+};
+
+// ---- updates (all return a new library) ----
+
+export function shelveBook(lib, book, shelf) {
+  const prev = lib.books[book.key];
+  const entry = prev ? { ...prev } : makeEntry(book, shelf);
+  entry.shelf = shelf;
+  if (shelf === "reading" && !entry.startedAt) entry.startedAt = today();
+  if (shelf === "read") {
+    if (!entry.finishedAt) entry.finishedAt = today();
+    if (entry.pageCount) entry.pagesRead = entry.pageCount;
+  }
+  return { ...lib, books: { ...lib.books, [book.key]: entry } };
+}
+
+export function removeBook(lib, key) {
+  const books = { ...lib.books };
+  delete books[key];
+  return { ...lib, books };
+}
+
+export function updateEntry(lib, key, patch) {
+  const prev = lib.books[key];
+  if (!prev) return lib;
+  return { ...lib, books: { ...lib.books, [key]: normalizeEntry({ ...prev, ...patch }) } };
+}
+
+/** Record the edition the user owns, saving the book first if needed. */
+export function setOwnedEdition(lib, book, edition) {
+  const saved = lib.books[book.key] ? lib : shelveBook(lib, book, DEFAULT_SHELF);
+  const patch = { edition };
+  if (edition.pages) patch.pageCount = edition.pages;
+  if (edition.isbn) patch.isbn = edition.isbn;
+  return updateEntry(saved, book.key, patch);
+}
+
+/**
+ * A shelf's name in the interface, given the active `useI18n()`. Built-in
+ * shelves are translated; their stored English names stay for import/export.
+ */
+export function shelfLabel(shelf, { t }) {
+  return shelf.builtin ? t(`shelf.${shelf.id}`) : shelf.name;
+}
+
+export function addShelf(lib, name) {
+  const trimmed = name.trim();
+  if (!trimmed || lib.shelves.some((s) => s.name.toLowerCase() === trimmed.toLowerCase())) return lib;
+  const id = newId("shelf");
+  return { ...lib, shelves: [...lib.shelves, { id, name: trimmed, builtin: false }] };
+}
+
+export function renameShelf(lib, id, name) {
+  const trimmed = name.trim();
+  if (!trimmed) return lib;
+  return {
+    ...lib,
+    shelves: lib.shelves.map((s) => (s.id === id && !s.builtin ? { ...s, name: trimmed } : s)),
+  };
+}
+
+/** Delete a user shelf; its books fall back to the default shelf. */
+export function deleteShelf(lib, id) {
+  const shelf = lib.shelves.find((s) => s.id === id);
+  if (!shelf || shelf.builtin) return lib;
+  const books = {};
+  for (const [k, e] of Object.entries(lib.books)) {
+    books[k] = e.shelf === id ? { ...e, shelf: DEFAULT_SHELF } : e;
+  }
+  return { shelves: lib.shelves.filter((s) => s.id !== id), books };
+}
+
+// ---- notes, quotes and tags ----
+
+export function addQuote(lib, key, { text, page }) {
+  const quote = normalizeQuote({ text, page });
+  const prev = lib.books[key];
+  if (!prev || !quote) return lib;
+  return updateEntry(lib, key, { quotes: [...prev.quotes, quote] });
+}
+
+export function removeQuote(lib, key, id) {
+  const prev = lib.books[key];
+  if (!prev) return lib;
+  return updateEntry(lib, key, { quotes: prev.quotes.filter((q) => q.id !== id) });
+}
+
+/** Every tag in the library with the number of books carrying it, most used first. */
+export function libraryTags(lib) {
+  const counts = new Map();
+  for (const e of Object.values(lib.books)) {
+    for (const tag of e.tags) {
+      const k = tag.toLowerCase();
+      const prev = counts.get(k);
+      counts.set(k, { tag: prev?.tag || tag, count: (prev?.count || 0) + 1 });
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+export function hasTag(entry, tag) {
+  const k = tag.toLowerCase();
+  return entry.tags.some((t) => t.toLowerCase() === k);
+}
+
+// Text to search with accents dropped ("Marquez" finds "Márquez"), and where each of its
+// characters sits in the decomposed original so snippets can keep the accents
+function searchable(s) {
+  const source = String(s || "").normalize("NFKD");
+  let text = "";
+  const at = [];
+  for (let i = 0; i < source.length; i++) {
+    if (/[\u0300-\u036f]/.test(source[i])) continue;
+    text += source[i];
+    at.push(i);
+  }
+  return { source, lower: text.toLowerCase(), at };
+}
+
+const SNIPPET_CONTEXT = 40;
+
+function snippet({ source, at }, index, length) {
+  const from = at[Math.max(0, index - SNIPPET_CONTEXT)];
+  const end = index + length + SNIPPET_CONTEXT;
+  const to = end < at.length ? at[end] : source.length;
+  const text = source
+    .slice(from, to)
+    .normalize("NFC")
+    .replace(/[*_`#>]+/g, "") // Markdown markers read as noise out of context
+    .replace(/\s+/g, " ")
+    .trim();
+  return `${from > 0 ? "…" : ""}${text}${to < source.length ? "…" : ""}`;
+}
+
+/**
+ * Full-text search over a saved book: every word of `query` has to appear
+ * somewhere in its title, author, tags, notes or quotes (case and accents
+ * ignored). Returns null for no match, else { in: "notes" | "quote" | null,
+ * snippet, page } pointing at the first note or quote containing a word.
+ */
+export function searchEntry(entry, query) {
+  const words = searchable(query).lower.split(/\s+/).filter(Boolean);
+  const sources = [
+    { in: null, text: [entry.title, entry.author, ...entry.tags].join(" ") },
+    { in: "notes", text: entry.notes },
+    ...entry.quotes.map((q) => ({ in: "quote", text: q.text, page: q.page })),
+  ].map((src) => ({ ...src, ...searchable(src.text) }));
+  if (!words.every((w) => sources.some((src) => src.lower.includes(w)))) return null;
+  for (const src of sources.slice(1)) {
+    const word = words.find((w) => src.lower.includes(w));
+    if (word) return { in: src.in, snippet: snippet(src, src.lower.indexOf(word), word.length), page: src.page ?? null };
+  }
+  return { in: null, snippet: "", page: null };
+}
@@ -0,0 +1,500 @@
+/**
+ * Library import/export.
+ * Export: JSON (lossless), CSV, BibTeX, RIS.
+ * Import: our own JSON/CSV and Goodreads "library export" CSV. Rows without an
+ * Open Library work key are matched by ISBN, then by title/author, and every
+ * row is classified against the current library so the user can review
+ * conflicts and duplicates before anything is merged.
+ */
+import { BUILTIN_SHELVES, addShelf, makeEntry, normalizeLibrary, normalizeTags, today } from "./library";
+import { openLibraryPage, searchBooks } from "./openLibrary";
+import { entrySource } from "./citations";
+
+export const EXPORT_FORMAT = "bookfinder-library";
+const MATCH_CONCURRENCY = 3;
+
+// ---- export ----
+
+const CSV_COLUMNS = [
+  "key",
+  "title",
+  "author",
+  "year",
+  "isbn",
+  "shelf",
+  "rating",
+  "added",
+  "started",
+  "finished",
+  "pages_read",
+  "page_count",
+  "cover_i",
+  "tags",
+  "notes",
+  "quotes",
+];
+// Tags share one CSV cell
+const TAG_SEPARATOR = "; ";
+
+// Quotes share one cell too: "[p. 12] text", separated by a blank line (so blank
+// lines inside a quote close up to single line breaks)
+const QUOTE_SEPARATOR = "\n\n";
+
+function quotesCell(quotes) {
+  return quotes
+    .map((q) => `${q.page ? `[p. ${q.page}] ` : ""}${q.text.replace(/\n\s*\n/g, "\n")}`)
+    .join(QUOTE_SEPARATOR);
+}
+
+function parseQuotesCell(cell) {
+  return String(cell || "")
+    .split(/\n\s*\n/)
+    .map((part) => {
+      const m = part.trim().match(/^\[p\.\s*(\d+)\]\s*([\s\S]*)$/);
+      return m ? { text: m[2], page: m[1] } : { text: part.trim(), page: null };
+    })
+    .filter((q) => q.text);
+}
+
+function entries(lib) {
+  return Object.values(lib.books).sort((a, b) => a.title.localeCompare(b.title));
+}
+
+function shelfName(lib, id) {
+  return lib.shelves.find((s) => s.id === id)?.name || id;
+}
+
+export function exportJSON(lib) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: 1, exportedAt: new Date().toISOString(), ...lib },
+    null,
+    2
+  );
+}
+
+function csvCell(value) {
+  const s = value == null ? "" : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function exportCSV(lib) {
+  const rows = entries(lib).map((e) =>
+    [
+      e.key,
+      e.title,
+      e.author,
+      e.year,
+      e.isbn,
+      shelfName(lib, e.shelf),
+      e.rating || "",
+      e.addedAt,
+      e.startedAt,
+      e.finishedAt,
+      e.pagesRead || "",
+      e.pageCount,
+      e.cover_i,
+      e.tags.join(TAG_SEPARATOR),
+      e.notes,
+      quotesCell(e.quotes),
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+function authorsOf(entry) {
+  return entry.author ? entry.author.split(", ").filter(Boolean) : [];
+}
+
+function workUrl(entry) {
+  return openLibraryPage(entry.key);
+}
+
+function bibEscape(s) {
+  return String(s).replace(/([&%$#_])/g, "\\$1").replace(/[{}]/g, "");
+}
+
+function bibKey(entry, used) {
+  const surname = (authorsOf(entry)[0] || "anon").split(" ").pop();
+  const word = (entry.title.match(/[A-Za-z0-9]+/g) || ["book"]).find((w) => w.length > 3) || "book";
+  const base = `${surname}${entry.year || ""}${word}`.toLowerCase().replace(/[^a-z0-9]/g, "");
+  let key = base;
+  for (let n = 2; used.has(key); n++) key = `${base}${n}`;
+  used.add(key);
+  return key;
+}
+
+export function exportBibTeX(lib) {
+  const used = new Set();
+  return entries(lib)
+    .map((e) => {
+      // The owned edition, when set, supplies title, publisher, year and ISBN as in the citations
+      const src = entrySource(e);
+      const fields = [
+        ["title", src.title],
+        ["author", src.authors.join(" and ")],
+        ["publisher", src.publisher],
+        ["year", src.year],
+        ["isbn", src.isbn],
+        ["url", workUrl(e)],
+      ].filter(([, v]) => v);
+      const body = fields.map(([k, v]) => `  ${k} = {${bibEscape(v)}}`).join(",\n");
+      return `@book{${bibKey(e, used)},\n${body}\n}`;
+    })
+    .join("\n\n");
+}
+
+export function exportRIS(lib) {
+  return entries(lib)
+    .map((e) => {
+      const src = entrySource(e);
+      const lines = ["TY  - BOOK", `TI  - ${src.title}`];
+      for (const a of src.authors) lines.push(`AU  - ${a}`);
+      if (src.year) lines.push(`PY  - ${src.year}`);
+      if (src.publisher) lines.push(`PB  - ${src.publisher}`);
+      if (src.isbn) lines.push(`SN  - ${src.isbn}`);
+      lines.push(`UR  - ${workUrl(e)}`);
+      lines.push("ER  - ");
+      return lines.join("\r\n");
+    })
+    .join("\r\n\r\n");
+}
+
+export const EXPORTERS = [
+  { id: "json", label: "JSON", ext: "json", mime: "application/json", run: exportJSON },
+  { id: "csv", label: "CSV", ext: "csv", mime: "text/csv", run: exportCSV },
+  { id: "bibtex", label: "BibTeX", ext: "bib", mime: "application/x-bibtex", run: exportBibTeX },
+  { id: "ris", label: "RIS", ext: "ris", mime: "application/x-research-info-systems", run: exportRIS },
+];
+
+export function downloadText(filename, text, mime = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Print a standalone HTML page through a hidden frame, so no pop-up window is needed. */
+export function printHtml(html) {
+  const frame = document.createElement("iframe");
+  frame.setAttribute("aria-hidden", "true");
+  frame.style.cssText = "position:fixed;width:0;height:0;border:0;";
+  frame.onload = () => {
+    frame.contentWindow.addEventListener("afterprint", () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+
+// ---- import: parsing ----
+
+/** RFC 4180-ish CSV parser (quoted fields, escaped quotes, CRLF). */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+function toDate(s) {
+  const m = String(s || "").match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  return m ? `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}` : null;
+}
+
+function cleanIsbn(s) {
+  // Goodreads wraps ISBNs as ="0439023483" to stop spreadsheets mangling them
+  return String(s || "").replace(/[^0-9Xx]/g, "").toUpperCase() || null;
+}
+
+const GOODREADS_SHELVES = { "to-read": "want", "currently-reading": "reading", read: "read" };
+
+function fromGoodreads(rec) {
+  return {
+    key: null,
+    title: rec["Title"],
+    author: [rec["Author"], ...String(rec["Additional Authors"] || "").split(",")]
+      .map((a) => a.trim())
+      .filter(Boolean)
+      .join(", "),
+    isbn: cleanIsbn(rec["ISBN13"]) || cleanIsbn(rec["ISBN"]),
+    year: rec["Original Publication Year"] || rec["Year Published"],
+    shelf: GOODREADS_SHELVES[rec["Exclusive Shelf"]] || rec["Exclusive Shelf"] || null,
+    rating: rec["My Rating"],
+    addedAt: toDate(rec["Date Added"]),
+    finishedAt: toDate(rec["Date Read"]),
+    pageCount: rec["Number of Pages"],
+  };
+}
+
+function fromOwnCSV(rec) {
+  return {
+    key: rec.key || null,
+    title: rec.title,
+    author: rec.author,
+    isbn: cleanIsbn(rec.isbn),
+    year: rec.year,
+    shelf: rec.shelf || null,
+    rating: rec.rating,
+    addedAt: toDate(rec.added),
+    startedAt: toDate(rec.started),
+    finishedAt: toDate(rec.finished),
+    pagesRead: rec.pages_read,
+    pageCount: rec.page_count,
+    cover_i: Number(rec.cover_i) || null,
+    tags: String(rec.tags || "").split(TAG_SEPARATOR.trim()),
+    notes: rec.notes || "",
+    quotes: parseQuotesCell(rec.quotes),
+  };
+}
+
+/** Unusable import input; `key` names the message explaining why (see ./messages). */
+export class ImportError extends Error {
+  constructor(key) {
+    super(key);
+    this.name = "ImportError";
+    this.key = key;
+  }
+}
+
+/**
+ * Parse an import file into candidate rows plus any shelves it defines.
+ * Throws an ImportError for unrecognised input.
+ */
+export function parseImport(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new ImportError("transfer.error.empty");
+
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new ImportError("transfer.error.badJson");
+    }
+    // Accept our export, a bare library object, the legacy favs map or a plain array
+    const lib = Array.isArray(data)
+      ? { books: Object.fromEntries(data.filter((b) => b?.key).map((b) => [b.key, b])) }
+      : data.books
+        ? data
+        : { books: data };
+    const normalized = normalizeLibrary(lib);
+    const rows = Object.values(normalized.books).map((e) => ({
+      ...e,
+      shelf: normalized.shelves.find((s) => s.id === e.shelf)?.name || e.shelf,
+    }));
+    return { kind: "json", rows };
+  }
+
+  const [header, ...body] = parseCSV(trimmed);
+  if (!header || !body.length) throw new ImportError("transfer.error.noRows");
+  const cols = header.map((h) => h.trim());
+  const records = body.map((r) => Object.fromEntries(cols.map((c, i) => [c, (r[i] || "").trim()])));
+  if (cols.includes("Exclusive Shelf") && cols.includes("Title")) {
+    return { kind: "goodreads", rows: records.map(fromGoodreads) };
+  }
+  if (cols.includes("title")) {
+    return { kind: "csv", rows: records.map(fromOwnCSV) };
+  }
+  throw new ImportError("transfer.error.unknownCsv");
+}
+
+// ---- import: matching against Open Library ----
+
+async function searchOne(params, signal) {
+  params.set("fields", "key,title,author_name,first_publish_year,cover_i,isbn,number_of_pages_median");
+  params.set("limit", "1");
+  const data = await searchBooks(params, { signal });
+  return data.docs?.[0] || null;
+}
+
+async function matchRow(row, signal) {
+  if (row.key) return { ...row, match: "key" };
+  if (row.isbn) {
+    const doc = await searchOne(new URLSearchParams({ isbn: row.isbn }), signal);
+    if (doc) return withDoc(row, doc, "isbn");
+  }
+  if (row.title) {
+    const params = new URLSearchParams({ title: row.title });
+    // Only the first author; co-author lists rarely match verbatim
+    if (row.author) params.set("author", row.author.split(",")[0]);
+    const doc = await searchOne(params, signal);
+    if (doc) return withDoc(row, doc, "title");
+  }
+  return { ...row, match: null };
+}
+
+function withDoc(row, doc, how) {
+  return {
+    ...row,
+    key: doc.key,
+    title: row.title || doc.title,
+    author: row.author || (doc.author_name || []).join(", "),
+    year: row.year || doc.first_publish_year,
+    cover_i: row.cover_i || doc.cover_i || null,
+    pageCount: row.pageCount || doc.number_of_pages_median,
+    match: how,
+  };
+}
+
+/**
+ * Resolve work keys for every row, a few requests at a time. A row whose
+ * search fails keeps what it threw as `error` (see ./errors).
+ */
+export async function matchRows(rows, { signal, onProgress } = {}) {
+  const out = new Array(rows.length);
+  let next = 0;
+  let done = 0;
+  async function worker() {
+    while (next < rows.length) {
+      const i = next++;
+      try {
+        out[i] = await matchRow(rows[i], signal);
+      } catch (e) {
+        if (e.name === "AbortError") throw e;
+        out[i] = { ...rows[i], match: null, error: e };
+      }
+      onProgress?.(++done, rows.length);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(MATCH_CONCURRENCY, rows.length) }, worker));
+  return out;
+}
+
+// ---- import: preview & merge ----
+
+const COMPARED = ["shelf", "rating", "startedAt", "finishedAt", "pagesRead", "notes", "quotes", "tags"];
+// Imported quotes and tags are added to the saved ones rather than replacing them
+const MERGED = new Set(["quotes", "tags"]);
+
+/** The imported quotes or tags that the saved entry doesn't have yet. */
+function missingItems(field, theirs, mine) {
+  if (field === "tags") {
+    const have = new Set(mine.map((t) => t.toLowerCase()));
+    return normalizeTags(theirs).filter((t) => !have.has(t.toLowerCase()));
+  }
+  const same = (a, b) => a.text.trim() === b.text.trim() && String(a.page ?? "") === String(b.page ?? "");
+  return (Array.isArray(theirs) ? theirs : []).filter((q) => q?.text && !mine.some((m) => same(q, m)));
+}
+
+function resolveShelfId(lib, shelf) {
+  if (!shelf) return null;
+  const lower = String(shelf).toLowerCase();
+  return lib.shelves.find((s) => s.id === shelf || s.name.toLowerCase() === lower)?.id || null;
+}
+
+/**
+ * Classify matched rows against the library:
+ * - "new": not in the library yet
+ * - "duplicate": already saved with nothing different to bring in
+ * - "conflict": already saved but shelf/rating/dates/progress/notes differ, or
+ *   the file brings quotes or tags the saved book lacks (`diffs`)
+ * - "repeat": the same work appears earlier in the import file
+ * - "unmatched": no Open Library work could be found
+ */
+export function classifyRows(lib, rows) {
+  const seen = new Set();
+  return rows.map((row, index) => {
+    const base = { ...row, index };
+    if (!row.key) return { ...base, status: "unmatched" };
+    if (seen.has(row.key)) return { ...base, status: "repeat" };
+    seen.add(row.key);
+    const mine = lib.books[row.key];
+    if (!mine) return { ...base, status: "new" };
+    const theirs = { ...row, shelf: resolveShelfId(lib, row.shelf) || row.shelf };
+    const diffs = COMPARED.filter((f) => {
+      const v = theirs[f];
+      if (MERGED.has(f)) return missingItems(f, v, mine[f]).length > 0;
+      if (v == null || v === "" || (f !== "shelf" && Number(v) === 0)) return false;
+      return String(v) !== String(mine[f] ?? "");
+    });
+    return { ...base, status: diffs.length ? "conflict" : "duplicate", diffs };
+  });
+}
+
+/**
+ * Apply the reviewed rows. `accepted` is a Set of row indexes to bring in:
+ * new rows are added, accepted conflicts overwrite the differing fields (quotes
+ * and tags are added to the saved ones).
+ */
+export function applyImport(lib, classified, accepted) {
+  let next = normalizeLibrary(lib);
+  for (const row of classified) {
+    if (!accepted.has(row.index) || (row.status !== "new" && row.status !== "conflict")) continue;
+    let shelf = resolveShelfId(next, row.shelf);
+    if (!shelf && row.shelf && !BUILTIN_SHELVES.some((s) => s.id === row.shelf)) {
+      next = addShelf(next, row.shelf);
+      shelf = resolveShelfId(next, row.shelf);
+    }
+    if (row.status === "new") {
+      const entry = makeEntry({ ...row, isbn: row.isbn || null }, shelf || undefined);
+      next.books = {
+        ...next.books,
+        [row.key]: {
+          ...entry,
+          rating: Math.min(5, Math.max(0, Math.round(Number(row.rating) || 0))),
+          addedAt: row.addedAt || today(),
+          startedAt: row.startedAt || null,
+          finishedAt: row.finishedAt || null,
+          pagesRead: Number(row.pagesRead) || 0,
+          pageCount: Number(row.pageCount) || entry.pageCount,
+          notes: row.notes || "",
+          quotes: row.quotes || [],
+          tags: row.tags || [],
+          edition: row.edition || null,
+        },
+      };
+    } else {
+      const patch = {};
+      const current = next.books[row.key];
+      for (const f of row.diffs) {
+        if (f === "shelf") patch[f] = shelf || current.shelf;
+        else if (MERGED.has(f)) patch[f] = [...current[f], ...missingItems(f, row[f], current[f])];
+        else patch[f] = row[f];
+      }
+      next = normalizeLibrary({
+        ...next,
+        books: { ...next.books, [row.key]: { ...next.books[row.key], ...patch } },
+      });
+    }
+  }
+  return normalizeLibrary(next);
+}
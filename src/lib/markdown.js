@@ -0,0 +1,123 @@
+/**
+ * A small Markdown parser for reading notes. It covers what people type in
+ * notes: headings, paragraphs, bullet and numbered lists, block quotes, code
+ * blocks, rules, **bold**, *italic*, `code` and [links](https://…). The result
+ * is a plain tree rendered as React elements (./components/Notes), never
+ * HTML, so notes can't inject markup.
+ *
+ * Blocks: { type: "heading", level, inline } | { type: "paragraph", inline }
+ *   | { type: "list", ordered, items: [inline] } | { type: "quote", blocks }
+ *   | { type: "code", text } | { type: "rule" }
+ * Inline nodes: { type: "text", text } | { type: "strong" | "em", children }
+ *   | { type: "code", text } | { type: "link", href, children } | { type: "break" }
+ */
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d{1,9}[.)]\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const FENCE = /^\s*(```|~~~)/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+// Links only to the web or mail; anything else (javascript:, data:) stays text
+export function safeHref(href) {
+  return /^(https?:\/\/|mailto:)/i.test(href.trim()) ? href.trim() : null;
+}
+
+export function parseInline(text) {
+  const nodes = [];
+  let buffer = "";
+  const flush = () => {
+    if (buffer) nodes.push({ type: "text", text: buffer });
+    buffer = "";
+  };
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    let m;
+    if (rest[0] === "\\" && /^\\[\\`*_[\]()#>-]/.test(rest)) {
+      buffer += rest[1];
+      i += 2;
+    } else if (rest[0] === "\n") {
+      flush();
+      nodes.push({ type: "break" });
+      i += 1;
+    } else if ((m = rest.match(/^`([^`]+)`/))) {
+      flush();
+      nodes.push({ type: "code", text: m[1] });
+      i += m[0].length;
+    } else if ((m = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1/))) {
+      flush();
+      nodes.push({ type: "strong", children: parseInline(m[2]) });
+      i += m[0].length;
+    } else if ((m = rest.match(/^([*_])(?=\S)([\s\S]*?\S)\1(?!\1)/))) {
+      flush();
+      nodes.push({ type: "em", children: parseInline(m[2]) });
+      i += m[0].length;
+    } else if ((m = rest.match(/^\[([^\]]+)\]\(([^)\s]+)\)/)) && safeHref(m[2])) {
+      flush();
+      nodes.push({ type: "link", href: safeHref(m[2]), children: parseInline(m[1]) });
+      i += m[0].length;
+    } else if ((m = rest.match(/^https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/))) {
+      flush();
+      nodes.push({ type: "link", href: m[0], children: [{ type: "text", text: m[0] }] });
+      i += m[0].length;
+    } else {
+      buffer += rest[0];
+      i += 1;
+    }
+  }
+  flush();
+  return nodes;
+}
+
+function isBlockStart(line) {
+  return HEADING.test(line) || BULLET.test(line) || NUMBERED.test(line) || QUOTE.test(line) || FENCE.test(line) || RULE.test(line);
+}
+
+export function parseMarkdown(source) {
+  const lines = String(source || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+    if (!line.trim()) {
+      i += 1;
+    } else if (FENCE.test(line)) {
+      const fence = line.match(FENCE)[1];
+      const code = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+      i += 1; // the closing fence (or the end of the text)
+      blocks.push({ type: "code", text: code.join("\n") });
+    } else if ((m = line.match(HEADING))) {
+      blocks.push({ type: "heading", level: m[1].length, inline: parseInline(m[2]) });
+      i += 1;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i += 1;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].match(QUOTE)[1]);
+      blocks.push({ type: "quote", blocks: parseMarkdown(quoted.join("\n")) });
+    } else if (BULLET.test(line) || NUMBERED.test(line)) {
+      const ordered = !BULLET.test(line);
+      const pattern = ordered ? NUMBERED : BULLET;
+      const items = [];
+      while (i < lines.length && lines[i].trim()) {
+        if ((m = lines[i].match(pattern))) items.push(m[1]);
+        else if (isBlockStart(lines[i])) break;
+        // An indented or lazy line continues the item before it
+        else items[items.length - 1] += `\n${lines[i].trim()}`;
+        i += 1;
+      }
+      blocks.push({ type: "list", ordered, items: items.map(parseInline) });
+    } else {
+      const para = [];
+      while (i < lines.length && lines[i].trim() && !(para.length && isBlockStart(lines[i]))) para.push(lines[i++].trim());
+      blocks.push({ type: "paragraph", inline: parseInline(para.join("\n")) });
+    }
+  }
+  return blocks;
+}
@@ -0,0 +1,3678 @@
+/**
+ * UI message catalogs, one per interface language (see ./i18n for the
+ * lookup rules). English is the reference: every key lives there, and other
+ * catalogs may leave keys out to fall back to it. Brand names, API names and
+ * key names (Enter, F, ISBN) stay as they are.
+ */
+
+const en = {
+  "app.title": "Book Finder",
+  "app.tagline": "For Alex – search by title, author, subject, year, or language.",
+  "app.offline": "You're offline. Your shelves and previously loaded searches are still available; we'll refresh when you reconnect.",
+  "app.uiLanguage": "Interface language",
+
+  "mode.label": "Find books by",
+  "mode.search": "Search",
+  "mode.isbn": "Bulk ISBN lookup",
+
+  "form.advanced": "Advanced query",
+  "form.simple": "Simple search",
+  "form.title": "Title",
+  "form.author": "Author",
+  "form.subject": "Subject / Keyword",
+  "form.language": "Language",
+  "form.anyLanguage": "Any",
+  "form.yearFrom": "Year from",
+  "form.yearTo": "Year to",
+  "form.example": "e.g., {value}",
+  "form.sort": "Sort",
+  "form.localSort": "Sort what's loaded",
+  "form.localSortHint": "Reorders only the results loaded so far",
+  "form.showList": "Toggle List View",
+  "form.showGrid": "Toggle Grid View",
+  "form.reset": "Reset",
+
+  "sort.relevance": "Relevance (API)",
+  "sort.old": "Year (old → new)",
+  "sort.new": "Year (new → old)",
+  "sort.title": "Title (A–Z)",
+  "sort.rating": "Highest rated",
+  "sort.editions": "Most editions",
+  "sort.random": "Random",
+  "localSort.off": "Off (use search order)",
+  "localSort.author": "Author (A–Z)",
+
+  "status.showing": {
+    one: "Showing {shown} of {total} result",
+    other: "Showing {shown} of {total} results",
+  },
+  "status.start": "Start by typing a title, author, or subject.",
+  "status.keys": "Keys: arrows to move between books, Enter to open, F to favorite, C to compare",
+  "status.loading": "Loading results…",
+  "status.none": "No results found",
+  "status.queryError": "Query error: {message}",
+  "error.offline": "You're offline and this search hasn't been loaded before.",
+  "error.query": "Open Library couldn't run this query — check its syntax.",
+  "error.generic": "Something went wrong",
+  "results.label": "Search results",
+
+  "chip.language": "Language: {name}",
+  "chip.published": "Published {from}–{to}",
+
+  "footer.builtWith": "Built with the Open Library API.",
+  "footer.apiDocs": "API docs",
+
+  "card.unknownAuthor": "Unknown author",
+  "card.titleBy": "{title} by {authors}",
+  "card.inLibrary": "in your library",
+  "card.addFav": "Add to favorites",
+  "card.removeFav": "Remove from favorites",
+
+  "book.yourRating": "Your rating",
+  "book.by": "by {authors}",
+  "book.prev": "Previous book",
+  "book.next": "Next book",
+  "book.position": "{index} of {total}",
+  "book.close": "Close",
+  "book.overview": "Overview",
+  "book.editions": "Editions",
+  "book.editionsCount": "Editions ({count})",
+  "book.firstPublished": "First published:",
+  "book.publisher": "Publisher:",
+  "book.yourEdition": "Your edition:",
+  "book.isbn": "ISBN:",
+  "book.subjects": "Subjects & Genres:",
+  "book.about": "About This Book",
+  "book.loadingDescription": "Loading description…",
+  "book.noDescription": "No description available for this book.",
+  "book.share": "Share Book",
+  "book.copied": "Link copied!",
+  "book.copyFailed": "Copy failed",
+
+  "recs.title": "Recommended for you",
+  "recs.intro": "Picked from the subjects, authors and decades of your saved books.",
+  "recs.needMore": {
+    one: "Save {count} more book to get recommendations.",
+    other: "Save {count} more books to get recommendations.",
+  },
+  "recs.loading": "Finding books you might like…",
+  "recs.enriching": {
+    one: "Looking up subjects for {count} saved book…",
+    other: "Looking up subjects for {count} saved books…",
+  },
+  "recs.empty": "Nothing to suggest yet — save a few more books with subjects you like.",
+  "recs.failed": "Couldn't load recommendations.",
+  "recs.shares": "shares: {list}",
+  "recs.sameAuthor": "same author: {names}",
+  "recs.decade": "also from the {decade}s",
+
+  "similar.title": "Similar books",
+  "similar.loading": "Looking for similar books…",
+  "similar.none": "No similar books found.",
+  "similar.failed": "Couldn't load similar books.",
+
+  "card.variant": "Variant",
+  "card.variants": {
+    one: "{count} variant",
+    other: "{count} variants",
+  },
+  "card.showVariants": "Show the other records of this book",
+  "card.hideVariants": "Hide the other records of this book",
+  "status.grouped": {
+    one: "{count} near-duplicate grouped",
+    other: "{count} near-duplicates grouped",
+  },
+
+  "avail.filter": "Availability",
+  "avail.filter.any": "Any",
+  "avail.filter.readable": "Readable online",
+  "avail.filter.borrowable": "Borrowable",
+  "avail.filter.public": "Public domain",
+  "avail.public": "Free to read",
+  "avail.publicDomain": "Public domain",
+  "avail.borrowable": "Borrowable",
+  "avail.printdisabled": "Print-disabled access",
+  "avail.none": "No ebook on Open Library",
+  "avail.read": "Read online",
+  "avail.borrow": "Borrow on Open Library",
+  "avail.printdisabledLink": "Print-disabled access",
+
+  "cite.button": "Cite",
+  "cite.title": "Cite this book",
+  "cite.style": "Citation style",
+  "cite.copy": "Copy",
+  "cite.copyMarkdown": "Copy as Markdown",
+  "cite.copied": "Copied!",
+  "cite.copyFailed": "Couldn't copy — your browser blocked the clipboard.",
+  "cite.fromOwned": "Publisher and year are from the edition you own.",
+  "cite.fromIsbn": "Publisher and year are from the edition with ISBN {isbn}.",
+  "cite.fromWork": "No edition found; publisher and year are from the work record, so check them.",
+  "cite.lookingUp": "Looking up the edition…",
+
+  "storage.library": "your library",
+  "storage.searches": "your saved and recent searches",
+  "storage.locale": "your language setting",
+  "storage.quota": "Browser storage is full, so changes to {what} are only kept in this tab until it closes. Free up space to save them.",
+  "storage.corrupt": "Couldn't read {what}, so it was reset. The damaged copy is kept in localStorage under “{backup}”.",
+  "storage.corruptLost": "Couldn't read {what}, so it was reset.",
+  "storage.unavailable": "This browser isn't letting the site store data, so {what} won't be saved.",
+  "storage.dismiss": "Dismiss",
+
+  "card.addCompare": "Add to comparison",
+  "card.removeCompare": "Remove from comparison",
+  "card.compareFull": "The comparison holds {max} books at most",
+  "card.inComparison": "in comparison",
+  "compare.tray": "Books to compare",
+  "compare.remove": "Remove {title} from comparison",
+  "compare.count": "{count} of {max}",
+  "compare.open": "Compare",
+  "compare.needTwo": "Pick at least two books to compare",
+  "compare.clear": "Clear",
+  "compare.title": "Compare books",
+  "compare.legend": "Page counts and languages come from up to {count} editions of each work. Highlighted subjects are shared with another book.",
+  "compare.close": "Close comparison",
+  "compare.loading": "Loading…",
+  "compare.row.authors": "Authors",
+  "compare.row.year": "First published",
+  "compare.row.editions": "Editions",
+  "compare.row.pages": "Pages",
+  "compare.row.languages": "Languages",
+  "compare.row.subjects": "Subjects",
+  "compare.row.rating": "Rating",
+  "compare.row.availability": "Availability",
+  "compare.pagesMedian": {
+    one: "{count} page (median)",
+    other: "{count} pages (median)",
+  },
+  "compare.pagesRange": "{min}–{max} across editions",
+  "compare.sampled": {
+    one: "from {count} edition",
+    other: "from {count} editions",
+  },
+  "compare.more": "+{count} more",
+  "compare.sharedSubject": "shared",
+  "compare.ratingValue": "{average} / 5",
+  "compare.ratingCount": {
+    one: "({count} rating)",
+    other: "({count} ratings)",
+  },
+  "compare.noRatings": "No ratings yet",
+
+  "error.network": "Couldn't reach Open Library. Check your connection.",
+  "error.timeout": "Open Library took too long to answer.",
+  "error.rateLimited": "Open Library is limiting requests right now. Wait a moment, then retry.",
+  "error.server": "Open Library ran into a problem on its side.",
+  "error.notFound": "Open Library has no record of this.",
+  "error.badRequest": "Open Library couldn't handle this request.",
+  "error.retry": "Retry",
+
+  "suggest.recent": "Recent search",
+  "suggest.topWork": "Known for {title}",
+  "suggest.works": {
+    one: "{count} work",
+    other: "{count} works",
+  },
+  "suggest.count": {
+    one: "{count} suggestion, use the arrow keys to choose",
+    other: "{count} suggestions, use the arrow keys to choose",
+  },
+  "suggest.didYouMeanAuthor": "Did you mean the author {name}?",
+  "suggest.didYouMeanSubject": "Did you mean the subject {name}?",
+
+  "notes.tab": "Notes",
+  "notes.tags": "Tags",
+  "notes.addTag": "Add a tag",
+  "notes.addTagButton": "Add tag",
+  "notes.removeTag": "Remove tag {tag}",
+  "notes.notes": "Notes",
+  "notes.write": "Write",
+  "notes.preview": "Preview",
+  "notes.placeholder": "Why did you save this book? What stayed with you?",
+  "notes.markdownHint": "Markdown works: **bold**, *italic*, - lists, > quotes, [links](https://…)",
+  "notes.empty": "No notes yet.",
+  "notes.quotes": "Quotes",
+  "notes.quoteText": "Quote",
+  "notes.quotePlaceholder": "A passage worth keeping",
+  "notes.page": "Page",
+  "notes.pageShort": "p. {page}",
+  "notes.addQuote": "Save quote",
+  "notes.removeQuote": "Delete quote",
+  "notes.noQuotes": "No quotes saved yet.",
+
+  "library.matchNote": "Note",
+  "library.matchQuote": "Quote",
+  "library.matchQuotePage": "Quote, p. {page}",
+  "library.search": "Search titles, tags, notes and quotes",
+  "library.searchLabel": "Search your library",
+  "library.noMatch": "No saved books match.",
+  "library.filterByTag": "Filter by tag",
+  "library.tags": "Tags",
+
+  "query.find": "Find",
+  "query.and": "and",
+  "query.matching": "matching",
+  "query.notMatching": "not matching",
+  "query.clauseMode": "Clause {n}: include or exclude",
+  "query.clauseField": "Clause {n}: field",
+  "query.clauseValues": "Clause {n}: values (comma-separated alternatives)",
+  "query.removeClauseN": "Remove clause {n}",
+  "query.removeClause": "Remove clause",
+  "query.addClause": "Add clause",
+  "query.hint": "Commas separate alternatives (OR); multi-word values match as phrases; * and ? are wildcards.",
+  "query.textOnly": "This query uses grouping the builder can't show — keep editing it as text.",
+  "query.text": "Query text",
+  "query.field.any": "Any field",
+  "query.field.title": "Title",
+  "query.field.author": "Author",
+  "query.field.subject": "Subject",
+  "query.field.person": "Person",
+  "query.field.place": "Place",
+  "query.field.time": "Time period",
+  "query.field.publisher": "Publisher",
+  "query.field.language": "Language code",
+  "query.field.isbn": "ISBN",
+  "query.field.firstPublishYear": "First published",
+  "query.field.publishYear": "Published (any edition)",
+  "query.field.ebookAccess": "Ebook access",
+  "query.error.unclosedQuote": "This quote is never closed",
+  "query.error.emptyPhrase": "Empty phrase",
+  "query.error.colonNeedsField": "A colon needs a field name before it, like subject:fantasy",
+  "query.error.needsAfter": "{op} needs something after it",
+  "query.error.needsBefore": "{op} needs something before it",
+  "query.error.fieldNeedsValue": "“{field}:” needs a value after it",
+  "query.error.rangeSyntax": "Ranges look like [1900 TO 1950]",
+  "query.error.yearRange": "Year ranges need years (or *), like [1900 TO 1950]",
+  "query.error.endsEarly": "The query ends too early",
+  "query.error.emptyParens": "Empty parentheses",
+  "query.error.unclosedParen": "This parenthesis is never closed",
+  "query.error.unopenedParen": "This parenthesis was never opened",
+  "query.error.unknownField": "Unknown field “{field}” — try title, author, subject, publisher, language…",
+  "query.error.leadingWildcard": "A word can't start with a wildcard",
+  "query.error.rangeNeedsField": "Ranges need a field, like first_publish_year:[1900 TO 1950]",
+  "query.error.unexpected": "Unexpected text here",
+
+  "facet.refine": "Refine",
+  "facet.sample": {
+    one: "Counts from the top result.",
+    other: "Counts from the top {count} results.",
+  },
+  "facet.firstPublished": "First published",
+  "facet.noYears": "No publication years in these results.",
+  "facet.histogram": "Results by first publication year; drag to select a range",
+  "facet.remove": "Remove filter",
+  "facet.removeNamed": "Remove filter {label}",
+  "facet.group.subject": "Subjects",
+  "facet.group.language": "Languages",
+  "facet.group.author": "Authors",
+  "facet.group.publisher": "Publishers",
+  "facet.group.ebook": "Ebook availability",
+  "facet.ebook.public": "Public domain / free",
+  "facet.ebook.borrowable": "Borrowable",
+  "facet.ebook.printdisabled": "Print-disabled access",
+  "facet.ebook.no_ebook": "No ebook",
+  "searches.describe.title": "“{title}”",
+  "searches.describe.author": "by {author}",
+  "searches.describe.subject": "subject {subject}",
+  "searches.describe.any": "Any book",
+  "searches.title": "Recent & saved searches",
+  "searches.savedCount": {
+    one: "({count} saved)",
+    other: "({count} saved)",
+  },
+  "searches.new": {
+    one: "{count} new",
+    other: "{count} new",
+  },
+  "searches.justNow": "just now",
+  "searches.viewed": "viewed {when}",
+  "searches.saved": "Saved searches",
+  "searches.recent": "Recent",
+  "searches.newNameLabel": "Name for this search",
+  "searches.saveCurrent": "Save this search",
+  "searches.savedAs": "This search is saved as “{name}”.",
+  "searches.noSaved": "Save a search to come back to it and see what's new.",
+  "searches.noRecent": "Searches you run show up here.",
+  "searches.clearRecent": "Clear history",
+  "searches.nameLabel": "Saved search name",
+  "searches.saveName": "Save",
+  "searches.cancel": "Cancel",
+  "searches.run": "Run",
+  "searches.runNamed": "Run {name}",
+  "searches.rename": "Rename",
+  "searches.renameNamed": "Rename {name}",
+  "searches.delete": "Delete",
+  "searches.deleteNamed": "Delete {name}",
+  "searches.save": "Save search",
+  "searches.saveNamed": "Save {name}",
+  "searches.removeRecent": "Remove from history",
+  "searches.removeRecentNamed": "Remove {name} from history",
+
+  "isbn.title": "Bulk ISBN lookup",
+  "isbn.intro": "One ISBN per line — ISBN-10 or ISBN-13, hyphens allowed. From a spreadsheet, the first column is used.",
+  "isbn.inputLabel": "ISBNs, one per line",
+  "isbn.upload": "Upload list…",
+  "isbn.fileError": "Couldn't read that file",
+  "isbn.progress": "Looking up… {done} / {total}",
+  "isbn.cancel": "Cancel",
+  "isbn.lookUp": {
+    one: "Look up {count} ISBN",
+    other: "Look up {count} ISBNs",
+  },
+  "isbn.valid": {
+    one: "{count} valid",
+    other: "{count} valid",
+  },
+  "isbn.validWithErrors": "{valid} valid, {invalid} with errors",
+  "isbn.line": "Line",
+  "isbn.input": "Input",
+  "isbn.status": "Status",
+  "isbn.no10": "— (979 prefix)",
+  "isbn.duplicate": "Same book as line {line}",
+  "isbn.lookingUp": "Looking up…",
+  "isbn.ready": "Ready",
+  "isbn.notFound": "Not found on Open Library",
+  "isbn.found": "Found: {title}",
+  "isbn.foundCount": {
+    one: "{count} book found",
+    other: "{count} books found",
+  },
+  "isbn.saveAll": {
+    one: "Add {count} to favorites",
+    other: "Add all {count} to favorites",
+  },
+  "isbn.allSaved": "All in favorites",
+  "isbn.error.empty": "No ISBN on this line",
+  "isbn.error.characters": "Contains characters other than digits and X",
+  "isbn.error.xPosition": "X is only allowed as the last ISBN-10 digit",
+  "isbn.error.checkDigit10": "Bad ISBN-10 check digit (expected {expected})",
+  "isbn.error.checkDigit13": "Bad ISBN-13 check digit (expected {expected})",
+  "isbn.error.prefix": "ISBN-13 must start with 978 or 979",
+  "isbn.error.length": {
+    one: "Wrong length ({count} character; expected 10 or 13)",
+    other: "Wrong length ({count} characters; expected 10 or 13)",
+  },
+
+  "shelf.want": "Want to Read",
+  "shelf.reading": "Reading",
+  "shelf.read": "Read",
+  "library.title": "My Shelves",
+  "library.transfer": "Import / Export",
+  "library.all": "All ({count})",
+  "library.shelfCount": "{name} ({count})",
+  "library.newShelf": "New shelf",
+  "library.addShelf": "Add shelf",
+  "library.shelfName": "Shelf name",
+  "library.save": "Save",
+  "library.cancel": "Cancel",
+  "library.renameShelf": "Rename shelf",
+  "library.deleteShelf": "Delete shelf",
+  "library.deleteShelfConfirm": "Delete “{name}”? Its books move to {fallback}.",
+  "library.empty": "Save books you like to quickly find them later.",
+  "library.emptyShelf": "No books on this shelf yet.",
+  "library.rate": "Rate {n} of 5",
+  "library.saveForLater": "Save for Later",
+  "library.onShelf": "On “{name}”",
+  "library.remove": "Remove from library",
+  "library.showDetails": "Show details",
+  "library.shelf": "Shelf",
+  "library.percentRead": "{pct}% read",
+  "library.pagesRead": "Pages read",
+  "library.pagesOf": "of",
+  "library.pageCount": "Total pages",
+  "library.pages": "pages",
+  "library.added": "Added",
+  "library.started": "Started",
+  "library.finished": "Finished",
+  "transfer.export": "Export your library",
+  "transfer.bibliography": "Bibliography",
+  "transfer.bibliographyIntro": "Every saved book as a reference list. Publisher and year come from the edition you own, where you've set one.",
+  "transfer.citationStyle": "Citation style",
+  "transfer.copy": "Copy text",
+  "transfer.copied": "Copied",
+  "transfer.print": "Print…",
+  "transfer.copyFailed": "Couldn't copy — your browser blocked the clipboard.",
+  "transfer.import": "Import",
+  "transfer.importIntro": "Book Finder JSON/CSV exports, or a Goodreads library export (My Books → Import and export).",
+  "transfer.chooseFile": "Choose file…",
+  "transfer.merged": {
+    one: "Merged {count} book into your library.",
+    other: "Merged {count} books into your library.",
+  },
+  "transfer.matching": "Matching books on Open Library… {done} / {total}",
+  "transfer.cancel": "Cancel",
+  "transfer.status.new": "New",
+  "transfer.status.conflict": "Conflict",
+  "transfer.status.duplicate": "Already saved",
+  "transfer.status.repeat": "Repeated in file",
+  "transfer.status.unmatched": "No match",
+  "transfer.book": "Book",
+  "transfer.status": "Status",
+  "transfer.details": "Details",
+  "transfer.importNamed": "Import {title}",
+  "transfer.untitled": "Untitled",
+  "transfer.matchedBy.isbn": "Matched by ISBN",
+  "transfer.matchedBy.title": "Matched by title/author",
+  "transfer.field.shelf": "Shelf",
+  "transfer.field.rating": "Rating",
+  "transfer.field.startedAt": "Started",
+  "transfer.field.finishedAt": "Finished",
+  "transfer.field.pagesRead": "Pages read",
+  "transfer.tickConflict": "Tick to use the imported values.",
+  "transfer.merge": {
+    one: "Merge {count} book",
+    other: "Merge {count} books",
+  },
+  "transfer.error.empty": "The file is empty.",
+  "transfer.error.badJson": "The file looks like JSON but could not be parsed.",
+  "transfer.error.noRows": "The CSV file has no rows.",
+  "transfer.error.unknownCsv": "Unrecognised CSV: expected a Book Finder or Goodreads export.",
+  "transfer.error.failed": "Import failed",
+
+  "editions.language": "Language",
+  "editions.allLanguages": "All languages",
+  "editions.optionCount": "{name} ({count})",
+  "editions.format": "Format",
+  "editions.allFormats": "All formats",
+  "editions.search": "Search",
+  "editions.searchPlaceholder": "Publisher, ISBN, year…",
+  "editions.loaded": {
+    one: "{loaded} of {count} edition loaded",
+    other: "{loaded} of {count} editions loaded",
+  },
+  "editions.loadedMatching": {
+    one: "{matching} matching · {loaded} of {count} edition loaded",
+    other: "{matching} matching · {loaded} of {count} editions loaded",
+  },
+  "editions.loadMore": "Load more",
+  "editions.loadAll": "Load all {count}",
+  "editions.filtersLoaded": "Filters apply to the editions loaded so far — load all to search every edition.",
+  "editions.edition": "Edition",
+  "editions.publisher": "Publisher",
+  "editions.published": "Published",
+  "editions.pages": "Pages",
+  "editions.actions": "Actions",
+  "editions.mine": "My edition",
+  "editions.own": "I own this",
+  "editions.loading": "Loading editions…",
+  "editions.partial": "Couldn't load more editions; {shown} of {total} are shown.",
+  "editions.noMatch": "No editions match these filters.",
+  "editions.none": "No editions found for this work.",
+  "editions.previous": "Previous",
+  "editions.next": "Next",
+  "editions.page": "Page {page} of {count}",
+  "author.sort.default": "Open Library order",
+  "author.back": "Back",
+  "author.loading": "Loading author…",
+  "author.noBio": "No biography available.",
+  "author.works": "Works",
+  "author.sortWorks": "Sort works",
+  "author.loadAll": "Load all {count}",
+  "author.sortingLoaded": {
+    one: "Sorting the {count} work loaded so far — load all to sort the complete bibliography.",
+    other: "Sorting the {count} works loaded so far — load all to sort the complete bibliography.",
+  },
+  "author.loadingWorks": "Loading works…",
+  "author.noWorks": "No works listed for this author.",
+  "author.previous": "Previous",
+  "author.next": "Next",
+  "author.page": "Page {page} of {count}",
+  "results.loading": "Loading…",
+  "results.loadMore": "Load more",
+  "results.noMore": "No more results.",
+
+  "transfer.field.notes": "Notes",
+  "transfer.field.quotes": "Quotes",
+  "transfer.field.tags": "Tags",
+  "transfer.quoteCount": {
+    one: "{count} quote",
+    other: "{count} quotes",
+  },
+
+  "isbn.error.digits13": "An ISBN-13 has digits only; X is only used in ISBN-10",
+};
+
+const hi = {
+  "app.tagline": "Alex के लिए – शीर्षक, लेखक, विषय, वर्ष या भाषा से खोजें।",
+  "app.offline": "आप ऑफ़लाइन हैं। आपकी शेल्फ़ और पहले लोड की गई खोजें अब भी उपलब्ध हैं; दोबारा कनेक्ट होने पर हम रीफ़्रेश करेंगे।",
+  "app.uiLanguage": "इंटरफ़ेस की भाषा",
+
+  "mode.label": "किताबें खोजें",
+  "mode.search": "खोज",
+  "mode.isbn": "बल्क ISBN खोज",
+
+  "form.advanced": "उन्नत क्वेरी",
+  "form.simple": "सरल खोज",
+  "form.title": "शीर्षक",
+  "form.author": "लेखक",
+  "form.subject": "विषय / कीवर्ड",
+  "form.language": "भाषा",
+  "form.anyLanguage": "कोई भी",
+  "form.yearFrom": "वर्ष से",
+  "form.yearTo": "वर्ष तक",
+  "form.example": "उदा., {value}",
+  "form.sort": "क्रम",
+  "form.localSort": "लोड हुए परिणामों का क्रम",
+  "form.localSortHint": "केवल अब तक लोड हुए परिणामों को फिर से क्रमित करता है",
+  "form.showList": "सूची दृश्य",
+  "form.showGrid": "ग्रिड दृश्य",
+  "form.reset": "रीसेट",
+
+  "sort.relevance": "प्रासंगिकता (API)",
+  "sort.old": "वर्ष (पुराने → नए)",
+  "sort.new": "वर्ष (नए → पुराने)",
+  "sort.title": "शीर्षक (A–Z)",
+  "sort.rating": "सबसे ऊँची रेटिंग",
+  "sort.editions": "सबसे ज़्यादा संस्करण",
+  "sort.random": "यादृच्छिक",
+  "localSort.off": "बंद (खोज का क्रम)",
+  "localSort.author": "लेखक (A–Z)",
+
+  "status.showing": {
+    one: "{total} में से {shown} परिणाम दिखाया जा रहा है",
+    other: "{total} में से {shown} परिणाम दिखाए जा रहे हैं",
+  },
+  "status.start": "शीर्षक, लेखक या विषय लिखकर शुरू करें।",
+  "status.keys": "कुंजियाँ: किताबों के बीच जाने के लिए तीर, खोलने के लिए Enter, पसंदीदा के लिए F, तुलना के लिए C",
+  "status.loading": "परिणाम लोड हो रहे हैं…",
+  "status.none": "कोई परिणाम नहीं मिला",
+  "status.queryError": "क्वेरी में गड़बड़ी: {message}",
+  "error.offline": "आप ऑफ़लाइन हैं और यह खोज पहले लोड नहीं हुई थी।",
+  "error.query": "Open Library यह क्वेरी नहीं चला सका — इसका सिंटैक्स जाँचें।",
+  "error.generic": "कुछ गड़बड़ हो गई",
+  "results.label": "खोज परिणाम",
+
+  "chip.language": "भाषा: {name}",
+  "chip.published": "प्रकाशित {from}–{to}",
+
+  "footer.builtWith": "Open Library API से बनाया गया।",
+  "footer.apiDocs": "API दस्तावेज़",
+
+  "card.unknownAuthor": "अज्ञात लेखक",
+  "card.titleBy": "{title}, लेखक {authors}",
+  "card.inLibrary": "आपकी लाइब्रेरी में",
+  "card.addFav": "पसंदीदा में जोड़ें",
+  "card.removeFav": "पसंदीदा से हटाएँ",
+
+  "book.yourRating": "आपकी रेटिंग",
+  "book.by": "लेखक: {authors}",
+  "book.prev": "पिछली किताब",
+  "book.next": "अगली किताब",
+  "book.position": "{total} में से {index}",
+  "book.close": "बंद करें",
+  "book.overview": "सारांश",
+  "book.editions": "संस्करण",
+  "book.editionsCount": "संस्करण ({count})",
+  "book.firstPublished": "पहली बार प्रकाशित:",
+  "book.publisher": "प्रकाशक:",
+  "book.yourEdition": "आपका संस्करण:",
+  "book.subjects": "विषय और शैलियाँ:",
+  "book.about": "इस किताब के बारे में",
+  "book.loadingDescription": "विवरण लोड हो रहा है…",
+  "book.noDescription": "इस किताब का कोई विवरण उपलब्ध नहीं है।",
+  "book.share": "किताब साझा करें",
+  "book.copied": "लिंक कॉपी हो गया!",
+  "book.copyFailed": "कॉपी नहीं हो सका",
+
+  "recs.title": "आपके लिए सुझाव",
+  "recs.intro": "आपकी सहेजी गई किताबों के विषयों, लेखकों और दशकों के आधार पर चुनी गईं।",
+  "recs.needMore": {
+    one: "सुझाव पाने के लिए {count} और किताब सहेजें।",
+    other: "सुझाव पाने के लिए {count} और किताबें सहेजें।",
+  },
+  "recs.loading": "आपकी पसंद की किताबें खोजी जा रही हैं…",
+  "recs.enriching": {
+    one: "{count} सहेजी गई किताब के विषय देखे जा रहे हैं…",
+    other: "{count} सहेजी गई किताबों के विषय देखे जा रहे हैं…",
+  },
+  "recs.empty": "अभी सुझाने को कुछ नहीं — अपनी पसंद के विषयों वाली कुछ और किताबें सहेजें।",
+  "recs.failed": "सुझाव लोड नहीं हो सके।",
+  "recs.shares": "साझा: {list}",
+  "recs.sameAuthor": "वही लेखक: {names}",
+  "recs.decade": "यह भी {decade} के दशक से",
+
+  "similar.title": "मिलती-जुलती किताबें",
+  "similar.loading": "मिलती-जुलती किताबें खोजी जा रही हैं…",
+  "similar.none": "कोई मिलती-जुलती किताब नहीं मिली।",
+  "similar.failed": "मिलती-जुलती किताबें लोड नहीं हो सकीं।",
+
+  "card.variant": "रूपांतर",
+  "card.variants": {
+    one: "{count} रूपांतर",
+    other: "{count} रूपांतर",
+  },
+  "card.showVariants": "इस पुस्तक के अन्य रिकॉर्ड दिखाएँ",
+  "card.hideVariants": "इस पुस्तक के अन्य रिकॉर्ड छिपाएँ",
+  "status.grouped": {
+    one: "{count} मिलता-जुलता परिणाम समूहित",
+    other: "{count} मिलते-जुलते परिणाम समूहित",
+  },
+
+  "avail.filter": "उपलब्धता",
+  "avail.filter.any": "कोई भी",
+  "avail.filter.readable": "ऑनलाइन पढ़ने योग्य",
+  "avail.filter.borrowable": "उधार योग्य",
+  "avail.filter.public": "सार्वजनिक डोमेन",
+  "avail.public": "मुफ़्त में पढ़ें",
+  "avail.publicDomain": "सार्वजनिक डोमेन",
+  "avail.borrowable": "उधार योग्य",
+  "avail.printdisabled": "मुद्रण-अक्षम पाठकों के लिए",
+  "avail.none": "Open Library पर कोई ई-बुक नहीं",
+  "avail.read": "ऑनलाइन पढ़ें",
+  "avail.borrow": "Open Library से उधार लें",
+  "avail.printdisabledLink": "मुद्रण-अक्षम पाठकों के लिए पहुँच",
+
+  "cite.button": "उद्धरण",
+  "cite.title": "इस पुस्तक का उद्धरण दें",
+  "cite.style": "उद्धरण शैली",
+  "cite.copy": "कॉपी करें",
+  "cite.copyMarkdown": "Markdown के रूप में कॉपी करें",
+  "cite.copied": "कॉपी हो गया!",
+  "cite.copyFailed": "कॉपी नहीं हो सका — ब्राउज़र ने क्लिपबोर्ड रोक दिया।",
+  "cite.fromOwned": "प्रकाशक और वर्ष आपके संस्करण से हैं।",
+  "cite.fromIsbn": "प्रकाशक और वर्ष ISBN {isbn} वाले संस्करण से हैं।",
+  "cite.fromWork": "कोई संस्करण नहीं मिला; प्रकाशक और वर्ष कृति के रिकॉर्ड से हैं, कृपया जाँच लें।",
+  "cite.lookingUp": "संस्करण खोजा जा रहा है…",
+
+  "storage.library": "आपकी लाइब्रेरी",
+  "storage.searches": "आपकी सहेजी और हाल की खोजें",
+  "storage.locale": "आपकी भाषा सेटिंग",
+  "storage.quota": "ब्राउज़र स्टोरेज भर गया है, इसलिए {what} में बदलाव केवल इस टैब में, उसके बंद होने तक रहेंगे। उन्हें सहेजने के लिए जगह खाली करें।",
+  "storage.corrupt": "{what} पढ़ी नहीं जा सकी, इसलिए उसे रीसेट कर दिया गया। खराब प्रति localStorage में “{backup}” के अंतर्गत रखी गई है।",
+  "storage.corruptLost": "{what} पढ़ी नहीं जा सकी, इसलिए उसे रीसेट कर दिया गया।",
+  "storage.unavailable": "यह ब्राउज़र साइट को डेटा सहेजने नहीं दे रहा, इसलिए {what} सहेजी नहीं जाएगी।",
+  "storage.dismiss": "बंद करें",
+
+  "card.addCompare": "तुलना में जोड़ें",
+  "card.removeCompare": "तुलना से हटाएँ",
+  "card.compareFull": "तुलना में अधिकतम {max} किताबें हो सकती हैं",
+  "card.inComparison": "तुलना में",
+  "compare.tray": "तुलना के लिए किताबें",
+  "compare.remove": "{title} को तुलना से हटाएँ",
+  "compare.count": "{max} में से {count}",
+  "compare.open": "तुलना करें",
+  "compare.needTwo": "तुलना के लिए कम से कम दो किताबें चुनें",
+  "compare.clear": "साफ़ करें",
+  "compare.title": "किताबों की तुलना",
+  "compare.legend": "पृष्ठ संख्या और भाषाएँ हर कृति के अधिकतम {count} संस्करणों से ली गई हैं। हाइलाइट किए गए विषय किसी दूसरी किताब में भी हैं।",
+  "compare.close": "तुलना बंद करें",
+  "compare.loading": "लोड हो रहा है…",
+  "compare.row.authors": "लेखक",
+  "compare.row.year": "पहली बार प्रकाशित",
+  "compare.row.editions": "संस्करण",
+  "compare.row.pages": "पृष्ठ",
+  "compare.row.languages": "भाषाएँ",
+  "compare.row.subjects": "विषय",
+  "compare.row.rating": "रेटिंग",
+  "compare.row.availability": "उपलब्धता",
+  "compare.pagesMedian": {
+    one: "{count} पृष्ठ (माध्यिका)",
+    other: "{count} पृष्ठ (माध्यिका)",
+  },
+  "compare.pagesRange": "संस्करणों में {min}–{max}",
+  "compare.sampled": {
+    one: "{count} संस्करण से",
+    other: "{count} संस्करणों से",
+  },
+  "compare.more": "+{count} और",
+  "compare.sharedSubject": "साझा",
+  "compare.ratingValue": "{average} / 5",
+  "compare.ratingCount": {
+    one: "({count} रेटिंग)",
+    other: "({count} रेटिंग)",
+  },
+  "compare.noRatings": "अभी कोई रेटिंग नहीं",
+
+  "error.network": "Open Library तक नहीं पहुँच सके। अपना कनेक्शन जाँचें।",
+  "error.timeout": "Open Library ने जवाब देने में बहुत देर लगाई।",
+  "error.rateLimited": "Open Library अभी अनुरोध सीमित कर रहा है। थोड़ा रुककर फिर से कोशिश करें।",
+  "error.server": "Open Library की ओर से कोई समस्या आई।",
+  "error.notFound": "Open Library में इसका कोई रिकॉर्ड नहीं है।",
+  "error.badRequest": "Open Library यह अनुरोध पूरा नहीं कर सका।",
+  "error.retry": "फिर से कोशिश करें",
+
+  "suggest.recent": "हाल की खोज",
+  "suggest.topWork": "{title} के लिए प्रसिद्ध",
+  "suggest.works": {
+    one: "{count} कृति",
+    other: "{count} कृतियाँ",
+  },
+  "suggest.count": {
+    one: "{count} सुझाव, चुनने के लिए तीर कुंजियों का उपयोग करें",
+    other: "{count} सुझाव, चुनने के लिए तीर कुंजियों का उपयोग करें",
+  },
+  "suggest.didYouMeanAuthor": "क्या आपका मतलब लेखक {name} था?",
+  "suggest.didYouMeanSubject": "क्या आपका मतलब विषय {name} था?",
+
+  "notes.tab": "नोट्स",
+  "notes.tags": "टैग",
+  "notes.addTag": "टैग जोड़ें",
+  "notes.addTagButton": "टैग जोड़ें",
+  "notes.removeTag": "टैग {tag} हटाएँ",
+  "notes.notes": "नोट्स",
+  "notes.write": "लिखें",
+  "notes.preview": "पूर्वावलोकन",
+  "notes.placeholder": "आपने यह पुस्तक क्यों सहेजी? आपको क्या याद रहा?",
+  "notes.markdownHint": "Markdown काम करता है: **बोल्ड**, *इटैलिक*, - सूचियाँ, > उद्धरण, [लिंक](https://…)",
+  "notes.empty": "अभी कोई नोट नहीं।",
+  "notes.quotes": "उद्धरण",
+  "notes.quoteText": "उद्धरण",
+  "notes.quotePlaceholder": "सहेजने लायक कोई अंश",
+  "notes.page": "पृष्ठ",
+  "notes.pageShort": "पृ. {page}",
+  "notes.addQuote": "उद्धरण सहेजें",
+  "notes.removeQuote": "उद्धरण हटाएँ",
+  "notes.noQuotes": "अभी कोई उद्धरण सहेजा नहीं गया।",
+
+  "library.matchNote": "नोट",
+  "library.matchQuote": "उद्धरण",
+  "library.matchQuotePage": "उद्धरण, पृ. {page}",
+  "library.search": "शीर्षक, टैग, नोट्स और उद्धरण खोजें",
+  "library.searchLabel": "अपनी लाइब्रेरी में खोजें",
+  "library.noMatch": "कोई सहेजी गई किताब मेल नहीं खाती।",
+  "library.filterByTag": "टैग से छाँटें",
+  "library.tags": "टैग",
+
+  "query.find": "खोजें",
+  "query.and": "और",
+  "query.matching": "मेल खाते",
+  "query.notMatching": "मेल न खाते",
+  "query.clauseMode": "शर्त {n}: शामिल करें या हटाएँ",
+  "query.clauseField": "शर्त {n}: फ़ील्ड",
+  "query.clauseValues": "शर्त {n}: मान (अल्पविराम से अलग विकल्प)",
+  "query.removeClauseN": "शर्त {n} हटाएँ",
+  "query.removeClause": "शर्त हटाएँ",
+  "query.addClause": "शर्त जोड़ें",
+  "query.hint": "अल्पविराम विकल्पों को अलग करते हैं (OR); कई शब्दों वाले मान वाक्यांश की तरह मिलाए जाते हैं; * और ? वाइल्डकार्ड हैं।",
+  "query.textOnly": "यह क्वेरी ऐसे समूह इस्तेमाल करती है जिन्हें बिल्डर नहीं दिखा सकता — इसे टेक्स्ट के रूप में ही संपादित करते रहें।",
+  "query.text": "क्वेरी टेक्स्ट",
+  "query.field.any": "कोई भी फ़ील्ड",
+  "query.field.title": "शीर्षक",
+  "query.field.author": "लेखक",
+  "query.field.subject": "विषय",
+  "query.field.person": "व्यक्ति",
+  "query.field.place": "स्थान",
+  "query.field.time": "कालखंड",
+  "query.field.publisher": "प्रकाशक",
+  "query.field.language": "भाषा कोड",
+  "query.field.isbn": "ISBN",
+  "query.field.firstPublishYear": "पहली बार प्रकाशित",
+  "query.field.publishYear": "प्रकाशित (कोई भी संस्करण)",
+  "query.field.ebookAccess": "ई-बुक उपलब्धता",
+  "query.error.unclosedQuote": "यह उद्धरण चिह्न कभी बंद नहीं होता",
+  "query.error.emptyPhrase": "खाली वाक्यांश",
+  "query.error.colonNeedsField": "कोलन से पहले फ़ील्ड का नाम चाहिए, जैसे subject:fantasy",
+  "query.error.needsAfter": "{op} के बाद कुछ होना चाहिए",
+  "query.error.needsBefore": "{op} से पहले कुछ होना चाहिए",
+  "query.error.fieldNeedsValue": "“{field}:” के बाद कोई मान चाहिए",
+  "query.error.rangeSyntax": "सीमाएँ ऐसी दिखती हैं: [1900 TO 1950]",
+  "query.error.yearRange": "वर्ष-सीमा में वर्ष (या *) चाहिए, जैसे [1900 TO 1950]",
+  "query.error.endsEarly": "क्वेरी बहुत जल्दी ख़त्म हो जाती है",
+  "query.error.emptyParens": "खाली कोष्ठक",
+  "query.error.unclosedParen": "यह कोष्ठक कभी बंद नहीं होता",
+  "query.error.unopenedParen": "यह कोष्ठक कभी खुला ही नहीं",
+  "query.error.unknownField": "अज्ञात फ़ील्ड “{field}” — title, author, subject, publisher, language… आज़माएँ",
+  "query.error.leadingWildcard": "कोई शब्द वाइल्डकार्ड से शुरू नहीं हो सकता",
+  "query.error.rangeNeedsField": "सीमा के लिए फ़ील्ड चाहिए, जैसे first_publish_year:[1900 TO 1950]",
+  "query.error.unexpected": "यहाँ अनपेक्षित टेक्स्ट है",
+
+  "facet.refine": "सीमित करें",
+  "facet.sample": {
+    one: "गिनती शीर्ष परिणाम से।",
+    other: "गिनती शीर्ष {count} परिणामों से।",
+  },
+  "facet.firstPublished": "पहली बार प्रकाशित",
+  "facet.noYears": "इन परिणामों में प्रकाशन वर्ष नहीं हैं।",
+  "facet.histogram": "पहले प्रकाशन वर्ष के अनुसार परिणाम; सीमा चुनने के लिए खींचें",
+  "facet.remove": "फ़िल्टर हटाएँ",
+  "facet.removeNamed": "फ़िल्टर {label} हटाएँ",
+  "facet.group.subject": "विषय",
+  "facet.group.language": "भाषाएँ",
+  "facet.group.author": "लेखक",
+  "facet.group.publisher": "प्रकाशक",
+  "facet.group.ebook": "ई-बुक उपलब्धता",
+  "facet.ebook.public": "सार्वजनिक डोमेन / मुफ़्त",
+  "facet.ebook.borrowable": "उधार योग्य",
+  "facet.ebook.printdisabled": "मुद्रण-अक्षम पाठकों के लिए",
+  "facet.ebook.no_ebook": "कोई ई-बुक नहीं",
+  "searches.describe.title": "“{title}”",
+  "searches.describe.author": "{author} द्वारा",
+  "searches.describe.subject": "विषय {subject}",
+  "searches.describe.any": "कोई भी किताब",
+  "searches.title": "हाल की और सहेजी गई खोजें",
+  "searches.savedCount": {
+    one: "({count} सहेजी गई)",
+    other: "({count} सहेजी गईं)",
+  },
+  "searches.new": {
+    one: "{count} नया",
+    other: "{count} नए",
+  },
+  "searches.justNow": "अभी",
+  "searches.viewed": "देखा गया {when}",
+  "searches.saved": "सहेजी गई खोजें",
+  "searches.recent": "हाल की",
+  "searches.newNameLabel": "इस खोज का नाम",
+  "searches.saveCurrent": "यह खोज सहेजें",
+  "searches.savedAs": "यह खोज “{name}” नाम से सहेजी गई है।",
+  "searches.noSaved": "किसी खोज पर लौटने और नया देखने के लिए उसे सहेजें।",
+  "searches.noRecent": "आपकी की गई खोजें यहाँ दिखेंगी।",
+  "searches.clearRecent": "इतिहास साफ़ करें",
+  "searches.nameLabel": "सहेजी गई खोज का नाम",
+  "searches.saveName": "सहेजें",
+  "searches.cancel": "रद्द करें",
+  "searches.run": "चलाएँ",
+  "searches.runNamed": "{name} चलाएँ",
+  "searches.rename": "नाम बदलें",
+  "searches.renameNamed": "{name} का नाम बदलें",
+  "searches.delete": "मिटाएँ",
+  "searches.deleteNamed": "{name} मिटाएँ",
+  "searches.save": "खोज सहेजें",
+  "searches.saveNamed": "{name} सहेजें",
+  "searches.removeRecent": "इतिहास से हटाएँ",
+  "searches.removeRecentNamed": "{name} को इतिहास से हटाएँ",
+
+  "isbn.title": "एक साथ कई ISBN खोजें",
+  "isbn.intro": "हर पंक्ति में एक ISBN — ISBN-10 या ISBN-13, हाइफ़न चल सकते हैं। स्प्रेडशीट से पहला कॉलम लिया जाता है।",
+  "isbn.inputLabel": "ISBN, हर पंक्ति में एक",
+  "isbn.upload": "सूची अपलोड करें…",
+  "isbn.fileError": "वह फ़ाइल पढ़ी नहीं जा सकी",
+  "isbn.progress": "खोज रहे हैं… {done} / {total}",
+  "isbn.cancel": "रद्द करें",
+  "isbn.lookUp": {
+    one: "{count} ISBN खोजें",
+    other: "{count} ISBN खोजें",
+  },
+  "isbn.valid": {
+    one: "{count} मान्य",
+    other: "{count} मान्य",
+  },
+  "isbn.validWithErrors": "{valid} मान्य, {invalid} में त्रुटियाँ",
+  "isbn.line": "पंक्ति",
+  "isbn.input": "इनपुट",
+  "isbn.status": "स्थिति",
+  "isbn.no10": "— (979 उपसर्ग)",
+  "isbn.duplicate": "पंक्ति {line} वाली ही किताब",
+  "isbn.lookingUp": "खोज रहे हैं…",
+  "isbn.ready": "तैयार",
+  "isbn.notFound": "Open Library पर नहीं मिली",
+  "isbn.found": "मिली: {title}",
+  "isbn.foundCount": {
+    one: "{count} किताब मिली",
+    other: "{count} किताबें मिलीं",
+  },
+  "isbn.saveAll": {
+    one: "{count} को पसंदीदा में जोड़ें",
+    other: "सभी {count} को पसंदीदा में जोड़ें",
+  },
+  "isbn.allSaved": "सभी पसंदीदा में हैं",
+  "isbn.error.empty": "इस पंक्ति में कोई ISBN नहीं",
+  "isbn.error.characters": "इसमें अंकों और X के अलावा अक्षर हैं",
+  "isbn.error.xPosition": "X केवल ISBN-10 के अंतिम अंक के रूप में चलता है",
+  "isbn.error.checkDigit10": "ISBN-10 का जाँच अंक ग़लत है (अपेक्षित {expected})",
+  "isbn.error.checkDigit13": "ISBN-13 का जाँच अंक ग़लत है (अपेक्षित {expected})",
+  "isbn.error.prefix": "ISBN-13 की शुरुआत 978 या 979 से होनी चाहिए",
+  "isbn.error.length": {
+    one: "ग़लत लंबाई ({count} अक्षर; 10 या 13 अपेक्षित)",
+    other: "ग़लत लंबाई ({count} अक्षर; 10 या 13 अपेक्षित)",
+  },
+
+  "shelf.want": "पढ़ना है",
+  "shelf.reading": "पढ़ रहे हैं",
+  "shelf.read": "पढ़ ली",
+  "library.title": "मेरी अलमारियाँ",
+  "library.transfer": "आयात / निर्यात",
+  "library.all": "सभी ({count})",
+  "library.shelfCount": "{name} ({count})",
+  "library.newShelf": "नई अलमारी",
+  "library.addShelf": "अलमारी जोड़ें",
+  "library.shelfName": "अलमारी का नाम",
+  "library.save": "सहेजें",
+  "library.cancel": "रद्द करें",
+  "library.renameShelf": "अलमारी का नाम बदलें",
+  "library.deleteShelf": "अलमारी मिटाएँ",
+  "library.deleteShelfConfirm": "“{name}” मिटाएँ? इसकी किताबें {fallback} में चली जाएँगी।",
+  "library.empty": "पसंद की किताबें सहेजें ताकि बाद में जल्दी मिल जाएँ।",
+  "library.emptyShelf": "इस अलमारी में अभी कोई किताब नहीं।",
+  "library.rate": "5 में से {n} रेटिंग दें",
+  "library.saveForLater": "बाद के लिए सहेजें",
+  "library.onShelf": "“{name}” में",
+  "library.remove": "लाइब्रेरी से हटाएँ",
+  "library.showDetails": "विवरण दिखाएँ",
+  "library.shelf": "अलमारी",
+  "library.percentRead": "{pct}% पढ़ी",
+  "library.pagesRead": "पढ़े गए पृष्ठ",
+  "library.pagesOf": "/",
+  "library.pageCount": "कुल पृष्ठ",
+  "library.pages": "पृष्ठ",
+  "library.added": "जोड़ी गई",
+  "library.started": "शुरू की",
+  "library.finished": "पूरी की",
+  "transfer.export": "अपनी लाइब्रेरी निर्यात करें",
+  "transfer.bibliography": "संदर्भ सूची",
+  "transfer.bibliographyIntro": "हर सहेजी गई किताब संदर्भ सूची के रूप में। प्रकाशक और वर्ष आपके संस्करण से लिए जाते हैं, जहाँ आपने चुना हो।",
+  "transfer.citationStyle": "उद्धरण शैली",
+  "transfer.copy": "टेक्स्ट कॉपी करें",
+  "transfer.copied": "कॉपी हो गया",
+  "transfer.print": "प्रिंट…",
+  "transfer.copyFailed": "कॉपी नहीं हो सका — आपके ब्राउज़र ने क्लिपबोर्ड रोक दिया।",
+  "transfer.import": "आयात",
+  "transfer.importIntro": "Book Finder के JSON/CSV निर्यात, या Goodreads लाइब्रेरी निर्यात (My Books → Import and export)।",
+  "transfer.chooseFile": "फ़ाइल चुनें…",
+  "transfer.merged": {
+    one: "{count} किताब आपकी लाइब्रेरी में जोड़ी गई।",
+    other: "{count} किताबें आपकी लाइब्रेरी में जोड़ी गईं।",
+  },
+  "transfer.matching": "Open Library पर किताबें मिलाई जा रही हैं… {done} / {total}",
+  "transfer.cancel": "रद्द करें",
+  "transfer.status.new": "नई",
+  "transfer.status.conflict": "टकराव",
+  "transfer.status.duplicate": "पहले से सहेजी",
+  "transfer.status.repeat": "फ़ाइल में दोहराई गई",
+  "transfer.status.unmatched": "मेल नहीं मिला",
+  "transfer.book": "किताब",
+  "transfer.status": "स्थिति",
+  "transfer.details": "विवरण",
+  "transfer.importNamed": "{title} आयात करें",
+  "transfer.untitled": "बिना शीर्षक",
+  "transfer.matchedBy.isbn": "ISBN से मिलाया",
+  "transfer.matchedBy.title": "शीर्षक/लेखक से मिलाया",
+  "transfer.field.shelf": "अलमारी",
+  "transfer.field.rating": "रेटिंग",
+  "transfer.field.startedAt": "शुरू की",
+  "transfer.field.finishedAt": "पूरी की",
+  "transfer.field.pagesRead": "पढ़े गए पृष्ठ",
+  "transfer.tickConflict": "आयात किए गए मान इस्तेमाल करने के लिए चुनें।",
+  "transfer.merge": {
+    one: "{count} किताब जोड़ें",
+    other: "{count} किताबें जोड़ें",
+  },
+  "transfer.error.empty": "फ़ाइल खाली है।",
+  "transfer.error.badJson": "फ़ाइल JSON जैसी दिखती है पर पढ़ी नहीं जा सकी।",
+  "transfer.error.noRows": "CSV फ़ाइल में कोई पंक्ति नहीं है।",
+  "transfer.error.unknownCsv": "अपरिचित CSV: Book Finder या Goodreads निर्यात अपेक्षित था।",
+  "transfer.error.failed": "आयात विफल रहा",
+
+  "editions.language": "भाषा",
+  "editions.allLanguages": "सभी भाषाएँ",
+  "editions.optionCount": "{name} ({count})",
+  "editions.format": "प्रारूप",
+  "editions.allFormats": "सभी प्रारूप",
+  "editions.search": "खोजें",
+  "editions.searchPlaceholder": "प्रकाशक, ISBN, वर्ष…",
+  "editions.loaded": {
+    one: "{count} में से {loaded} संस्करण लोड हुआ",
+    other: "{count} में से {loaded} संस्करण लोड हुए",
+  },
+  "editions.loadedMatching": {
+    one: "{matching} मेल खाते · {count} में से {loaded} संस्करण लोड हुआ",
+    other: "{matching} मेल खाते · {count} में से {loaded} संस्करण लोड हुए",
+  },
+  "editions.loadMore": "और लोड करें",
+  "editions.loadAll": "सभी {count} लोड करें",
+  "editions.filtersLoaded": "फ़िल्टर अब तक लोड हुए संस्करणों पर लागू हैं — हर संस्करण खोजने के लिए सभी लोड करें।",
+  "editions.edition": "संस्करण",
+  "editions.publisher": "प्रकाशक",
+  "editions.published": "प्रकाशित",
+  "editions.pages": "पृष्ठ",
+  "editions.actions": "क्रियाएँ",
+  "editions.mine": "मेरा संस्करण",
+  "editions.own": "यह मेरे पास है",
+  "editions.loading": "संस्करण लोड हो रहे हैं…",
+  "editions.partial": "और संस्करण लोड नहीं हो सके; {total} में से {shown} दिखाए गए हैं।",
+  "editions.noMatch": "इन फ़िल्टरों से कोई संस्करण मेल नहीं खाता।",
+  "editions.none": "इस कृति का कोई संस्करण नहीं मिला।",
+  "editions.previous": "पिछला",
+  "editions.next": "अगला",
+  "editions.page": "पृष्ठ {page} / {count}",
+  "author.sort.default": "Open Library क्रम",
+  "author.back": "वापस",
+  "author.loading": "लेखक लोड हो रहा है…",
+  "author.noBio": "कोई जीवनी उपलब्ध नहीं।",
+  "author.works": "कृतियाँ",
+  "author.sortWorks": "कृतियाँ क्रमबद्ध करें",
+  "author.loadAll": "सभी {count} लोड करें",
+  "author.sortingLoaded": {
+    one: "अब तक लोड हुई {count} कृति क्रमबद्ध — पूरी सूची के लिए सभी लोड करें।",
+    other: "अब तक लोड हुई {count} कृतियाँ क्रमबद्ध — पूरी सूची के लिए सभी लोड करें।",
+  },
+  "author.loadingWorks": "कृतियाँ लोड हो रही हैं…",
+  "author.noWorks": "इस लेखक की कोई कृति सूचीबद्ध नहीं।",
+  "author.previous": "पिछला",
+  "author.next": "अगला",
+  "author.page": "पृष्ठ {page} / {count}",
+  "results.loading": "लोड हो रहा है…",
+  "results.loadMore": "और लोड करें",
+  "results.noMore": "और परिणाम नहीं।",
+
+  "transfer.field.notes": "नोट्स",
+  "transfer.field.quotes": "उद्धरण",
+  "transfer.field.tags": "टैग",
+  "transfer.quoteCount": {
+    one: "{count} उद्धरण",
+    other: "{count} उद्धरण",
+  },
+
+  "isbn.error.digits13": "ISBN-13 में केवल अंक होते हैं; X केवल ISBN-10 में आता है",
+};
+
+const te = {
+  "app.tagline": "Alex కోసం – శీర్షిక, రచయిత, విషయం, సంవత్సరం లేదా భాష ద్వారా వెతకండి.",
+  "app.offline": "మీరు ఆఫ్‌లైన్‌లో ఉన్నారు. మీ షెల్ఫ్‌లు, ఇంతకు ముందు లోడ్ చేసిన శోధనలు ఇంకా అందుబాటులో ఉన్నాయి; మళ్లీ కనెక్ట్ అయినప్పుడు రిఫ్రెష్ చేస్తాం.",
+  "app.uiLanguage": "ఇంటర్‌ఫేస్ భాష",
+
+  "mode.label": "పుస్తకాలను వెతకండి",
+  "mode.search": "శోధన",
+  "mode.isbn": "బల్క్ ISBN శోధన",
+
+  "form.advanced": "అధునాతన క్వెరీ",
+  "form.simple": "సాధారణ శోధన",
+  "form.title": "శీర్షిక",
+  "form.author": "రచయిత",
+  "form.subject": "విషయం / కీవర్డ్",
+  "form.language": "భాష",
+  "form.anyLanguage": "ఏదైనా",
+  "form.yearFrom": "సంవత్సరం నుండి",
+  "form.yearTo": "సంవత్సరం వరకు",
+  "form.example": "ఉదా., {value}",
+  "form.sort": "క్రమం",
+  "form.localSort": "లోడ్ అయినవాటి క్రమం",
+  "form.localSortHint": "ఇప్పటివరకు లోడ్ అయిన ఫలితాలను మాత్రమే మళ్లీ క్రమపరుస్తుంది",
+  "form.showList": "జాబితా వీక్షణ",
+  "form.showGrid": "గ్రిడ్ వీక్షణ",
+  "form.reset": "రీసెట్",
+
+  "sort.relevance": "సంబంధితత (API)",
+  "sort.old": "సంవత్సరం (పాతవి → కొత్తవి)",
+  "sort.new": "సంవత్సరం (కొత్తవి → పాతవి)",
+  "sort.title": "శీర్షిక (A–Z)",
+  "sort.rating": "అత్యధిక రేటింగ్",
+  "sort.editions": "ఎక్కువ ఎడిషన్లు",
+  "sort.random": "యాదృచ్ఛికం",
+  "localSort.off": "ఆఫ్ (శోధన క్రమం)",
+  "localSort.author": "రచయిత (A–Z)",
+
+  "status.showing": {
+    one: "{total}లో {shown} ఫలితం చూపిస్తున్నాం",
+    other: "{total}లో {shown} ఫలితాలు చూపిస్తున్నాం",
+  },
+  "status.start": "శీర్షిక, రచయిత లేదా విషయం టైప్ చేసి ప్రారంభించండి.",
+  "status.keys": "కీలు: పుస్తకాల మధ్య కదలడానికి బాణాలు, తెరవడానికి Enter, ఇష్టమైనవాటికి F, పోల్చడానికి C",
+  "status.loading": "ఫలితాలు లోడ్ అవుతున్నాయి…",
+  "status.none": "ఫలితాలు ఏవీ దొరకలేదు",
+  "status.queryError": "క్వెరీ లోపం: {message}",
+  "error.offline": "మీరు ఆఫ్‌లైన్‌లో ఉన్నారు, ఈ శోధన ఇంతకు ముందు లోడ్ కాలేదు.",
+  "error.query": "Open Library ఈ క్వెరీని అమలు చేయలేకపోయింది — దాని సింటాక్స్ చూడండి.",
+  "error.generic": "ఏదో తప్పు జరిగింది",
+  "results.label": "శోధన ఫలితాలు",
+
+  "chip.language": "భాష: {name}",
+  "chip.published": "ప్రచురణ {from}–{to}",
+
+  "footer.builtWith": "Open Library API తో నిర్మించబడింది.",
+  "footer.apiDocs": "API పత్రాలు",
+
+  "card.unknownAuthor": "తెలియని రచయిత",
+  "card.titleBy": "{title}, రచయిత {authors}",
+  "card.inLibrary": "మీ లైబ్రరీలో ఉంది",
+  "card.addFav": "ఇష్టమైనవాటిలో చేర్చండి",
+  "card.removeFav": "ఇష్టమైనవాటి నుండి తీసివేయండి",
+
+  "book.yourRating": "మీ రేటింగ్",
+  "book.by": "రచయిత: {authors}",
+  "book.prev": "మునుపటి పుస్తకం",
+  "book.next": "తదుపరి పుస్తకం",
+  "book.position": "{total}లో {index}",
+  "book.close": "మూసివేయండి",
+  "book.overview": "అవలోకనం",
+  "book.editions": "ఎడిషన్లు",
+  "book.editionsCount": "ఎడిషన్లు ({count})",
+  "book.firstPublished": "మొదటి ప్రచురణ:",
+  "book.publisher": "ప్రచురణకర్త:",
+  "book.yourEdition": "మీ ఎడిషన్:",
+  "book.subjects": "విషయాలు & శైలులు:",
+  "book.about": "ఈ పుస్తకం గురించి",
+  "book.loadingDescription": "వివరణ లోడ్ అవుతోంది…",
+  "book.noDescription": "ఈ పుస్తకానికి వివరణ అందుబాటులో లేదు.",
+  "book.share": "పుస్తకాన్ని పంచుకోండి",
+  "book.copied": "లింక్ కాపీ అయింది!",
+  "book.copyFailed": "కాపీ విఫలమైంది",
+
+  "recs.title": "మీ కోసం సిఫార్సులు",
+  "recs.intro": "మీరు సేవ్ చేసిన పుస్తకాల విషయాలు, రచయితలు, దశాబ్దాల ఆధారంగా ఎంచుకున్నవి.",
+  "recs.needMore": {
+    one: "సిఫార్సుల కోసం మరో {count} పుస్తకం సేవ్ చేయండి.",
+    other: "సిఫార్సుల కోసం మరో {count} పుస్తకాలు సేవ్ చేయండి.",
+  },
+  "recs.loading": "మీకు నచ్చే పుస్తకాలను వెతుకుతున్నాం…",
+  "recs.enriching": {
+    one: "సేవ్ చేసిన {count} పుస్తకం విషయాలను చూస్తున్నాం…",
+    other: "సేవ్ చేసిన {count} పుస్తకాల విషయాలను చూస్తున్నాం…",
+  },
+  "recs.empty": "ఇంకా సూచించడానికి ఏమీ లేదు — మీకు నచ్చిన విషయాలున్న మరికొన్ని పుస్తకాలను సేవ్ చేయండి.",
+  "recs.failed": "సిఫార్సులు లోడ్ కాలేదు.",
+  "recs.shares": "ఉమ్మడి: {list}",
+  "recs.sameAuthor": "అదే రచయిత: {names}",
+  "recs.decade": "ఇది కూడా {decade}ల నాటిది",
+
+  "similar.title": "ఇలాంటి పుస్తకాలు",
+  "similar.loading": "ఇలాంటి పుస్తకాల కోసం వెతుకుతున్నాం…",
+  "similar.none": "ఇలాంటి పుస్తకాలు దొరకలేదు.",
+  "similar.failed": "ఇలాంటి పుస్తకాలు లోడ్ కాలేదు.",
+
+  "card.variant": "రూపాంతరం",
+  "card.variants": {
+    one: "{count} రూపాంతరం",
+    other: "{count} రూపాంతరాలు",
+  },
+  "card.showVariants": "ఈ పుస్తకం యొక్క ఇతర రికార్డులు చూపించు",
+  "card.hideVariants": "ఈ పుస్తకం యొక్క ఇతర రికార్డులు దాచు",
+  "status.grouped": {
+    one: "{count} దాదాపు నకలు సమూహం చేయబడింది",
+    other: "{count} దాదాపు నకళ్లు సమూహం చేయబడ్డాయి",
+  },
+
+  "avail.filter": "లభ్యత",
+  "avail.filter.any": "ఏదైనా",
+  "avail.filter.readable": "ఆన్‌లైన్‌లో చదవదగినవి",
+  "avail.filter.borrowable": "అరువు తీసుకోదగినవి",
+  "avail.filter.public": "పబ్లిక్ డొమైన్",
+  "avail.public": "ఉచితంగా చదవండి",
+  "avail.publicDomain": "పబ్లిక్ డొమైన్",
+  "avail.borrowable": "అరువు తీసుకోవచ్చు",
+  "avail.printdisabled": "ముద్రణ-వైకల్య పాఠకులకు",
+  "avail.none": "Open Libraryలో ఈ-పుస్తకం లేదు",
+  "avail.read": "ఆన్‌లైన్‌లో చదవండి",
+  "avail.borrow": "Open Library నుండి అరువు తీసుకోండి",
+  "avail.printdisabledLink": "ముద్రణ-వైకల్య పాఠకుల ప్రాప్యత",
+
+  "cite.button": "ఉల్లేఖించు",
+  "cite.title": "ఈ పుస్తకాన్ని ఉల్లేఖించండి",
+  "cite.style": "ఉల్లేఖన శైలి",
+  "cite.copy": "కాపీ చేయి",
+  "cite.copyMarkdown": "Markdownగా కాపీ చేయి",
+  "cite.copied": "కాపీ అయింది!",
+  "cite.copyFailed": "కాపీ చేయలేకపోయాం — బ్రౌజర్ క్లిప్‌బోర్డ్‌ను నిరోధించింది.",
+  "cite.fromOwned": "ప్రచురణకర్త, సంవత్సరం మీ ప్రతి నుండి తీసుకున్నవి.",
+  "cite.fromIsbn": "ప్రచురణకర్త, సంవత్సరం ISBN {isbn} ఉన్న ప్రతి నుండి తీసుకున్నవి.",
+  "cite.fromWork": "ప్రతి దొరకలేదు; ప్రచురణకర్త, సంవత్సరం రచన రికార్డు నుండి వచ్చాయి, దయచేసి సరిచూడండి.",
+  "cite.lookingUp": "ప్రతి కోసం వెతుకుతోంది…",
+
+  "storage.library": "మీ లైబ్రరీ",
+  "storage.searches": "మీ సేవ్ చేసిన, ఇటీవలి శోధనలు",
+  "storage.locale": "మీ భాష సెట్టింగ్",
+  "storage.quota": "బ్రౌజర్ నిల్వ నిండిపోయింది, కాబట్టి {what}లో మార్పులు ఈ ట్యాబ్ మూసే వరకు మాత్రమే ఉంటాయి. వాటిని సేవ్ చేయడానికి స్థలం ఖాళీ చేయండి.",
+  "storage.corrupt": "{what} చదవలేకపోయాం, కాబట్టి రీసెట్ చేశాం. పాడైన కాపీ localStorageలో “{backup}” కింద ఉంచాం.",
+  "storage.corruptLost": "{what} చదవలేకపోయాం, కాబట్టి రీసెట్ చేశాం.",
+  "storage.unavailable": "ఈ బ్రౌజర్ సైట్‌ను డేటా నిల్వ చేయనివ్వడం లేదు, కాబట్టి {what} సేవ్ కాదు.",
+  "storage.dismiss": "మూసివేయి",
+
+  "card.addCompare": "పోలికకు జోడించు",
+  "card.removeCompare": "పోలిక నుండి తీసివేయి",
+  "card.compareFull": "పోలికలో గరిష్ఠంగా {max} పుస్తకాలు ఉండవచ్చు",
+  "card.inComparison": "పోలికలో ఉంది",
+  "compare.tray": "పోల్చాల్సిన పుస్తకాలు",
+  "compare.remove": "{title}ను పోలిక నుండి తీసివేయి",
+  "compare.count": "{max}లో {count}",
+  "compare.open": "పోల్చు",
+  "compare.needTwo": "పోల్చడానికి కనీసం రెండు పుస్తకాలు ఎంచుకోండి",
+  "compare.clear": "క్లియర్ చేయి",
+  "compare.title": "పుస్తకాల పోలిక",
+  "compare.legend": "పేజీల సంఖ్య, భాషలు ప్రతి రచనకు గరిష్ఠంగా {count} ప్రచురణల నుండి తీసుకున్నాం. హైలైట్ చేసిన విషయాలు మరో పుస్తకంలోనూ ఉన్నాయి.",
+  "compare.close": "పోలికను మూసివేయి",
+  "compare.loading": "లోడ్ అవుతోంది…",
+  "compare.row.authors": "రచయితలు",
+  "compare.row.year": "మొదటి ప్రచురణ",
+  "compare.row.editions": "ప్రచురణలు",
+  "compare.row.pages": "పేజీలు",
+  "compare.row.languages": "భాషలు",
+  "compare.row.subjects": "విషయాలు",
+  "compare.row.rating": "రేటింగ్",
+  "compare.row.availability": "లభ్యత",
+  "compare.pagesMedian": {
+    one: "{count} పేజీ (మధ్యగతం)",
+    other: "{count} పేజీలు (మధ్యగతం)",
+  },
+  "compare.pagesRange": "ప్రచురణల్లో {min}–{max}",
+  "compare.sampled": {
+    one: "{count} ప్రచురణ నుండి",
+    other: "{count} ప్రచురణల నుండి",
+  },
+  "compare.more": "+ఇంకా {count}",
+  "compare.sharedSubject": "ఉమ్మడి",
+  "compare.ratingValue": "{average} / 5",
+  "compare.ratingCount": {
+    one: "({count} రేటింగ్)",
+    other: "({count} రేటింగ్‌లు)",
+  },
+  "compare.noRatings": "ఇంకా రేటింగ్‌లు లేవు",
+
+  "error.network": "Open Libraryని చేరుకోలేకపోయాం. మీ కనెక్షన్ చూడండి.",
+  "error.timeout": "Open Library జవాబివ్వడానికి చాలా సమయం తీసుకుంది.",
+  "error.rateLimited": "Open Library ప్రస్తుతం అభ్యర్థనలను పరిమితం చేస్తోంది. కాసేపు ఆగి మళ్లీ ప్రయత్నించండి.",
+  "error.server": "Open Library వైపు ఏదో సమస్య వచ్చింది.",
+  "error.notFound": "Open Libraryలో దీని రికార్డు లేదు.",
+  "error.badRequest": "Open Library ఈ అభ్యర్థనను నిర్వహించలేకపోయింది.",
+  "error.retry": "మళ్లీ ప్రయత్నించు",
+
+  "suggest.recent": "ఇటీవలి శోధన",
+  "suggest.topWork": "{title}కు ప్రసిద్ధి",
+  "suggest.works": {
+    one: "{count} రచన",
+    other: "{count} రచనలు",
+  },
+  "suggest.count": {
+    one: "{count} సూచన, ఎంచుకోవడానికి బాణం కీలను ఉపయోగించండి",
+    other: "{count} సూచనలు, ఎంచుకోవడానికి బాణం కీలను ఉపయోగించండి",
+  },
+  "suggest.didYouMeanAuthor": "మీ ఉద్దేశం రచయిత {name}నా?",
+  "suggest.didYouMeanSubject": "మీ ఉద్దేశం విషయం {name}నా?",
+
+  "notes.tab": "గమనికలు",
+  "notes.tags": "ట్యాగ్‌లు",
+  "notes.addTag": "ట్యాగ్ జోడించండి",
+  "notes.addTagButton": "ట్యాగ్ జోడించు",
+  "notes.removeTag": "ట్యాగ్ {tag} తీసివేయండి",
+  "notes.notes": "గమనికలు",
+  "notes.write": "రాయండి",
+  "notes.preview": "ముందుచూపు",
+  "notes.placeholder": "ఈ పుస్తకాన్ని ఎందుకు సేవ్ చేశారు? మీకు ఏమి గుర్తుండిపోయింది?",
+  "notes.markdownHint": "Markdown పనిచేస్తుంది: **బోల్డ్**, *ఇటాలిక్*, - జాబితాలు, > ఉల్లేఖనలు, [లింక్‌లు](https://…)",
+  "notes.empty": "ఇంకా గమనికలు లేవు.",
+  "notes.quotes": "ఉల్లేఖనలు",
+  "notes.quoteText": "ఉల్లేఖన",
+  "notes.quotePlaceholder": "దాచుకోదగిన ఒక భాగం",
+  "notes.page": "పేజీ",
+  "notes.pageShort": "పే. {page}",
+  "notes.addQuote": "ఉల్లేఖన సేవ్ చేయండి",
+  "notes.removeQuote": "ఉల్లేఖన తొలగించండి",
+  "notes.noQuotes": "ఇంకా ఉల్లేఖనలు సేవ్ చేయలేదు.",
+
+  "library.matchNote": "గమనిక",
+  "library.matchQuote": "ఉల్లేఖన",
+  "library.matchQuotePage": "ఉల్లేఖన, పే. {page}",
+  "library.search": "శీర్షికలు, ట్యాగ్‌లు, గమనికలు, ఉల్లేఖనలు వెతకండి",
+  "library.searchLabel": "మీ లైబ్రరీలో వెతకండి",
+  "library.noMatch": "సేవ్ చేసిన పుస్తకాలేవీ సరిపోలలేదు.",
+  "library.filterByTag": "ట్యాగ్‌తో వడపోయండి",
+  "library.tags": "ట్యాగ్‌లు",
+
+  "query.find": "వెతుకు",
+  "query.and": "మరియు",
+  "query.matching": "సరిపోలేవి",
+  "query.notMatching": "సరిపోలనివి",
+  "query.clauseMode": "షరతు {n}: చేర్చు లేదా మినహాయించు",
+  "query.clauseField": "షరతు {n}: ఫీల్డ్",
+  "query.clauseValues": "షరతు {n}: విలువలు (కామాలతో వేరు చేసిన ప్రత్యామ్నాయాలు)",
+  "query.removeClauseN": "షరతు {n} తొలగించు",
+  "query.removeClause": "షరతు తొలగించు",
+  "query.addClause": "షరతు జోడించు",
+  "query.hint": "కామాలు ప్రత్యామ్నాయాలను వేరు చేస్తాయి (OR); అనేక పదాల విలువలు పదబంధాలుగా సరిపోలుతాయి; * మరియు ? వైల్డ్‌కార్డ్‌లు.",
+  "query.textOnly": "ఈ క్వెరీ బిల్డర్ చూపలేని సమూహాలను వాడుతుంది — దీన్ని టెక్స్ట్‌గానే సవరించండి.",
+  "query.text": "క్వెరీ టెక్స్ట్",
+  "query.field.any": "ఏ ఫీల్డ్ అయినా",
+  "query.field.title": "శీర్షిక",
+  "query.field.author": "రచయిత",
+  "query.field.subject": "విషయం",
+  "query.field.person": "వ్యక్తి",
+  "query.field.place": "ప్రదేశం",
+  "query.field.time": "కాలం",
+  "query.field.publisher": "ప్రచురణకర్త",
+  "query.field.language": "భాషా కోడ్",
+  "query.field.isbn": "ISBN",
+  "query.field.firstPublishYear": "మొదట ప్రచురితం",
+  "query.field.publishYear": "ప్రచురితం (ఏ ఎడిషన్ అయినా)",
+  "query.field.ebookAccess": "ఈ-బుక్ లభ్యత",
+  "query.error.unclosedQuote": "ఈ కోట్ ఎప్పటికీ మూసివేయబడలేదు",
+  "query.error.emptyPhrase": "ఖాళీ పదబంధం",
+  "query.error.colonNeedsField": "కోలన్‌కు ముందు ఫీల్డ్ పేరు ఉండాలి, ఉదా. subject:fantasy",
+  "query.error.needsAfter": "{op} తర్వాత ఏదో ఉండాలి",
+  "query.error.needsBefore": "{op} ముందు ఏదో ఉండాలి",
+  "query.error.fieldNeedsValue": "“{field}:” తర్వాత ఒక విలువ ఉండాలి",
+  "query.error.rangeSyntax": "పరిధులు ఇలా ఉంటాయి: [1900 TO 1950]",
+  "query.error.yearRange": "సంవత్సర పరిధులకు సంవత్సరాలు (లేదా *) కావాలి, ఉదా. [1900 TO 1950]",
+  "query.error.endsEarly": "క్వెరీ చాలా త్వరగా ముగిసింది",
+  "query.error.emptyParens": "ఖాళీ కుండలీకరణాలు",
+  "query.error.unclosedParen": "ఈ కుండలీకరణం ఎప్పటికీ మూసివేయబడలేదు",
+  "query.error.unopenedParen": "ఈ కుండలీకరణం ఎప్పుడూ తెరవబడలేదు",
+  "query.error.unknownField": "తెలియని ఫీల్డ్ “{field}” — title, author, subject, publisher, language… ప్రయత్నించండి",
+  "query.error.leadingWildcard": "పదం వైల్డ్‌కార్డ్‌తో మొదలు కాకూడదు",
+  "query.error.rangeNeedsField": "పరిధులకు ఫీల్డ్ కావాలి, ఉదా. first_publish_year:[1900 TO 1950]",
+  "query.error.unexpected": "ఇక్కడ ఊహించని టెక్స్ట్ ఉంది",
+
+  "facet.refine": "కుదించు",
+  "facet.sample": {
+    one: "లెక్కలు మొదటి ఫలితం నుండి.",
+    other: "లెక్కలు మొదటి {count} ఫలితాల నుండి.",
+  },
+  "facet.firstPublished": "మొదట ప్రచురితం",
+  "facet.noYears": "ఈ ఫలితాల్లో ప్రచురణ సంవత్సరాలు లేవు.",
+  "facet.histogram": "మొదటి ప్రచురణ సంవత్సరం వారీగా ఫలితాలు; పరిధిని ఎంచుకోవడానికి లాగండి",
+  "facet.remove": "ఫిల్టర్ తొలగించు",
+  "facet.removeNamed": "ఫిల్టర్ {label} తొలగించు",
+  "facet.group.subject": "విషయాలు",
+  "facet.group.language": "భాషలు",
+  "facet.group.author": "రచయితలు",
+  "facet.group.publisher": "ప్రచురణకర్తలు",
+  "facet.group.ebook": "ఈ-బుక్ లభ్యత",
+  "facet.ebook.public": "పబ్లిక్ డొమైన్ / ఉచితం",
+  "facet.ebook.borrowable": "అరువు తీసుకోవచ్చు",
+  "facet.ebook.printdisabled": "ముద్రణ చదవలేని వారికి",
+  "facet.ebook.no_ebook": "ఈ-బుక్ లేదు",
+  "searches.describe.title": "“{title}”",
+  "searches.describe.author": "{author} రచించిన",
+  "searches.describe.subject": "విషయం {subject}",
+  "searches.describe.any": "ఏ పుస్తకమైనా",
+  "searches.title": "ఇటీవలి & సేవ్ చేసిన శోధనలు",
+  "searches.savedCount": {
+    one: "({count} సేవ్ చేయబడింది)",
+    other: "({count} సేవ్ చేయబడ్డాయి)",
+  },
+  "searches.new": {
+    one: "{count} కొత్తది",
+    other: "{count} కొత్తవి",
+  },
+  "searches.justNow": "ఇప్పుడే",
+  "searches.viewed": "{when} చూశారు",
+  "searches.saved": "సేవ్ చేసిన శోధనలు",
+  "searches.recent": "ఇటీవలివి",
+  "searches.newNameLabel": "ఈ శోధన పేరు",
+  "searches.saveCurrent": "ఈ శోధనను సేవ్ చేయి",
+  "searches.savedAs": "ఈ శోధన “{name}” పేరుతో సేవ్ అయింది.",
+  "searches.noSaved": "ఒక శోధనకు తిరిగి వచ్చి కొత్తవి చూడటానికి దాన్ని సేవ్ చేయండి.",
+  "searches.noRecent": "మీరు చేసే శోధనలు ఇక్కడ కనిపిస్తాయి.",
+  "searches.clearRecent": "చరిత్ర తుడిచివేయి",
+  "searches.nameLabel": "సేవ్ చేసిన శోధన పేరు",
+  "searches.saveName": "సేవ్ చేయి",
+  "searches.cancel": "రద్దు చేయి",
+  "searches.run": "నడుపు",
+  "searches.runNamed": "{name} నడుపు",
+  "searches.rename": "పేరు మార్చు",
+  "searches.renameNamed": "{name} పేరు మార్చు",
+  "searches.delete": "తొలగించు",
+  "searches.deleteNamed": "{name} తొలగించు",
+  "searches.save": "శోధన సేవ్ చేయి",
+  "searches.saveNamed": "{name} సేవ్ చేయి",
+  "searches.removeRecent": "చరిత్ర నుండి తొలగించు",
+  "searches.removeRecentNamed": "{name}ను చరిత్ర నుండి తొలగించు",
+
+  "isbn.title": "ఒకేసారి అనేక ISBN శోధన",
+  "isbn.intro": "ప్రతి పంక్తికి ఒక ISBN — ISBN-10 లేదా ISBN-13, హైఫన్‌లు ఉండవచ్చు. స్ప్రెడ్‌షీట్ నుండి మొదటి నిలువు వరుస తీసుకుంటాం.",
+  "isbn.inputLabel": "ISBNలు, పంక్తికి ఒకటి",
+  "isbn.upload": "జాబితా అప్‌లోడ్ చేయి…",
+  "isbn.fileError": "ఆ ఫైల్‌ను చదవలేకపోయాం",
+  "isbn.progress": "వెతుకుతోంది… {done} / {total}",
+  "isbn.cancel": "రద్దు చేయి",
+  "isbn.lookUp": {
+    one: "{count} ISBN వెతుకు",
+    other: "{count} ISBNలు వెతుకు",
+  },
+  "isbn.valid": {
+    one: "{count} చెల్లుబాటు",
+    other: "{count} చెల్లుబాటు",
+  },
+  "isbn.validWithErrors": "{valid} చెల్లుబాటు, {invalid}లో లోపాలు",
+  "isbn.line": "పంక్తి",
+  "isbn.input": "ఇన్‌పుట్",
+  "isbn.status": "స్థితి",
+  "isbn.no10": "— (979 ఉపసర్గ)",
+  "isbn.duplicate": "పంక్తి {line} లోని పుస్తకమే",
+  "isbn.lookingUp": "వెతుకుతోంది…",
+  "isbn.ready": "సిద్ధం",
+  "isbn.notFound": "Open Libraryలో దొరకలేదు",
+  "isbn.found": "దొరికింది: {title}",
+  "isbn.foundCount": {
+    one: "{count} పుస్తకం దొరికింది",
+    other: "{count} పుస్తకాలు దొరికాయి",
+  },
+  "isbn.saveAll": {
+    one: "{count}ను ఇష్టమైనవాటిలో చేర్చు",
+    other: "మొత్తం {count}ను ఇష్టమైనవాటిలో చేర్చు",
+  },
+  "isbn.allSaved": "అన్నీ ఇష్టమైనవాటిలో ఉన్నాయి",
+  "isbn.error.empty": "ఈ పంక్తిలో ISBN లేదు",
+  "isbn.error.characters": "అంకెలు, X కాకుండా ఇతర అక్షరాలు ఉన్నాయి",
+  "isbn.error.xPosition": "X కేవలం ISBN-10 చివరి అంకెగా మాత్రమే ఉండవచ్చు",
+  "isbn.error.checkDigit10": "ISBN-10 చెక్ అంకె తప్పు ({expected} ఉండాలి)",
+  "isbn.error.checkDigit13": "ISBN-13 చెక్ అంకె తప్పు ({expected} ఉండాలి)",
+  "isbn.error.prefix": "ISBN-13 978 లేదా 979తో మొదలవ్వాలి",
+  "isbn.error.length": {
+    one: "పొడవు తప్పు ({count} అక్షరం; 10 లేదా 13 ఉండాలి)",
+    other: "పొడవు తప్పు ({count} అక్షరాలు; 10 లేదా 13 ఉండాలి)",
+  },
+
+  "shelf.want": "చదవాలి",
+  "shelf.reading": "చదువుతున్నవి",
+  "shelf.read": "చదివినవి",
+  "library.title": "నా అరలు",
+  "library.transfer": "దిగుమతి / ఎగుమతి",
+  "library.all": "అన్నీ ({count})",
+  "library.shelfCount": "{name} ({count})",
+  "library.newShelf": "కొత్త అర",
+  "library.addShelf": "అర జోడించు",
+  "library.shelfName": "అర పేరు",
+  "library.save": "సేవ్ చేయి",
+  "library.cancel": "రద్దు చేయి",
+  "library.renameShelf": "అర పేరు మార్చు",
+  "library.deleteShelf": "అర తొలగించు",
+  "library.deleteShelfConfirm": "“{name}” తొలగించాలా? దాని పుస్తకాలు {fallback}కు వెళ్తాయి.",
+  "library.empty": "నచ్చిన పుస్తకాలను తర్వాత త్వరగా కనుగొనడానికి సేవ్ చేయండి.",
+  "library.emptyShelf": "ఈ అరలో ఇంకా పుస్తకాలు లేవు.",
+  "library.rate": "5లో {n} రేటింగ్ ఇవ్వండి",
+  "library.saveForLater": "తర్వాత కోసం సేవ్ చేయి",
+  "library.onShelf": "“{name}”లో",
+  "library.remove": "లైబ్రరీ నుండి తొలగించు",
+  "library.showDetails": "వివరాలు చూపు",
+  "library.shelf": "అర",
+  "library.percentRead": "{pct}% చదివారు",
+  "library.pagesRead": "చదివిన పేజీలు",
+  "library.pagesOf": "/",
+  "library.pageCount": "మొత్తం పేజీలు",
+  "library.pages": "పేజీలు",
+  "library.added": "జోడించినది",
+  "library.started": "ప్రారంభించినది",
+  "library.finished": "పూర్తి చేసినది",
+  "transfer.export": "మీ లైబ్రరీని ఎగుమతి చేయండి",
+  "transfer.bibliography": "గ్రంథసూచి",
+  "transfer.bibliographyIntro": "సేవ్ చేసిన ప్రతి పుస్తకం ఒక సూచన జాబితాగా. ప్రచురణకర్త, సంవత్సరం మీ ఎడిషన్ నుండి, మీరు ఎంచుకున్న చోట.",
+  "transfer.citationStyle": "ఉల్లేఖన శైలి",
+  "transfer.copy": "టెక్స్ట్ కాపీ చేయి",
+  "transfer.copied": "కాపీ అయింది",
+  "transfer.print": "ముద్రించు…",
+  "transfer.copyFailed": "కాపీ కాలేదు — మీ బ్రౌజర్ క్లిప్‌బోర్డ్‌ను అడ్డుకుంది.",
+  "transfer.import": "దిగుమతి",
+  "transfer.importIntro": "Book Finder JSON/CSV ఎగుమతులు, లేదా Goodreads లైబ్రరీ ఎగుమతి (My Books → Import and export).",
+  "transfer.chooseFile": "ఫైల్ ఎంచుకోండి…",
+  "transfer.merged": {
+    one: "{count} పుస్తకం మీ లైబ్రరీలో కలిపాం.",
+    other: "{count} పుస్తకాలు మీ లైబ్రరీలో కలిపాం.",
+  },
+  "transfer.matching": "Open Libraryలో పుస్తకాలను సరిపోలుస్తోంది… {done} / {total}",
+  "transfer.cancel": "రద్దు చేయి",
+  "transfer.status.new": "కొత్తది",
+  "transfer.status.conflict": "వైరుధ్యం",
+  "transfer.status.duplicate": "ఇప్పటికే సేవ్ అయింది",
+  "transfer.status.repeat": "ఫైల్‌లో మళ్లీ ఉంది",
+  "transfer.status.unmatched": "సరిపోలలేదు",
+  "transfer.book": "పుస్తకం",
+  "transfer.status": "స్థితి",
+  "transfer.details": "వివరాలు",
+  "transfer.importNamed": "{title} దిగుమతి చేయి",
+  "transfer.untitled": "శీర్షిక లేదు",
+  "transfer.matchedBy.isbn": "ISBNతో సరిపోలింది",
+  "transfer.matchedBy.title": "శీర్షిక/రచయితతో సరిపోలింది",
+  "transfer.field.shelf": "అర",
+  "transfer.field.rating": "రేటింగ్",
+  "transfer.field.startedAt": "ప్రారంభించినది",
+  "transfer.field.finishedAt": "పూర్తి చేసినది",
+  "transfer.field.pagesRead": "చదివిన పేజీలు",
+  "transfer.tickConflict": "దిగుమతి విలువలు వాడటానికి టిక్ చేయండి.",
+  "transfer.merge": {
+    one: "{count} పుస్తకం కలుపు",
+    other: "{count} పుస్తకాలు కలుపు",
+  },
+  "transfer.error.empty": "ఫైల్ ఖాళీగా ఉంది.",
+  "transfer.error.badJson": "ఫైల్ JSONలా ఉంది కానీ చదవలేకపోయాం.",
+  "transfer.error.noRows": "CSV ఫైల్‌లో వరుసలు లేవు.",
+  "transfer.error.unknownCsv": "గుర్తించని CSV: Book Finder లేదా Goodreads ఎగుమతి ఆశించాం.",
+  "transfer.error.failed": "దిగుమతి విఫలమైంది",
+
+  "editions.language": "భాష",
+  "editions.allLanguages": "అన్ని భాషలు",
+  "editions.optionCount": "{name} ({count})",
+  "editions.format": "ఫార్మాట్",
+  "editions.allFormats": "అన్ని ఫార్మాట్‌లు",
+  "editions.search": "శోధించు",
+  "editions.searchPlaceholder": "ప్రచురణకర్త, ISBN, సంవత్సరం…",
+  "editions.loaded": {
+    one: "{count}లో {loaded} ఎడిషన్ లోడ్ అయింది",
+    other: "{count}లో {loaded} ఎడిషన్‌లు లోడ్ అయ్యాయి",
+  },
+  "editions.loadedMatching": {
+    one: "{matching} సరిపోలినవి · {count}లో {loaded} ఎడిషన్ లోడ్ అయింది",
+    other: "{matching} సరిపోలినవి · {count}లో {loaded} ఎడిషన్‌లు లోడ్ అయ్యాయి",
+  },
+  "editions.loadMore": "మరిన్ని లోడ్ చేయి",
+  "editions.loadAll": "మొత్తం {count} లోడ్ చేయి",
+  "editions.filtersLoaded": "ఫిల్టర్లు ఇప్పటివరకు లోడ్ అయిన ఎడిషన్‌లకే — ప్రతి ఎడిషన్ వెతకడానికి అన్నీ లోడ్ చేయండి.",
+  "editions.edition": "ఎడిషన్",
+  "editions.publisher": "ప్రచురణకర్త",
+  "editions.published": "ప్రచురణ",
+  "editions.pages": "పేజీలు",
+  "editions.actions": "చర్యలు",
+  "editions.mine": "నా ఎడిషన్",
+  "editions.own": "ఇది నా దగ్గర ఉంది",
+  "editions.loading": "ఎడిషన్‌లు లోడ్ అవుతున్నాయి…",
+  "editions.partial": "మరిన్ని ఎడిషన్‌లు లోడ్ కాలేదు; {total}లో {shown} చూపిస్తున్నాం.",
+  "editions.noMatch": "ఈ ఫిల్టర్లకు సరిపోయే ఎడిషన్‌లు లేవు.",
+  "editions.none": "ఈ రచనకు ఎడిషన్‌లు కనబడలేదు.",
+  "editions.previous": "మునుపటి",
+  "editions.next": "తదుపరి",
+  "editions.page": "పేజీ {page} / {count}",
+  "author.sort.default": "Open Library క్రమం",
+  "author.back": "వెనుకకు",
+  "author.loading": "రచయిత లోడ్ అవుతున్నారు…",
+  "author.noBio": "జీవిత చరిత్ర అందుబాటులో లేదు.",
+  "author.works": "రచనలు",
+  "author.sortWorks": "రచనలను క్రమబద్ధీకరించు",
+  "author.loadAll": "మొత్తం {count} లోడ్ చేయి",
+  "author.sortingLoaded": {
+    one: "ఇప్పటివరకు లోడ్ అయిన {count} రచనను క్రమబద్ధీకరిస్తోంది — పూర్తి జాబితాకు అన్నీ లోడ్ చేయండి.",
+    other: "ఇప్పటివరకు లోడ్ అయిన {count} రచనలను క్రమబద్ధీకరిస్తోంది — పూర్తి జాబితాకు అన్నీ లోడ్ చేయండి.",
+  },
+  "author.loadingWorks": "రచనలు లోడ్ అవుతున్నాయి…",
+  "author.noWorks": "ఈ రచయిత రచనలు ఏవీ లేవు.",
+  "author.previous": "మునుపటి",
+  "author.next": "తదుపరి",
+  "author.page": "పేజీ {page} / {count}",
+  "results.loading": "లోడ్ అవుతోంది…",
+  "results.loadMore": "మరిన్ని లోడ్ చేయి",
+  "results.noMore": "ఇంకా ఫలితాలు లేవు.",
+
+  "transfer.field.notes": "గమనికలు",
+  "transfer.field.quotes": "ఉల్లేఖనలు",
+  "transfer.field.tags": "ట్యాగ్‌లు",
+  "transfer.quoteCount": {
+    one: "{count} ఉల్లేఖన",
+    other: "{count} ఉల్లేఖనలు",
+  },
+
+  "isbn.error.digits13": "ISBN-13లో అంకెలు మాత్రమే ఉంటాయి; X కేవలం ISBN-10లో వాడతారు",
+};
+
+const ta = {
+  "app.tagline": "Alex-க்காக – தலைப்பு, ஆசிரியர், பொருள், ஆண்டு அல்லது மொழி மூலம் தேடுங்கள்.",
+  "app.offline": "நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். உங்கள் அலமாரிகளும் முன்பு ஏற்றிய தேடல்களும் இன்னும் கிடைக்கும்; மீண்டும் இணைந்ததும் புதுப்பிப்போம்.",
+  "app.uiLanguage": "இடைமுக மொழி",
+
+  "mode.label": "புத்தகங்களைத் தேடு",
+  "mode.search": "தேடல்",
+  "mode.isbn": "மொத்த ISBN தேடல்",
+
+  "form.advanced": "மேம்பட்ட வினவல்",
+  "form.simple": "எளிய தேடல்",
+  "form.title": "தலைப்பு",
+  "form.author": "ஆசிரியர்",
+  "form.subject": "பொருள் / முக்கியச்சொல்",
+  "form.language": "மொழி",
+  "form.anyLanguage": "ஏதேனும்",
+  "form.yearFrom": "ஆண்டு முதல்",
+  "form.yearTo": "ஆண்டு வரை",
+  "form.example": "எ.கா., {value}",
+  "form.sort": "வரிசை",
+  "form.localSort": "ஏற்றியவற்றை வரிசைப்படுத்து",
+  "form.localSortHint": "இதுவரை ஏற்றிய முடிவுகளை மட்டும் மறுவரிசைப்படுத்தும்",
+  "form.showList": "பட்டியல் காட்சி",
+  "form.showGrid": "கட்டக் காட்சி",
+  "form.reset": "மீட்டமை",
+
+  "sort.relevance": "பொருத்தம் (API)",
+  "sort.old": "ஆண்டு (பழையது → புதியது)",
+  "sort.new": "ஆண்டு (புதியது → பழையது)",
+  "sort.title": "தலைப்பு (A–Z)",
+  "sort.rating": "அதிக மதிப்பீடு",
+  "sort.editions": "அதிக பதிப்புகள்",
+  "sort.random": "சீரற்ற வரிசை",
+  "localSort.off": "அணை (தேடல் வரிசை)",
+  "localSort.author": "ஆசிரியர் (A–Z)",
+
+  "status.showing": {
+    one: "{total} இல் {shown} முடிவு காட்டப்படுகிறது",
+    other: "{total} இல் {shown} முடிவுகள் காட்டப்படுகின்றன",
+  },
+  "status.start": "தலைப்பு, ஆசிரியர் அல்லது பொருளைத் தட்டச்சு செய்து தொடங்குங்கள்.",
+  "status.keys": "விசைகள்: புத்தகங்களுக்கு இடையே நகர அம்புகள், திறக்க Enter, பிடித்தவையில் சேர்க்க F, ஒப்பிட C",
+  "status.loading": "முடிவுகள் ஏற்றப்படுகின்றன…",
+  "status.none": "முடிவுகள் எதுவும் இல்லை",
+  "status.queryError": "வினவல் பிழை: {message}",
+  "error.offline": "நீங்கள் ஆஃப்லைனில் உள்ளீர்கள், இந்தத் தேடல் முன்பு ஏற்றப்படவில்லை.",
+  "error.query": "Open Library இந்த வினவலை இயக்க முடியவில்லை — அதன் தொடரியலைச் சரிபாருங்கள்.",
+  "error.generic": "ஏதோ தவறு நடந்தது",
+  "results.label": "தேடல் முடிவுகள்",
+
+  "chip.language": "மொழி: {name}",
+  "chip.published": "வெளியீடு {from}–{to}",
+
+  "footer.builtWith": "Open Library API கொண்டு உருவாக்கப்பட்டது.",
+  "footer.apiDocs": "API ஆவணங்கள்",
+
+  "card.unknownAuthor": "அறியப்படாத ஆசிரியர்",
+  "card.titleBy": "{title}, ஆசிரியர் {authors}",
+  "card.inLibrary": "உங்கள் நூலகத்தில் உள்ளது",
+  "card.addFav": "பிடித்தவையில் சேர்",
+  "card.removeFav": "பிடித்தவையிலிருந்து நீக்கு",
+
+  "book.yourRating": "உங்கள் மதிப்பீடு",
+  "book.by": "ஆசிரியர்: {authors}",
+  "book.prev": "முந்தைய புத்தகம்",
+  "book.next": "அடுத்த புத்தகம்",
+  "book.position": "{total} இல் {index}",
+  "book.close": "மூடு",
+  "book.overview": "கண்ணோட்டம்",
+  "book.editions": "பதிப்புகள்",
+  "book.editionsCount": "பதிப்புகள் ({count})",
+  "book.firstPublished": "முதல் வெளியீடு:",
+  "book.publisher": "பதிப்பாளர்:",
+  "book.yourEdition": "உங்கள் பதிப்பு:",
+  "book.subjects": "பொருள்கள் & வகைகள்:",
+  "book.about": "இந்தப் புத்தகத்தைப் பற்றி",
+  "book.loadingDescription": "விளக்கம் ஏற்றப்படுகிறது…",
+  "book.noDescription": "இந்தப் புத்தகத்திற்கு விளக்கம் இல்லை.",
+  "book.share": "புத்தகத்தைப் பகிர்",
+  "book.copied": "இணைப்பு நகலெடுக்கப்பட்டது!",
+  "book.copyFailed": "நகலெடுக்க முடியவில்லை",
+
+  "recs.title": "உங்களுக்கான பரிந்துரைகள்",
+  "recs.intro": "நீங்கள் சேமித்த புத்தகங்களின் பொருள்கள், ஆசிரியர்கள், பத்தாண்டுகளின் அடிப்படையில் தேர்ந்தெடுக்கப்பட்டவை.",
+  "recs.needMore": {
+    one: "பரிந்துரைகளைப் பெற இன்னும் {count} புத்தகத்தைச் சேமியுங்கள்.",
+    other: "பரிந்துரைகளைப் பெற இன்னும் {count} புத்தகங்களைச் சேமியுங்கள்.",
+  },
+  "recs.loading": "உங்களுக்குப் பிடிக்கக்கூடிய புத்தகங்களைத் தேடுகிறோம்…",
+  "recs.enriching": {
+    one: "சேமித்த {count} புத்தகத்தின் பொருள்களைப் பார்க்கிறோம்…",
+    other: "சேமித்த {count} புத்தகங்களின் பொருள்களைப் பார்க்கிறோம்…",
+  },
+  "recs.empty": "இப்போதைக்குப் பரிந்துரைக்க எதுவும் இல்லை — உங்களுக்குப் பிடித்த பொருள்களில் மேலும் சில புத்தகங்களைச் சேமியுங்கள்.",
+  "recs.failed": "பரிந்துரைகளை ஏற்ற முடியவில்லை.",
+  "recs.shares": "பொதுவானவை: {list}",
+  "recs.sameAuthor": "அதே ஆசிரியர்: {names}",
+  "recs.decade": "இதுவும் {decade}களைச் சேர்ந்தது",
+
+  "similar.title": "இது போன்ற புத்தகங்கள்",
+  "similar.loading": "இது போன்ற புத்தகங்களைத் தேடுகிறோம்…",
+  "similar.none": "இது போன்ற புத்தகங்கள் எதுவும் இல்லை.",
+  "similar.failed": "இது போன்ற புத்தகங்களை ஏற்ற முடியவில்லை.",
+
+  "card.variant": "மாறுபாடு",
+  "card.variants": {
+    one: "{count} மாறுபாடு",
+    other: "{count} மாறுபாடுகள்",
+  },
+  "card.showVariants": "இந்த நூலின் பிற பதிவுகளைக் காட்டு",
+  "card.hideVariants": "இந்த நூலின் பிற பதிவுகளை மறை",
+  "status.grouped": {
+    one: "{count} ஒத்த பதிவு தொகுக்கப்பட்டது",
+    other: "{count} ஒத்த பதிவுகள் தொகுக்கப்பட்டன",
+  },
+
+  "avail.filter": "கிடைக்கும் நிலை",
+  "avail.filter.any": "ஏதேனும்",
+  "avail.filter.readable": "இணையத்தில் படிக்கலாம்",
+  "avail.filter.borrowable": "இரவல் பெறலாம்",
+  "avail.filter.public": "பொது உரிமை",
+  "avail.public": "இலவசமாகப் படிக்கலாம்",
+  "avail.publicDomain": "பொது உரிமை",
+  "avail.borrowable": "இரவல் பெறலாம்",
+  "avail.printdisabled": "அச்சு-குறைபாடுள்ளோருக்கு மட்டும்",
+  "avail.none": "Open Library-இல் மின்னூல் இல்லை",
+  "avail.read": "இணையத்தில் படி",
+  "avail.borrow": "Open Library-இல் இரவல் பெறு",
+  "avail.printdisabledLink": "அச்சு-குறைபாடுள்ளோர் அணுகல்",
+
+  "cite.button": "மேற்கோள்",
+  "cite.title": "இந்த நூலை மேற்கோள் காட்டு",
+  "cite.style": "மேற்கோள் பாணி",
+  "cite.copy": "நகலெடு",
+  "cite.copyMarkdown": "Markdown ஆக நகலெடு",
+  "cite.copied": "நகலெடுக்கப்பட்டது!",
+  "cite.copyFailed": "நகலெடுக்க முடியவில்லை — உலாவி கிளிப்போர்டைத் தடுத்தது.",
+  "cite.fromOwned": "பதிப்பாளரும் ஆண்டும் உங்களிடம் உள்ள பதிப்பிலிருந்து.",
+  "cite.fromIsbn": "பதிப்பாளரும் ஆண்டும் ISBN {isbn} பதிப்பிலிருந்து.",
+  "cite.fromWork": "பதிப்பு கிடைக்கவில்லை; பதிப்பாளரும் ஆண்டும் படைப்புப் பதிவிலிருந்து, சரிபார்க்கவும்.",
+  "cite.lookingUp": "பதிப்பைத் தேடுகிறது…",
+
+  "storage.library": "உங்கள் நூலகம்",
+  "storage.searches": "நீங்கள் சேமித்த மற்றும் சமீபத்திய தேடல்கள்",
+  "storage.locale": "உங்கள் மொழி அமைப்பு",
+  "storage.quota": "உலாவி சேமிப்பகம் நிரம்பிவிட்டது, எனவே {what} மாற்றங்கள் இந்தத் தாவலை மூடும் வரை மட்டுமே இருக்கும். அவற்றைச் சேமிக்க இடத்தைக் காலி செய்யுங்கள்.",
+  "storage.corrupt": "{what} படிக்க முடியவில்லை, எனவே மீட்டமைக்கப்பட்டது. சேதமடைந்த நகல் localStorage இல் “{backup}” என்பதன் கீழ் வைக்கப்பட்டுள்ளது.",
+  "storage.corruptLost": "{what} படிக்க முடியவில்லை, எனவே மீட்டமைக்கப்பட்டது.",
+  "storage.unavailable": "இந்த உலாவி தளத்தைத் தரவைச் சேமிக்க அனுமதிக்கவில்லை, எனவே {what} சேமிக்கப்படாது.",
+  "storage.dismiss": "மூடு",
+
+  "card.addCompare": "ஒப்பீட்டில் சேர்",
+  "card.removeCompare": "ஒப்பீட்டிலிருந்து நீக்கு",
+  "card.compareFull": "ஒப்பீட்டில் அதிகபட்சம் {max} புத்தகங்கள் இருக்கலாம்",
+  "card.inComparison": "ஒப்பீட்டில் உள்ளது",
+  "compare.tray": "ஒப்பிட வேண்டிய புத்தகங்கள்",
+  "compare.remove": "{title} ஐ ஒப்பீட்டிலிருந்து நீக்கு",
+  "compare.count": "{max} இல் {count}",
+  "compare.open": "ஒப்பிடு",
+  "compare.needTwo": "ஒப்பிட குறைந்தது இரண்டு புத்தகங்களைத் தேர்ந்தெடுங்கள்",
+  "compare.clear": "அழி",
+  "compare.title": "புத்தக ஒப்பீடு",
+  "compare.legend": "பக்க எண்ணிக்கையும் மொழிகளும் ஒவ்வொரு படைப்பின் அதிகபட்சம் {count} பதிப்புகளிலிருந்து எடுக்கப்பட்டவை. முன்னிலைப்படுத்திய பொருள்கள் மற்றொரு புத்தகத்திலும் உள்ளன.",
+  "compare.close": "ஒப்பீட்டை மூடு",
+  "compare.loading": "ஏற்றுகிறது…",
+  "compare.row.authors": "ஆசிரியர்கள்",
+  "compare.row.year": "முதல் வெளியீடு",
+  "compare.row.editions": "பதிப்புகள்",
+  "compare.row.pages": "பக்கங்கள்",
+  "compare.row.languages": "மொழிகள்",
+  "compare.row.subjects": "பொருள்கள்",
+  "compare.row.rating": "மதிப்பீடு",
+  "compare.row.availability": "கிடைப்பு",
+  "compare.pagesMedian": {
+    one: "{count} பக்கம் (இடைநிலை)",
+    other: "{count} பக்கங்கள் (இடைநிலை)",
+  },
+  "compare.pagesRange": "பதிப்புகளில் {min}–{max}",
+  "compare.sampled": {
+    one: "{count} பதிப்பிலிருந்து",
+    other: "{count} பதிப்புகளிலிருந்து",
+  },
+  "compare.more": "+மேலும் {count}",
+  "compare.sharedSubject": "பொதுவானது",
+  "compare.ratingValue": "{average} / 5",
+  "compare.ratingCount": {
+    one: "({count} மதிப்பீடு)",
+    other: "({count} மதிப்பீடுகள்)",
+  },
+  "compare.noRatings": "இன்னும் மதிப்பீடுகள் இல்லை",
+
+  "error.network": "Open Library ஐ அணுக முடியவில்லை. உங்கள் இணைப்பைச் சரிபாருங்கள்.",
+  "error.timeout": "Open Library பதிலளிக்க அதிக நேரம் எடுத்தது.",
+  "error.rateLimited": "Open Library இப்போது கோரிக்கைகளைக் கட்டுப்படுத்துகிறது. சற்றுப் பொறுத்து மீண்டும் முயலுங்கள்.",
+  "error.server": "Open Library பக்கத்தில் ஒரு சிக்கல் ஏற்பட்டது.",
+  "error.notFound": "Open Library இல் இதற்கான பதிவு இல்லை.",
+  "error.badRequest": "Open Library இந்தக் கோரிக்கையைக் கையாள முடியவில்லை.",
+  "error.retry": "மீண்டும் முயல்க",
+
+  "suggest.recent": "சமீபத்திய தேடல்",
+  "suggest.topWork": "{title} மூலம் அறியப்பட்டவர்",
+  "suggest.works": {
+    one: "{count} படைப்பு",
+    other: "{count} படைப்புகள்",
+  },
+  "suggest.count": {
+    one: "{count} பரிந்துரை, தேர்வு செய்ய அம்புக்குறி விசைகளைப் பயன்படுத்தவும்",
+    other: "{count} பரிந்துரைகள், தேர்வு செய்ய அம்புக்குறி விசைகளைப் பயன்படுத்தவும்",
+  },
+  "suggest.didYouMeanAuthor": "ஆசிரியர் {name} என்பதைக் குறிப்பிட்டீர்களா?",
+  "suggest.didYouMeanSubject": "பொருள் {name} என்பதைக் குறிப்பிட்டீர்களா?",
+
+  "notes.tab": "குறிப்புகள்",
+  "notes.tags": "குறிச்சொற்கள்",
+  "notes.addTag": "குறிச்சொல் சேர்க்கவும்",
+  "notes.addTagButton": "குறிச்சொல் சேர்",
+  "notes.removeTag": "குறிச்சொல் {tag} நீக்கவும்",
+  "notes.notes": "குறிப்புகள்",
+  "notes.write": "எழுது",
+  "notes.preview": "முன்னோட்டம்",
+  "notes.placeholder": "இந்தப் புத்தகத்தை ஏன் சேமித்தீர்கள்? உங்கள் நினைவில் நின்றது என்ன?",
+  "notes.markdownHint": "Markdown வேலை செய்யும்: **தடித்த**, *சாய்வு*, - பட்டியல்கள், > மேற்கோள்கள், [இணைப்புகள்](https://…)",
+  "notes.empty": "இன்னும் குறிப்புகள் இல்லை.",
+  "notes.quotes": "மேற்கோள்கள்",
+  "notes.quoteText": "மேற்கோள்",
+  "notes.quotePlaceholder": "வைத்துக்கொள்ளத் தகுந்த ஒரு பகுதி",
+  "notes.page": "பக்கம்",
+  "notes.pageShort": "பக். {page}",
+  "notes.addQuote": "மேற்கோளைச் சேமி",
+  "notes.removeQuote": "மேற்கோளை நீக்கு",
+  "notes.noQuotes": "இன்னும் மேற்கோள்கள் சேமிக்கப்படவில்லை.",
+
+  "library.matchNote": "குறிப்பு",
+  "library.matchQuote": "மேற்கோள்",
+  "library.matchQuotePage": "மேற்கோள், பக். {page}",
+  "library.search": "தலைப்புகள், குறிச்சொற்கள், குறிப்புகள், மேற்கோள்களைத் தேடுங்கள்",
+  "library.searchLabel": "உங்கள் நூலகத்தில் தேடுங்கள்",
+  "library.noMatch": "சேமித்த புத்தகங்கள் எதுவும் பொருந்தவில்லை.",
+  "library.filterByTag": "குறிச்சொல்லால் வடிகட்டு",
+  "library.tags": "குறிச்சொற்கள்",
+
+  "query.find": "தேடு",
+  "query.and": "மற்றும்",
+  "query.matching": "பொருந்துபவை",
+  "query.notMatching": "பொருந்தாதவை",
+  "query.clauseMode": "நிபந்தனை {n}: சேர் அல்லது விலக்கு",
+  "query.clauseField": "நிபந்தனை {n}: புலம்",
+  "query.clauseValues": "நிபந்தனை {n}: மதிப்புகள் (காற்புள்ளியால் பிரித்த மாற்றுகள்)",
+  "query.removeClauseN": "நிபந்தனை {n}-ஐ நீக்கு",
+  "query.removeClause": "நிபந்தனையை நீக்கு",
+  "query.addClause": "நிபந்தனை சேர்",
+  "query.hint": "காற்புள்ளிகள் மாற்றுகளைப் பிரிக்கின்றன (OR); பல சொல் மதிப்புகள் சொற்றொடராகப் பொருந்தும்; * மற்றும் ? வைல்ட்கார்டுகள்.",
+  "query.textOnly": "இந்த வினவல் பில்டர் காட்ட முடியாத குழுக்களைப் பயன்படுத்துகிறது — உரையாகவே திருத்துங்கள்.",
+  "query.text": "வினவல் உரை",
+  "query.field.any": "எந்தப் புலமும்",
+  "query.field.title": "தலைப்பு",
+  "query.field.author": "ஆசிரியர்",
+  "query.field.subject": "பொருள்",
+  "query.field.person": "நபர்",
+  "query.field.place": "இடம்",
+  "query.field.time": "காலம்",
+  "query.field.publisher": "பதிப்பாளர்",
+  "query.field.language": "மொழிக் குறியீடு",
+  "query.field.isbn": "ISBN",
+  "query.field.firstPublishYear": "முதல் பதிப்பு",
+  "query.field.publishYear": "வெளியீடு (எந்தப் பதிப்பும்)",
+  "query.field.ebookAccess": "மின்னூல் கிடைப்பு",
+  "query.error.unclosedQuote": "இந்த மேற்கோள் குறி மூடப்படவில்லை",
+  "query.error.emptyPhrase": "வெற்றுச் சொற்றொடர்",
+  "query.error.colonNeedsField": "முக்காற்புள்ளிக்கு முன் புலப் பெயர் வேண்டும், எ.கா. subject:fantasy",
+  "query.error.needsAfter": "{op}-க்குப் பின் ஏதாவது வேண்டும்",
+  "query.error.needsBefore": "{op}-க்கு முன் ஏதாவது வேண்டும்",
+  "query.error.fieldNeedsValue": "“{field}:”-க்குப் பின் ஒரு மதிப்பு வேண்டும்",
+  "query.error.rangeSyntax": "வரம்புகள் இப்படி இருக்கும்: [1900 TO 1950]",
+  "query.error.yearRange": "ஆண்டு வரம்புகளுக்கு ஆண்டுகள் (அல்லது *) வேண்டும், எ.கா. [1900 TO 1950]",
+  "query.error.endsEarly": "வினவல் மிக விரைவில் முடிகிறது",
+  "query.error.emptyParens": "வெற்று அடைப்புக்குறிகள்",
+  "query.error.unclosedParen": "இந்த அடைப்புக்குறி மூடப்படவில்லை",
+  "query.error.unopenedParen": "இந்த அடைப்புக்குறி திறக்கப்படவில்லை",
+  "query.error.unknownField": "தெரியாத புலம் “{field}” — title, author, subject, publisher, language… முயலுங்கள்",
+  "query.error.leadingWildcard": "ஒரு சொல் வைல்ட்கார்டுடன் தொடங்கக் கூடாது",
+  "query.error.rangeNeedsField": "வரம்புகளுக்குப் புலம் வேண்டும், எ.கா. first_publish_year:[1900 TO 1950]",
+  "query.error.unexpected": "இங்கே எதிர்பாராத உரை",
+
+  "facet.refine": "சுருக்கு",
+  "facet.sample": {
+    one: "எண்ணிக்கை முதல் முடிவிலிருந்து.",
+    other: "எண்ணிக்கை முதல் {count} முடிவுகளிலிருந்து.",
+  },
+  "facet.firstPublished": "முதல் பதிப்பு",
+  "facet.noYears": "இந்த முடிவுகளில் வெளியீட்டு ஆண்டுகள் இல்லை.",
+  "facet.histogram": "முதல் வெளியீட்டு ஆண்டு வாரியாக முடிவுகள்; வரம்பைத் தேர்ந்தெடுக்க இழுக்கவும்",
+  "facet.remove": "வடிகட்டியை நீக்கு",
+  "facet.removeNamed": "வடிகட்டி {label}-ஐ நீக்கு",
+  "facet.group.subject": "பொருள்கள்",
+  "facet.group.language": "மொழிகள்",
+  "facet.group.author": "ஆசிரியர்கள்",
+  "facet.group.publisher": "பதிப்பாளர்கள்",
+  "facet.group.ebook": "மின்னூல் கிடைப்பு",
+  "facet.ebook.public": "பொதுக் களம் / இலவசம்",
+  "facet.ebook.borrowable": "இரவல் பெறலாம்",
+  "facet.ebook.printdisabled": "அச்சு வாசிக்க இயலாதோருக்கு",
+  "facet.ebook.no_ebook": "மின்னூல் இல்லை",
+  "searches.describe.title": "“{title}”",
+  "searches.describe.author": "{author} எழுதியது",
+  "searches.describe.subject": "பொருள் {subject}",
+  "searches.describe.any": "எந்த நூலும்",
+  "searches.title": "சமீபத்திய & சேமித்த தேடல்கள்",
+  "searches.savedCount": {
+    one: "({count} சேமிக்கப்பட்டது)",
+    other: "({count} சேமிக்கப்பட்டவை)",
+  },
+  "searches.new": {
+    one: "{count} புதியது",
+    other: "{count} புதியவை",
+  },
+  "searches.justNow": "இப்போது",
+  "searches.viewed": "{when} பார்த்தது",
+  "searches.saved": "சேமித்த தேடல்கள்",
+  "searches.recent": "சமீபத்தியவை",
+  "searches.newNameLabel": "இந்தத் தேடலின் பெயர்",
+  "searches.saveCurrent": "இந்தத் தேடலைச் சேமி",
+  "searches.savedAs": "இந்தத் தேடல் “{name}” எனச் சேமிக்கப்பட்டுள்ளது.",
+  "searches.noSaved": "ஒரு தேடலுக்குத் திரும்பி வந்து புதியவற்றைப் பார்க்க அதைச் சேமியுங்கள்.",
+  "searches.noRecent": "நீங்கள் செய்யும் தேடல்கள் இங்கே தோன்றும்.",
+  "searches.clearRecent": "வரலாற்றை அழி",
+  "searches.nameLabel": "சேமித்த தேடலின் பெயர்",
+  "searches.saveName": "சேமி",
+  "searches.cancel": "ரத்து செய்",
+  "searches.run": "இயக்கு",
+  "searches.runNamed": "{name}-ஐ இயக்கு",
+  "searches.rename": "பெயர் மாற்று",
+  "searches.renameNamed": "{name}-இன் பெயரை மாற்று",
+  "searches.delete": "நீக்கு",
+  "searches.deleteNamed": "{name}-ஐ நீக்கு",
+  "searches.save": "தேடலைச் சேமி",
+  "searches.saveNamed": "{name}-ஐச் சேமி",
+  "searches.removeRecent": "வரலாற்றிலிருந்து நீக்கு",
+  "searches.removeRecentNamed": "{name}-ஐ வரலாற்றிலிருந்து நீக்கு",
+
+  "isbn.title": "பல ISBN ஒரே தேடல்",
+  "isbn.intro": "ஒரு வரிக்கு ஒரு ISBN — ISBN-10 அல்லது ISBN-13, இணைப்புக்கோடுகள் இருக்கலாம். விரிதாளிலிருந்து முதல் நெடுவரிசை எடுக்கப்படும்.",
+  "isbn.inputLabel": "ISBNகள், வரிக்கு ஒன்று",
+  "isbn.upload": "பட்டியலைப் பதிவேற்று…",
+  "isbn.fileError": "அந்தக் கோப்பைப் படிக்க முடியவில்லை",
+  "isbn.progress": "தேடுகிறது… {done} / {total}",
+  "isbn.cancel": "ரத்து செய்",
+  "isbn.lookUp": {
+    one: "{count} ISBN-ஐத் தேடு",
+    other: "{count} ISBNகளைத் தேடு",
+  },
+  "isbn.valid": {
+    one: "{count} சரியானது",
+    other: "{count} சரியானவை",
+  },
+  "isbn.validWithErrors": "{valid} சரியானவை, {invalid} பிழையுடன்",
+  "isbn.line": "வரி",
+  "isbn.input": "உள்ளீடு",
+  "isbn.status": "நிலை",
+  "isbn.no10": "— (979 முன்னொட்டு)",
+  "isbn.duplicate": "வரி {line}-இல் உள்ள அதே நூல்",
+  "isbn.lookingUp": "தேடுகிறது…",
+  "isbn.ready": "தயார்",
+  "isbn.notFound": "Open Library-இல் கிடைக்கவில்லை",
+  "isbn.found": "கிடைத்தது: {title}",
+  "isbn.foundCount": {
+    one: "{count} நூல் கிடைத்தது",
+    other: "{count} நூல்கள் கிடைத்தன",
+  },
+  "isbn.saveAll": {
+    one: "{count}-ஐப் பிடித்தவையில் சேர்",
+    other: "அனைத்து {count}-ஐயும் பிடித்தவையில் சேர்",
+  },
+  "isbn.allSaved": "அனைத்தும் பிடித்தவையில் உள்ளன",
+  "isbn.error.empty": "இந்த வரியில் ISBN இல்லை",
+  "isbn.error.characters": "இலக்கங்கள், X தவிர பிற எழுத்துகள் உள்ளன",
+  "isbn.error.xPosition": "X என்பது ISBN-10-இன் கடைசி இலக்கமாக மட்டுமே வரலாம்",
+  "isbn.error.checkDigit10": "ISBN-10 சரிபார்ப்பு இலக்கம் தவறு ({expected} இருக்க வேண்டும்)",
+  "isbn.error.checkDigit13": "ISBN-13 சரிபார்ப்பு இலக்கம் தவறு ({expected} இருக்க வேண்டும்)",
+  "isbn.error.prefix": "ISBN-13 978 அல்லது 979 உடன் தொடங்க வேண்டும்",
+  "isbn.error.length": {
+    one: "நீளம் தவறு ({count} எழுத்து; 10 அல்லது 13 வேண்டும்)",
+    other: "நீளம் தவறு ({count} எழுத்துகள்; 10 அல்லது 13 வேண்டும்)",
+  },
+
+  "shelf.want": "படிக்க வேண்டியவை",
+  "shelf.reading": "படித்துக்கொண்டிருப்பவை",
+  "shelf.read": "படித்தவை",
+  "library.title": "என் அலமாரிகள்",
+  "library.transfer": "இறக்குமதி / ஏற்றுமதி",
+  "library.all": "அனைத்தும் ({count})",
+  "library.shelfCount": "{name} ({count})",
+  "library.newShelf": "புதிய அலமாரி",
+  "library.addShelf": "அலமாரி சேர்",
+  "library.shelfName": "அலமாரியின் பெயர்",
+  "library.save": "சேமி",
+  "library.cancel": "ரத்து செய்",
+  "library.renameShelf": "அலமாரியின் பெயரை மாற்று",
+  "library.deleteShelf": "அலமாரியை நீக்கு",
+  "library.deleteShelfConfirm": "“{name}”-ஐ நீக்கவா? அதன் நூல்கள் {fallback}-க்கு மாறும்.",
+  "library.empty": "பிடித்த நூல்களைப் பின்னர் விரைவில் கண்டுபிடிக்கச் சேமியுங்கள்.",
+  "library.emptyShelf": "இந்த அலமாரியில் இன்னும் நூல்கள் இல்லை.",
+  "library.rate": "5-க்கு {n} மதிப்பிடு",
+  "library.saveForLater": "பின்னர் படிக்கச் சேமி",
+  "library.onShelf": "“{name}”-இல்",
+  "library.remove": "நூலகத்திலிருந்து நீக்கு",
+  "library.showDetails": "விவரங்களைக் காட்டு",
+  "library.shelf": "அலமாரி",
+  "library.percentRead": "{pct}% படித்தது",
+  "library.pagesRead": "படித்த பக்கங்கள்",
+  "library.pagesOf": "/",
+  "library.pageCount": "மொத்தப் பக்கங்கள்",
+  "library.pages": "பக்கங்கள்",
+  "library.added": "சேர்த்தது",
+  "library.started": "தொடங்கியது",
+  "library.finished": "முடித்தது",
+  "transfer.export": "உங்கள் நூலகத்தை ஏற்றுமதி செய்",
+  "transfer.bibliography": "நூற்பட்டியல்",
+  "transfer.bibliographyIntro": "சேமித்த ஒவ்வொரு நூலும் மேற்கோள் பட்டியலாக. பதிப்பாளரும் ஆண்டும் நீங்கள் தேர்ந்த பதிப்பிலிருந்து வரும்.",
+  "transfer.citationStyle": "மேற்கோள் பாணி",
+  "transfer.copy": "உரையை நகலெடு",
+  "transfer.copied": "நகலெடுக்கப்பட்டது",
+  "transfer.print": "அச்சிடு…",
+  "transfer.copyFailed": "நகலெடுக்க முடியவில்லை — உங்கள் உலாவி கிளிப்போர்டைத் தடுத்தது.",
+  "transfer.import": "இறக்குமதி",
+  "transfer.importIntro": "Book Finder JSON/CSV ஏற்றுமதிகள், அல்லது Goodreads நூலக ஏற்றுமதி (My Books → Import and export).",
+  "transfer.chooseFile": "கோப்பைத் தேர்ந்தெடு…",
+  "transfer.merged": {
+    one: "{count} நூல் உங்கள் நூலகத்தில் சேர்க்கப்பட்டது.",
+    other: "{count} நூல்கள் உங்கள் நூலகத்தில் சேர்க்கப்பட்டன.",
+  },
+  "transfer.matching": "Open Library-இல் நூல்களைப் பொருத்துகிறது… {done} / {total}",
+  "transfer.cancel": "ரத்து செய்",
+  "transfer.status.new": "புதியது",
+  "transfer.status.conflict": "முரண்பாடு",
+  "transfer.status.duplicate": "ஏற்கெனவே சேமித்தது",
+  "transfer.status.repeat": "கோப்பில் மீண்டும் உள்ளது",
+  "transfer.status.unmatched": "பொருத்தம் இல்லை",
+  "transfer.book": "நூல்",
+  "transfer.status": "நிலை",
+  "transfer.details": "விவரங்கள்",
+  "transfer.importNamed": "{title}-ஐ இறக்குமதி செய்",
+  "transfer.untitled": "தலைப்பில்லை",
+  "transfer.matchedBy.isbn": "ISBN மூலம் பொருத்தப்பட்டது",
+  "transfer.matchedBy.title": "தலைப்பு/ஆசிரியர் மூலம் பொருத்தப்பட்டது",
+  "transfer.field.shelf": "அலமாரி",
+  "transfer.field.rating": "மதிப்பீடு",
+  "transfer.field.startedAt": "தொடங்கியது",
+  "transfer.field.finishedAt": "முடித்தது",
+  "transfer.field.pagesRead": "படித்த பக்கங்கள்",
+  "transfer.tickConflict": "இறக்குமதி மதிப்புகளைப் பயன்படுத்தத் தேர்வு செய்யுங்கள்.",
+  "transfer.merge": {
+    one: "{count} நூலைச் சேர்",
+    other: "{count} நூல்களைச் சேர்",
+  },
+  "transfer.error.empty": "கோப்பு காலியாக உள்ளது.",
+  "transfer.error.badJson": "கோப்பு JSON போலத் தெரிகிறது, ஆனால் படிக்க முடியவில்லை.",
+  "transfer.error.noRows": "CSV கோப்பில் வரிசைகள் இல்லை.",
+  "transfer.error.unknownCsv": "அறியப்படாத CSV: Book Finder அல்லது Goodreads ஏற்றுமதி எதிர்பார்க்கப்பட்டது.",
+  "transfer.error.failed": "இறக்குமதி தோல்வியடைந்தது",
+
+  "editions.language": "மொழி",
+  "editions.allLanguages": "அனைத்து மொழிகள்",
+  "editions.optionCount": "{name} ({count})",
+  "editions.format": "வடிவம்",
+  "editions.allFormats": "அனைத்து வடிவங்கள்",
+  "editions.search": "தேடு",
+  "editions.searchPlaceholder": "பதிப்பாளர், ISBN, ஆண்டு…",
+  "editions.loaded": {
+    one: "{count}-இல் {loaded} பதிப்பு ஏற்றப்பட்டது",
+    other: "{count}-இல் {loaded} பதிப்புகள் ஏற்றப்பட்டன",
+  },
+  "editions.loadedMatching": {
+    one: "{matching} பொருந்துகின்றன · {count}-இல் {loaded} பதிப்பு ஏற்றப்பட்டது",
+    other: "{matching} பொருந்துகின்றன · {count}-இல் {loaded} பதிப்புகள் ஏற்றப்பட்டன",
+  },
+  "editions.loadMore": "மேலும் ஏற்று",
+  "editions.loadAll": "அனைத்து {count}-ஐயும் ஏற்று",
+  "editions.filtersLoaded": "வடிகட்டிகள் இதுவரை ஏற்றிய பதிப்புகளுக்கு மட்டும் — ஒவ்வொரு பதிப்பையும் தேட அனைத்தையும் ஏற்றுங்கள்.",
+  "editions.edition": "பதிப்பு",
+  "editions.publisher": "பதிப்பாளர்",
+  "editions.published": "வெளியீடு",
+  "editions.pages": "பக்கங்கள்",
+  "editions.actions": "செயல்கள்",
+  "editions.mine": "என் பதிப்பு",
+  "editions.own": "இது என்னிடம் உள்ளது",
+  "editions.loading": "பதிப்புகள் ஏற்றப்படுகின்றன…",
+  "editions.partial": "மேலும் பதிப்புகளை ஏற்ற முடியவில்லை; {total}-இல் {shown} காட்டப்படுகின்றன.",
+  "editions.noMatch": "இந்த வடிகட்டிகளுக்குப் பொருந்தும் பதிப்புகள் இல்லை.",
+  "editions.none": "இந்தப் படைப்புக்குப் பதிப்புகள் இல்லை.",
+  "editions.previous": "முந்தையது",
+  "editions.next": "அடுத்தது",
+  "editions.page": "பக்கம் {page} / {count}",
+  "author.sort.default": "Open Library வரிசை",
+  "author.back": "பின்செல்",
+  "author.loading": "ஆசிரியர் ஏற்றப்படுகிறார்…",
+  "author.noBio": "வாழ்க்கை வரலாறு இல்லை.",
+  "author.works": "படைப்புகள்",
+  "author.sortWorks": "படைப்புகளை வரிசைப்படுத்து",
+  "author.loadAll": "அனைத்து {count}-ஐயும் ஏற்று",
+  "author.sortingLoaded": {
+    one: "இதுவரை ஏற்றிய {count} படைப்பு வரிசைப்படுத்தப்படுகிறது — முழுப் பட்டியலுக்கு அனைத்தையும் ஏற்றுங்கள்.",
+    other: "இதுவரை ஏற்றிய {count} படைப்புகள் வரிசைப்படுத்தப்படுகின்றன — முழுப் பட்டியலுக்கு அனைத்தையும் ஏற்றுங்கள்.",
+  },
+  "author.loadingWorks": "படைப்புகள் ஏற்றப்படுகின்றன…",
+  "author.noWorks": "இந்த ஆசிரியருக்குப் படைப்புகள் இல்லை.",
+  "author.previous": "முந்தையது",
+  "author.next": "அடுத்தது",
+  "author.page": "பக்கம் {page} / {count}",
+  "results.loading": "ஏற்றப்படுகிறது…",
+  "results.loadMore": "மேலும் ஏற்று",
+  "results.noMore": "மேலும் முடிவுகள் இல்லை.",
+
+  "transfer.field.notes": "குறிப்புகள்",
+  "transfer.field.quotes": "மேற்கோள்கள்",
+  "transfer.field.tags": "குறிச்சொற்கள்",
+  "transfer.quoteCount": {
+    one: "{count} மேற்கோள்",
+    other: "{count} மேற்கோள்கள்",
+  },
+
+  "isbn.error.digits13": "ISBN-13-இல் இலக்கங்கள் மட்டுமே; X ISBN-10-இல் மட்டுமே வரும்",
+};
+
+const mr = {
+  "app.tagline": "Alex साठी – शीर्षक, लेखक, विषय, वर्ष किंवा भाषेनुसार शोधा.",
+  "app.offline": "तुम्ही ऑफलाइन आहात. तुमचे शेल्फ आणि आधी लोड केलेले शोध अजूनही उपलब्ध आहेत; पुन्हा कनेक्ट झाल्यावर आम्ही रिफ्रेश करू.",
+  "app.uiLanguage": "इंटरफेसची भाषा",
+
+  "mode.label": "पुस्तके शोधा",
+  "mode.search": "शोध",
+  "mode.isbn": "एकत्रित ISBN शोध",
+
+  "form.advanced": "प्रगत क्वेरी",
+  "form.simple": "साधा शोध",
+  "form.title": "शीर्षक",
+  "form.author": "लेखक",
+  "form.subject": "विषय / कीवर्ड",
+  "form.language": "भाषा",
+  "form.anyLanguage": "कोणतीही",
+  "form.yearFrom": "वर्षापासून",
+  "form.yearTo": "वर्षापर्यंत",
+  "form.example": "उदा., {value}",
+  "form.sort": "क्रम",
+  "form.localSort": "लोड झालेल्यांचा क्रम",
+  "form.localSortHint": "फक्त आतापर्यंत लोड झालेले निकाल पुन्हा क्रमाने लावते",
+  "form.showList": "यादी दृश्य",
+  "form.showGrid": "ग्रिड दृश्य",
+  "form.reset": "रीसेट",
+
+  "sort.relevance": "संबंधितता (API)",
+  "sort.old": "वर्ष (जुने → नवे)",
+  "sort.new": "वर्ष (नवे → जुने)",
+  "sort.title": "शीर्षक (A–Z)",
+  "sort.rating": "सर्वाधिक रेटिंग",
+  "sort.editions": "सर्वाधिक आवृत्त्या",
+  "sort.random": "यादृच्छिक",
+  "localSort.off": "बंद (शोधाचा क्रम)",
+  "localSort.author": "लेखक (A–Z)",
+
+  "status.showing": {
+    one: "{total} पैकी {shown} निकाल दाखवत आहे",
+    other: "{total} पैकी {shown} निकाल दाखवत आहे",
+  },
+  "status.start": "शीर्षक, लेखक किंवा विषय टाइप करून सुरुवात करा.",
+  "status.keys": "कळा: पुस्तकांमध्ये फिरण्यासाठी बाण, उघडण्यासाठी Enter, आवडीसाठी F, तुलनेसाठी C",
+  "status.loading": "निकाल लोड होत आहेत…",
+  "status.none": "कोणतेही निकाल सापडले नाहीत",
+  "status.queryError": "क्वेरीत त्रुटी: {message}",
+  "error.offline": "तुम्ही ऑफलाइन आहात आणि हा शोध आधी लोड झालेला नाही.",
+  "error.query": "Open Library ही क्वेरी चालवू शकली नाही — तिची मांडणी तपासा.",
+  "error.generic": "काहीतरी चुकले",
+  "results.label": "शोध निकाल",
+
+  "chip.language": "भाषा: {name}",
+  "chip.published": "प्रकाशित {from}–{to}",
+
+  "footer.builtWith": "Open Library API वापरून बनवले.",
+  "footer.apiDocs": "API दस्तऐवज",
+
+  "card.unknownAuthor": "अज्ञात लेखक",
+  "card.titleBy": "{title}, लेखक {authors}",
+  "card.inLibrary": "तुमच्या ग्रंथालयात",
+  "card.addFav": "आवडीत जोडा",
+  "card.removeFav": "आवडीतून काढा",
+
+  "book.yourRating": "तुमचे रेटिंग",
+  "book.by": "लेखक: {authors}",
+  "book.prev": "मागील पुस्तक",
+  "book.next": "पुढील पुस्तक",
+  "book.position": "{total} पैकी {index}",
+  "book.close": "बंद करा",
+  "book.overview": "आढावा",
+  "book.editions": "आवृत्त्या",
+  "book.editionsCount": "आवृत्त्या ({count})",
+  "book.firstPublished": "प्रथम प्रकाशित:",
+  "book.publisher": "प्रकाशक:",
+  "book.yourEdition": "तुमची आवृत्ती:",
+  "book.subjects": "विषय आणि प्रकार:",
+  "book.about": "या पुस्तकाबद्दल",
+  "book.loadingDescription": "वर्णन लोड होत आहे…",
+  "book.noDescription": "या पुस्तकाचे वर्णन उपलब्ध नाही.",
+  "book.share": "पुस्तक शेअर करा",
+  "book.copied": "लिंक कॉपी झाली!",
+  "book.copyFailed": "कॉपी अयशस्वी",
+
+  "recs.title": "तुमच्यासाठी शिफारसी",
+  "recs.intro": "तुम्ही जतन केलेल्या पुस्तकांचे विषय, लेखक आणि दशके यांवरून निवडलेली.",
+  "recs.needMore": {
+    one: "शिफारसींसाठी आणखी {count} पुस्तक जतन करा.",
+    other: "शिफारसींसाठी आणखी {count} पुस्तके जतन करा.",
+  },
+  "recs.loading": "तुम्हाला आवडतील अशी पुस्तके शोधत आहोत…",
+  "recs.enriching": {
+    one: "जतन केलेल्या {count} पुस्तकाचे विषय पाहत आहोत…",
+    other: "जतन केलेल्या {count} पुस्तकांचे विषय पाहत आहोत…",
+  },
+  "recs.empty": "अजून सुचवण्यासारखे काही नाही — तुम्हाला आवडणाऱ्या विषयांची आणखी काही पुस्तके जतन करा.",
+  "recs.failed": "शिफारसी लोड होऊ शकल्या नाहीत.",
+  "recs.shares": "समान: {list}",
+  "recs.sameAuthor": "तोच लेखक: {names}",
+  "recs.decade": "हेही {decade} च्या दशकातले",
+
+  "similar.title": "अशीच पुस्तके",
+  "similar.loading": "अशीच पुस्तके शोधत आहोत…",
+  "similar.none": "अशी पुस्तके सापडली नाहीत.",
+  "similar.failed": "अशीच पुस्तके लोड होऊ शकली नाहीत.",
+
+  "card.variant": "रूपांतर",
+  "card.variants": {
+    one: "{count} रूपांतर",
+    other: "{count} रूपांतरे",
+  },
+  "card.showVariants": "या पुस्तकाच्या इतर नोंदी दाखवा",
+  "card.hideVariants": "या पुस्तकाच्या इतर नोंदी लपवा",
+  "status.grouped": {
+    one: "{count} जवळजवळ सारखी नोंद एकत्र केली",
+    other: "{count} जवळजवळ सारख्या नोंदी एकत्र केल्या",
+  },
+
+  "avail.filter": "उपलब्धता",
+  "avail.filter.any": "कोणतीही",
+  "avail.filter.readable": "ऑनलाइन वाचता येणारी",
+  "avail.filter.borrowable": "उसनी घेता येणारी",
+  "avail.filter.public": "सार्वजनिक डोमेन",
+  "avail.public": "मोफत वाचा",
+  "avail.publicDomain": "सार्वजनिक डोमेन",
+  "avail.borrowable": "उसनी घेता येते",
+  "avail.printdisabled": "मुद्रण-अक्षम वाचकांसाठी",
+  "avail.none": "Open Library वर ई-पुस्तक नाही",
+  "avail.read": "ऑनलाइन वाचा",
+  "avail.borrow": "Open Library वरून उसने घ्या",
+  "avail.printdisabledLink": "मुद्रण-अक्षम वाचकांसाठी प्रवेश",
+
+  "cite.button": "संदर्भ",
+  "cite.title": "या पुस्तकाचा संदर्भ द्या",
+  "cite.style": "संदर्भ शैली",
+  "cite.copy": "कॉपी करा",
+  "cite.copyMarkdown": "Markdown म्हणून कॉपी करा",
+  "cite.copied": "कॉपी झाले!",
+  "cite.copyFailed": "कॉपी करता आले नाही — ब्राउझरने क्लिपबोर्ड अडवला.",
+  "cite.fromOwned": "प्रकाशक आणि वर्ष तुमच्याकडील आवृत्तीतून आहेत.",
+  "cite.fromIsbn": "प्रकाशक आणि वर्ष ISBN {isbn} असलेल्या आवृत्तीतून आहेत.",
+  "cite.fromWork": "आवृत्ती सापडली नाही; प्रकाशक आणि वर्ष कृतीच्या नोंदीतून आहेत, कृपया तपासा.",
+  "cite.lookingUp": "आवृत्ती शोधत आहे…",
+
+  "storage.library": "तुमची लायब्ररी",
+  "storage.searches": "तुमचे जतन केलेले आणि अलीकडील शोध",
+  "storage.locale": "तुमची भाषा सेटिंग",
+  "storage.quota": "ब्राउझर स्टोरेज भरले आहे, त्यामुळे {what} मधील बदल हा टॅब बंद होईपर्यंतच राहतील. ते जतन करण्यासाठी जागा मोकळी करा.",
+  "storage.corrupt": "{what} वाचता आली नाही, म्हणून ती रीसेट केली. खराब प्रत localStorage मध्ये “{backup}” खाली ठेवली आहे.",
+  "storage.corruptLost": "{what} वाचता आली नाही, म्हणून ती रीसेट केली.",
+  "storage.unavailable": "हा ब्राउझर साइटला डेटा साठवू देत नाही, त्यामुळे {what} जतन होणार नाही.",
+  "storage.dismiss": "बंद करा",
+
+  "card.addCompare": "तुलनेत जोडा",
+  "card.removeCompare": "तुलनेतून काढा",
+  "card.compareFull": "तुलनेत जास्तीत जास्त {max} पुस्तके असू शकतात",
+  "card.inComparison": "तुलनेत",
+  "compare.tray": "तुलनेसाठी पुस्तके",
+  "compare.remove": "{title} तुलनेतून काढा",
+  "compare.count": "{max} पैकी {count}",
+  "compare.open": "तुलना करा",
+  "compare.needTwo": "तुलनेसाठी किमान दोन पुस्तके निवडा",
+  "compare.clear": "साफ करा",
+  "compare.title": "पुस्तकांची तुलना",
+  "compare.legend": "पृष्ठसंख्या आणि भाषा प्रत्येक कृतीच्या जास्तीत जास्त {count} आवृत्त्यांमधून घेतल्या आहेत. ठळक केलेले विषय दुसऱ्या पुस्तकातही आहेत.",
+  "compare.close": "तुलना बंद करा",
+  "compare.loading": "लोड होत आहे…",
+  "compare.row.authors": "लेखक",
+  "compare.row.year": "प्रथम प्रकाशित",
+  "compare.row.editions": "आवृत्त्या",
+  "compare.row.pages": "पृष्ठे",
+  "compare.row.languages": "भाषा",
+  "compare.row.subjects": "विषय",
+  "compare.row.rating": "रेटिंग",
+  "compare.row.availability": "उपलब्धता",
+  "compare.pagesMedian": {
+    one: "{count} पृष्ठ (मध्यक)",
+    other: "{count} पृष्ठे (मध्यक)",
+  },
+  "compare.pagesRange": "आवृत्त्यांमध्ये {min}–{max}",
+  "compare.sampled": {
+    one: "{count} आवृत्तीमधून",
+    other: "{count} आवृत्त्यांमधून",
+  },
+  "compare.more": "+आणखी {count}",
+  "compare.sharedSubject": "समान",
+  "compare.ratingValue": "{average} / 5",
+  "compare.ratingCount": {
+    one: "({count} रेटिंग)",
+    other: "({count} रेटिंग)",
+  },
+  "compare.noRatings": "अद्याप रेटिंग नाही",
+
+  "error.network": "Open Library पर्यंत पोहोचता आले नाही. तुमचे कनेक्शन तपासा.",
+  "error.timeout": "Open Library ने उत्तर द्यायला खूप वेळ घेतला.",
+  "error.rateLimited": "Open Library सध्या विनंत्या मर्यादित करत आहे. थोडे थांबून पुन्हा प्रयत्न करा.",
+  "error.server": "Open Library च्या बाजूने काही अडचण आली.",
+  "error.notFound": "Open Library मध्ये याची नोंद नाही.",
+  "error.badRequest": "Open Library ही विनंती हाताळू शकले नाही.",
+  "error.retry": "पुन्हा प्रयत्न करा",
+
+  "suggest.recent": "अलीकडील शोध",
+  "suggest.topWork": "{title} साठी प्रसिद्ध",
+  "suggest.works": {
+    one: "{count} साहित्यकृती",
+    other: "{count} साहित्यकृती",
+  },
+  "suggest.count": {
+    one: "{count} सूचना, निवडण्यासाठी बाण कळा वापरा",
+    other: "{count} सूचना, निवडण्यासाठी बाण कळा वापरा",
+  },
+  "suggest.didYouMeanAuthor": "तुम्हाला लेखक {name} म्हणायचे होते का?",
+  "suggest.didYouMeanSubject": "तुम्हाला विषय {name} म्हणायचे होते का?",
+
+  "notes.tab": "नोंदी",
+  "notes.tags": "टॅग",
+  "notes.addTag": "टॅग जोडा",
+  "notes.addTagButton": "टॅग जोडा",
+  "notes.removeTag": "टॅग {tag} काढा",
+  "notes.notes": "नोंदी",
+  "notes.write": "लिहा",
+  "notes.preview": "पूर्वावलोकन",
+  "notes.placeholder": "तुम्ही हे पुस्तक का जतन केले? तुमच्या लक्षात काय राहिले?",
+  "notes.markdownHint": "Markdown चालते: **ठळक**, *तिरपे*, - याद्या, > अवतरणे, [दुवे](https://…)",
+  "notes.empty": "अद्याप नोंदी नाहीत.",
+  "notes.quotes": "अवतरणे",
+  "notes.quoteText": "अवतरण",
+  "notes.quotePlaceholder": "जपून ठेवण्यासारखा उतारा",
+  "notes.page": "पान",
+  "notes.pageShort": "पा. {page}",
+  "notes.addQuote": "अवतरण जतन करा",
+  "notes.removeQuote": "अवतरण हटवा",
+  "notes.noQuotes": "अद्याप कोणतेही अवतरण जतन केलेले नाही.",
+
+  "library.matchNote": "नोंद",
+  "library.matchQuote": "अवतरण",
+  "library.matchQuotePage": "अवतरण, पा. {page}",
+  "library.search": "शीर्षके, टॅग, नोंदी आणि अवतरणे शोधा",
+  "library.searchLabel": "तुमच्या ग्रंथालयात शोधा",
+  "library.noMatch": "जतन केलेले कोणतेही पुस्तक जुळत नाही.",
+  "library.filterByTag": "टॅगनुसार गाळा",
+  "library.tags": "टॅग",
+
+  "query.find": "शोधा",
+  "query.and": "आणि",
+  "query.matching": "जुळणारे",
+  "query.notMatching": "न जुळणारे",
+  "query.clauseMode": "अट {n}: समाविष्ट करा किंवा वगळा",
+  "query.clauseField": "अट {n}: फील्ड",
+  "query.clauseValues": "अट {n}: मूल्ये (स्वल्पविरामाने वेगळे पर्याय)",
+  "query.removeClauseN": "अट {n} काढा",
+  "query.removeClause": "अट काढा",
+  "query.addClause": "अट जोडा",
+  "query.hint": "स्वल्पविराम पर्याय वेगळे करतात (OR); अनेक शब्दांची मूल्ये वाक्यांश म्हणून जुळतात; * आणि ? वाइल्डकार्ड आहेत.",
+  "query.textOnly": "ही क्वेरी बिल्डर दाखवू शकत नाही असे गट वापरते — ती मजकूर म्हणूनच संपादित करत राहा.",
+  "query.text": "क्वेरी मजकूर",
+  "query.field.any": "कोणतेही फील्ड",
+  "query.field.title": "शीर्षक",
+  "query.field.author": "लेखक",
+  "query.field.subject": "विषय",
+  "query.field.person": "व्यक्ती",
+  "query.field.place": "ठिकाण",
+  "query.field.time": "कालखंड",
+  "query.field.publisher": "प्रकाशक",
+  "query.field.language": "भाषा कोड",
+  "query.field.isbn": "ISBN",
+  "query.field.firstPublishYear": "प्रथम प्रकाशित",
+  "query.field.publishYear": "प्रकाशित (कोणतीही आवृत्ती)",
+  "query.field.ebookAccess": "ई-पुस्तक उपलब्धता",
+  "query.error.unclosedQuote": "हे अवतरण चिन्ह कधीच बंद होत नाही",
+  "query.error.emptyPhrase": "रिकामा वाक्यांश",
+  "query.error.colonNeedsField": "कोलनपूर्वी फील्डचे नाव हवे, उदा. subject:fantasy",
+  "query.error.needsAfter": "{op} नंतर काहीतरी हवे",
+  "query.error.needsBefore": "{op} आधी काहीतरी हवे",
+  "query.error.fieldNeedsValue": "“{field}:” नंतर मूल्य हवे",
+  "query.error.rangeSyntax": "श्रेणी अशा दिसतात: [1900 TO 1950]",
+  "query.error.yearRange": "वर्ष श्रेणीसाठी वर्षे (किंवा *) हवीत, उदा. [1900 TO 1950]",
+  "query.error.endsEarly": "क्वेरी खूप लवकर संपते",
+  "query.error.emptyParens": "रिकामे कंस",
+  "query.error.unclosedParen": "हा कंस कधीच बंद होत नाही",
+  "query.error.unopenedParen": "हा कंस कधी उघडलाच नाही",
+  "query.error.unknownField": "अज्ञात फील्ड “{field}” — title, author, subject, publisher, language… वापरून पाहा",
+  "query.error.leadingWildcard": "शब्द वाइल्डकार्डने सुरू होऊ शकत नाही",
+  "query.error.rangeNeedsField": "श्रेणीसाठी फील्ड हवे, उदा. first_publish_year:[1900 TO 1950]",
+  "query.error.unexpected": "येथे अनपेक्षित मजकूर",
+
+  "facet.refine": "मर्यादित करा",
+  "facet.sample": {
+    one: "गणना पहिल्या निकालावरून.",
+    other: "गणना पहिल्या {count} निकालांवरून.",
+  },
+  "facet.firstPublished": "प्रथम प्रकाशित",
+  "facet.noYears": "या निकालांत प्रकाशन वर्षे नाहीत.",
+  "facet.histogram": "पहिल्या प्रकाशन वर्षानुसार निकाल; श्रेणी निवडण्यासाठी ओढा",
+  "facet.remove": "फिल्टर काढा",
+  "facet.removeNamed": "फिल्टर {label} काढा",
+  "facet.group.subject": "विषय",
+  "facet.group.language": "भाषा",
+  "facet.group.author": "लेखक",
+  "facet.group.publisher": "प्रकाशक",
+  "facet.group.ebook": "ई-पुस्तक उपलब्धता",
+  "facet.ebook.public": "सार्वजनिक डोमेन / मोफत",
+  "facet.ebook.borrowable": "उसने घेण्याजोगे",
+  "facet.ebook.printdisabled": "मुद्रण-अक्षम वाचकांसाठी",
+  "facet.ebook.no_ebook": "ई-पुस्तक नाही",
+  "searches.describe.title": "“{title}”",
+  "searches.describe.author": "{author} यांचे",
+  "searches.describe.subject": "विषय {subject}",
+  "searches.describe.any": "कोणतेही पुस्तक",
+  "searches.title": "अलीकडील व जतन केलेले शोध",
+  "searches.savedCount": {
+    one: "({count} जतन)",
+    other: "({count} जतन)",
+  },
+  "searches.new": {
+    one: "{count} नवीन",
+    other: "{count} नवीन",
+  },
+  "searches.justNow": "आत्ताच",
+  "searches.viewed": "{when} पाहिले",
+  "searches.saved": "जतन केलेले शोध",
+  "searches.recent": "अलीकडील",
+  "searches.newNameLabel": "या शोधाचे नाव",
+  "searches.saveCurrent": "हा शोध जतन करा",
+  "searches.savedAs": "हा शोध “{name}” नावाने जतन केला आहे.",
+  "searches.noSaved": "एखाद्या शोधाकडे परत येऊन नवीन काय ते पाहण्यासाठी तो जतन करा.",
+  "searches.noRecent": "तुम्ही केलेले शोध येथे दिसतील.",
+  "searches.clearRecent": "इतिहास पुसा",
+  "searches.nameLabel": "जतन केलेल्या शोधाचे नाव",
+  "searches.saveName": "जतन करा",
+  "searches.cancel": "रद्द करा",
+  "searches.run": "चालवा",
+  "searches.runNamed": "{name} चालवा",
+  "searches.rename": "नाव बदला",
+  "searches.renameNamed": "{name} चे नाव बदला",
+  "searches.delete": "हटवा",
+  "searches.deleteNamed": "{name} हटवा",
+  "searches.save": "शोध जतन करा",
+  "searches.saveNamed": "{name} जतन करा",
+  "searches.removeRecent": "इतिहासातून काढा",
+  "searches.removeRecentNamed": "{name} इतिहासातून काढा",
+
+  "isbn.title": "एकाच वेळी अनेक ISBN शोध",
+  "isbn.intro": "प्रत्येक ओळीत एक ISBN — ISBN-10 किंवा ISBN-13, हायफन चालतील. स्प्रेडशीटमधून पहिला स्तंभ घेतला जातो.",
+  "isbn.inputLabel": "ISBN, प्रत्येक ओळीत एक",
+  "isbn.upload": "यादी अपलोड करा…",
+  "isbn.fileError": "ती फाइल वाचता आली नाही",
+  "isbn.progress": "शोधत आहे… {done} / {total}",
+  "isbn.cancel": "रद्द करा",
+  "isbn.lookUp": {
+    one: "{count} ISBN शोधा",
+    other: "{count} ISBN शोधा",
+  },
+  "isbn.valid": {
+    one: "{count} वैध",
+    other: "{count} वैध",
+  },
+  "isbn.validWithErrors": "{valid} वैध, {invalid} मध्ये त्रुटी",
+  "isbn.line": "ओळ",
+  "isbn.input": "इनपुट",
+  "isbn.status": "स्थिती",
+  "isbn.no10": "— (979 उपसर्ग)",
+  "isbn.duplicate": "ओळ {line} मधलेच पुस्तक",
+  "isbn.lookingUp": "शोधत आहे…",
+  "isbn.ready": "तयार",
+  "isbn.notFound": "Open Library वर सापडले नाही",
+  "isbn.found": "सापडले: {title}",
+  "isbn.foundCount": {
+    one: "{count} पुस्तक सापडले",
+    other: "{count} पुस्तके सापडली",
+  },
+  "isbn.saveAll": {
+    one: "{count} आवडीत जोडा",
+    other: "सर्व {count} आवडीत जोडा",
+  },
+  "isbn.allSaved": "सर्व आवडीत आहेत",
+  "isbn.error.empty": "या ओळीत ISBN नाही",
+  "isbn.error.characters": "अंक आणि X व्यतिरिक्त अक्षरे आहेत",
+  "isbn.error.xPosition": "X फक्त ISBN-10 च्या शेवटच्या अंकाच्या जागी चालतो",
+  "isbn.error.checkDigit10": "ISBN-10 चा तपास अंक चुकीचा (अपेक्षित {expected})",
+  "isbn.error.checkDigit13": "ISBN-13 चा तपास अंक चुकीचा (अपेक्षित {expected})",
+  "isbn.error.prefix": "ISBN-13 ची सुरुवात 978 किंवा 979 ने व्हायला हवी",
+  "isbn.error.length": {
+    one: "चुकीची लांबी ({count} अक्षर; 10 किंवा 13 अपेक्षित)",
+    other: "चुकीची लांबी ({count} अक्षरे; 10 किंवा 13 अपेक्षित)",
+  },
+
+  "shelf.want": "वाचायचे आहे",
+  "shelf.reading": "वाचत आहे",
+  "shelf.read": "वाचले",
+  "library.title": "माझी कपाटे",
+  "library.transfer": "आयात / निर्यात",
+  "library.all": "सर्व ({count})",
+  "library.shelfCount": "{name} ({count})",
+  "library.newShelf": "नवीन कपाट",
+  "library.addShelf": "कपाट जोडा",
+  "library.shelfName": "कपाटाचे नाव",
+  "library.save": "जतन करा",
+  "library.cancel": "रद्द करा",
+  "library.renameShelf": "कपाटाचे नाव बदला",
+  "library.deleteShelf": "कपाट हटवा",
+  "library.deleteShelfConfirm": "“{name}” हटवायचे? त्यातील पुस्तके {fallback} मध्ये जातील.",
+  "library.empty": "आवडलेली पुस्तके नंतर पटकन सापडावीत म्हणून जतन करा.",
+  "library.emptyShelf": "या कपाटात अजून पुस्तके नाहीत.",
+  "library.rate": "5 पैकी {n} रेटिंग द्या",
+  "library.saveForLater": "नंतरसाठी जतन करा",
+  "library.onShelf": "“{name}” मध्ये",
+  "library.remove": "ग्रंथालयातून काढा",
+  "library.showDetails": "तपशील दाखवा",
+  "library.shelf": "कपाट",
+  "library.percentRead": "{pct}% वाचले",
+  "library.pagesRead": "वाचलेली पाने",
+  "library.pagesOf": "/",
+  "library.pageCount": "एकूण पाने",
+  "library.pages": "पाने",
+  "library.added": "जोडले",
+  "library.started": "सुरू केले",
+  "library.finished": "पूर्ण केले",
+  "transfer.export": "तुमचे ग्रंथालय निर्यात करा",
+  "transfer.bibliography": "संदर्भसूची",
+  "transfer.bibliographyIntro": "प्रत्येक जतन केलेले पुस्तक संदर्भ यादी म्हणून. प्रकाशक आणि वर्ष तुमच्या आवृत्तीतून, जिथे निवडली असेल तिथे.",
+  "transfer.citationStyle": "संदर्भ शैली",
+  "transfer.copy": "मजकूर कॉपी करा",
+  "transfer.copied": "कॉपी झाले",
+  "transfer.print": "छापा…",
+  "transfer.copyFailed": "कॉपी करता आले नाही — तुमच्या ब्राउझरने क्लिपबोर्ड अडवला.",
+  "transfer.import": "आयात",
+  "transfer.importIntro": "Book Finder JSON/CSV निर्यात, किंवा Goodreads ग्रंथालय निर्यात (My Books → Import and export).",
+  "transfer.chooseFile": "फाइल निवडा…",
+  "transfer.merged": {
+    one: "{count} पुस्तक तुमच्या ग्रंथालयात जोडले.",
+    other: "{count} पुस्तके तुमच्या ग्रंथालयात जोडली.",
+  },
+  "transfer.matching": "Open Library वर पुस्तके जुळवत आहे… {done} / {total}",
+  "transfer.cancel": "रद्द करा",
+  "transfer.status.new": "नवीन",
+  "transfer.status.conflict": "विसंगती",
+  "transfer.status.duplicate": "आधीच जतन",
+  "transfer.status.repeat": "फाइलमध्ये पुन्हा",
+  "transfer.status.unmatched": "जुळले नाही",
+  "transfer.book": "पुस्तक",
+  "transfer.status": "स्थिती",
+  "transfer.details": "तपशील",
+  "transfer.importNamed": "{title} आयात करा",
+  "transfer.untitled": "शीर्षक नाही",
+  "transfer.matchedBy.isbn": "ISBN ने जुळवले",
+  "transfer.matchedBy.title": "शीर्षक/लेखकाने जुळवले",
+  "transfer.field.shelf": "कपाट",
+  "transfer.field.rating": "रेटिंग",
+  "transfer.field.startedAt": "सुरू केले",
+  "transfer.field.finishedAt": "पूर्ण केले",
+  "transfer.field.pagesRead": "वाचलेली पाने",
+  "transfer.tickConflict": "आयात केलेली मूल्ये वापरण्यासाठी खूण करा.",
+  "transfer.merge": {
+    one: "{count} पुस्तक जोडा",
+    other: "{count} पुस्तके जोडा",
+  },
+  "transfer.error.empty": "फाइल रिकामी आहे.",
+  "transfer.error.badJson": "फाइल JSON सारखी दिसते पण वाचता आली नाही.",
+  "transfer.error.noRows": "CSV फाइलमध्ये ओळी नाहीत.",
+  "transfer.error.unknownCsv": "अपरिचित CSV: Book Finder किंवा Goodreads निर्यात अपेक्षित होती.",
+  "transfer.error.failed": "आयात अयशस्वी",
+
+  "editions.language": "भाषा",
+  "editions.allLanguages": "सर्व भाषा",
+  "editions.optionCount": "{name} ({count})",
+  "editions.format": "स्वरूप",
+  "editions.allFormats": "सर्व स्वरूपे",
+  "editions.search": "शोधा",
+  "editions.searchPlaceholder": "प्रकाशक, ISBN, वर्ष…",
+  "editions.loaded": {
+    one: "{count} पैकी {loaded} आवृत्ती लोड झाली",
+    other: "{count} पैकी {loaded} आवृत्त्या लोड झाल्या",
+  },
+  "editions.loadedMatching": {
+    one: "{matching} जुळतात · {count} पैकी {loaded} आवृत्ती लोड झाली",
+    other: "{matching} जुळतात · {count} पैकी {loaded} आवृत्त्या लोड झाल्या",
+  },
+  "editions.loadMore": "आणखी लोड करा",
+  "editions.loadAll": "सर्व {count} लोड करा",
+  "editions.filtersLoaded": "फिल्टर आतापर्यंत लोड झालेल्या आवृत्त्यांनाच लागू — प्रत्येक आवृत्ती शोधण्यासाठी सर्व लोड करा.",
+  "editions.edition": "आवृत्ती",
+  "editions.publisher": "प्रकाशक",
+  "editions.published": "प्रकाशित",
+  "editions.pages": "पाने",
+  "editions.actions": "क्रिया",
+  "editions.mine": "माझी आवृत्ती",
+  "editions.own": "ही माझ्याकडे आहे",
+  "editions.loading": "आवृत्त्या लोड होत आहेत…",
+  "editions.partial": "आणखी आवृत्त्या लोड झाल्या नाहीत; {total} पैकी {shown} दाखवल्या आहेत.",
+  "editions.noMatch": "या फिल्टरशी कोणतीही आवृत्ती जुळत नाही.",
+  "editions.none": "या कृतीच्या आवृत्त्या सापडल्या नाहीत.",
+  "editions.previous": "मागील",
+  "editions.next": "पुढील",
+  "editions.page": "पान {page} / {count}",
+  "author.sort.default": "Open Library क्रम",
+  "author.back": "मागे",
+  "author.loading": "लेखक लोड होत आहे…",
+  "author.noBio": "चरित्र उपलब्ध नाही.",
+  "author.works": "कृती",
+  "author.sortWorks": "कृती क्रमाने लावा",
+  "author.loadAll": "सर्व {count} लोड करा",
+  "author.sortingLoaded": {
+    one: "आतापर्यंत लोड झालेली {count} कृती क्रमाने — संपूर्ण सूचीसाठी सर्व लोड करा.",
+    other: "आतापर्यंत लोड झालेल्या {count} कृती क्रमाने — संपूर्ण सूचीसाठी सर्व लोड करा.",
+  },
+  "author.loadingWorks": "कृती लोड होत आहेत…",
+  "author.noWorks": "या लेखकाच्या कृती नोंदलेल्या नाहीत.",
+  "author.previous": "मागील",
+  "author.next": "पुढील",
+  "author.page": "पान {page} / {count}",
+  "results.loading": "लोड होत आहे…",
+  "results.loadMore": "आणखी लोड करा",
+  "results.noMore": "आणखी निकाल नाहीत.",
+
+  "transfer.field.notes": "नोंदी",
+  "transfer.field.quotes": "अवतरणे",
+  "transfer.field.tags": "टॅग",
+  "transfer.quoteCount": {
+    one: "{count} अवतरण",
+    other: "{count} अवतरणे",
+  },
+
+  "isbn.error.digits13": "ISBN-13 मध्ये फक्त अंक असतात; X फक्त ISBN-10 मध्ये वापरतात",
+};
+
+const kn = {
+  "app.tagline": "Alex ಗಾಗಿ – ಶೀರ್ಷಿಕೆ, ಲೇಖಕ, ವಿಷಯ, ವರ್ಷ ಅಥವಾ ಭಾಷೆಯ ಮೂಲಕ ಹುಡುಕಿ.",
+  "app.offline": "ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ. ನಿಮ್ಮ ಕಪಾಟುಗಳು ಮತ್ತು ಹಿಂದೆ ಲೋಡ್ ಮಾಡಿದ ಹುಡುಕಾಟಗಳು ಇನ್ನೂ ಲಭ್ಯವಿವೆ; ಮರುಸಂಪರ್ಕಗೊಂಡಾಗ ರಿಫ್ರೆಶ್ ಮಾಡುತ್ತೇವೆ.",
+  "app.uiLanguage": "ಇಂಟರ್‌ಫೇಸ್ ಭಾಷೆ",
+
+  "mode.label": "ಪುಸ್ತಕಗಳನ್ನು ಹುಡುಕಿ",
+  "mode.search": "ಹುಡುಕಾಟ",
+  "mode.isbn": "ಬೃಹತ್ ISBN ಹುಡುಕಾಟ",
+
+  "form.advanced": "ಸುಧಾರಿತ ಕ್ವೆರಿ",
+  "form.simple": "ಸರಳ ಹುಡುಕಾಟ",
+  "form.title": "ಶೀರ್ಷಿಕೆ",
+  "form.author": "ಲೇಖಕ",
+  "form.subject": "ವಿಷಯ / ಕೀವರ್ಡ್",
+  "form.language": "ಭಾಷೆ",
+  "form.anyLanguage": "ಯಾವುದಾದರೂ",
+  "form.yearFrom": "ವರ್ಷದಿಂದ",
+  "form.yearTo": "ವರ್ಷದವರೆಗೆ",
+  "form.example": "ಉದಾ., {value}",
+  "form.sort": "ಕ್ರಮ",
+  "form.localSort": "ಲೋಡ್ ಆದವುಗಳ ಕ್ರಮ",
+  "form.localSortHint": "ಇಲ್ಲಿಯವರೆಗೆ ಲೋಡ್ ಆದ ಫಲಿತಾಂಶಗಳನ್ನು ಮಾತ್ರ ಮರುಕ್ರಮಗೊಳಿಸುತ್ತದೆ",
+  "form.showList": "ಪಟ್ಟಿ ನೋಟ",
+  "form.showGrid": "ಗ್ರಿಡ್ ನೋಟ",
+  "form.reset": "ಮರುಹೊಂದಿಸಿ",
+
+  "sort.relevance": "ಪ್ರಸ್ತುತತೆ (API)",
+  "sort.old": "ವರ್ಷ (ಹಳೆಯದು → ಹೊಸದು)",
+  "sort.new": "ವರ್ಷ (ಹೊಸದು → ಹಳೆಯದು)",
+  "sort.title": "ಶೀರ್ಷಿಕೆ (A–Z)",
+  "sort.rating": "ಅತಿ ಹೆಚ್ಚು ರೇಟಿಂಗ್",
+  "sort.editions": "ಹೆಚ್ಚು ಆವೃತ್ತಿಗಳು",
+  "sort.random": "ಯಾದೃಚ್ಛಿಕ",
+  "localSort.off": "ಆಫ್ (ಹುಡುಕಾಟದ ಕ್ರಮ)",
+  "localSort.author": "ಲೇಖಕ (A–Z)",
+
+  "status.showing": {
+    one: "{total} ರಲ್ಲಿ {shown} ಫಲಿತಾಂಶ ತೋರಿಸಲಾಗುತ್ತಿದೆ",
+    other: "{total} ರಲ್ಲಿ {shown} ಫಲಿತಾಂಶಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ",
+  },
+  "status.start": "ಶೀರ್ಷಿಕೆ, ಲೇಖಕ ಅಥವಾ ವಿಷಯವನ್ನು ಟೈಪ್ ಮಾಡಿ ಪ್ರಾರಂಭಿಸಿ.",
+  "status.keys": "ಕೀಗಳು: ಪುಸ್ತಕಗಳ ನಡುವೆ ಚಲಿಸಲು ಬಾಣಗಳು, ತೆರೆಯಲು Enter, ಮೆಚ್ಚಿನವುಗಳಿಗೆ F, ಹೋಲಿಸಲು C",
+  "status.loading": "ಫಲಿತಾಂಶಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ…",
+  "status.none": "ಯಾವುದೇ ಫಲಿತಾಂಶಗಳು ಸಿಗಲಿಲ್ಲ",
+  "status.queryError": "ಕ್ವೆರಿ ದೋಷ: {message}",
+  "error.offline": "ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ ಮತ್ತು ಈ ಹುಡುಕಾಟ ಹಿಂದೆ ಲೋಡ್ ಆಗಿಲ್ಲ.",
+  "error.query": "Open Library ಈ ಕ್ವೆರಿಯನ್ನು ಚಲಾಯಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ — ಅದರ ಸಿಂಟ್ಯಾಕ್ಸ್ ಪರಿಶೀಲಿಸಿ.",
+  "error.generic": "ಏನೋ ತಪ್ಪಾಗಿದೆ",
+  "results.label": "ಹುಡುಕಾಟ ಫಲಿತಾಂಶಗಳು",
+
+  "chip.language": "ಭಾಷೆ: {name}",
+  "chip.published": "ಪ್ರಕಟಣೆ {from}–{to}",
+
+  "footer.builtWith": "Open Library API ಬಳಸಿ ನಿರ್ಮಿಸಲಾಗಿದೆ.",
+  "footer.apiDocs": "API ದಾಖಲೆಗಳು",
+
+  "card.unknownAuthor": "ಅಪರಿಚಿತ ಲೇಖಕ",
+  "card.titleBy": "{title}, ಲೇಖಕ {authors}",
+  "card.inLibrary": "ನಿಮ್ಮ ಗ್ರಂಥಾಲಯದಲ್ಲಿದೆ",
+  "card.addFav": "ಮೆಚ್ಚಿನವುಗಳಿಗೆ ಸೇರಿಸಿ",
+  "card.removeFav": "ಮೆಚ್ಚಿನವುಗಳಿಂದ ತೆಗೆದುಹಾಕಿ",
+
+  "book.yourRating": "ನಿಮ್ಮ ರೇಟಿಂಗ್",
+  "book.by": "ಲೇಖಕ: {authors}",
+  "book.prev": "ಹಿಂದಿನ ಪುಸ್ತಕ",
+  "book.next": "ಮುಂದಿನ ಪುಸ್ತಕ",
+  "book.position": "{total} ರಲ್ಲಿ {index}",
+  "book.close": "ಮುಚ್ಚಿ",
+  "book.overview": "ಅವಲೋಕನ",
+  "book.editions": "ಆವೃತ್ತಿಗಳು",
+  "book.editionsCount": "ಆವೃತ್ತಿಗಳು ({count})",
+  "book.firstPublished": "ಮೊದಲ ಪ್ರಕಟಣೆ:",
+  "book.publisher": "ಪ್ರಕಾಶಕರು:",
+  "book.yourEdition": "ನಿಮ್ಮ ಆವೃತ್ತಿ:",
+  "book.subjects": "ವಿಷಯಗಳು ಮತ್ತು ಪ್ರಕಾರಗಳು:",
+  "book.about": "ಈ ಪುಸ್ತಕದ ಬಗ್ಗೆ",
+  "book.loadingDescription": "ವಿವರಣೆ ಲೋಡ್ ಆಗುತ್ತಿದೆ…",
+  "book.noDescription": "ಈ ಪುಸ್ತಕಕ್ಕೆ ವಿವರಣೆ ಲಭ್ಯವಿಲ್ಲ.",
+  "book.share": "ಪುಸ್ತಕ ಹಂಚಿಕೊಳ್ಳಿ",
+  "book.copied": "ಲಿಂಕ್ ನಕಲಿಸಲಾಗಿದೆ!",
+  "book.copyFailed": "ನಕಲಿಸಲು ವಿಫಲವಾಗಿದೆ",
+
+  "recs.title": "ನಿಮಗಾಗಿ ಶಿಫಾರಸುಗಳು",
+  "recs.intro": "ನೀವು ಉಳಿಸಿದ ಪುಸ್ತಕಗಳ ವಿಷಯಗಳು, ಲೇಖಕರು ಮತ್ತು ದಶಕಗಳ ಆಧಾರದ ಮೇಲೆ ಆಯ್ದವು.",
+  "recs.needMore": {
+    one: "ಶಿಫಾರಸುಗಳಿಗಾಗಿ ಇನ್ನೂ {count} ಪುಸ್ತಕ ಉಳಿಸಿ.",
+    other: "ಶಿಫಾರಸುಗಳಿಗಾಗಿ ಇನ್ನೂ {count} ಪುಸ್ತಕಗಳನ್ನು ಉಳಿಸಿ.",
+  },
+  "recs.loading": "ನಿಮಗೆ ಇಷ್ಟವಾಗಬಹುದಾದ ಪುಸ್ತಕಗಳನ್ನು ಹುಡುಕುತ್ತಿದ್ದೇವೆ…",
+  "recs.enriching": {
+    one: "ಉಳಿಸಿದ {count} ಪುಸ್ತಕದ ವಿಷಯಗಳನ್ನು ನೋಡುತ್ತಿದ್ದೇವೆ…",
+    other: "ಉಳಿಸಿದ {count} ಪುಸ್ತಕಗಳ ವಿಷಯಗಳನ್ನು ನೋಡುತ್ತಿದ್ದೇವೆ…",
+  },
+  "recs.empty": "ಸದ್ಯಕ್ಕೆ ಸೂಚಿಸಲು ಏನೂ ಇಲ್ಲ — ನಿಮಗೆ ಇಷ್ಟವಾದ ವಿಷಯಗಳ ಇನ್ನಷ್ಟು ಪುಸ್ತಕಗಳನ್ನು ಉಳಿಸಿ.",
+  "recs.failed": "ಶಿಫಾರಸುಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ.",
+  "recs.shares": "ಹಂಚಿಕೊಂಡವು: {list}",
+  "recs.sameAuthor": "ಅದೇ ಲೇಖಕ: {names}",
+  "recs.decade": "ಇದೂ {decade}ರ ದಶಕದ್ದು",
+
+  "similar.title": "ಇಂತಹ ಪುಸ್ತಕಗಳು",
+  "similar.loading": "ಇಂತಹ ಪುಸ್ತಕಗಳನ್ನು ಹುಡುಕುತ್ತಿದ್ದೇವೆ…",
+  "similar.none": "ಇಂತಹ ಪುಸ್ತಕಗಳು ಸಿಗಲಿಲ್ಲ.",
+  "similar.failed": "ಇಂತಹ ಪುಸ್ತಕಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ.",
+
+  "card.variant": "ರೂಪಾಂತರ",
+  "card.variants": {
+    one: "{count} ರೂಪಾಂತರ",
+    other: "{count} ರೂಪಾಂತರಗಳು",
+  },
+  "card.showVariants": "ಈ ಪುಸ್ತಕದ ಇತರ ದಾಖಲೆಗಳನ್ನು ತೋರಿಸಿ",
+  "card.hideVariants": "ಈ ಪುಸ್ತಕದ ಇತರ ದಾಖಲೆಗಳನ್ನು ಮರೆಮಾಡಿ",
+  "status.grouped": {
+    one: "{count} ಬಹುತೇಕ ನಕಲು ಗುಂಪು ಮಾಡಲಾಗಿದೆ",
+    other: "{count} ಬಹುತೇಕ ನಕಲುಗಳನ್ನು ಗುಂಪು ಮಾಡಲಾಗಿದೆ",
+  },
+
+  "avail.filter": "ಲಭ್ಯತೆ",
+  "avail.filter.any": "ಯಾವುದಾದರೂ",
+  "avail.filter.readable": "ಆನ್‌ಲೈನ್‌ನಲ್ಲಿ ಓದಬಹುದಾದವು",
+  "avail.filter.borrowable": "ಎರವಲು ಪಡೆಯಬಹುದಾದವು",
+  "avail.filter.public": "ಸಾರ್ವಜನಿಕ ಡೊಮೇನ್",
+  "avail.public": "ಉಚಿತವಾಗಿ ಓದಿ",
+  "avail.publicDomain": "ಸಾರ್ವಜನಿಕ ಡೊಮೇನ್",
+  "avail.borrowable": "ಎರವಲು ಪಡೆಯಬಹುದು",
+  "avail.printdisabled": "ಮುದ್ರಣ-ಅಶಕ್ತ ಓದುಗರಿಗೆ",
+  "avail.none": "Open Library ಯಲ್ಲಿ ಇ-ಪುಸ್ತಕ ಇಲ್ಲ",
+  "avail.read": "ಆನ್‌ಲೈನ್‌ನಲ್ಲಿ ಓದಿ",
+  "avail.borrow": "Open Library ಯಿಂದ ಎರವಲು ಪಡೆಯಿರಿ",
+  "avail.printdisabledLink": "ಮುದ್ರಣ-ಅಶಕ್ತ ಓದುಗರ ಪ್ರವೇಶ",
+
+  "cite.button": "ಉಲ್ಲೇಖಿಸಿ",
+  "cite.title": "ಈ ಪುಸ್ತಕವನ್ನು ಉಲ್ಲೇಖಿಸಿ",
+  "cite.style": "ಉಲ್ಲೇಖ ಶೈಲಿ",
+  "cite.copy": "ನಕಲಿಸಿ",
+  "cite.copyMarkdown": "Markdown ಆಗಿ ನಕಲಿಸಿ",
+  "cite.copied": "ನಕಲಿಸಲಾಗಿದೆ!",
+  "cite.copyFailed": "ನಕಲಿಸಲಾಗಲಿಲ್ಲ — ಬ್ರೌಸರ್ ಕ್ಲಿಪ್‌ಬೋರ್ಡ್ ತಡೆಯಿತು.",
+  "cite.fromOwned": "ಪ್ರಕಾಶಕ ಮತ್ತು ವರ್ಷ ನಿಮ್ಮ ಆವೃತ್ತಿಯಿಂದ ಬಂದಿವೆ.",
+  "cite.fromIsbn": "ಪ್ರಕಾಶಕ ಮತ್ತು ವರ್ಷ ISBN {isbn} ಆವೃತ್ತಿಯಿಂದ ಬಂದಿವೆ.",
+  "cite.fromWork": "ಆವೃತ್ತಿ ಸಿಗಲಿಲ್ಲ; ಪ್ರಕಾಶಕ ಮತ್ತು ವರ್ಷ ಕೃತಿಯ ದಾಖಲೆಯಿಂದ ಬಂದಿವೆ, ದಯವಿಟ್ಟು ಪರಿಶೀಲಿಸಿ.",
+  "cite.lookingUp": "ಆವೃತ್ತಿಯನ್ನು ಹುಡುಕಲಾಗುತ್ತಿದೆ…",
+
+  "storage.library": "ನಿಮ್ಮ ಲೈಬ್ರರಿ",
+  "storage.searches": "ನೀವು ಉಳಿಸಿದ ಮತ್ತು ಇತ್ತೀಚಿನ ಹುಡುಕಾಟಗಳು",
+  "storage.locale": "ನಿಮ್ಮ ಭಾಷೆ ಸೆಟ್ಟಿಂಗ್",
+  "storage.quota": "ಬ್ರೌಸರ್ ಸಂಗ್ರಹಣೆ ತುಂಬಿದೆ, ಆದ್ದರಿಂದ {what} ಬದಲಾವಣೆಗಳು ಈ ಟ್ಯಾಬ್ ಮುಚ್ಚುವವರೆಗೆ ಮಾತ್ರ ಉಳಿಯುತ್ತವೆ. ಅವುಗಳನ್ನು ಉಳಿಸಲು ಜಾಗ ಖಾಲಿ ಮಾಡಿ.",
+  "storage.corrupt": "{what} ಓದಲು ಆಗಲಿಲ್ಲ, ಆದ್ದರಿಂದ ಮರುಹೊಂದಿಸಲಾಗಿದೆ. ಹಾಳಾದ ಪ್ರತಿಯನ್ನು localStorage ನಲ್ಲಿ “{backup}” ಅಡಿಯಲ್ಲಿ ಇರಿಸಲಾಗಿದೆ.",
+  "storage.corruptLost": "{what} ಓದಲು ಆಗಲಿಲ್ಲ, ಆದ್ದರಿಂದ ಮರುಹೊಂದಿಸಲಾಗಿದೆ.",
+  "storage.unavailable": "ಈ ಬ್ರೌಸರ್ ಸೈಟ್‌ಗೆ ಡೇಟಾ ಸಂಗ್ರಹಿಸಲು ಬಿಡುತ್ತಿಲ್ಲ, ಆದ್ದರಿಂದ {what} ಉಳಿಯುವುದಿಲ್ಲ.",
+  "storage.dismiss": "ಮುಚ್ಚಿ",
+
+  "card.addCompare": "ಹೋಲಿಕೆಗೆ ಸೇರಿಸಿ",
+  "card.removeCompare": "ಹೋಲಿಕೆಯಿಂದ ತೆಗೆದುಹಾಕಿ",
+  "card.compareFull": "ಹೋಲಿಕೆಯಲ್ಲಿ ಗರಿಷ್ಠ {max} ಪುಸ್ತಕಗಳು ಇರಬಹುದು",
+  "card.inComparison": "ಹೋಲಿಕೆಯಲ್ಲಿದೆ",
+  "compare.tray": "ಹೋಲಿಸಬೇಕಾದ ಪುಸ್ತಕಗಳು",
+  "compare.remove": "{title} ಅನ್ನು ಹೋಲಿಕೆಯಿಂದ ತೆಗೆದುಹಾಕಿ",
+  "compare.count": "{max} ರಲ್ಲಿ {count}",
+  "compare.open": "ಹೋಲಿಸಿ",
+  "compare.needTwo": "ಹೋಲಿಸಲು ಕನಿಷ್ಠ ಎರಡು ಪುಸ್ತಕಗಳನ್ನು ಆಯ್ಕೆಮಾಡಿ",
+  "compare.clear": "ತೆರವುಗೊಳಿಸಿ",
+  "compare.title": "ಪುಸ್ತಕಗಳ ಹೋಲಿಕೆ",
+  "compare.legend": "ಪುಟಗಳ ಸಂಖ್ಯೆ ಮತ್ತು ಭಾಷೆಗಳು ಪ್ರತಿ ಕೃತಿಯ ಗರಿಷ್ಠ {count} ಆವೃತ್ತಿಗಳಿಂದ ಬಂದಿವೆ. ಹೈಲೈಟ್ ಮಾಡಿದ ವಿಷಯಗಳು ಇನ್ನೊಂದು ಪುಸ್ತಕದಲ್ಲೂ ಇವೆ.",
+  "compare.close": "ಹೋಲಿಕೆ ಮುಚ್ಚಿ",
+  "compare.loading": "ಲೋಡ್ ಆಗುತ್ತಿದೆ…",
+  "compare.row.authors": "ಲೇಖಕರು",
+  "compare.row.year": "ಮೊದಲ ಪ್ರಕಟಣೆ",
+  "compare.row.editions": "ಆವೃತ್ತಿಗಳು",
+  "compare.row.pages": "ಪುಟಗಳು",
+  "compare.row.languages": "ಭಾಷೆಗಳು",
+  "compare.row.subjects": "ವಿಷಯಗಳು",
+  "compare.row.rating": "ರೇಟಿಂಗ್",
+  "compare.row.availability": "ಲಭ್ಯತೆ",
+  "compare.pagesMedian": {
+    one: "{count} ಪುಟ (ಮಧ್ಯಮ)",
+    other: "{count} ಪುಟಗಳು (ಮಧ್ಯಮ)",
+  },
+  "compare.pagesRange": "ಆವೃತ್ತಿಗಳಲ್ಲಿ {min}–{max}",
+  "compare.sampled": {
+    one: "{count} ಆವೃತ್ತಿಯಿಂದ",
+    other: "{count} ಆವೃತ್ತಿಗಳಿಂದ",
+  },
+  "compare.more": "+ಇನ್ನೂ {count}",
+  "compare.sharedSubject": "ಹಂಚಿಕೊಂಡಿದೆ",
+  "compare.ratingValue": "{average} / 5",
+  "compare.ratingCount": {
+    one: "({count} ರೇಟಿಂಗ್)",
+    other: "({count} ರೇಟಿಂಗ್‌ಗಳು)",
+  },
+  "compare.noRatings": "ಇನ್ನೂ ರೇಟಿಂಗ್‌ಗಳಿಲ್ಲ",
+
+  "error.network": "Open Library ತಲುಪಲು ಆಗಲಿಲ್ಲ. ನಿಮ್ಮ ಸಂಪರ್ಕ ಪರಿಶೀಲಿಸಿ.",
+  "error.timeout": "Open Library ಉತ್ತರಿಸಲು ತುಂಬಾ ಸಮಯ ತೆಗೆದುಕೊಂಡಿತು.",
+  "error.rateLimited": "Open Library ಈಗ ವಿನಂತಿಗಳನ್ನು ಮಿತಿಗೊಳಿಸುತ್ತಿದೆ. ಸ್ವಲ್ಪ ಕಾದು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "error.server": "Open Library ಕಡೆಯಿಂದ ಏನೋ ಸಮಸ್ಯೆಯಾಯಿತು.",
+  "error.notFound": "Open Library ನಲ್ಲಿ ಇದರ ದಾಖಲೆ ಇಲ್ಲ.",
+  "error.badRequest": "Open Library ಈ ವಿನಂತಿಯನ್ನು ನಿರ್ವಹಿಸಲಾಗಲಿಲ್ಲ.",
+  "error.retry": "ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ",
+
+  "suggest.recent": "ಇತ್ತೀಚಿನ ಹುಡುಕಾಟ",
+  "suggest.topWork": "{title} ಗಾಗಿ ಹೆಸರುವಾಸಿ",
+  "suggest.works": {
+    one: "{count} ಕೃತಿ",
+    other: "{count} ಕೃತಿಗಳು",
+  },
+  "suggest.count": {
+    one: "{count} ಸಲಹೆ, ಆಯ್ಕೆ ಮಾಡಲು ಬಾಣದ ಕೀಲಿಗಳನ್ನು ಬಳಸಿ",
+    other: "{count} ಸಲಹೆಗಳು, ಆಯ್ಕೆ ಮಾಡಲು ಬಾಣದ ಕೀಲಿಗಳನ್ನು ಬಳಸಿ",
+  },
+  "suggest.didYouMeanAuthor": "ನೀವು ಲೇಖಕ {name} ಎಂದು ಅರ್ಥೈಸಿದಿರಾ?",
+  "suggest.didYouMeanSubject": "ನೀವು ವಿಷಯ {name} ಎಂದು ಅರ್ಥೈಸಿದಿರಾ?",
+
+  "notes.tab": "ಟಿಪ್ಪಣಿಗಳು",
+  "notes.tags": "ಟ್ಯಾಗ್‌ಗಳು",
+  "notes.addTag": "ಟ್ಯಾಗ್ ಸೇರಿಸಿ",
+  "notes.addTagButton": "ಟ್ಯಾಗ್ ಸೇರಿಸಿ",
+  "notes.removeTag": "ಟ್ಯಾಗ್ {tag} ತೆಗೆದುಹಾಕಿ",
+  "notes.notes": "ಟಿಪ್ಪಣಿಗಳು",
+  "notes.write": "ಬರೆಯಿರಿ",
+  "notes.preview": "ಮುನ್ನೋಟ",
+  "notes.placeholder": "ಈ ಪುಸ್ತಕವನ್ನು ಏಕೆ ಉಳಿಸಿದಿರಿ? ನಿಮಗೆ ಏನು ನೆನಪಿನಲ್ಲಿ ಉಳಿಯಿತು?",
+  "notes.markdownHint": "Markdown ಕೆಲಸ ಮಾಡುತ್ತದೆ: **ದಪ್ಪ**, *ಓರೆ*, - ಪಟ್ಟಿಗಳು, > ಉಲ್ಲೇಖಗಳು, [ಕೊಂಡಿಗಳು](https://…)",
+  "notes.empty": "ಇನ್ನೂ ಟಿಪ್ಪಣಿಗಳಿಲ್ಲ.",
+  "notes.quotes": "ಉಲ್ಲೇಖಗಳು",
+  "notes.quoteText": "ಉಲ್ಲೇಖ",
+  "notes.quotePlaceholder": "ಇಟ್ಟುಕೊಳ್ಳಲು ಯೋಗ್ಯವಾದ ಒಂದು ಭಾಗ",
+  "notes.page": "ಪುಟ",
+  "notes.pageShort": "ಪು. {page}",
+  "notes.addQuote": "ಉಲ್ಲೇಖ ಉಳಿಸಿ",
+  "notes.removeQuote": "ಉಲ್ಲೇಖ ಅಳಿಸಿ",
+  "notes.noQuotes": "ಇನ್ನೂ ಯಾವುದೇ ಉಲ್ಲೇಖ ಉಳಿಸಿಲ್ಲ.",
+
+  "library.matchNote": "ಟಿಪ್ಪಣಿ",
+  "library.matchQuote": "ಉಲ್ಲೇಖ",
+  "library.matchQuotePage": "ಉಲ್ಲೇಖ, ಪು. {page}",
+  "library.search": "ಶೀರ್ಷಿಕೆ, ಟ್ಯಾಗ್, ಟಿಪ್ಪಣಿ ಮತ್ತು ಉಲ್ಲೇಖಗಳನ್ನು ಹುಡುಕಿ",
+  "library.searchLabel": "ನಿಮ್ಮ ಗ್ರಂಥಾಲಯದಲ್ಲಿ ಹುಡುಕಿ",
+  "library.noMatch": "ಉಳಿಸಿದ ಯಾವ ಪುಸ್ತಕವೂ ಹೊಂದುತ್ತಿಲ್ಲ.",
+  "library.filterByTag": "ಟ್ಯಾಗ್ ಮೂಲಕ ಶೋಧಿಸಿ",
+  "library.tags": "ಟ್ಯಾಗ್‌ಗಳು",
+
+  "query.find": "ಹುಡುಕಿ",
+  "query.and": "ಮತ್ತು",
+  "query.matching": "ಹೊಂದುವ",
+  "query.notMatching": "ಹೊಂದದ",
+  "query.clauseMode": "ಷರತ್ತು {n}: ಸೇರಿಸಿ ಅಥವಾ ಹೊರಗಿಡಿ",
+  "query.clauseField": "ಷರತ್ತು {n}: ಕ್ಷೇತ್ರ",
+  "query.clauseValues": "ಷರತ್ತು {n}: ಮೌಲ್ಯಗಳು (ಅಲ್ಪವಿರಾಮದಿಂದ ಬೇರ್ಪಡಿಸಿದ ಪರ್ಯಾಯಗಳು)",
+  "query.removeClauseN": "ಷರತ್ತು {n} ತೆಗೆದುಹಾಕಿ",
+  "query.removeClause": "ಷರತ್ತು ತೆಗೆದುಹಾಕಿ",
+  "query.addClause": "ಷರತ್ತು ಸೇರಿಸಿ",
+  "query.hint": "ಅಲ್ಪವಿರಾಮಗಳು ಪರ್ಯಾಯಗಳನ್ನು ಬೇರ್ಪಡಿಸುತ್ತವೆ (OR); ಹಲವು ಪದಗಳ ಮೌಲ್ಯಗಳು ನುಡಿಗಟ್ಟಾಗಿ ಹೊಂದುತ್ತವೆ; * ಮತ್ತು ? ವೈಲ್ಡ್‌ಕಾರ್ಡ್‌ಗಳು.",
+  "query.textOnly": "ಈ ಕ್ವೆರಿ ಬಿಲ್ಡರ್ ತೋರಿಸಲಾಗದ ಗುಂಪುಗಳನ್ನು ಬಳಸುತ್ತದೆ — ಇದನ್ನು ಪಠ್ಯವಾಗಿಯೇ ಸಂಪಾದಿಸಿ.",
+  "query.text": "ಕ್ವೆರಿ ಪಠ್ಯ",
+  "query.field.any": "ಯಾವುದೇ ಕ್ಷೇತ್ರ",
+  "query.field.title": "ಶೀರ್ಷಿಕೆ",
+  "query.field.author": "ಲೇಖಕ",
+  "query.field.subject": "ವಿಷಯ",
+  "query.field.person": "ವ್ಯಕ್ತಿ",
+  "query.field.place": "ಸ್ಥಳ",
+  "query.field.time": "ಕಾಲಘಟ್ಟ",
+  "query.field.publisher": "ಪ್ರಕಾಶಕ",
+  "query.field.language": "ಭಾಷಾ ಕೋಡ್",
+  "query.field.isbn": "ISBN",
+  "query.field.firstPublishYear": "ಮೊದಲು ಪ್ರಕಟ",
+  "query.field.publishYear": "ಪ್ರಕಟ (ಯಾವುದೇ ಆವೃತ್ತಿ)",
+  "query.field.ebookAccess": "ಇ-ಪುಸ್ತಕ ಲಭ್ಯತೆ",
+  "query.error.unclosedQuote": "ಈ ಉದ್ಧರಣ ಚಿಹ್ನೆ ಮುಚ್ಚಿಲ್ಲ",
+  "query.error.emptyPhrase": "ಖಾಲಿ ನುಡಿಗಟ್ಟು",
+  "query.error.colonNeedsField": "ಕೋಲನ್‌ಗೆ ಮುನ್ನ ಕ್ಷೇತ್ರದ ಹೆಸರು ಬೇಕು, ಉದಾ. subject:fantasy",
+  "query.error.needsAfter": "{op} ನಂತರ ಏನಾದರೂ ಬೇಕು",
+  "query.error.needsBefore": "{op} ಮುನ್ನ ಏನಾದರೂ ಬೇಕು",
+  "query.error.fieldNeedsValue": "“{field}:” ನಂತರ ಒಂದು ಮೌಲ್ಯ ಬೇಕು",
+  "query.error.rangeSyntax": "ವ್ಯಾಪ್ತಿಗಳು ಹೀಗಿರುತ್ತವೆ: [1900 TO 1950]",
+  "query.error.yearRange": "ವರ್ಷ ವ್ಯಾಪ್ತಿಗಳಿಗೆ ವರ್ಷಗಳು (ಅಥವಾ *) ಬೇಕು, ಉದಾ. [1900 TO 1950]",
+  "query.error.endsEarly": "ಕ್ವೆರಿ ತುಂಬಾ ಬೇಗ ಮುಗಿಯುತ್ತದೆ",
+  "query.error.emptyParens": "ಖಾಲಿ ಆವರಣಗಳು",
+  "query.error.unclosedParen": "ಈ ಆವರಣ ಮುಚ್ಚಿಲ್ಲ",
+  "query.error.unopenedParen": "ಈ ಆವರಣ ತೆರೆದೇ ಇಲ್ಲ",
+  "query.error.unknownField": "ಗೊತ್ತಿಲ್ಲದ ಕ್ಷೇತ್ರ “{field}” — title, author, subject, publisher, language… ಪ್ರಯತ್ನಿಸಿ",
+  "query.error.leadingWildcard": "ಪದ ವೈಲ್ಡ್‌ಕಾರ್ಡ್‌ನಿಂದ ಆರಂಭವಾಗಬಾರದು",
+  "query.error.rangeNeedsField": "ವ್ಯಾಪ್ತಿಗಳಿಗೆ ಕ್ಷೇತ್ರ ಬೇಕು, ಉದಾ. first_publish_year:[1900 TO 1950]",
+  "query.error.unexpected": "ಇಲ್ಲಿ ಅನಿರೀಕ್ಷಿತ ಪಠ್ಯ",
+
+  "facet.refine": "ಸೀಮಿತಗೊಳಿಸಿ",
+  "facet.sample": {
+    one: "ಎಣಿಕೆ ಮೊದಲ ಫಲಿತಾಂಶದಿಂದ.",
+    other: "ಎಣಿಕೆ ಮೊದಲ {count} ಫಲಿತಾಂಶಗಳಿಂದ.",
+  },
+  "facet.firstPublished": "ಮೊದಲು ಪ್ರಕಟ",
+  "facet.noYears": "ಈ ಫಲಿತಾಂಶಗಳಲ್ಲಿ ಪ್ರಕಟಣೆ ವರ್ಷಗಳಿಲ್ಲ.",
+  "facet.histogram": "ಮೊದಲ ಪ್ರಕಟಣೆ ವರ್ಷದ ಪ್ರಕಾರ ಫಲಿತಾಂಶಗಳು; ವ್ಯಾಪ್ತಿ ಆರಿಸಲು ಎಳೆಯಿರಿ",
+  "facet.remove": "ಫಿಲ್ಟರ್ ತೆಗೆದುಹಾಕಿ",
+  "facet.removeNamed": "ಫಿಲ್ಟರ್ {label} ತೆಗೆದುಹಾಕಿ",
+  "facet.group.subject": "ವಿಷಯಗಳು",
+  "facet.group.language": "ಭಾಷೆಗಳು",
+  "facet.group.author": "ಲೇಖಕರು",
+  "facet.group.publisher": "ಪ್ರಕಾಶಕರು",
+  "facet.group.ebook": "ಇ-ಪುಸ್ತಕ ಲಭ್ಯತೆ",
+  "facet.ebook.public": "ಸಾರ್ವಜನಿಕ ಡೊಮೇನ್ / ಉಚಿತ",
+  "facet.ebook.borrowable": "ಎರವಲು ಪಡೆಯಬಹುದು",
+  "facet.ebook.printdisabled": "ಮುದ್ರಣ ಓದಲಾಗದವರಿಗೆ",
+  "facet.ebook.no_ebook": "ಇ-ಪುಸ್ತಕ ಇಲ್ಲ",
+  "searches.describe.title": "“{title}”",
+  "searches.describe.author": "{author} ಅವರದು",
+  "searches.describe.subject": "ವಿಷಯ {subject}",
+  "searches.describe.any": "ಯಾವುದೇ ಪುಸ್ತಕ",
+  "searches.title": "ಇತ್ತೀಚಿನ & ಉಳಿಸಿದ ಹುಡುಕಾಟಗಳು",
+  "searches.savedCount": {
+    one: "({count} ಉಳಿಸಲಾಗಿದೆ)",
+    other: "({count} ಉಳಿಸಲಾಗಿದೆ)",
+  },
+  "searches.new": {
+    one: "{count} ಹೊಸದು",
+    other: "{count} ಹೊಸವು",
+  },
+  "searches.justNow": "ಈಗಷ್ಟೆ",
+  "searches.viewed": "{when} ನೋಡಲಾಗಿದೆ",
+  "searches.saved": "ಉಳಿಸಿದ ಹುಡುಕಾಟಗಳು",
+  "searches.recent": "ಇತ್ತೀಚಿನವು",
+  "searches.newNameLabel": "ಈ ಹುಡುಕಾಟದ ಹೆಸರು",
+  "searches.saveCurrent": "ಈ ಹುಡುಕಾಟ ಉಳಿಸಿ",
+  "searches.savedAs": "ಈ ಹುಡುಕಾಟವನ್ನು “{name}” ಎಂದು ಉಳಿಸಲಾಗಿದೆ.",
+  "searches.noSaved": "ಹುಡುಕಾಟಕ್ಕೆ ಮರಳಿ ಬಂದು ಹೊಸದನ್ನು ನೋಡಲು ಅದನ್ನು ಉಳಿಸಿ.",
+  "searches.noRecent": "ನೀವು ಮಾಡುವ ಹುಡುಕಾಟಗಳು ಇಲ್ಲಿ ಕಾಣಿಸುತ್ತವೆ.",
+  "searches.clearRecent": "ಇತಿಹಾಸ ಅಳಿಸಿ",
+  "searches.nameLabel": "ಉಳಿಸಿದ ಹುಡುಕಾಟದ ಹೆಸರು",
+  "searches.saveName": "ಉಳಿಸಿ",
+  "searches.cancel": "ರದ್ದುಮಾಡಿ",
+  "searches.run": "ಚಲಾಯಿಸಿ",
+  "searches.runNamed": "{name} ಚಲಾಯಿಸಿ",
+  "searches.rename": "ಹೆಸರು ಬದಲಿಸಿ",
+  "searches.renameNamed": "{name} ಹೆಸರು ಬದಲಿಸಿ",
+  "searches.delete": "ಅಳಿಸಿ",
+  "searches.deleteNamed": "{name} ಅಳಿಸಿ",
+  "searches.save": "ಹುಡುಕಾಟ ಉಳಿಸಿ",
+  "searches.saveNamed": "{name} ಉಳಿಸಿ",
+  "searches.removeRecent": "ಇತಿಹಾಸದಿಂದ ತೆಗೆದುಹಾಕಿ",
+  "searches.removeRecentNamed": "{name} ಅನ್ನು ಇತಿಹಾಸದಿಂದ ತೆಗೆದುಹಾಕಿ",
+
+  "isbn.title": "ಹಲವು ISBN ಒಟ್ಟಿಗೆ ಹುಡುಕಾಟ",
+  "isbn.intro": "ಪ್ರತಿ ಸಾಲಿಗೆ ಒಂದು ISBN — ISBN-10 ಅಥವಾ ISBN-13, ಹೈಫನ್‌ಗಳು ಇರಬಹುದು. ಸ್ಪ್ರೆಡ್‌ಶೀಟ್‌ನಿಂದ ಮೊದಲ ಕಾಲಂ ಬಳಸಲಾಗುತ್ತದೆ.",
+  "isbn.inputLabel": "ISBNಗಳು, ಸಾಲಿಗೆ ಒಂದು",
+  "isbn.upload": "ಪಟ್ಟಿ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ…",
+  "isbn.fileError": "ಆ ಫೈಲ್ ಓದಲಾಗಲಿಲ್ಲ",
+  "isbn.progress": "ಹುಡುಕುತ್ತಿದೆ… {done} / {total}",
+  "isbn.cancel": "ರದ್ದುಮಾಡಿ",
+  "isbn.lookUp": {
+    one: "{count} ISBN ಹುಡುಕಿ",
+    other: "{count} ISBNಗಳನ್ನು ಹುಡುಕಿ",
+  },
+  "isbn.valid": {
+    one: "{count} ಮಾನ್ಯ",
+    other: "{count} ಮಾನ್ಯ",
+  },
+  "isbn.validWithErrors": "{valid} ಮಾನ್ಯ, {invalid} ದೋಷಯುಕ್ತ",
+  "isbn.line": "ಸಾಲು",
+  "isbn.input": "ಇನ್‌ಪುಟ್",
+  "isbn.status": "ಸ್ಥಿತಿ",
+  "isbn.no10": "— (979 ಪೂರ್ವಪ್ರತ್ಯಯ)",
+  "isbn.duplicate": "ಸಾಲು {line} ರಲ್ಲಿನ ಅದೇ ಪುಸ್ತಕ",
+  "isbn.lookingUp": "ಹುಡುಕುತ್ತಿದೆ…",
+  "isbn.ready": "ಸಿದ್ಧ",
+  "isbn.notFound": "Open Library ಯಲ್ಲಿ ಸಿಗಲಿಲ್ಲ",
+  "isbn.found": "ಸಿಕ್ಕಿದೆ: {title}",
+  "isbn.foundCount": {
+    one: "{count} ಪುಸ್ತಕ ಸಿಕ್ಕಿದೆ",
+    other: "{count} ಪುಸ್ತಕಗಳು ಸಿಕ್ಕಿವೆ",
+  },
+  "isbn.saveAll": {
+    one: "{count} ಅನ್ನು ಮೆಚ್ಚಿನವುಗಳಿಗೆ ಸೇರಿಸಿ",
+    other: "ಎಲ್ಲಾ {count} ಅನ್ನು ಮೆಚ್ಚಿನವುಗಳಿಗೆ ಸೇರಿಸಿ",
+  },
+  "isbn.allSaved": "ಎಲ್ಲವೂ ಮೆಚ್ಚಿನವುಗಳಲ್ಲಿವೆ",
+  "isbn.error.empty": "ಈ ಸಾಲಿನಲ್ಲಿ ISBN ಇಲ್ಲ",
+  "isbn.error.characters": "ಅಂಕಿಗಳು ಮತ್ತು X ಹೊರತುಪಡಿಸಿ ಇತರ ಅಕ್ಷರಗಳಿವೆ",
+  "isbn.error.xPosition": "X ಕೇವಲ ISBN-10 ರ ಕೊನೆಯ ಅಂಕಿಯಾಗಿ ಮಾತ್ರ ಬರಬಹುದು",
+  "isbn.error.checkDigit10": "ISBN-10 ಪರಿಶೀಲನಾ ಅಂಕಿ ತಪ್ಪು ({expected} ಇರಬೇಕು)",
+  "isbn.error.checkDigit13": "ISBN-13 ಪರಿಶೀಲನಾ ಅಂಕಿ ತಪ್ಪು ({expected} ಇರಬೇಕು)",
+  "isbn.error.prefix": "ISBN-13 978 ಅಥವಾ 979 ರಿಂದ ಆರಂಭವಾಗಬೇಕು",
+  "isbn.error.length": {
+    one: "ತಪ್ಪು ಉದ್ದ ({count} ಅಕ್ಷರ; 10 ಅಥವಾ 13 ಇರಬೇಕು)",
+    other: "ತಪ್ಪು ಉದ್ದ ({count} ಅಕ್ಷರಗಳು; 10 ಅಥವಾ 13 ಇರಬೇಕು)",
+  },
+
+  "shelf.want": "ಓದಬೇಕಾದವು",
+  "shelf.reading": "ಓದುತ್ತಿರುವವು",
+  "shelf.read": "ಓದಿದವು",
+  "library.title": "ನನ್ನ ಕಪಾಟುಗಳು",
+  "library.transfer": "ಆಮದು / ರಫ್ತು",
+  "library.all": "ಎಲ್ಲಾ ({count})",
+  "library.shelfCount": "{name} ({count})",
+  "library.newShelf": "ಹೊಸ ಕಪಾಟು",
+  "library.addShelf": "ಕಪಾಟು ಸೇರಿಸಿ",
+  "library.shelfName": "ಕಪಾಟಿನ ಹೆಸರು",
+  "library.save": "ಉಳಿಸಿ",
+  "library.cancel": "ರದ್ದುಮಾಡಿ",
+  "library.renameShelf": "ಕಪಾಟಿನ ಹೆಸರು ಬದಲಿಸಿ",
+  "library.deleteShelf": "ಕಪಾಟು ಅಳಿಸಿ",
+  "library.deleteShelfConfirm": "“{name}” ಅಳಿಸಬೇಕೆ? ಅದರ ಪುಸ್ತಕಗಳು {fallback} ಗೆ ಹೋಗುತ್ತವೆ.",
+  "library.empty": "ಇಷ್ಟದ ಪುಸ್ತಕಗಳನ್ನು ನಂತರ ಬೇಗ ಹುಡುಕಲು ಉಳಿಸಿ.",
+  "library.emptyShelf": "ಈ ಕಪಾಟಿನಲ್ಲಿ ಇನ್ನೂ ಪುಸ್ತಕಗಳಿಲ್ಲ.",
+  "library.rate": "5 ರಲ್ಲಿ {n} ರೇಟಿಂಗ್ ನೀಡಿ",
+  "library.saveForLater": "ನಂತರಕ್ಕಾಗಿ ಉಳಿಸಿ",
+  "library.onShelf": "“{name}” ನಲ್ಲಿ",
+  "library.remove": "ಗ್ರಂಥಾಲಯದಿಂದ ತೆಗೆದುಹಾಕಿ",
+  "library.showDetails": "ವಿವರಗಳನ್ನು ತೋರಿಸಿ",
+  "library.shelf": "ಕಪಾಟು",
+  "library.percentRead": "{pct}% ಓದಲಾಗಿದೆ",
+  "library.pagesRead": "ಓದಿದ ಪುಟಗಳು",
+  "library.pagesOf": "/",
+  "library.pageCount": "ಒಟ್ಟು ಪುಟಗಳು",
+  "library.pages": "ಪುಟಗಳು",
+  "library.added": "ಸೇರಿಸಿದ್ದು",
+  "library.started": "ಆರಂಭಿಸಿದ್ದು",
+  "library.finished": "ಮುಗಿಸಿದ್ದು",
+  "transfer.export": "ನಿಮ್ಮ ಗ್ರಂಥಾಲಯ ರಫ್ತು ಮಾಡಿ",
+  "transfer.bibliography": "ಗ್ರಂಥಸೂಚಿ",
+  "transfer.bibliographyIntro": "ಉಳಿಸಿದ ಪ್ರತಿ ಪುಸ್ತಕ ಉಲ್ಲೇಖ ಪಟ್ಟಿಯಾಗಿ. ಪ್ರಕಾಶಕ ಮತ್ತು ವರ್ಷ ನೀವು ಆರಿಸಿದ ಆವೃತ್ತಿಯಿಂದ.",
+  "transfer.citationStyle": "ಉಲ್ಲೇಖ ಶೈಲಿ",
+  "transfer.copy": "ಪಠ್ಯ ನಕಲಿಸಿ",
+  "transfer.copied": "ನಕಲಿಸಲಾಗಿದೆ",
+  "transfer.print": "ಮುದ್ರಿಸಿ…",
+  "transfer.copyFailed": "ನಕಲಿಸಲಾಗಲಿಲ್ಲ — ನಿಮ್ಮ ಬ್ರೌಸರ್ ಕ್ಲಿಪ್‌ಬೋರ್ಡ್ ತಡೆಯಿತು.",
+  "transfer.import": "ಆಮದು",
+  "transfer.importIntro": "Book Finder JSON/CSV ರಫ್ತುಗಳು, ಅಥವಾ Goodreads ಗ್ರಂಥಾಲಯ ರಫ್ತು (My Books → Import and export).",
+  "transfer.chooseFile": "ಫೈಲ್ ಆರಿಸಿ…",
+  "transfer.merged": {
+    one: "{count} ಪುಸ್ತಕವನ್ನು ನಿಮ್ಮ ಗ್ರಂಥಾಲಯಕ್ಕೆ ಸೇರಿಸಲಾಗಿದೆ.",
+    other: "{count} ಪುಸ್ತಕಗಳನ್ನು ನಿಮ್ಮ ಗ್ರಂಥಾಲಯಕ್ಕೆ ಸೇರಿಸಲಾಗಿದೆ.",
+  },
+  "transfer.matching": "Open Library ಯಲ್ಲಿ ಪುಸ್ತಕಗಳನ್ನು ಹೊಂದಿಸುತ್ತಿದೆ… {done} / {total}",
+  "transfer.cancel": "ರದ್ದುಮಾಡಿ",
+  "transfer.status.new": "ಹೊಸದು",
+  "transfer.status.conflict": "ಸಂಘರ್ಷ",
+  "transfer.status.duplicate": "ಈಗಾಗಲೇ ಉಳಿಸಲಾಗಿದೆ",
+  "transfer.status.repeat": "ಫೈಲ್‌ನಲ್ಲಿ ಪುನರಾವರ್ತಿತ",
+  "transfer.status.unmatched": "ಹೊಂದಿಕೆ ಇಲ್ಲ",
+  "transfer.book": "ಪುಸ್ತಕ",
+  "transfer.status": "ಸ್ಥಿತಿ",
+  "transfer.details": "ವಿವರಗಳು",
+  "transfer.importNamed": "{title} ಆಮದು ಮಾಡಿ",
+  "transfer.untitled": "ಶೀರ್ಷಿಕೆ ಇಲ್ಲ",
+  "transfer.matchedBy.isbn": "ISBN ಮೂಲಕ ಹೊಂದಿಸಲಾಗಿದೆ",
+  "transfer.matchedBy.title": "ಶೀರ್ಷಿಕೆ/ಲೇಖಕರ ಮೂಲಕ ಹೊಂದಿಸಲಾಗಿದೆ",
+  "transfer.field.shelf": "ಕಪಾಟು",
+  "transfer.field.rating": "ರೇಟಿಂಗ್",
+  "transfer.field.startedAt": "ಆರಂಭಿಸಿದ್ದು",
+  "transfer.field.finishedAt": "ಮುಗಿಸಿದ್ದು",
+  "transfer.field.pagesRead": "ಓದಿದ ಪುಟಗಳು",
+  "transfer.tickConflict": "ಆಮದು ಮೌಲ್ಯಗಳನ್ನು ಬಳಸಲು ಗುರುತು ಮಾಡಿ.",
+  "transfer.merge": {
+    one: "{count} ಪುಸ್ತಕ ಸೇರಿಸಿ",
+    other: "{count} ಪುಸ್ತಕಗಳನ್ನು ಸೇರಿಸಿ",
+  },
+  "transfer.error.empty": "ಫೈಲ್ ಖಾಲಿಯಾಗಿದೆ.",
+  "transfer.error.badJson": "ಫೈಲ್ JSON ನಂತೆ ಕಾಣುತ್ತದೆ ಆದರೆ ಓದಲಾಗಲಿಲ್ಲ.",
+  "transfer.error.noRows": "CSV ಫೈಲ್‌ನಲ್ಲಿ ಸಾಲುಗಳಿಲ್ಲ.",
+  "transfer.error.unknownCsv": "ಗುರುತಿಸದ CSV: Book Finder ಅಥವಾ Goodreads ರಫ್ತು ನಿರೀಕ್ಷಿಸಲಾಗಿತ್ತು.",
+  "transfer.error.failed": "ಆಮದು ವಿಫಲವಾಯಿತು",
+
+  "editions.language": "ಭಾಷೆ",
+  "editions.allLanguages": "ಎಲ್ಲಾ ಭಾಷೆಗಳು",
+  "editions.optionCount": "{name} ({count})",
+  "editions.format": "ಸ್ವರೂಪ",
+  "editions.allFormats": "ಎಲ್ಲಾ ಸ್ವರೂಪಗಳು",
+  "editions.search": "ಹುಡುಕಿ",
+  "editions.searchPlaceholder": "ಪ್ರಕಾಶಕ, ISBN, ವರ್ಷ…",
+  "editions.loaded": {
+    one: "{count} ರಲ್ಲಿ {loaded} ಆವೃತ್ತಿ ಲೋಡ್ ಆಗಿದೆ",
+    other: "{count} ರಲ್ಲಿ {loaded} ಆವೃತ್ತಿಗಳು ಲೋಡ್ ಆಗಿವೆ",
+  },
+  "editions.loadedMatching": {
+    one: "{matching} ಹೊಂದುತ್ತವೆ · {count} ರಲ್ಲಿ {loaded} ಆವೃತ್ತಿ ಲೋಡ್ ಆಗಿದೆ",
+    other: "{matching} ಹೊಂದುತ್ತವೆ · {count} ರಲ್ಲಿ {loaded} ಆವೃತ್ತಿಗಳು ಲೋಡ್ ಆಗಿವೆ",
+  },
+  "editions.loadMore": "ಇನ್ನಷ್ಟು ಲೋಡ್ ಮಾಡಿ",
+  "editions.loadAll": "ಎಲ್ಲಾ {count} ಲೋಡ್ ಮಾಡಿ",
+  "editions.filtersLoaded": "ಫಿಲ್ಟರ್‌ಗಳು ಇಲ್ಲಿಯವರೆಗೆ ಲೋಡ್ ಆದ ಆವೃತ್ತಿಗಳಿಗೆ ಮಾತ್ರ — ಪ್ರತಿ ಆವೃತ್ತಿ ಹುಡುಕಲು ಎಲ್ಲವನ್ನೂ ಲೋಡ್ ಮಾಡಿ.",
+  "editions.edition": "ಆವೃತ್ತಿ",
+  "editions.publisher": "ಪ್ರಕಾಶಕ",
+  "editions.published": "ಪ್ರಕಟಣೆ",
+  "editions.pages": "ಪುಟಗಳು",
+  "editions.actions": "ಕ್ರಿಯೆಗಳು",
+  "editions.mine": "ನನ್ನ ಆವೃತ್ತಿ",
+  "editions.own": "ಇದು ನನ್ನ ಬಳಿ ಇದೆ",
+  "editions.loading": "ಆವೃತ್ತಿಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ…",
+  "editions.partial": "ಇನ್ನಷ್ಟು ಆವೃತ್ತಿಗಳು ಲೋಡ್ ಆಗಲಿಲ್ಲ; {total} ರಲ್ಲಿ {shown} ತೋರಿಸಲಾಗಿದೆ.",
+  "editions.noMatch": "ಈ ಫಿಲ್ಟರ್‌ಗಳಿಗೆ ಹೊಂದುವ ಆವೃತ್ತಿಗಳಿಲ್ಲ.",
+  "editions.none": "ಈ ಕೃತಿಗೆ ಆವೃತ್ತಿಗಳು ಸಿಗಲಿಲ್ಲ.",
+  "editions.previous": "ಹಿಂದಿನ",
+  "editions.next": "ಮುಂದಿನ",
+  "editions.page": "ಪುಟ {page} / {count}",
+  "author.sort.default": "Open Library ಕ್ರಮ",
+  "author.back": "ಹಿಂದೆ",
+  "author.loading": "ಲೇಖಕರು ಲೋಡ್ ಆಗುತ್ತಿದ್ದಾರೆ…",
+  "author.noBio": "ಜೀವನಚರಿತ್ರೆ ಲಭ್ಯವಿಲ್ಲ.",
+  "author.works": "ಕೃತಿಗಳು",
+  "author.sortWorks": "ಕೃತಿಗಳನ್ನು ವಿಂಗಡಿಸಿ",
+  "author.loadAll": "ಎಲ್ಲಾ {count} ಲೋಡ್ ಮಾಡಿ",
+  "author.sortingLoaded": {
+    one: "ಇಲ್ಲಿಯವರೆಗೆ ಲೋಡ್ ಆದ {count} ಕೃತಿಯನ್ನು ವಿಂಗಡಿಸಲಾಗುತ್ತಿದೆ — ಪೂರ್ಣ ಪಟ್ಟಿಗೆ ಎಲ್ಲವನ್ನೂ ಲೋಡ್ ಮಾಡಿ.",
+    other: "ಇಲ್ಲಿಯವರೆಗೆ ಲೋಡ್ ಆದ {count} ಕೃತಿಗಳನ್ನು ವಿಂಗಡಿಸಲಾಗುತ್ತಿದೆ — ಪೂರ್ಣ ಪಟ್ಟಿಗೆ ಎಲ್ಲವನ್ನೂ ಲೋಡ್ ಮಾಡಿ.",
+  },
+  "author.loadingWorks": "ಕೃತಿಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ…",
+  "author.noWorks": "ಈ ಲೇಖಕರ ಕೃತಿಗಳು ಪಟ್ಟಿಯಲ್ಲಿಲ್ಲ.",
+  "author.previous": "ಹಿಂದಿನ",
+  "author.next": "ಮುಂದಿನ",
+  "author.page": "ಪುಟ {page} / {count}",
+  "results.loading": "ಲೋಡ್ ಆಗುತ್ತಿದೆ…",
+  "results.loadMore": "ಇನ್ನಷ್ಟು ಲೋಡ್ ಮಾಡಿ",
+  "results.noMore": "ಇನ್ನಷ್ಟು ಫಲಿತಾಂಶಗಳಿಲ್ಲ.",
+
+  "transfer.field.notes": "ಟಿಪ್ಪಣಿಗಳು",
+  "transfer.field.quotes": "ಉಲ್ಲೇಖಗಳು",
+  "transfer.field.tags": "ಟ್ಯಾಗ್‌ಗಳು",
+  "transfer.quoteCount": {
+    one: "{count} ಉಲ್ಲೇಖ",
+    other: "{count} ಉಲ್ಲೇಖಗಳು",
+  },
+
+  "isbn.error.digits13": "ISBN-13 ನಲ್ಲಿ ಅಂಕೆಗಳು ಮಾತ್ರ; X ಅನ್ನು ISBN-10 ನಲ್ಲಿ ಮಾತ್ರ ಬಳಸಲಾಗುತ್ತದೆ",
+};
+
+const bn = {
+  "app.tagline": "Alex-এর জন্য – শিরোনাম, লেখক, বিষয়, বছর বা ভাষা দিয়ে খুঁজুন।",
+  "app.offline": "আপনি অফলাইনে আছেন। আপনার তাক এবং আগে লোড করা অনুসন্ধানগুলি এখনও পাওয়া যাবে; আবার সংযুক্ত হলে আমরা রিফ্রেশ করব।",
+  "app.uiLanguage": "ইন্টারফেসের ভাষা",
+
+  "mode.label": "বই খুঁজুন",
+  "mode.search": "অনুসন্ধান",
+  "mode.isbn": "একসাথে ISBN অনুসন্ধান",
+
+  "form.advanced": "উন্নত কোয়েরি",
+  "form.simple": "সাধারণ অনুসন্ধান",
+  "form.title": "শিরোনাম",
+  "form.author": "লেখক",
+  "form.subject": "বিষয় / কীওয়ার্ড",
+  "form.language": "ভাষা",
+  "form.anyLanguage": "যেকোনো",
+  "form.yearFrom": "বছর থেকে",
+  "form.yearTo": "বছর পর্যন্ত",
+  "form.example": "যেমন, {value}",
+  "form.sort": "ক্রম",
+  "form.localSort": "লোড হওয়াগুলি সাজান",
+  "form.localSortHint": "শুধু এখন পর্যন্ত লোড হওয়া ফলাফল আবার সাজায়",
+  "form.showList": "তালিকা দৃশ্য",
+  "form.showGrid": "গ্রিড দৃশ্য",
+  "form.reset": "রিসেট",
+
+  "sort.relevance": "প্রাসঙ্গিকতা (API)",
+  "sort.old": "বছর (পুরোনো → নতুন)",
+  "sort.new": "বছর (নতুন → পুরোনো)",
+  "sort.title": "শিরোনাম (A–Z)",
+  "sort.rating": "সর্বোচ্চ রেটিং",
+  "sort.editions": "সবচেয়ে বেশি সংস্করণ",
+  "sort.random": "এলোমেলো",
+  "localSort.off": "বন্ধ (অনুসন্ধানের ক্রম)",
+  "localSort.author": "লেখক (A–Z)",
+
+  "status.showing": {
+    one: "{total}টির মধ্যে {shown}টি ফলাফল দেখানো হচ্ছে",
+    other: "{total}টির মধ্যে {shown}টি ফলাফল দেখানো হচ্ছে",
+  },
+  "status.start": "শিরোনাম, লেখক বা বিষয় লিখে শুরু করুন।",
+  "status.keys": "কী: বইগুলির মধ্যে যেতে তীরচিহ্ন, খুলতে Enter, প্রিয়তে রাখতে F, তুলনা করতে C",
+  "status.loading": "ফলাফল লোড হচ্ছে…",
+  "status.none": "কোনো ফলাফল পাওয়া যায়নি",
+  "status.queryError": "কোয়েরিতে ত্রুটি: {message}",
+  "error.offline": "আপনি অফলাইনে আছেন এবং এই অনুসন্ধান আগে লোড হয়নি।",
+  "error.query": "Open Library এই কোয়েরি চালাতে পারেনি — এর সিনট্যাক্স দেখুন।",
+  "error.generic": "কিছু একটা ভুল হয়েছে",
+  "results.label": "অনুসন্ধানের ফলাফল",
+
+  "chip.language": "ভাষা: {name}",
+  "chip.published": "প্রকাশিত {from}–{to}",
+
+  "footer.builtWith": "Open Library API দিয়ে তৈরি।",
+  "footer.apiDocs": "API নথি",
+
+  "card.unknownAuthor": "অজানা লেখক",
+  "card.titleBy": "{title}, লেখক {authors}",
+  "card.inLibrary": "আপনার লাইব্রেরিতে আছে",
+  "card.addFav": "প্রিয়তে যোগ করুন",
+  "card.removeFav": "প্রিয় থেকে সরান",
+
+  "book.yourRating": "আপনার রেটিং",
+  "book.by": "লেখক: {authors}",
+  "book.prev": "আগের বই",
+  "book.next": "পরের বই",
+  "book.position": "{total}টির মধ্যে {index}",
+  "book.close": "বন্ধ করুন",
+  "book.overview": "সংক্ষিপ্ত বিবরণ",
+  "book.editions": "সংস্করণ",
+  "book.editionsCount": "সংস্করণ ({count})",
+  "book.firstPublished": "প্রথম প্রকাশ:",
+  "book.publisher": "প্রকাশক:",
+  "book.yourEdition": "আপনার সংস্করণ:",
+  "book.subjects": "বিষয় ও ধরন:",
+  "book.about": "এই বই সম্পর্কে",
+  "book.loadingDescription": "বিবরণ লোড হচ্ছে…",
+  "book.noDescription": "এই বইয়ের কোনো বিবরণ নেই।",
+  "book.share": "বই শেয়ার করুন",
+  "book.copied": "লিংক কপি হয়েছে!",
+  "book.copyFailed": "কপি করা যায়নি",
+
+  "recs.title": "আপনার জন্য সুপারিশ",
+  "recs.intro": "আপনার সংরক্ষিত বইগুলির বিষয়, লেখক ও দশক দেখে বাছাই করা।",
+  "recs.needMore": {
+    one: "সুপারিশ পেতে আরও {count}টি বই সংরক্ষণ করুন।",
+    other: "সুপারিশ পেতে আরও {count}টি বই সংরক্ষণ করুন।",
+  },
+  "recs.loading": "আপনার পছন্দ হতে পারে এমন বই খোঁজা হচ্ছে…",
+  "recs.enriching": {
+    one: "সংরক্ষিত {count}টি বইয়ের বিষয় দেখা হচ্ছে…",
+    other: "সংরক্ষিত {count}টি বইয়ের বিষয় দেখা হচ্ছে…",
+  },
+  "recs.empty": "এখনও সুপারিশ করার মতো কিছু নেই — আপনার পছন্দের বিষয়ের আরও কয়েকটি বই সংরক্ষণ করুন।",
+  "recs.failed": "সুপারিশ লোড করা যায়নি।",
+  "recs.shares": "মিল: {list}",
+  "recs.sameAuthor": "একই লেখক: {names}",
+  "recs.decade": "এটিও {decade}-এর দশকের",
+
+  "similar.title": "একই ধরনের বই",
+  "similar.loading": "একই ধরনের বই খোঁজা হচ্ছে…",
+  "similar.none": "একই ধরনের কোনো বই পাওয়া যায়নি।",
+  "similar.failed": "একই ধরনের বই লোড করা যায়নি।",
+
+  "card.variant": "রূপভেদ",
+  "card.variants": {
+    one: "{count}টি রূপভেদ",
+    other: "{count}টি রূপভেদ",
+  },
+  "card.showVariants": "এই বইয়ের অন্য রেকর্ডগুলি দেখান",
+  "card.hideVariants": "এই বইয়ের অন্য রেকর্ডগুলি লুকান",
+  "status.grouped": {
+    one: "{count}টি প্রায়-একই ফলাফল একত্রিত",
+    other: "{count}টি প্রায়-একই ফলাফল একত্রিত",
+  },
+
+  "avail.filter": "প্রাপ্যতা",
+  "avail.filter.any": "যেকোনো",
+  "avail.filter.readable": "অনলাইনে পড়া যায়",
+  "avail.filter.borrowable": "ধার নেওয়া যায়",
+  "avail.filter.public": "পাবলিক ডোমেইন",
+  "avail.public": "বিনামূল্যে পড়ুন",
+  "avail.publicDomain": "পাবলিক ডোমেইন",
+  "avail.borrowable": "ধার নেওয়া যায়",
+  "avail.printdisabled": "মুদ্রণ-প্রতিবন্ধী পাঠকদের জন্য",
+  "avail.none": "Open Library-তে কোনো ই-বুক নেই",
+  "avail.read": "অনলাইনে পড়ুন",
+  "avail.borrow": "Open Library থেকে ধার নিন",
+  "avail.printdisabledLink": "মুদ্রণ-প্রতিবন্ধী পাঠকদের প্রবেশাধিকার",
+
+  "cite.button": "উদ্ধৃতি",
+  "cite.title": "এই বইটি উদ্ধৃত করুন",
+  "cite.style": "উদ্ধৃতির শৈলী",
+  "cite.copy": "কপি করুন",
+  "cite.copyMarkdown": "Markdown হিসেবে কপি করুন",
+  "cite.copied": "কপি হয়েছে!",
+  "cite.copyFailed": "কপি করা যায়নি — ব্রাউজার ক্লিপবোর্ড আটকে দিয়েছে।",
+  "cite.fromOwned": "প্রকাশক ও বছর আপনার সংস্করণ থেকে নেওয়া।",
+  "cite.fromIsbn": "প্রকাশক ও বছর ISBN {isbn} সংস্করণ থেকে নেওয়া।",
+  "cite.fromWork": "কোনো সংস্করণ পাওয়া যায়নি; প্রকাশক ও বছর রচনার রেকর্ড থেকে নেওয়া, যাচাই করে নিন।",
+  "cite.lookingUp": "সংস্করণ খোঁজা হচ্ছে…",
+
+  "storage.library": "আপনার লাইব্রেরি",
+  "storage.searches": "আপনার সংরক্ষিত ও সাম্প্রতিক অনুসন্ধান",
+  "storage.locale": "আপনার ভাষার সেটিং",
+  "storage.quota": "ব্রাউজারের স্টোরেজ পূর্ণ, তাই {what}-এর পরিবর্তনগুলি কেবল এই ট্যাব বন্ধ না হওয়া পর্যন্ত থাকবে। সেগুলি সংরক্ষণ করতে জায়গা খালি করুন।",
+  "storage.corrupt": "{what} পড়া যায়নি, তাই রিসেট করা হয়েছে। ক্ষতিগ্রস্ত কপি localStorage-এ “{backup}”-এর অধীনে রাখা আছে।",
+  "storage.corruptLost": "{what} পড়া যায়নি, তাই রিসেট করা হয়েছে।",
+  "storage.unavailable": "এই ব্রাউজার সাইটটিকে ডেটা সংরক্ষণ করতে দিচ্ছে না, তাই {what} সংরক্ষিত হবে না।",
+  "storage.dismiss": "বন্ধ করুন",
+
+  "card.addCompare": "তুলনায় যোগ করুন",
+  "card.removeCompare": "তুলনা থেকে সরান",
+  "card.compareFull": "তুলনায় সর্বোচ্চ {max}টি বই রাখা যায়",
+  "card.inComparison": "তুলনায় আছে",
+  "compare.tray": "তুলনার জন্য বই",
+  "compare.remove": "{title} তুলনা থেকে সরান",
+  "compare.count": "{max}টির মধ্যে {count}টি",
+  "compare.open": "তুলনা করুন",
+  "compare.needTwo": "তুলনা করতে অন্তত দুটি বই বেছে নিন",
+  "compare.clear": "মুছুন",
+  "compare.title": "বইয়ের তুলনা",
+  "compare.legend": "পৃষ্ঠাসংখ্যা ও ভাষা প্রতিটি রচনার সর্বোচ্চ {count}টি সংস্করণ থেকে নেওয়া। হাইলাইট করা বিষয়গুলি অন্য বইতেও আছে।",
+  "compare.close": "তুলনা বন্ধ করুন",
+  "compare.loading": "লোড হচ্ছে…",
+  "compare.row.authors": "লেখক",
+  "compare.row.year": "প্রথম প্রকাশ",
+  "compare.row.editions": "সংস্করণ",
+  "compare.row.pages": "পৃষ্ঠা",
+  "compare.row.languages": "ভাষা",
+  "compare.row.subjects": "বিষয়",
+  "compare.row.rating": "রেটিং",
+  "compare.row.availability": "প্রাপ্যতা",
+  "compare.pagesMedian": {
+    one: "{count} পৃষ্ঠা (মধ্যমা)",
+    other: "{count} পৃষ্ঠা (মধ্যমা)",
+  },
+  "compare.pagesRange": "সংস্করণ জুড়ে {min}–{max}",
+  "compare.sampled": {
+    one: "{count}টি সংস্করণ থেকে",
+    other: "{count}টি সংস্করণ থেকে",
+  },
+  "compare.more": "+আরও {count}",
+  "compare.sharedSubject": "অভিন্ন",
+  "compare.ratingValue": "{average} / 5",
+  "compare.ratingCount": {
+    one: "({count}টি রেটিং)",
+    other: "({count}টি রেটিং)",
+  },
+  "compare.noRatings": "এখনও কোনো রেটিং নেই",
+
+  "error.network": "Open Library-তে পৌঁছানো যায়নি। আপনার সংযোগ দেখুন।",
+  "error.timeout": "Open Library উত্তর দিতে খুব বেশি সময় নিয়েছে।",
+  "error.rateLimited": "Open Library এখন অনুরোধ সীমিত করছে। একটু অপেক্ষা করে আবার চেষ্টা করুন।",
+  "error.server": "Open Library-র দিকে একটি সমস্যা হয়েছে।",
+  "error.notFound": "Open Library-তে এর কোনো রেকর্ড নেই।",
+  "error.badRequest": "Open Library এই অনুরোধটি সামলাতে পারেনি।",
+  "error.retry": "আবার চেষ্টা করুন",
+
+  "suggest.recent": "সাম্প্রতিক অনুসন্ধান",
+  "suggest.topWork": "{title}-এর জন্য পরিচিত",
+  "suggest.works": {
+    one: "{count}টি রচনা",
+    other: "{count}টি রচনা",
+  },
+  "suggest.count": {
+    one: "{count}টি পরামর্শ, বেছে নিতে তীর কী ব্যবহার করুন",
+    other: "{count}টি পরামর্শ, বেছে নিতে তীর কী ব্যবহার করুন",
+  },
+  "suggest.didYouMeanAuthor": "আপনি কি লেখক {name} বোঝাতে চেয়েছেন?",
+  "suggest.didYouMeanSubject": "আপনি কি বিষয় {name} বোঝাতে চেয়েছেন?",
+
+  "notes.tab": "নোট",
+  "notes.tags": "ট্যাগ",
+  "notes.addTag": "ট্যাগ যোগ করুন",
+  "notes.addTagButton": "ট্যাগ যোগ করুন",
+  "notes.removeTag": "ট্যাগ {tag} সরান",
+  "notes.notes": "নোট",
+  "notes.write": "লিখুন",
+  "notes.preview": "প্রিভিউ",
+  "notes.placeholder": "কেন এই বইটি সংরক্ষণ করলেন? কী মনে রয়ে গেল?",
+  "notes.markdownHint": "Markdown চলে: **বোল্ড**, *ইটালিক*, - তালিকা, > উদ্ধৃতি, [লিঙ্ক](https://…)",
+  "notes.empty": "এখনও কোনো নোট নেই।",
+  "notes.quotes": "উদ্ধৃতি",
+  "notes.quoteText": "উদ্ধৃতি",
+  "notes.quotePlaceholder": "রেখে দেওয়ার মতো একটি অংশ",
+  "notes.page": "পৃষ্ঠা",
+  "notes.pageShort": "পৃ. {page}",
+  "notes.addQuote": "উদ্ধৃতি সংরক্ষণ করুন",
+  "notes.removeQuote": "উদ্ধৃতি মুছুন",
+  "notes.noQuotes": "এখনও কোনো উদ্ধৃতি সংরক্ষিত হয়নি।",
+
+  "library.matchNote": "নোট",
+  "library.matchQuote": "উদ্ধৃতি",
+  "library.matchQuotePage": "উদ্ধৃতি, পৃ. {page}",
+  "library.search": "শিরোনাম, ট্যাগ, নোট ও উদ্ধৃতি খুঁজুন",
+  "library.searchLabel": "আপনার লাইব্রেরিতে খুঁজুন",
+  "library.noMatch": "সংরক্ষিত কোনো বই মেলেনি।",
+  "library.filterByTag": "ট্যাগ দিয়ে ছাঁকুন",
+  "library.tags": "ট্যাগ",
+
+  "query.find": "খুঁজুন",
+  "query.and": "এবং",
+  "query.matching": "মিলছে",
+  "query.notMatching": "মিলছে না",
+  "query.clauseMode": "শর্ত {n}: অন্তর্ভুক্ত বা বাদ",
+  "query.clauseField": "শর্ত {n}: ক্ষেত্র",
+  "query.clauseValues": "শর্ত {n}: মান (কমা দিয়ে আলাদা বিকল্প)",
+  "query.removeClauseN": "শর্ত {n} সরান",
+  "query.removeClause": "শর্ত সরান",
+  "query.addClause": "শর্ত যোগ করুন",
+  "query.hint": "কমা বিকল্পগুলোকে আলাদা করে (OR); একাধিক শব্দের মান বাক্যাংশ হিসেবে মেলে; * আর ? ওয়াইল্ডকার্ড।",
+  "query.textOnly": "এই কোয়েরি এমন গ্রুপিং ব্যবহার করে যা বিল্ডার দেখাতে পারে না — এটি লেখা হিসেবেই সম্পাদনা করুন।",
+  "query.text": "কোয়েরির লেখা",
+  "query.field.any": "যেকোনো ক্ষেত্র",
+  "query.field.title": "শিরোনাম",
+  "query.field.author": "লেখক",
+  "query.field.subject": "বিষয়",
+  "query.field.person": "ব্যক্তি",
+  "query.field.place": "স্থান",
+  "query.field.time": "সময়কাল",
+  "query.field.publisher": "প্রকাশক",
+  "query.field.language": "ভাষার কোড",
+  "query.field.isbn": "ISBN",
+  "query.field.firstPublishYear": "প্রথম প্রকাশ",
+  "query.field.publishYear": "প্রকাশ (যেকোনো সংস্করণ)",
+  "query.field.ebookAccess": "ই-বই প্রাপ্যতা",
+  "query.error.unclosedQuote": "এই উদ্ধৃতিচিহ্ন কখনও বন্ধ হয়নি",
+  "query.error.emptyPhrase": "খালি বাক্যাংশ",
+  "query.error.colonNeedsField": "কোলনের আগে ক্ষেত্রের নাম দরকার, যেমন subject:fantasy",
+  "query.error.needsAfter": "{op}-এর পরে কিছু দরকার",
+  "query.error.needsBefore": "{op}-এর আগে কিছু দরকার",
+  "query.error.fieldNeedsValue": "“{field}:”-এর পরে একটি মান দরকার",
+  "query.error.rangeSyntax": "পরিসর দেখতে এমন: [1900 TO 1950]",
+  "query.error.yearRange": "বছরের পরিসরে বছর (বা *) দরকার, যেমন [1900 TO 1950]",
+  "query.error.endsEarly": "কোয়েরি খুব তাড়াতাড়ি শেষ হয়েছে",
+  "query.error.emptyParens": "খালি বন্ধনী",
+  "query.error.unclosedParen": "এই বন্ধনী কখনও বন্ধ হয়নি",
+  "query.error.unopenedParen": "এই বন্ধনী কখনও খোলা হয়নি",
+  "query.error.unknownField": "অজানা ক্ষেত্র “{field}” — title, author, subject, publisher, language… চেষ্টা করুন",
+  "query.error.leadingWildcard": "কোনো শব্দ ওয়াইল্ডকার্ড দিয়ে শুরু হতে পারে না",
+  "query.error.rangeNeedsField": "পরিসরের জন্য ক্ষেত্র দরকার, যেমন first_publish_year:[1900 TO 1950]",
+  "query.error.unexpected": "এখানে অপ্রত্যাশিত লেখা",
+
+  "facet.refine": "সংকুচিত করুন",
+  "facet.sample": {
+    one: "গণনা শীর্ষ ফলাফল থেকে।",
+    other: "গণনা শীর্ষ {count}টি ফলাফল থেকে।",
+  },
+  "facet.firstPublished": "প্রথম প্রকাশ",
+  "facet.noYears": "এই ফলাফলগুলোতে প্রকাশের বছর নেই।",
+  "facet.histogram": "প্রথম প্রকাশের বছর অনুযায়ী ফলাফল; পরিসর বাছতে টেনে আনুন",
+  "facet.remove": "ফিল্টার সরান",
+  "facet.removeNamed": "ফিল্টার {label} সরান",
+  "facet.group.subject": "বিষয়",
+  "facet.group.language": "ভাষা",
+  "facet.group.author": "লেখক",
+  "facet.group.publisher": "প্রকাশক",
+  "facet.group.ebook": "ই-বই প্রাপ্যতা",
+  "facet.ebook.public": "পাবলিক ডোমেন / বিনামূল্যে",
+  "facet.ebook.borrowable": "ধার নেওয়া যায়",
+  "facet.ebook.printdisabled": "মুদ্রণ-প্রতিবন্ধীদের জন্য",
+  "facet.ebook.no_ebook": "ই-বই নেই",
+  "searches.describe.title": "“{title}”",
+  "searches.describe.author": "{author}-এর লেখা",
+  "searches.describe.subject": "বিষয় {subject}",
+  "searches.describe.any": "যেকোনো বই",
+  "searches.title": "সাম্প্রতিক ও সংরক্ষিত অনুসন্ধান",
+  "searches.savedCount": {
+    one: "({count}টি সংরক্ষিত)",
+    other: "({count}টি সংরক্ষিত)",
+  },
+  "searches.new": {
+    one: "{count}টি নতুন",
+    other: "{count}টি নতুন",
+  },
+  "searches.justNow": "এইমাত্র",
+  "searches.viewed": "দেখা হয়েছে {when}",
+  "searches.saved": "সংরক্ষিত অনুসন্ধান",
+  "searches.recent": "সাম্প্রতিক",
+  "searches.newNameLabel": "এই অনুসন্ধানের নাম",
+  "searches.saveCurrent": "এই অনুসন্ধান সংরক্ষণ করুন",
+  "searches.savedAs": "এই অনুসন্ধান “{name}” নামে সংরক্ষিত।",
+  "searches.noSaved": "কোনো অনুসন্ধানে ফিরে এসে নতুন কী দেখতে সেটি সংরক্ষণ করুন।",
+  "searches.noRecent": "আপনার করা অনুসন্ধান এখানে দেখা যাবে।",
+  "searches.clearRecent": "ইতিহাস মুছুন",
+  "searches.nameLabel": "সংরক্ষিত অনুসন্ধানের নাম",
+  "searches.saveName": "সংরক্ষণ",
+  "searches.cancel": "বাতিল",
+  "searches.run": "চালান",
+  "searches.runNamed": "{name} চালান",
+  "searches.rename": "নাম বদলান",
+  "searches.renameNamed": "{name}-এর নাম বদলান",
+  "searches.delete": "মুছুন",
+  "searches.deleteNamed": "{name} মুছুন",
+  "searches.save": "অনুসন্ধান সংরক্ষণ",
+  "searches.saveNamed": "{name} সংরক্ষণ করুন",
+  "searches.removeRecent": "ইতিহাস থেকে সরান",
+  "searches.removeRecentNamed": "{name} ইতিহাস থেকে সরান",
+
+  "isbn.title": "একসাথে অনেক ISBN খোঁজা",
+  "isbn.intro": "প্রতি লাইনে একটি ISBN — ISBN-10 বা ISBN-13, হাইফেন চলবে। স্প্রেডশিট থেকে প্রথম কলাম নেওয়া হয়।",
+  "isbn.inputLabel": "ISBN, প্রতি লাইনে একটি",
+  "isbn.upload": "তালিকা আপলোড করুন…",
+  "isbn.fileError": "ফাইলটি পড়া গেল না",
+  "isbn.progress": "খোঁজা হচ্ছে… {done} / {total}",
+  "isbn.cancel": "বাতিল",
+  "isbn.lookUp": {
+    one: "{count}টি ISBN খুঁজুন",
+    other: "{count}টি ISBN খুঁজুন",
+  },
+  "isbn.valid": {
+    one: "{count}টি বৈধ",
+    other: "{count}টি বৈধ",
+  },
+  "isbn.validWithErrors": "{valid}টি বৈধ, {invalid}টিতে ত্রুটি",
+  "isbn.line": "লাইন",
+  "isbn.input": "ইনপুট",
+  "isbn.status": "অবস্থা",
+  "isbn.no10": "— (979 উপসর্গ)",
+  "isbn.duplicate": "লাইন {line}-এর একই বই",
+  "isbn.lookingUp": "খোঁজা হচ্ছে…",
+  "isbn.ready": "প্রস্তুত",
+  "isbn.notFound": "Open Library-তে পাওয়া যায়নি",
+  "isbn.found": "পাওয়া গেছে: {title}",
+  "isbn.foundCount": {
+    one: "{count}টি বই পাওয়া গেছে",
+    other: "{count}টি বই পাওয়া গেছে",
+  },
+  "isbn.saveAll": {
+    one: "{count}টি প্রিয়তে যোগ করুন",
+    other: "সব {count}টি প্রিয়তে যোগ করুন",
+  },
+  "isbn.allSaved": "সবই প্রিয়তে আছে",
+  "isbn.error.empty": "এই লাইনে কোনো ISBN নেই",
+  "isbn.error.characters": "অঙ্ক ও X ছাড়া অন্য অক্ষর আছে",
+  "isbn.error.xPosition": "X কেবল ISBN-10-এর শেষ অঙ্ক হিসেবে চলে",
+  "isbn.error.checkDigit10": "ISBN-10-এর চেক অঙ্ক ভুল (প্রত্যাশিত {expected})",
+  "isbn.error.checkDigit13": "ISBN-13-এর চেক অঙ্ক ভুল (প্রত্যাশিত {expected})",
+  "isbn.error.prefix": "ISBN-13 অবশ্যই 978 বা 979 দিয়ে শুরু হবে",
+  "isbn.error.length": {
+    one: "দৈর্ঘ্য ভুল ({count}টি অক্ষর; 10 বা 13 প্রত্যাশিত)",
+    other: "দৈর্ঘ্য ভুল ({count}টি অক্ষর; 10 বা 13 প্রত্যাশিত)",
+  },
+
+  "shelf.want": "পড়তে চাই",
+  "shelf.reading": "পড়ছি",
+  "shelf.read": "পড়া হয়েছে",
+  "library.title": "আমার তাক",
+  "library.transfer": "আমদানি / রপ্তানি",
+  "library.all": "সব ({count})",
+  "library.shelfCount": "{name} ({count})",
+  "library.newShelf": "নতুন তাক",
+  "library.addShelf": "তাক যোগ করুন",
+  "library.shelfName": "তাকের নাম",
+  "library.save": "সংরক্ষণ",
+  "library.cancel": "বাতিল",
+  "library.renameShelf": "তাকের নাম বদলান",
+  "library.deleteShelf": "তাক মুছুন",
+  "library.deleteShelfConfirm": "“{name}” মুছবেন? এর বইগুলো {fallback}-এ যাবে।",
+  "library.empty": "পছন্দের বই পরে তাড়াতাড়ি খুঁজে পেতে সংরক্ষণ করুন।",
+  "library.emptyShelf": "এই তাকে এখনও কোনো বই নেই।",
+  "library.rate": "5-এর মধ্যে {n} রেটিং দিন",
+  "library.saveForLater": "পরের জন্য রাখুন",
+  "library.onShelf": "“{name}”-এ",
+  "library.remove": "লাইব্রেরি থেকে সরান",
+  "library.showDetails": "বিস্তারিত দেখুন",
+  "library.shelf": "তাক",
+  "library.percentRead": "{pct}% পড়া",
+  "library.pagesRead": "পড়া পৃষ্ঠা",
+  "library.pagesOf": "/",
+  "library.pageCount": "মোট পৃষ্ঠা",
+  "library.pages": "পৃষ্ঠা",
+  "library.added": "যোগ করা",
+  "library.started": "শুরু",
+  "library.finished": "শেষ",
+  "transfer.export": "আপনার লাইব্রেরি রপ্তানি করুন",
+  "transfer.bibliography": "গ্রন্থপঞ্জি",
+  "transfer.bibliographyIntro": "প্রতিটি সংরক্ষিত বই একটি তথ্যসূত্র তালিকায়। প্রকাশক ও বছর আপনার বেছে নেওয়া সংস্করণ থেকে।",
+  "transfer.citationStyle": "উদ্ধৃতি শৈলী",
+  "transfer.copy": "লেখা কপি করুন",
+  "transfer.copied": "কপি হয়েছে",
+  "transfer.print": "প্রিন্ট…",
+  "transfer.copyFailed": "কপি করা গেল না — আপনার ব্রাউজার ক্লিপবোর্ড আটকেছে।",
+  "transfer.import": "আমদানি",
+  "transfer.importIntro": "Book Finder JSON/CSV রপ্তানি, বা Goodreads লাইব্রেরি রপ্তানি (My Books → Import and export)।",
+  "transfer.chooseFile": "ফাইল বাছুন…",
+  "transfer.merged": {
+    one: "{count}টি বই আপনার লাইব্রেরিতে যোগ হয়েছে।",
+    other: "{count}টি বই আপনার লাইব্রেরিতে যোগ হয়েছে।",
+  },
+  "transfer.matching": "Open Library-তে বই মেলানো হচ্ছে… {done} / {total}",
+  "transfer.cancel": "বাতিল",
+  "transfer.status.new": "নতুন",
+  "transfer.status.conflict": "দ্বন্দ্ব",
+  "transfer.status.duplicate": "আগেই সংরক্ষিত",
+  "transfer.status.repeat": "ফাইলে পুনরাবৃত্ত",
+  "transfer.status.unmatched": "মেলেনি",
+  "transfer.book": "বই",
+  "transfer.status": "অবস্থা",
+  "transfer.details": "বিস্তারিত",
+  "transfer.importNamed": "{title} আমদানি করুন",
+  "transfer.untitled": "শিরোনামহীন",
+  "transfer.matchedBy.isbn": "ISBN দিয়ে মেলানো",
+  "transfer.matchedBy.title": "শিরোনাম/লেখক দিয়ে মেলানো",
+  "transfer.field.shelf": "তাক",
+  "transfer.field.rating": "রেটিং",
+  "transfer.field.startedAt": "শুরু",
+  "transfer.field.finishedAt": "শেষ",
+  "transfer.field.pagesRead": "পড়া পৃষ্ঠা",
+  "transfer.tickConflict": "আমদানি করা মান ব্যবহার করতে টিক দিন।",
+  "transfer.merge": {
+    one: "{count}টি বই যোগ করুন",
+    other: "{count}টি বই যোগ করুন",
+  },
+  "transfer.error.empty": "ফাইলটি খালি।",
+  "transfer.error.badJson": "ফাইলটি JSON-এর মতো দেখাচ্ছে কিন্তু পড়া গেল না।",
+  "transfer.error.noRows": "CSV ফাইলে কোনো সারি নেই।",
+  "transfer.error.unknownCsv": "অচেনা CSV: Book Finder বা Goodreads রপ্তানি প্রত্যাশিত ছিল।",
+  "transfer.error.failed": "আমদানি ব্যর্থ হয়েছে",
+
+  "editions.language": "ভাষা",
+  "editions.allLanguages": "সব ভাষা",
+  "editions.optionCount": "{name} ({count})",
+  "editions.format": "ফরম্যাট",
+  "editions.allFormats": "সব ফরম্যাট",
+  "editions.search": "খুঁজুন",
+  "editions.searchPlaceholder": "প্রকাশক, ISBN, বছর…",
+  "editions.loaded": {
+    one: "{count}টির মধ্যে {loaded}টি সংস্করণ লোড হয়েছে",
+    other: "{count}টির মধ্যে {loaded}টি সংস্করণ লোড হয়েছে",
+  },
+  "editions.loadedMatching": {
+    one: "{matching}টি মিলেছে · {count}টির মধ্যে {loaded}টি সংস্করণ লোড হয়েছে",
+    other: "{matching}টি মিলেছে · {count}টির মধ্যে {loaded}টি সংস্করণ লোড হয়েছে",
+  },
+  "editions.loadMore": "আরও লোড করুন",
+  "editions.loadAll": "সব {count}টি লোড করুন",
+  "editions.filtersLoaded": "ফিল্টার এখন পর্যন্ত লোড হওয়া সংস্করণেই প্রযোজ্য — প্রতিটি সংস্করণ খুঁজতে সব লোড করুন।",
+  "editions.edition": "সংস্করণ",
+  "editions.publisher": "প্রকাশক",
+  "editions.published": "প্রকাশিত",
+  "editions.pages": "পৃষ্ঠা",
+  "editions.actions": "কাজ",
+  "editions.mine": "আমার সংস্করণ",
+  "editions.own": "এটি আমার আছে",
+  "editions.loading": "সংস্করণ লোড হচ্ছে…",
+  "editions.partial": "আরও সংস্করণ লোড করা গেল না; {total}টির মধ্যে {shown}টি দেখানো হচ্ছে।",
+  "editions.noMatch": "এই ফিল্টারে কোনো সংস্করণ মেলে না।",
+  "editions.none": "এই রচনার কোনো সংস্করণ পাওয়া যায়নি।",
+  "editions.previous": "আগের",
+  "editions.next": "পরের",
+  "editions.page": "পৃষ্ঠা {page} / {count}",
+  "author.sort.default": "Open Library ক্রম",
+  "author.back": "ফিরে যান",
+  "author.loading": "লেখক লোড হচ্ছে…",
+  "author.noBio": "কোনো জীবনী নেই।",
+  "author.works": "রচনা",
+  "author.sortWorks": "রচনা সাজান",
+  "author.loadAll": "সব {count}টি লোড করুন",
+  "author.sortingLoaded": {
+    one: "এখন পর্যন্ত লোড হওয়া {count}টি রচনা সাজানো হচ্ছে — পূর্ণ তালিকার জন্য সব লোড করুন।",
+    other: "এখন পর্যন্ত লোড হওয়া {count}টি রচনা সাজানো হচ্ছে — পূর্ণ তালিকার জন্য সব লোড করুন।",
+  },
+  "author.loadingWorks": "রচনা লোড হচ্ছে…",
+  "author.noWorks": "এই লেখকের কোনো রচনা তালিকায় নেই।",
+  "author.previous": "আগের",
+  "author.next": "পরের",
+  "author.page": "পৃষ্ঠা {page} / {count}",
+  "results.loading": "লোড হচ্ছে…",
+  "results.loadMore": "আরও লোড করুন",
+  "results.noMore": "আর কোনো ফলাফল নেই।",
+
+  "transfer.field.notes": "নোট",
+  "transfer.field.quotes": "উদ্ধৃতি",
+  "transfer.field.tags": "ট্যাগ",
+  "transfer.quoteCount": {
+    one: "{count}টি উদ্ধৃতি",
+    other: "{count}টি উদ্ধৃতি",
+  },
+
+  "isbn.error.digits13": "ISBN-13-এ শুধু অঙ্ক থাকে; X কেবল ISBN-10-এ ব্যবহৃত হয়",
+};
+
+export const MESSAGES = { en, hi, te, ta, mr, kn, bn };
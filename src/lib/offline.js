@@ -0,0 +1,27 @@
+/**
+ * Service worker registration and helpers for offline browsing.
+ * The worker itself lives in public/sw.js so it is served from the app root.
+ */
+
+export function registerServiceWorker() {
+  // Dev builds serve unhashed modules; caching them would only get in the way
+  if (!("serviceWorker" in navigator) || !import.meta.env.PROD) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => {
+      // the app works without it, just not offline
+    });
+  });
+}
+
+/** Ask the service worker to cache these URLs (saved books' details and covers). */
+export function warmOfflineCache(urls) {
+  if (!urls.length || !("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((reg) => reg.active?.postMessage({ type: "warm", urls }))
+    .catch(() => {});
+}
+
+/** True when a failed request is explained by being offline. */
+export function isOfflineError(e) {
+  return !navigator.onLine && (e?.kind === "network" || e?.kind === "timeout" || e instanceof TypeError);
+}
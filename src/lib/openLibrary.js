@@ -0,0 +1,310 @@
+/**
+ * Open Library client: search, works, editions, authors and cover URLs.
+ *
+ * - Base URLs come from VITE_OPENLIBRARY_URL / VITE_OPENLIBRARY_COVERS_URL
+ *   (or `configureOpenLibrary`) so dev and tests can point at a mock server.
+ * - Responses are cached (memory + IndexedDB) with a per-endpoint TTL.
+ * - Identical in-flight requests share one fetch; the shared request is only
+ *   aborted once every caller has aborted.
+ * - 429/5xx and network failures are retried with exponential backoff,
+ *   honouring Retry-After; each attempt times out after `timeoutMs`.
+ * - Failures reject with an OpenLibraryError whose `kind` says what went
+ *   wrong (see ERROR_KINDS), so callers can explain it and offer a retry.
+ */
+import { cacheGet, cacheSet } from "./responseCache";
+
+const env = import.meta.env || {};
+
+const config = {
+  baseUrl: env.VITE_OPENLIBRARY_URL || "https://openlibrary.org",
+  coversUrl: env.VITE_OPENLIBRARY_COVERS_URL || "https://covers.openlibrary.org",
+  maxRetries: 3,
+  retryBaseMs: 500,
+  timeoutMs: 15 * 1000,
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+export const TTL = {
+  search: 10 * MINUTE,
+  work: 24 * HOUR,
+  editions: 24 * HOUR,
+  author: 24 * HOUR,
+};
+
+export function configureOpenLibrary(overrides) {
+  Object.assign(config, overrides);
+}
+
+export function getOpenLibraryConfig() {
+  return { ...config };
+}
+
+// English messages; the UI shows localized ones (see ./errors)
+export const ERROR_KINDS = {
+  network: "Couldn't reach Open Library. Check your connection.",
+  timeout: "Open Library took too long to answer.",
+  "rate-limited": "Open Library is limiting requests right now. Wait a moment and try again.",
+  server: "Open Library ran into a problem on its side.",
+  "not-found": "Open Library has no record of this.",
+  "bad-request": "Open Library couldn't handle this request.",
+};
+
+function kindForStatus(status) {
+  if (status === 404 || status === 410) return "not-found";
+  if (status === 429) return "rate-limited";
+  if (status >= 500) return "server";
+  return "bad-request";
+}
+
+/** A failed request. `status` is the HTTP status (0 when there was no response). */
+export class OpenLibraryError extends Error {
+  constructor(kind, { status = 0, url = "" } = {}) {
+    super(ERROR_KINDS[kind] || ERROR_KINDS.network);
+    this.name = "OpenLibraryError";
+    this.kind = kind;
+    this.status = status;
+    this.url = url;
+  }
+}
+
+function abortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(t);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+}
+
+function retryDelay(attempt, res) {
+  const header = res?.headers?.get("Retry-After");
+  const seconds = header != null ? Number(header) : NaN;
+  if (Number.isFinite(seconds)) return Math.min(seconds * 1000, 30 * 1000);
+  const base = config.retryBaseMs * 2 ** attempt;
+  return base + Math.random() * base * 0.25;
+}
+
+const isRetryable = (status) => status === 429 || status >= 500;
+
+// One request, body included, within config.timeoutMs
+async function fetchOnce(url, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, config.timeoutMs);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    return { res, data: res.ok ? await res.json() : null };
+  } catch (e) {
+    if (timedOut) throw new OpenLibraryError("timeout", { url });
+    if (e.name === "AbortError") throw e;
+    // fetch rejects with a TypeError when the network fails; a body that isn't JSON is the server's doing
+    throw new OpenLibraryError(e instanceof SyntaxError ? "server" : "network", { url });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+async function fetchWithRetry(url, signal) {
+  for (let attempt = 0; ; attempt++) {
+    let result;
+    try {
+      result = await fetchOnce(url, signal);
+    } catch (e) {
+      // A timeout already cost the user `timeoutMs`; let them decide whether to wait again
+      if (e.name === "AbortError" || e.kind === "timeout" || attempt >= config.maxRetries) throw e;
+      await sleep(retryDelay(attempt), signal);
+      continue;
+    }
+    const { res, data } = result;
+    if (res.ok) return data;
+    if (!isRetryable(res.status) || attempt >= config.maxRetries) {
+      throw new OpenLibraryError(kindForStatus(res.status), { status: res.status, url });
+    }
+    await sleep(retryDelay(attempt, res), signal);
+  }
+}
+
+const inflight = new Map(); // url -> { promise, controller, subscribers }
+
+function sharedFetch(url, ttl) {
+  let entry = inflight.get(url);
+  if (!entry) {
+    const controller = new AbortController();
+    const promise = fetchWithRetry(url, controller.signal)
+      .then((data) => {
+        cacheSet(url, data, ttl);
+        return data;
+      })
+      .finally(() => {
+        if (inflight.get(url) === entry) inflight.delete(url);
+      });
+    entry = { promise, controller, subscribers: 0 };
+    inflight.set(url, entry);
+  }
+  return entry;
+}
+
+/** Absolute API URL for `path` (relative to the base URL) and optional query params. */
+export function apiUrl(path, params) {
+  const qs = params ? new URLSearchParams(params).toString() : "";
+  return `${config.baseUrl}${path}${qs ? `?${qs}` : ""}`;
+}
+
+/** GET a JSON endpoint through the cache. `path` is relative to the base URL. */
+export async function getJSON(path, params, { signal, ttl = TTL.search, cache = true } = {}) {
+  const url = apiUrl(path, params);
+  if (signal?.aborted) throw abortError();
+
+  if (cache) {
+    const cached = await cacheGet(url);
+    if (cached !== undefined) return cached;
+    if (signal?.aborted) throw abortError();
+  }
+
+  const entry = sharedFetch(url, ttl);
+  entry.subscribers++;
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const onAbort = () => {
+      if (settled) return;
+      settled = true;
+      if (--entry.subscribers === 0) {
+        // Nobody is waiting any more; make sure later callers start a fresh request
+        if (inflight.get(url) === entry) inflight.delete(url);
+        entry.controller.abort();
+      }
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    entry.promise.then(
+      (data) => {
+        if (settled) return;
+        settled = true;
+        entry.subscribers--;
+        signal?.removeEventListener("abort", onAbort);
+        resolve(data);
+      },
+      (err) => {
+        if (settled) return;
+        settled = true;
+        entry.subscribers--;
+        signal?.removeEventListener("abort", onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
+/** "/works/OL45804W", "works/OL45804W" or "OL45804W" -> "OL45804W" */
+export function olid(key) {
+  if (!key) return "";
+  const parts = String(key).split("/").filter(Boolean);
+  return parts[parts.length - 1] || "";
+}
+
+// ---- endpoints ----
+
+/** `params` are search.json query params (URLSearchParams or a plain object). */
+export function searchBooks(params, opts) {
+  return getJSON("/search.json", params, { ttl: TTL.search, ...opts });
+}
+
+export function workPath(key) {
+  return `/works/${olid(key)}.json`;
+}
+
+export function getWork(key, opts) {
+  return getJSON(workPath(key), null, { ttl: TTL.work, ...opts });
+}
+
+/** Books known only as an edition (no work record) keep their "/books/OL…M" key. */
+export function isEditionKey(key) {
+  return String(key || "").startsWith("/books/");
+}
+
+/** Path of a book's record: the work, or the edition for edition-only books. */
+export function recordPath(key) {
+  return isEditionKey(key) ? `/books/${olid(key)}.json` : workPath(key);
+}
+
+export function getBookRecord(key, opts) {
+  return getJSON(recordPath(key), null, { ttl: TTL.work, ...opts });
+}
+
+export function getWorkEditions(key, { limit = 50, offset = 0, ...opts } = {}) {
+  return getJSON(
+    `/works/${olid(key)}/editions.json`,
+    { limit: String(limit), offset: String(offset) },
+    { ttl: TTL.editions, ...opts }
+  );
+}
+
+/** { summary: { average, count }, counts: { 1..5 } } for a work's reader ratings. */
+export function getWorkRatings(key, opts) {
+  return getJSON(`/works/${olid(key)}/ratings.json`, null, { ttl: TTL.work, ...opts });
+}
+
+export function getEdition(key, opts) {
+  return getJSON(`/books/${olid(key)}.json`, null, { ttl: TTL.work, ...opts });
+}
+
+/** Edition record for an ISBN-10 or ISBN-13 (the API redirects to /books/{id}.json). */
+export function getEditionByIsbn(isbn, opts) {
+  return getJSON(`/isbn/${encodeURIComponent(isbn)}.json`, null, { ttl: TTL.work, ...opts });
+}
+
+export function getAuthor(key, opts) {
+  return getJSON(`/authors/${olid(key)}.json`, null, { ttl: TTL.author, ...opts });
+}
+
+/** /search/authors.json: { numFound, docs: [{ key, name, top_work, work_count, birth_date, ... }] } */
+export function searchAuthors(q, { limit = 10, ...opts } = {}) {
+  return getJSON("/search/authors.json", { q, limit: String(limit) }, { ttl: TTL.search, ...opts });
+}
+
+/** /search/subjects.json: { numFound, docs: [{ key, name, work_count, subject_type }] } */
+export function searchSubjects(q, { limit = 10, ...opts } = {}) {
+  return getJSON("/search/subjects.json", { q, limit: String(limit) }, { ttl: TTL.search, ...opts });
+}
+
+export function getAuthorWorks(key, { limit = 50, offset = 0, ...opts } = {}) {
+  return getJSON(
+    `/authors/${olid(key)}/works.json`,
+    { limit: String(limit), offset: String(offset) },
+    { ttl: TTL.author, ...opts }
+  );
+}
+
+/**
+ * Cover image URL. `by` is one of id (cover_i), isbn, olid; size is S, M or L.
+ * Open Library answers unknown covers with a 1×1 image unless `default=false`.
+ */
+export function coverUrl(by, value, size = "M") {
+  return `${config.coversUrl}/b/${by}/${encodeURIComponent(value)}-${size}.jpg`;
+}
+
+export function authorPhotoUrl(key, size = "M") {
+  return `${config.coversUrl}/a/olid/${olid(key)}-${size}.jpg`;
+}
+
+/** Link to the human-facing Open Library page (always the public site). */
+export function openLibraryPage(key) {
+  return `https://openlibrary.org${String(key).startsWith("/") ? key : `/${key}`}`;
+}
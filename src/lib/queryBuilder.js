@@ -0,0 +1,364 @@
+/**
+ * Advanced search: Open Library's `q` syntax (Solr-style field prefixes,
+ * AND/OR/NOT, phrases, wildcards and ranges), checked locally so mistakes show
+ * up inline instead of as an API error, plus a clause model for the visual
+ * builder that converts to and from the raw text.
+ *
+ * Builder clauses: [{ negate, field, values }] — clauses are AND-ed, a
+ * clause's values are OR-ed, field "" means any field. Queries outside that
+ * shape (e.g. OR between different fields) parse fine but can only be
+ * edited as text.
+ */
+
+// `label` is a message key (see ./messages)
+export const QUERY_FIELDS = [
+  { id: "", label: "query.field.any" },
+  { id: "title", label: "query.field.title" },
+  { id: "author", label: "query.field.author" },
+  { id: "subject", label: "query.field.subject" },
+  { id: "person", label: "query.field.person" },
+  { id: "place", label: "query.field.place" },
+  { id: "time", label: "query.field.time" },
+  { id: "publisher", label: "query.field.publisher" },
+  { id: "language", label: "query.field.language" },
+  { id: "isbn", label: "query.field.isbn" },
+  { id: "first_publish_year", label: "query.field.firstPublishYear" },
+  { id: "publish_year", label: "query.field.publishYear" },
+  { id: "ebook_access", label: "query.field.ebookAccess" },
+];
+
+// Accepted in raw text even though the builder doesn't offer them
+const EXTRA_FIELDS = ["author_name", "author_key", "key", "lcc", "ddc", "edition_count", "has_fulltext", "lending_edition_s", "ia", "oclc", "lccn", "publish_place", "first_sentence", "subject_key", "number_of_pages_median"];
+const KNOWN_FIELDS = new Set([...QUERY_FIELDS.map((f) => f.id).filter(Boolean), ...EXTRA_FIELDS]);
+const YEAR_FIELDS = new Set(["first_publish_year", "publish_year"]);
+
+/**
+ * `key` names the message explaining the mistake (see ./messages), filled in
+ * with `vars`; start/end are offsets into the query text.
+ */
+export class QuerySyntaxError extends Error {
+  constructor(key, start, end = start + 1, vars = {}) {
+    super(key);
+    this.name = "QuerySyntaxError";
+    this.key = key;
+    this.vars = vars;
+    this.start = start;
+    this.end = end;
+  }
+}
+
+// ---- tokenizer ----
+
+const TERM_STOP = /[\s()[\]"]/;
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "(" || ch === ")" || ch === "[" || ch === "]") {
+      tokens.push({ type: ch, start: i, end: i + 1 });
+      i++;
+    } else if (ch === '"') {
+      const start = i;
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === "\\" && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      if (i >= text.length) throw new QuerySyntaxError("query.error.unclosedQuote", start, text.length);
+      i++;
+      if (!value.trim()) throw new QuerySyntaxError("query.error.emptyPhrase", start, i);
+      tokens.push({ type: "phrase", value, start, end: i });
+    } else if (text.startsWith("&&", i) || text.startsWith("||", i)) {
+      tokens.push({ type: ch === "&" ? "AND" : "OR", start: i, end: i + 2 });
+      i += 2;
+    } else if ((ch === "-" || ch === "!" || ch === "+") && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      // "+" (required) is the default anyway
+      if (ch !== "+") tokens.push({ type: "NOT", start: i, end: i + 1 });
+      i++;
+    } else {
+      const start = i;
+      let raw = "";
+      while (i < text.length && !TERM_STOP.test(text[i])) {
+        if (text[i] === "\\" && i + 1 < text.length) {
+          raw += text[i + 1];
+          i += 2;
+          continue;
+        }
+        if (text[i] === ":") break;
+        raw += text[i++];
+      }
+      if (text[i] === ":") {
+        if (!raw) throw new QuerySyntaxError("query.error.colonNeedsField", i);
+        tokens.push({ type: "field", value: raw, start, end: i + 1 });
+        i++;
+      } else if (/^(AND|OR|NOT)$/.test(raw)) {
+        tokens.push({ type: raw, start, end: i });
+      } else {
+        tokens.push({ type: "term", value: raw, start, end: i });
+      }
+    }
+  }
+  return tokens;
+}
+
+// ---- parser ----
+
+/**
+ * Parse raw `q` text. Returns { ast, error } where error is a
+ * QuerySyntaxError (with start/end offsets into the text) or null.
+ * Blank text gives { ast: null, error: null }.
+ */
+export function parseQuery(text) {
+  try {
+    const tokens = tokenize(String(text || ""));
+    if (!tokens.length) return { ast: null, error: null };
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const endOf = () => (tokens.length ? tokens[tokens.length - 1].end : 0);
+    // The field whose value is being parsed, so ranges inside its group
+    // (`first_publish_year:([1900 TO 1950] OR [1990 TO 2000])`) know their field
+    let valueField = null;
+    const startsOperand = (t) =>
+      t && (["term", "phrase", "field", "(", "NOT"].includes(t.type) || (t.type === "[" && valueField !== null));
+
+    function need(op) {
+      const t = peek();
+      if (!startsOperand(t)) {
+        const at = t ? t.start : endOf();
+        throw new QuerySyntaxError("query.error.needsAfter", op.start, t ? t.end : Math.max(at, op.end), { op: op.type });
+      }
+    }
+
+    function parseOr() {
+      const items = [parseAnd()];
+      while (peek()?.type === "OR") {
+        need(tokens[pos++]);
+        items.push(parseAnd());
+      }
+      return items.length === 1 ? items[0] : { type: "or", items };
+    }
+
+    function parseAnd() {
+      const items = [parseUnary()];
+      for (;;) {
+        const t = peek();
+        if (t?.type === "AND") {
+          pos++;
+          need(t);
+          items.push(parseUnary());
+        } else if (startsOperand(t)) {
+          items.push(parseUnary()); // implicit AND
+        } else {
+          break;
+        }
+      }
+      return items.length === 1 ? items[0] : { type: "and", items };
+    }
+
+    function parseUnary() {
+      const t = peek();
+      if (t?.type === "NOT") {
+        pos++;
+        need(t);
+        return { type: "not", item: parseUnary() };
+      }
+      return parsePrimary();
+    }
+
+    function parseValue(fieldToken) {
+      const t = peek();
+      if (!t || !["term", "phrase", "(", "["].includes(t.type)) {
+        throw new QuerySyntaxError("query.error.fieldNeedsValue", fieldToken.start, fieldToken.end, { field: fieldToken.value });
+      }
+      if (t.type === "[") return parseRange(fieldToken);
+      const outer = valueField;
+      valueField = fieldToken;
+      try {
+        return parsePrimary();
+      } finally {
+        valueField = outer;
+      }
+    }
+
+    // [a TO b] (the tokenizer reads "TO" as a plain term)
+    function parseRange(fieldToken) {
+      const open = tokens[pos++];
+      const [from, word, to, close] = tokens.slice(pos, pos + 4);
+      if (from?.type !== "term" || word?.type !== "term" || word.value !== "TO" || to?.type !== "term" || close?.type !== "]") {
+        const last = [close, to, word, from].find(Boolean) || open;
+        throw new QuerySyntaxError("query.error.rangeSyntax", open.start, last.end);
+      }
+      pos += 4;
+      return rangeNode(fieldToken, from.value, to.value, open.start, close.end);
+    }
+
+    function rangeNode(fieldToken, from, to, start, end) {
+      if (YEAR_FIELDS.has(fieldToken.value) && ![from, to].every((v) => v === "*" || /^\d{1,4}$/.test(v))) {
+        throw new QuerySyntaxError("query.error.yearRange", start, end);
+      }
+      return { type: "range", from, to };
+    }
+
+    function parsePrimary() {
+      const t = peek();
+      if (!t) throw new QuerySyntaxError("query.error.endsEarly", endOf(), endOf());
+      pos++;
+      switch (t.type) {
+        case "(": {
+          if (peek()?.type === ")") throw new QuerySyntaxError("query.error.emptyParens", t.start, peek().end);
+          const inner = parseOr();
+          if (peek()?.type !== ")") throw new QuerySyntaxError("query.error.unclosedParen", t.start, t.end);
+          pos++;
+          return inner;
+        }
+        case "field": {
+          if (!KNOWN_FIELDS.has(t.value)) {
+            throw new QuerySyntaxError("query.error.unknownField", t.start, t.end - 1, { field: t.value });
+          }
+          return { type: "field", field: t.value, item: parseValue(t) };
+        }
+        case "term":
+          if (/^[*?]/.test(t.value)) throw new QuerySyntaxError("query.error.leadingWildcard", t.start, t.end);
+          return { type: "term", value: t.value };
+        case "phrase":
+          return { type: "phrase", value: t.value };
+        case ")":
+          throw new QuerySyntaxError("query.error.unopenedParen", t.start, t.end);
+        case "[":
+          if (valueField) {
+            pos--;
+            return parseRange(valueField);
+          }
+          throw new QuerySyntaxError("query.error.rangeNeedsField", t.start, t.end);
+        case "]":
+          throw new QuerySyntaxError("query.error.rangeNeedsField", t.start, t.end);
+        default:
+          throw new QuerySyntaxError("query.error.needsBefore", t.start, t.end, { op: t.type });
+      }
+    }
+
+    const ast = parseOr();
+    if (pos < tokens.length) {
+      const t = tokens[pos];
+      throw new QuerySyntaxError(t.type === ")" ? "query.error.unopenedParen" : "query.error.unexpected", t.start, t.end);
+    }
+    return { ast, error: null };
+  } catch (e) {
+    if (e instanceof QuerySyntaxError) return { ast: null, error: e };
+    throw e;
+  }
+}
+
+// ---- clause model <-> text ----
+
+const SPECIAL = /[+\-&|!(){}[\]^"~:\\/]/g;
+
+function formatValue(value, field) {
+  const v = value.trim();
+  const range = v.match(/^(\d{1,4}|\*)\s*(?:-|–|to)\s*(\d{1,4}|\*)$/i);
+  if (YEAR_FIELDS.has(field) && range) return `[${range[1]} TO ${range[2]}]`;
+  // Operators and leading wildcards would be read as syntax (the parser rejects
+  // both as values), so like values with spaces they go in as phrases
+  if (/\s/.test(v) || /^(AND|OR|NOT)$/.test(v) || /^[*?]/.test(v)) return `"${v.replace(/["\\]/g, "\\$&")}"`;
+  // Single words keep their wildcards; everything else special is escaped
+  return v.replace(SPECIAL, "\\$&");
+}
+
+/** Clauses -> raw `q` text. Blank values and empty clauses are dropped. */
+export function clausesToQuery(clauses) {
+  return clauses
+    .map((c) => {
+      const values = c.values.map((v) => v.trim()).filter(Boolean);
+      if (!values.length) return "";
+      const parts = values.map((v) => formatValue(v, c.field));
+      const body = parts.length > 1 ? `(${parts.join(" OR ")})` : parts[0];
+      const expr = c.field ? `${c.field}:${body}` : body;
+      return c.negate ? `NOT ${expr}` : expr;
+    })
+    .filter(Boolean)
+    .join(" AND ");
+}
+
+/**
+ * A clause's values as one editable line, comma-separated. Values holding a
+ * comma or quote are quoted CSV-style ("Tolkien, J. R. R.") so that
+ * splitValues gives them back whole.
+ */
+export function joinValues(values) {
+  return values.map((v) => (/[,"]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v)).join(", ");
+}
+
+/** The inverse of joinValues; a quote only opens at the start of a value. */
+export function splitValues(text) {
+  const values = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') value += ch;
+      else if (text[i + 1] === '"') value += text[i++];
+      else quoted = false;
+    } else if (ch === ",") {
+      values.push(value);
+      value = "";
+    } else if (ch === '"' && !value.trim()) {
+      quoted = true;
+      value = "";
+    } else {
+      value += ch;
+    }
+  }
+  values.push(value);
+  return values;
+}
+
+function valueOf(node) {
+  if (node.type === "term" || node.type === "phrase") return node.value;
+  if (node.type === "range") return `${node.from}-${node.to}`;
+  return null;
+}
+
+function clauseOf(node) {
+  let negate = false;
+  if (node.type === "not") {
+    negate = true;
+    node = node.item;
+  }
+  let field = "";
+  if (node.type === "field") {
+    field = node.field;
+    node = node.item;
+  }
+  const alts = node.type === "or" ? node.items : [node];
+  const values = alts.map(valueOf);
+  if (values.some((v) => v == null)) return null;
+  return { negate, field, values };
+}
+
+/**
+ * Raw text -> clauses, or null when the query is valid but doesn't fit the
+ * builder's shape (or isn't valid at all). Blank text gives [].
+ */
+export function queryToClauses(text) {
+  const { ast, error } = parseQuery(text);
+  if (error) return null;
+  if (!ast) return [];
+  const items = ast.type === "and" ? ast.items : [ast];
+  const clauses = items.map(clauseOf);
+  return clauses.every(Boolean) ? clauses : null;
+}
+
+/** A simple-mode search as builder text, for switching modes without losing input. */
+export function simpleToQuery({ title, author, subject }) {
+  return clausesToQuery([
+    { negate: false, field: "title", values: [title || ""] },
+    { negate: false, field: "author", values: [author || ""] },
+    { negate: false, field: "subject", values: [subject || ""] },
+  ]);
+}
@@ -0,0 +1,194 @@
+/**
+ * "More like this": a taste profile built from saved books (their subjects,
+ * authors and decades), candidate searches derived from it, and local ranking
+ * of the candidates by how much they share with the profile.
+ *
+ * Profile: { size, subjects: Map(norm -> { label, weight }),
+ *            authors: Map(olid -> { name, weight }), decades: Map(decade -> weight) }
+ * Ranked picks: [{ book, score, reasons: { subjects, authors, decade } }] where
+ * `subjects`/`authors` are display names and `decade` is e.g. 1960 or null.
+ */
+
+import { AVAILABILITY_FIELDS } from "./availability";
+import { getBookRecord, olid, searchBooks } from "./openLibrary";
+
+export const MIN_FAVORITES = 3;
+export const CANDIDATE_FIELDS = [
+  "key",
+  "title",
+  "author_name",
+  "author_key",
+  "first_publish_year",
+  "cover_i",
+  "subject",
+  "isbn",
+  "publisher",
+  "number_of_pages_median",
+  "edition_count",
+  ...AVAILABILITY_FIELDS,
+];
+
+// Catalogue housekeeping rather than what a book is about
+const IGNORED_SUBJECTS =
+  /^(fiction|fiction, general|general|accessible book|protected daisy|in library|lending library|large type books|overdrive|open library staff picks|long now manual for civilization|reading level-.*|nyt:.*|award:.*|new york times .*|translations? into .*|english language|literature|novels?)$/;
+
+const RATING_WEIGHT = [1, 0.4, 0.7, 1, 1.4, 1.8]; // by rating 0 (unrated) to 5
+
+export function normalizeSubject(s) {
+  return String(s || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function usefulSubjects(list) {
+  const seen = new Set();
+  const out = [];
+  for (const label of list || []) {
+    const norm = normalizeSubject(label);
+    if (!norm || IGNORED_SUBJECTS.test(norm) || seen.has(norm)) continue;
+    seen.add(norm);
+    out.push({ norm, label: String(label).trim() });
+  }
+  return out;
+}
+
+function decadeOf(year) {
+  return year ? Math.floor(Number(year) / 10) * 10 : null;
+}
+
+function bump(map, key, weight, extra) {
+  const cur = map.get(key);
+  if (cur) cur.weight += weight;
+  else map.set(key, { ...extra, weight });
+}
+
+/**
+ * Taste profile from library entries (or single search docs, for "similar
+ * books"). Entries are { subjects, authorKeys, author, year, rating }.
+ */
+export function buildProfile(entries) {
+  const profile = { size: 0, subjects: new Map(), authors: new Map(), decades: new Map() };
+  for (const e of entries) {
+    const w = RATING_WEIGHT[e.rating || 0];
+    profile.size += 1;
+    for (const { norm, label } of usefulSubjects(e.subjects)) bump(profile.subjects, norm, w, { label });
+    const names = String(e.author || "").split(", ");
+    (e.authorKeys || []).forEach((key, i) => {
+      // Names line up with keys only when both came from the same search doc
+      const name = names.length === e.authorKeys.length ? names[i] : "";
+      bump(profile.authors, olid(key), w, { name });
+    });
+    const decade = decadeOf(e.year);
+    if (decade) profile.decades.set(decade, (profile.decades.get(decade) || 0) + w);
+  }
+  return profile;
+}
+
+/** A search doc as a profile entry. */
+export function docEntry(doc) {
+  return {
+    subjects: doc.subject || [],
+    authorKeys: doc.author_key || [],
+    author: (doc.author_name || []).join(", "),
+    year: doc.first_publish_year,
+    rating: 0,
+  };
+}
+
+function top(map, n) {
+  return [...map.entries()].sort((a, b) => b[1].weight - a[1].weight).slice(0, n);
+}
+
+function quote(value) {
+  return `"${value.replace(/["\\]/g, "\\$&")}"`;
+}
+
+/** search.json `q` strings that should turn up books matching the profile. */
+export function candidateQueries(profile) {
+  const subjects = top(profile.subjects, 4).map(([, s]) => s.label);
+  const authors = top(profile.authors, 2).map(([key]) => key);
+  const queries = [];
+  // The two strongest subjects together are the most specific query, so it goes first
+  if (subjects.length >= 2) queries.push(`subject:${quote(subjects[0])} AND subject:${quote(subjects[1])}`);
+  for (const s of subjects) queries.push(`subject:${quote(s)}`);
+  for (const key of authors) queries.push(`author_key:${key}`);
+  return queries;
+}
+
+/** How a doc relates to the profile; score 0 means nothing in common. */
+export function scoreDoc(doc, profile) {
+  const shared = usefulSubjects(doc.subject)
+    .map(({ norm, label }) => ({ label, weight: profile.subjects.get(norm)?.weight || 0 }))
+    .filter((s) => s.weight > 0)
+    .sort((a, b) => b.weight - a.weight);
+  const names = doc.author_name || [];
+  const authors = (doc.author_key || [])
+    .map((key, i) => ({ name: names[i] || profile.authors.get(key)?.name || "", weight: profile.authors.get(key)?.weight || 0 }))
+    .filter((a) => a.weight > 0);
+  const decade = decadeOf(doc.first_publish_year);
+  const decadeWeight = decade ? profile.decades.get(decade) || 0 : 0;
+
+  const size = Math.max(1, profile.size);
+  // Many weak overlaps shouldn't beat a few strong ones: subject weight is capped per pick
+  const subjectScore = shared.slice(0, 8).reduce((sum, s) => sum + s.weight, 0) / size;
+  const authorScore = authors.reduce((sum, a) => sum + a.weight, 0) / size;
+  const decadeScore = shared.length || authors.length ? (decadeWeight / size) * 0.5 : 0;
+  return {
+    score: subjectScore + 1.5 * authorScore + decadeScore,
+    reasons: {
+      subjects: shared.slice(0, 3).map((s) => s.label),
+      authors: authors.map((a) => a.name).filter(Boolean),
+      decade: decadeWeight && decadeScore ? decade : null,
+    },
+  };
+}
+
+/** Best-first picks from candidate docs, skipping `excludeKeys` and repeats. */
+export function rankCandidates(docs, profile, excludeKeys, limit = 12) {
+  const seen = new Set(excludeKeys);
+  const picks = [];
+  for (const doc of docs) {
+    if (!doc?.key || seen.has(doc.key)) continue;
+    seen.add(doc.key);
+    const { score, reasons } = scoreDoc(doc, profile);
+    if (score > 0) picks.push({ book: doc, score, reasons });
+  }
+  return picks.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/** One `q` for books like a single doc: any of its main subjects or authors. */
+export function similarQuery(doc) {
+  const subjects = usefulSubjects(doc.subject).slice(0, 4).map((s) => `subject:${quote(s.label)}`);
+  const authors = (doc.author_key || []).slice(0, 2).map((key) => `author_key:${olid(key)}`);
+  return [...subjects, ...authors].join(" OR ");
+}
+
+/**
+ * Run the candidate queries one after another and pool the docs. A failed
+ * query still leaves the others to rank; only when all fail is it an error.
+ */
+export async function fetchCandidates(queries, { signal, limit = 30 } = {}) {
+  const docs = [];
+  let lastError = null;
+  for (const q of queries) {
+    const params = new URLSearchParams({ q, limit: String(limit), fields: CANDIDATE_FIELDS.join(",") });
+    try {
+      const data = await searchBooks(params, { signal });
+      docs.push(...(data.docs || []));
+    } catch (e) {
+      if (e.name === "AbortError") throw e;
+      lastError = e;
+    }
+  }
+  if (lastError && !docs.length) throw lastError;
+  return docs;
+}
+
+/** Subjects and authors for an entry saved without them, from its work (or edition) record. */
+export async function enrichmentFor(entry, { signal } = {}) {
+  const work = await getBookRecord(entry.key, { signal });
+  return {
+    subjects: Array.isArray(work.subjects) ? work.subjects.filter((s) => typeof s === "string") : [],
+    authorKeys: entry.authorKeys.length
+      ? entry.authorKeys
+      : (work.authors || []).map((a) => olid(a.author?.key || a.key)).filter(Boolean),
+  };
+}
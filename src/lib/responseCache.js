@@ -0,0 +1,111 @@
+/**
+ * Two-level response cache for API JSON: an in-memory Map in front of an
+ * IndexedDB store, both keyed by URL with a per-entry expiry. IndexedDB is
+ * best-effort — when it's unavailable (private mode, old browsers, tests)
+ * only the memory layer is used.
+ */
+
+const DB_NAME = "bookfinder-cache";
+const STORE = "responses";
+const MAX_MEMORY_ENTRIES = 300;
+
+const memory = new Map(); // url -> { expires, data }
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") return resolve(null);
+    try {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "url" });
+        store.createIndex("expires", "expires");
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        pruneExpired(db);
+        resolve(db);
+      };
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+  return dbPromise;
+}
+
+function pruneExpired(db) {
+  try {
+    const tx = db.transaction(STORE, "readwrite");
+    const range = IDBKeyRange.upperBound(Date.now());
+    const req = tx.objectStore(STORE).index("expires").openCursor(range);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  } catch {
+    // pruning is opportunistic
+  }
+}
+
+function remember(url, entry) {
+  memory.delete(url);
+  memory.set(url, entry);
+  // Map keeps insertion order, so the first key is the least recently used
+  if (memory.size > MAX_MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+}
+
+/** Returns the cached data for `url`, or undefined when missing/expired. */
+export async function cacheGet(url) {
+  const hit = memory.get(url);
+  if (hit) {
+    if (hit.expires > Date.now()) {
+      remember(url, hit);
+      return hit.data;
+    }
+    memory.delete(url);
+  }
+  const db = await openDb();
+  if (!db) return undefined;
+  return new Promise((resolve) => {
+    try {
+      const req = db.transaction(STORE).objectStore(STORE).get(url);
+      req.onsuccess = () => {
+        const row = req.result;
+        if (!row || row.expires <= Date.now()) return resolve(undefined);
+        remember(url, { expires: row.expires, data: row.data });
+        resolve(row.data);
+      };
+      req.onerror = () => resolve(undefined);
+    } catch {
+      resolve(undefined);
+    }
+  });
+}
+
+export async function cacheSet(url, data, ttl) {
+  const expires = Date.now() + ttl;
+  remember(url, { expires, data });
+  const db = await openDb();
+  if (!db) return;
+  try {
+    db.transaction(STORE, "readwrite").objectStore(STORE).put({ url, expires, data });
+  } catch {
+    // quota or serialization problems only cost us the persistent copy
+  }
+}
+
+export async function cacheClear() {
+  memory.clear();
+  const db = await openDb();
+  if (!db) return;
+  try {
+    db.transaction(STORE, "readwrite").objectStore(STORE).clear();
+  } catch {
+    // nothing to clear
+  }
+}
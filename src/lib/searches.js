@@ -0,0 +1,205 @@
+/**
+ * Search queries, recent-search history and named saved searches.
+ *
+ * A query is { title, author, subject, lang, avail, yearMin, yearMax, sort, q, facets }
+ * where `q` is raw advanced-query text (see ./queryBuilder) and `avail` an
+ * ebook availability filter id (see ./availability).
+ * Shape (stored under SEARCHES_KEY):
+ * {
+ *   recent: [{ id, query, at }],                       // newest first
+ *   saved:  [{ id, name, query, createdAt, viewedAt, numFound, seenKeys }]
+ * }
+ * `id` is the query's key (see makeQueryKey); times are epoch milliseconds.
+ * `name` is "" until the user names a saved search; it then shows as its
+ * describeQuery summary.
+ * `numFound`/`seenKeys` record what the user had seen when last viewing a
+ * saved search, so later checks can tell how many results are new.
+ * Persisted through ./storage with SEARCHES_SCHEMA.
+ */
+
+import { availabilityClause } from "./availability";
+import { decodeFacet, facetLabel, facetQuery } from "./facets";
+import { mergeLists } from "./storage";
+
+export const SEARCHES_KEY = "bookfinder:searches";
+
+const MAX_RECENT = 15;
+const MAX_SEEN_KEYS = 1000;
+// How many top results a "new since last viewed" check compares against seen keys
+export const CHECK_SIZE = 100;
+
+export const QUERY_FIELDS = ["title", "author", "subject", "lang", "avail", "yearMin", "yearMax", "sort", "q", "facets"];
+
+export function makeQueryKey(q) {
+  return [q.title, q.author, q.subject, q.lang, q.avail || "", q.yearMin, q.yearMax, q.sort, q.q || "", ...(q.facets || [])].join("|");
+}
+
+export function hasSearchInput(q) {
+  return [q.title, q.author, q.subject, q.q?.trim()].some(Boolean) || (q.facets || []).length > 0;
+}
+
+/** search.json filter params for a query (without paging, sort or fields) */
+export function searchParams(q) {
+  const params = new URLSearchParams();
+  if (q.title) params.set("title", q.title);
+  if (q.author) params.set("author", q.author);
+  if (q.subject) params.set("subject", q.subject);
+  if (q.lang) params.set("language", q.lang);
+  if (q.yearMin) params.set("first_publish_year__gte", q.yearMin);
+  if (q.yearMax) params.set("first_publish_year__lte", q.yearMax);
+  const selected = (q.facets || []).map(decodeFacet).filter(Boolean);
+  const clauses = [
+    q.q?.trim() && `(${q.q.trim()})`,
+    selected.length && facetQuery(selected),
+    availabilityClause(q.avail),
+  ].filter(Boolean);
+  if (clauses.length) params.set("q", clauses.join(" "));
+  return params;
+}
+
+/** Just the query fields of a larger state object. */
+export function pickQuery(state) {
+  const q = {};
+  for (const field of QUERY_FIELDS) q[field] = field === "facets" ? [...(state.facets || [])] : state[field] || "";
+  if (!q.sort) q.sort = "relevance";
+  return q;
+}
+
+/**
+ * Summary in the interface language, given the active `useI18n()`, e.g.
+ * `“dune” · by Herbert · 1960–1970 · Fiction`.
+ */
+export function describeQuery(q, i18n) {
+  const { t, languageName } = i18n;
+  const parts = [];
+  if (q.title) parts.push(t("searches.describe.title", { title: q.title }));
+  if (q.author) parts.push(t("searches.describe.author", { author: q.author }));
+  if (q.subject) parts.push(t("searches.describe.subject", { subject: q.subject }));
+  if (q.q) parts.push(q.q);
+  if (q.lang) parts.push(languageName(q.lang));
+  if (q.avail) parts.push(t(`avail.filter.${q.avail}`));
+  if (q.yearMin || q.yearMax) parts.push(`${q.yearMin || "…"}–${q.yearMax || "…"}`);
+  for (const f of (q.facets || []).map(decodeFacet).filter(Boolean)) parts.push(facetLabel(f.field, f.value, i18n));
+  return parts.join(" · ") || t("searches.describe.any");
+}
+
+export function emptySearches() {
+  return { recent: [], saved: [] };
+}
+
+function normalizeItem(item) {
+  const query = pickQuery(item.query || {});
+  return { ...item, query, id: makeQueryKey(query) };
+}
+
+export function normalizeSearches(raw) {
+  const out = emptySearches();
+  if (!raw || typeof raw !== "object") return out;
+  if (Array.isArray(raw.recent)) {
+    out.recent = raw.recent.filter((r) => r?.query).map((r) => ({ ...normalizeItem(r), at: Number(r.at) || 0 }));
+  }
+  if (Array.isArray(raw.saved)) {
+    out.saved = raw.saved.filter((s) => s?.query).map((s) => {
+      const item = normalizeItem(s);
+      return {
+        ...item,
+        name: String(s.name || "").trim(),
+        createdAt: Number(s.createdAt) || 0,
+        viewedAt: Number(s.viewedAt) || 0,
+        numFound: Number(s.numFound) || 0,
+        seenKeys: Array.isArray(s.seenKeys) ? s.seenKeys.filter((k) => typeof k === "string") : [],
+      };
+    });
+  }
+  return out;
+}
+
+/** Two tabs' histories interleave by time; saved searches combine one by one. */
+export function mergeSearches(base, mine, theirs) {
+  const recent = mergeLists(base.recent, mine.recent, theirs.recent)
+    .sort((a, b) => b.at - a.at)
+    .slice(0, MAX_RECENT);
+  return { recent, saved: mergeLists(base.saved, mine.saved, theirs.saved) };
+}
+
+// v0: the unversioned state saved before ./storage
+export const SEARCHES_SCHEMA = {
+  key: SEARCHES_KEY,
+  label: "storage.searches",
+  migrations: [(data) => data],
+  initial: emptySearches,
+  normalize: normalizeSearches,
+  merge: mergeSearches,
+};
+
+// ---- updates (all return a new object) ----
+
+export function recordRecent(state, query) {
+  const q = pickQuery(query);
+  const id = makeQueryKey(q);
+  const rest = state.recent.filter((r) => r.id !== id);
+  return { ...state, recent: [{ id, query: q, at: Date.now() }, ...rest].slice(0, MAX_RECENT) };
+}
+
+export function removeRecent(state, id) {
+  return { ...state, recent: state.recent.filter((r) => r.id !== id) };
+}
+
+export function clearRecent(state) {
+  return { ...state, recent: [] };
+}
+
+export function saveSearch(state, query, name) {
+  const q = pickQuery(query);
+  const id = makeQueryKey(q);
+  if (state.saved.some((s) => s.id === id)) return renameSearch(state, id, name);
+  const entry = {
+    id,
+    query: q,
+    name: String(name || "").trim(),
+    createdAt: Date.now(),
+    viewedAt: 0,
+    numFound: 0,
+    seenKeys: [],
+  };
+  return { ...state, saved: [entry, ...state.saved] };
+}
+
+export function renameSearch(state, id, name) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) return state;
+  return { ...state, saved: state.saved.map((s) => (s.id === id ? { ...s, name: trimmed } : s)) };
+}
+
+export function deleteSearch(state, id) {
+  return { ...state, saved: state.saved.filter((s) => s.id !== id) };
+}
+
+/** Record what the user has now seen of a saved search. */
+export function markViewed(state, id, { numFound, keys }) {
+  const target = state.saved.find((s) => s.id === id);
+  if (!target) return state;
+  const seen = new Set(target.seenKeys);
+  const fresh = keys.filter((k) => !seen.has(k));
+  if (!fresh.length && target.numFound === numFound && target.viewedAt) return state;
+  const seenKeys = [...fresh, ...target.seenKeys].slice(0, MAX_SEEN_KEYS);
+  return {
+    ...state,
+    saved: state.saved.map((s) => (s.id === id ? { ...s, numFound, seenKeys, viewedAt: Date.now() } : s)),
+  };
+}
+
+/**
+ * Results that are new since a saved search was last viewed, given a fresh
+ * check ({ numFound, keys } for its top results): the larger of the growth in
+ * numFound and the top results the user hasn't seen. Never-viewed searches
+ * have nothing "new" yet.
+ */
+export function newResultCount(saved, check) {
+  if (!check || !saved.viewedAt) return 0;
+  const seen = new Set(saved.seenKeys);
+  // Only compare as deep as the user actually looked
+  const top = check.keys.slice(0, Math.max(saved.seenKeys.length, 1));
+  const unseen = top.filter((k) => !seen.has(k)).length;
+  return Math.max(check.numFound - saved.numFound, unseen, 0);
+}
@@ -0,0 +1,356 @@
+/**
+ * Persistent app state: versioned, migrated and kept in sync across tabs.
+ *
+ * A schema describes one stored value:
+ *   { key, label, migrations, initial, normalize, merge }
+ * `migrations[i]` upgrades data from version i to i + 1, so the current
+ * version is `migrations.length`; values saved before versioning are bare
+ * JSON and count as version 0. `label` is the message key naming the data in
+ * error banners. `merge(base, mine, theirs)` folds another tab's changes into
+ * ours entry by entry (see mergeRecords); without it the newer write wins.
+ *
+ * localStorage holds an envelope { v, rev, at, data }. A value too big for it
+ * (or refused with a quota error) moves to IndexedDB and the envelope keeps
+ * just { v, rev, at, idb: true } so every tab knows where to look. Writes are
+ * announced through `storage` events and a BroadcastChannel.
+ *
+ * Failures are never silent: quota, corruption and unavailable storage are
+ * reported through useStorageErrors() for the UI to show.
+ */
+
+import { useSyncExternalStore } from "react";
+
+const DB_NAME = "bookfinder-storage";
+const STORE = "values";
+const CHANNEL = "bookfinder-storage";
+// localStorage is ~5 MB for the whole origin (and counted in UTF-16); leave room for everything else
+const LOCAL_LIMIT = 1_000_000;
+
+const TAB_ID = Math.random().toString(36).slice(2, 8);
+let revCount = 0;
+
+function newRev() {
+  revCount += 1;
+  return `${TAB_ID}-${Date.now().toString(36)}-${revCount}`;
+}
+
+const channel = typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(CHANNEL);
+
+// ---- merging ----
+
+function same(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Three-way merge of two maps that started out as `base`: each entry takes
+ * whichever side changed it. When both did, ours wins, being the newer write.
+ */
+export function mergeRecords(base = {}, mine = {}, theirs = {}) {
+  const out = {};
+  for (const key of new Set([...Object.keys(mine), ...Object.keys(theirs), ...Object.keys(base)])) {
+    const pick = same(mine[key], base[key]) ? theirs[key] : mine[key];
+    if (pick !== undefined) out[key] = pick;
+  }
+  return out;
+}
+
+/** mergeRecords for arrays of items with ids; our order first, then items only they have. */
+export function mergeLists(base = [], mine = [], theirs = [], idOf = (item) => item.id) {
+  const byId = (list) => Object.fromEntries(list.map((item) => [idOf(item), item]));
+  const merged = mergeRecords(byId(base), byId(mine), byId(theirs));
+  const order = new Set([...mine.map(idOf), ...theirs.map(idOf)]);
+  return [...order].filter((id) => id in merged).map((id) => merged[id]);
+}
+
+// ---- errors ----
+
+let errors = []; // [{ id, key, label, kind: "quota" | "corrupt" | "unavailable", backupKey }]
+const errorListeners = new Set();
+
+function reportError(schema, kind, extra = {}) {
+  const id = `${schema.key}:${kind}`;
+  errors = [...errors.filter((e) => e.id !== id), { id, key: schema.key, label: schema.label, kind, ...extra }];
+  errorListeners.forEach((l) => l());
+}
+
+function clearError(schema, kind) {
+  const id = `${schema.key}:${kind}`;
+  if (!errors.some((e) => e.id === id)) return;
+  errors = errors.filter((e) => e.id !== id);
+  errorListeners.forEach((l) => l());
+}
+
+export function dismissStorageError(id) {
+  errors = errors.filter((e) => e.id !== id);
+  errorListeners.forEach((l) => l());
+}
+
+function subscribeErrors(listener) {
+  errorListeners.add(listener);
+  return () => errorListeners.delete(listener);
+}
+
+export function useStorageErrors() {
+  return useSyncExternalStore(subscribeErrors, () => errors);
+}
+
+function isQuotaError(e) {
+  return e?.name === "QuotaExceededError" || e?.name === "NS_ERROR_DOM_QUOTA_REACHED" || e?.code === 22;
+}
+
+// ---- IndexedDB ----
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is unavailable"));
+    try {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "key" });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("IndexedDB is blocked"));
+    } catch (e) {
+      reject(e);
+    }
+  });
+  return dbPromise;
+}
+
+async function idbGet(key) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(STORE).objectStore(STORE).get(key);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function idbPut(row) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readwrite");
+    tx.objectStore(STORE).put(row);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ---- stores ----
+
+class CorruptError extends Error {
+  constructor(raw) {
+    super("Stored data couldn't be read");
+    this.name = "CorruptError";
+    this.raw = raw;
+  }
+}
+
+/** The stored envelope for `key`, or null. Throws CorruptError for unreadable data. */
+function readEnvelope(key) {
+  const raw = localStorage.getItem(key);
+  if (raw == null) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new CorruptError(raw);
+  }
+  if (parsed && typeof parsed === "object" && "v" in parsed && "rev" in parsed) return parsed;
+  return { v: 0, rev: "", at: 0, data: parsed };
+}
+
+/**
+ * A store for one schema: get/subscribe for useSyncExternalStore, and
+ * update(fn) to change it (fn gets the current value, returns the next).
+ */
+export function createStore(schema) {
+  const version = schema.migrations.length;
+  const listeners = new Set();
+  const pending = []; // updates made before an IndexedDB value has loaded
+  let value;
+  let base; // what storage held when we last read or wrote it
+  let rev = "";
+  let inIdb = false;
+  let ready = true;
+  let dirty = false; // value has changes storage doesn't
+
+  function upgrade(envelope) {
+    let data = envelope.data;
+    try {
+      // A value from a newer version of the app is left as is for normalize to make the best of
+      for (let v = envelope.v; v < version; v++) data = schema.migrations[v](data);
+      return schema.normalize ? schema.normalize(data) : data;
+    } catch {
+      throw new CorruptError(JSON.stringify(envelope));
+    }
+  }
+
+  function emit() {
+    listeners.forEach((l) => l());
+  }
+
+  function recover(e) {
+    if (!(e instanceof CorruptError)) {
+      reportError(schema, "unavailable");
+      return;
+    }
+    // Keep the damaged copy so nothing is lost for good, then start over
+    const backupKey = `${schema.key}:corrupt`;
+    try {
+      localStorage.setItem(backupKey, e.raw);
+      reportError(schema, "corrupt", { backupKey });
+    } catch {
+      reportError(schema, "corrupt");
+    }
+  }
+
+  function loaded(envelope) {
+    rev = envelope.rev;
+    return upgrade(envelope);
+  }
+
+  try {
+    const envelope = readEnvelope(schema.key);
+    if (!envelope) value = schema.initial();
+    else if (envelope.idb) {
+      inIdb = true;
+      ready = false;
+      value = schema.initial();
+      loadFromIdb();
+    } else value = loaded(envelope);
+  } catch (e) {
+    recover(e);
+    value = schema.initial();
+  }
+  base = value;
+
+  async function loadFromIdb() {
+    try {
+      const row = await idbGet(schema.key);
+      if (row) value = loaded(row);
+    } catch (e) {
+      recover(e);
+    }
+    base = value;
+    ready = true;
+    const queued = pending.splice(0);
+    if (queued.length) update((cur) => queued.reduce((acc, fn) => fn(acc), cur));
+    else emit();
+  }
+
+  function committed(written, writtenRev) {
+    rev = writtenRev;
+    base = written;
+    dirty = value !== written;
+    clearError(schema, "quota");
+    channel?.postMessage({ key: schema.key, rev: writtenRev });
+  }
+
+  function persist() {
+    const written = value;
+    const envelope = { v: version, rev: newRev(), at: Date.now() };
+    dirty = true;
+    const text = JSON.stringify({ ...envelope, data: written });
+    if (!inIdb && text.length <= LOCAL_LIMIT) {
+      try {
+        localStorage.setItem(schema.key, text);
+        committed(written, envelope.rev);
+        return;
+      } catch (e) {
+        if (!isQuotaError(e)) {
+          reportError(schema, "unavailable");
+          return;
+        }
+      }
+    }
+    // Too big for localStorage, or refused: IndexedDB, with a pointer left behind
+    idbPut({ key: schema.key, ...envelope, data: written })
+      .then(() => {
+        inIdb = true;
+        localStorage.setItem(schema.key, JSON.stringify({ ...envelope, idb: true }));
+        committed(written, envelope.rev);
+      })
+      .catch(() => reportError(schema, "quota"));
+  }
+
+  // Another tab may have written since we last looked; fold its changes in before ours go out
+  function reconcile(next) {
+    if (inIdb) return next; // announced over the channel instead, see refresh()
+    try {
+      const envelope = readEnvelope(schema.key);
+      if (!envelope || envelope.rev === rev) return next;
+      if (envelope.idb) {
+        inIdb = true;
+        return next;
+      }
+      const theirs = loaded(envelope);
+      const merged = schema.merge ? schema.merge(base, next, theirs) : next;
+      base = theirs;
+      return merged;
+    } catch {
+      return next;
+    }
+  }
+
+  function update(fn) {
+    if (!ready) {
+      pending.push(fn);
+      return;
+    }
+    const next = fn(value);
+    if (next === value) return;
+    value = reconcile(next);
+    emit();
+    persist();
+  }
+
+  // A write from another tab: take it, keeping any of our changes that didn't make it to storage
+  async function refresh() {
+    try {
+      const envelope = readEnvelope(schema.key);
+      if (!envelope || envelope.rev === rev) return;
+      let source = envelope;
+      if (envelope.idb) {
+        inIdb = true;
+        source = await idbGet(schema.key);
+        if (!source || source.rev !== envelope.rev) return;
+      }
+      const theirs = loaded(source);
+      const next = dirty && schema.merge ? schema.merge(base, value, theirs) : theirs;
+      base = theirs;
+      value = next;
+      emit();
+      if (dirty) persist();
+    } catch {
+      // a half-written or unreadable value from another tab; ours stands until the next write
+    }
+  }
+
+  if (typeof window !== "undefined") {
+    window.addEventListener("storage", (e) => {
+      if (e.key === schema.key || e.key === null) refresh();
+    });
+  }
+  channel?.addEventListener("message", (e) => {
+    if (e.data?.key === schema.key && e.data.rev !== rev) refresh();
+  });
+
+  return {
+    get: () => value,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    update,
+  };
+}
+
+/** [value, update] for a store, re-rendering on local and cross-tab changes. */
+export function useStore(store) {
+  return [useSyncExternalStore(store.subscribe, store.get), store.update];
+}
@@ -0,0 +1,193 @@
+/**
+ * Typeahead suggestions for the Author and Subject inputs, and "did you mean"
+ * corrections for searches that found nothing.
+ *
+ * A suggestion is { id, kind: "recent" | "author" | "subject", value, label }
+ * where `value` is what goes into the input; authors also carry `key` (for
+ * the photo), `topWork` and `workCount`, subjects `workCount`. Authors come from
+ * /search/authors.json, subjects from a built-in list of common ones plus
+ * /search/subjects.json, and recent inputs from the search history.
+ */
+
+import { olid, searchAuthors, searchSubjects } from "./openLibrary";
+
+export const MIN_CHARS = 2;
+export const SUGGEST_DELAY_MS = 250;
+export const MAX_SUGGESTIONS = 8;
+const MAX_RECENT = 3;
+
+// Common Open Library subjects, so the usual ones come up instantly (and offline)
+export const COMMON_SUBJECTS = [
+  "Fantasy",
+  "Science fiction",
+  "Romance",
+  "Mystery and detective stories",
+  "Historical fiction",
+  "Horror",
+  "Thrillers",
+  "Adventure stories",
+  "Humor",
+  "Poetry",
+  "Drama",
+  "Short stories",
+  "Biography",
+  "Autobiography",
+  "History",
+  "Philosophy",
+  "Psychology",
+  "Religion",
+  "Mythology",
+  "Science",
+  "Mathematics",
+  "Physics",
+  "Astronomy",
+  "Biology",
+  "Medicine",
+  "Computers",
+  "Programming",
+  "Business",
+  "Economics",
+  "Politics",
+  "Law",
+  "Art",
+  "Music",
+  "Photography",
+  "Architecture",
+  "Cooking",
+  "Travel",
+  "Sports",
+  "Self-help",
+  "Children's fiction",
+  "Young adult fiction",
+  "Picture books",
+  "Graphic novels",
+  "Comics",
+  "Classic literature",
+  "Indian literature",
+  "Indian fiction (English)",
+  "Love stories",
+  "War",
+  "Crime",
+];
+
+function fold(s) {
+  return String(s || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Words safe to put in a Solr query: letters, digits and in-word punctuation only
+function words(text) {
+  return String(text)
+    .replace(/[^\p{L}\p{M}\p{N}'.-]+/gu, " ")
+    .split(" ")
+    .filter(Boolean);
+}
+
+/** Typeahead query: whole words as typed, the last one as a prefix ("paulo coe" -> `paulo coe*`). */
+export function prefixQuery(text) {
+  const list = words(text);
+  if (!list.length) return "";
+  const last = list.pop();
+  return [...list, last.length >= MIN_CHARS ? `${last}*` : last].join(" ");
+}
+
+/** Correction query: longer words match within two edits ("cohelo" finds "Coelho"). */
+export function fuzzyQuery(text) {
+  return words(text)
+    .map((w) => (w.length >= 4 ? `${w}~` : w))
+    .join(" ");
+}
+
+/** Distinct non-empty values the user searched `field` with, newest first (`recent` as in ./searches). */
+export function recentInputs(recent, field) {
+  const seen = new Map();
+  for (const r of recent) {
+    const value = String(r.query?.[field] || "").trim();
+    if (value && !seen.has(fold(value))) seen.set(fold(value), value);
+  }
+  return [...seen.values()];
+}
+
+function matches(value, text) {
+  const v = fold(value);
+  const q = fold(text);
+  return v !== q && (v.startsWith(q) || v.includes(` ${q}`));
+}
+
+/** Recent inputs continuing `text` (all of the latest few when it's empty). */
+export function recentSuggestions(recent, text) {
+  return recent
+    .filter((value) => matches(value, text))
+    .slice(0, MAX_RECENT)
+    .map((value) => ({ id: `recent:${fold(value)}`, kind: "recent", value, label: value }));
+}
+
+// Recent inputs first; later lists skip values already offered
+function combine(...lists) {
+  const seen = new Set();
+  const out = [];
+  for (const item of lists.flat()) {
+    const k = fold(item.value);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(item);
+  }
+  return out.slice(0, MAX_SUGGESTIONS);
+}
+
+function authorItem(doc) {
+  return {
+    id: `author:${doc.key}`,
+    kind: "author",
+    value: doc.name,
+    label: doc.name,
+    key: olid(doc.key),
+    topWork: doc.top_work || "",
+    workCount: doc.work_count || 0,
+  };
+}
+
+function subjectItem(name, workCount = 0) {
+  return { id: `subject:${fold(name)}`, kind: "subject", value: name, label: name, workCount };
+}
+
+export async function authorSuggestions(text, { recent = [], signal } = {}) {
+  const data = await searchAuthors(prefixQuery(text), { limit: MAX_SUGGESTIONS, signal });
+  return combine(recentSuggestions(recent, text), (data.docs || []).filter((d) => d.name).map(authorItem));
+}
+
+/** Local matches show up even when the subjects endpoint fails. */
+export async function subjectSuggestions(text, { recent = [], signal } = {}) {
+  const local = COMMON_SUBJECTS.filter((s) => matches(s, text)).map((s) => subjectItem(s));
+  let remote = [];
+  try {
+    const data = await searchSubjects(prefixQuery(text), { limit: MAX_SUGGESTIONS, signal });
+    remote = (data.docs || [])
+      .filter((d) => d.name && (!d.subject_type || d.subject_type === "subject"))
+      .sort((a, b) => (b.work_count || 0) - (a.work_count || 0))
+      .map((d) => subjectItem(d.name, d.work_count));
+  } catch (e) {
+    if (e.name === "AbortError" || !local.length) throw e;
+  }
+  return combine(recentSuggestions(recent, text), local, remote);
+}
+
+/**
+ * A likely intended spelling of `text` for `field` ("author" | "subject"),
+ * or "" when nothing close enough (and different) turns up.
+ */
+export async function didYouMean(field, text, { signal } = {}) {
+  const query = fuzzyQuery(text);
+  if (!query) return "";
+  const search = field === "author" ? searchAuthors : searchSubjects;
+  const data = await search(query, { limit: 5, signal });
+  // The best-known of the close matches, not just the first
+  const best = [...(data.docs || [])]
+    .filter((d) => d.name)
+    .sort((a, b) => (b.work_count || 0) - (a.work_count || 0))[0];
+  return best && fold(best.name) !== fold(text) ? best.name : "";
+}
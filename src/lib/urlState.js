@@ -0,0 +1,113 @@
+/**
+ * URL <-> search state mapping.
+ * Every piece of the search (inputs, sort, view, loaded pages and the open
+ * book or author page) is mirrored in the query string so searches can be shared and
+ * restored with back/forward.
+ */
+
+export const URL_DEFAULTS = {
+  title: "",
+  author: "",
+  subject: "",
+  lang: "",
+  avail: "", // ebook availability filter (see ./availability)
+  yearMin: "",
+  yearMax: "",
+  sort: "relevance",
+  q: "", // advanced query text (Open Library `q` syntax)
+  view: "grid",
+  localSort: "", // client-side reorder of loaded results
+  page: 1,
+  book: "", // bare work id, e.g. OL45804W
+  authorId: "", // bare author id of the open author page, e.g. OL23919A
+  facets: [], // "field:value" strings, one `facet` param each
+};
+
+// state field -> query string name (kept short for readable links)
+const PARAM_NAMES = {
+  title: "title",
+  author: "author",
+  subject: "subject",
+  lang: "lang",
+  avail: "avail",
+  yearMin: "from",
+  yearMax: "to",
+  sort: "sort",
+  q: "q",
+  view: "view",
+  localSort: "local",
+  page: "page",
+  book: "book",
+  authorId: "author_id",
+  facets: "facet",
+};
+
+// Fields that may repeat in the query string
+const MULTI = ["facets"];
+
+// Fields that don't deserve their own history entry when they change
+const REPLACE_ONLY = ["page", "view", "localSort"];
+
+// A restored `page=N` loads pages 1..N in one request; past this a link
+// opens on the last allowed page and scrolling loads the rest
+const MAX_RESTORED_PAGE = 10;
+
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+  const state = { ...URL_DEFAULTS };
+  for (const [field, name] of Object.entries(PARAM_NAMES)) {
+    if (MULTI.includes(field)) {
+      state[field] = params.getAll(name).filter(Boolean);
+      continue;
+    }
+    const raw = params.get(name);
+    if (raw == null || raw === "") continue;
+    state[field] = raw;
+  }
+  const page = parseInt(state.page, 10);
+  state.page = Number.isFinite(page) && page > 0 ? Math.min(page, MAX_RESTORED_PAGE) : 1;
+  if (state.view !== "grid" && state.view !== "list") state.view = URL_DEFAULTS.view;
+  state.book = workId(state.book);
+  state.authorId = workId(state.authorId);
+  return state;
+}
+
+export function serializeUrlState(state) {
+  const params = new URLSearchParams();
+  for (const [field, name] of Object.entries(PARAM_NAMES)) {
+    if (MULTI.includes(field)) {
+      for (const v of state[field] || []) params.append(name, String(v));
+      continue;
+    }
+    const value = field === "book" || field === "authorId" ? workId(state[field]) : state[field];
+    if (value == null || value === "" || String(value) === String(URL_DEFAULTS[field])) continue;
+    params.set(name, String(value));
+  }
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+/** The part of the state that identifies a history entry (everything but page/view/local sort). */
+export function historyIdentity(state) {
+  const copy = { ...state };
+  for (const field of REPLACE_ONLY) copy[field] = URL_DEFAULTS[field];
+  return serializeUrlState(copy);
+}
+
+export function buildPermalink(state) {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}${serializeUrlState(state)}`;
+}
+
+/** A `book` id from the URL back to its key: editions ("OL…M") for books that have no work. */
+export function bookKey(id) {
+  if (!id) return null;
+  return /^OL\d+M$/i.test(id) ? `/books/${id}` : `/works/${id}`;
+}
+
+/** "/works/OL45804W" or "OL45804W" -> "OL45804W" (same for /authors/ keys) */
+export function workId(key) {
+  if (!key) return "";
+  const parts = String(key).split("/").filter(Boolean);
+  return parts[parts.length - 1] || "";
+}